@@ -8,20 +8,231 @@
     $(document).ready(function() {
 
         /**
-         * Refresh ticket list
+         * Inline ticket list: filters, sorting and paging over AJAX
          */
-        $('#zdm-refresh-tickets').on('click', function(e) {
-            e.preventDefault();
-            var $button = $(this);
-            var originalText = $button.text();
+        var $ticketList = $('#zdm-ticket-list');
+        var ticketListArgs = $ticketList.data('args') || {};
+        var ticketListDefaults = $ticketList.data('defaults') || {};
+        var ticketListRequest = null;
 
-            $button.text('Refreshing...').prop('disabled', true);
+        if ($ticketList.length) {
+            // Let the back button return to this state
+            if (window.history.replaceState) {
+                window.history.replaceState({ zdmTickets: ticketListArgs }, '');
+            }
 
-            // Add force_refresh parameter
-            var currentUrl = window.location.href;
-            var separator = currentUrl.indexOf('?') !== -1 ? '&' : '?';
-            window.location.href = currentUrl + separator + 'force_refresh=1';
-        });
+            $ticketList.on('submit', '#zdm-ticket-filters', function(e) {
+                e.preventDefault();
+                zdmLoadTickets(zdmTicketFilterValues());
+            });
+
+            $ticketList.on('change', '.zdm-ticket-filter', function() {
+                zdmLoadTickets(zdmTicketFilterValues());
+            });
+
+            $ticketList.on('click', '.zdm-ticket-status-filter a[data-status]', function(e) {
+                if (zdmIsPlainClick(e)) {
+                    e.preventDefault();
+                    zdmLoadTickets({ status: $(this).data('status'), paged: 1 });
+                }
+            });
+
+            // Sort headers, paging and Clear carry their state in the link
+            $ticketList.on('click', '.zdm-ticket-table thead a, .tablenav-pages a, .zdm-ticket-clear', function(e) {
+                if (zdmIsPlainClick(e)) {
+                    e.preventDefault();
+                    zdmLoadTickets($.extend({}, ticketListDefaults, zdmQueryArgs($(this).attr('href'))));
+                }
+            });
+
+            $('#zdm-refresh-tickets').on('click', function(e) {
+                e.preventDefault();
+                zdmRefreshTickets();
+            });
+
+            $(window).on('popstate', function(e) {
+                var state = e.originalEvent.state;
+
+                if (state && state.zdmTickets) {
+                    zdmLoadTickets(state.zdmTickets, { history: false });
+                }
+            });
+
+            window.ZDM_Ticket_List = {
+                args: function() {
+                    return $.extend({}, ticketListArgs);
+                },
+                refresh: function() {
+                    return zdmRefreshTickets();
+                }
+            };
+        }
+
+        /**
+         * Reload the ticket list from Zoho Desk, waiting for the rate limit
+         * to reset when few API calls are left
+         */
+        function zdmRefreshTickets() {
+            var load = function() {
+                return zdmLoadTickets({}, { refresh: true, history: false });
+            };
+
+            return window.ZDM_Rate_Limit ? window.ZDM_Rate_Limit.defer('ticket-list-refresh', 'Refresh the ticket list', load) : load();
+        }
+
+        /**
+         * Load the ticket list with changed arguments
+         *
+         * @param {Object} changes Arguments to change
+         * @param {Object} options refresh: bypass the cache and keep the
+         *     scroll position; history: false to leave the URL alone
+         */
+        function zdmLoadTickets(changes, options) {
+            var $results = $('#zdm-ticket-results');
+            var $refresh = $('#zdm-refresh-tickets');
+            var scrollTop = $(window).scrollTop();
+            var args = $.extend({}, ticketListArgs, changes);
+
+            options = options || {};
+
+            if (ticketListRequest) {
+                ticketListRequest.abort();
+            }
+
+            // Hold the height so the page doesn't jump while rows are swapped
+            $results.addClass('zdm-ticket-results-loading').css('min-height', $results.height());
+            if (options.refresh) {
+                $refresh.text('Refreshing...');
+            }
+
+            ticketListRequest = $.ajax({
+                url: zdm_ajax.ajax_url,
+                type: 'POST',
+                data: $.extend({
+                    action: 'zdm_list_tickets',
+                    nonce: $ticketList.data('nonce'),
+                    force_refresh: options.refresh ? 1 : 0
+                }, args)
+            }).done(function(response) {
+                if (!response.success) {
+                    zdmShowNotice('Failed to load tickets', 'error');
+                    return;
+                }
+
+                ticketListArgs = response.data.args;
+                $results.html(response.data.html);
+                zdmSyncTicketFilters();
+
+                if (options.history !== false && window.history.pushState) {
+                    window.history.pushState({ zdmTickets: ticketListArgs }, '', zdmTicketListUrl(ticketListArgs));
+                }
+
+                if (options.refresh) {
+                    $(window).scrollTop(scrollTop);
+                } else if ($ticketList.offset().top < scrollTop) {
+                    $(window).scrollTop($ticketList.offset().top - 50);
+                }
+
+                zdmRememberTicketOrder();
+                $(document).trigger('zdm-tickets-loaded', [ticketListArgs]);
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    zdmShowNotice('Network error. Please try again.', 'error');
+                }
+            }).always(function(data, status) {
+                if (status === 'abort') {
+                    return;
+                }
+
+                ticketListRequest = null;
+                $results.removeClass('zdm-ticket-results-loading').css('min-height', '');
+                $refresh.text('↻ Refresh');
+            });
+
+            return ticketListRequest;
+        }
+
+        /**
+         * Search and filter values from the filter form
+         */
+        function zdmTicketFilterValues() {
+            var values = { paged: 1 };
+
+            $.each(['search', 'search_type', 'priority', 'assignee', 'tag', 'channel'], function(index, name) {
+                values[name] = $('#zdm-ticket-filters [name="' + name + '"]').val();
+            });
+
+            return values;
+        }
+
+        /**
+         * Show the current arguments in the filter controls
+         */
+        function zdmSyncTicketFilters() {
+            var $form = $('#zdm-ticket-filters');
+            var filtered = false;
+
+            $.each(ticketListArgs, function(name, value) {
+                $form.find('[name="' + name + '"]').val(value);
+            });
+
+            $.each(['search', 'priority', 'assignee', 'tag', 'channel'], function(index, name) {
+                filtered = filtered || ticketListArgs[name] !== '';
+            });
+
+            $ticketList.find('.zdm-ticket-clear').toggle(filtered);
+
+            $ticketList.find('.zdm-ticket-status-filter a[data-status]').each(function() {
+                var status = $(this).data('status');
+
+                $(this)
+                    .toggleClass('button-primary', status === ticketListArgs.status)
+                    .attr('href', zdmTicketListUrl($.extend({}, ticketListArgs, { status: status, paged: 1 })));
+            });
+
+            $('#zdm-refresh-tickets').attr('href', zdmTicketListUrl(ticketListArgs) + '&force_refresh=1');
+        }
+
+        /**
+         * Bookmarkable URL for list arguments, leaving out defaults
+         */
+        function zdmTicketListUrl(args) {
+            var query = ['page=zoho-desk-manager'];
+
+            $.each(args, function(name, value) {
+                if (String(value) !== String(ticketListDefaults[name])) {
+                    query.push(encodeURIComponent(name) + '=' + encodeURIComponent(value));
+                }
+            });
+
+            return 'admin.php?' + query.join('&');
+        }
+
+        /**
+         * List arguments in a URL's query string
+         */
+        function zdmQueryArgs(url) {
+            var args = {};
+            var query = (url || '').split('#')[0].split('?')[1] || '';
+
+            $.each(query.split('&'), function(index, pair) {
+                var parts = pair.split('=');
+                var name = decodeURIComponent(parts[0] || '');
+
+                if (ticketListDefaults.hasOwnProperty(name)) {
+                    args[name] = decodeURIComponent((parts[1] || '').replace(/\+/g, ' '));
+                }
+            });
+
+            return args;
+        }
+
+        /**
+         * Whether a click should be handled here rather than open a tab
+         */
+        function zdmIsPlainClick(e) {
+            return e.which === 1 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+        }
 
         /**
          * Quick status update via AJAX
@@ -36,40 +247,39 @@
             $select.prop('disabled', true);
             $row.css('opacity', '0.5');
 
-            $.ajax({
-                url: zdm_ajax.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'zdm_update_status',
-                    ticket_id: ticketId,
-                    status: newStatus,
-                    nonce: zdm_ajax.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Update status badge
-                        var $badge = $row.find('.zdm-status-badge');
-                        $badge.removeClass('zdm-status-open zdm-status-onhold zdm-status-closed');
-                        $badge.addClass('zdm-status-' + newStatus.toLowerCase().replace(' ', ''));
-                        $badge.text(newStatus);
-
-                        // Show success message
-                        zdmShowNotice('Status updated successfully', 'success');
-                    } else {
-                        zdmShowNotice('Failed to update status: ' + response.data, 'error');
-                        // Revert select
-                        $select.val($select.data('original-value'));
-                    }
-                },
-                error: function() {
-                    zdmShowNotice('Network error. Please try again.', 'error');
-                    // Revert select
-                    $select.val($select.data('original-value'));
-                },
-                complete: function() {
-                    $select.prop('disabled', false);
-                    $row.css('opacity', '1');
-                }
+            window.ZDM_Sync_Queue.send('zdm_update_status', {
+                ticket_id: ticketId,
+                status: newStatus
+            }, {
+                dedupeKey: 'status:' + ticketId,
+                label: 'Status of ticket #' + ticketId + ' → ' + newStatus,
+                rateLimited: true
+            }).done(function() {
+                // Update status badge
+                var $badge = $row.find('.zdm-status-badge');
+                $badge.removeClass('zdm-status-open zdm-status-onhold zdm-status-closed zdm-status-pending-sync');
+                $badge.addClass('zdm-status-' + newStatus.toLowerCase().replace(' ', ''));
+                $badge.text(newStatus);
+                $select.data('original-value', newStatus);
+
+                // Show success message
+                zdmShowNotice('Status updated successfully', 'success');
+            }).fail(function(message) {
+                zdmShowNotice('Failed to update status: ' + message, 'error');
+                // Revert select
+                $select.val($select.data('original-value'));
+                $row.find('.zdm-status-badge').removeClass('zdm-status-pending-sync');
+            }).progress(function(reason) {
+                // Keep the new value selected; it will be sent once back online
+                $row.find('.zdm-status-badge').addClass('zdm-status-pending-sync');
+                zdmShowNotice(reason === 'rate_limited'
+                    ? 'The Zoho Desk API limit is reached. The status change will be sent when it resets.'
+                    : 'Network error. The status change will be retried automatically.', 'warning');
+                $select.prop('disabled', false);
+                $row.css('opacity', '1');
+            }).always(function() {
+                $select.prop('disabled', false);
+                $row.css('opacity', '1');
             });
         });
 
@@ -95,10 +305,17 @@
 
             if (!content.trim()) {
                 e.preventDefault();
+                $('#zdm-close-ticket').val('0');
                 zdmShowNotice('Please enter a reply message', 'error');
                 return false;
             }
 
+            // Hold the reply while checking for changes since the page loaded
+            if (window.ZDM_Collision_Check && !window.ZDM_Collision_Check.beforeSubmit()) {
+                e.preventDefault();
+                return false;
+            }
+
             // Show loading state
             $(this).find('input[type="submit"]').val('Sending...').prop('disabled', true);
         });
@@ -106,33 +323,22 @@
         /**
          * Auto-save draft replies
          */
-        if ($('#reply_content').length) {
-            var draftTimer;
-            var $textarea = $('#reply_content');
+        if ($('#reply_content').length && window.ZDM_Draft_Store) {
             var ticketId = $('input[name="ticket_id"]').val();
 
-            // Load draft if exists
-            var savedDraft = localStorage.getItem('zdm_draft_' + ticketId);
-            if (savedDraft && !$textarea.val()) {
-                $textarea.val(savedDraft);
-                zdmShowNotice('Draft reply loaded', 'info');
-            }
-
-            // Save draft on change
-            $textarea.on('input', function() {
-                clearTimeout(draftTimer);
-                draftTimer = setTimeout(function() {
-                    var content = $textarea.val();
-                    if (content) {
-                        localStorage.setItem('zdm_draft_' + ticketId, content);
-                    }
-                }, 1000);
+            window.ZDM_Draft_Store.attach({
+                field: 'reply',
+                ticketId: ticketId,
+                $input: $('#reply_content'),
+                onRestore: function(record, message) {
+                    zdmShowNotice(message, 'info');
+                }
             });
 
             // Clear draft on successful submit
-            $('#zdm-reply-form').on('submit', function() {
-                if (!$(this).data('error')) {
-                    localStorage.removeItem('zdm_draft_' + ticketId);
+            $('#zdm-reply-form').on('submit', function(e) {
+                if (!e.isDefaultPrevented() && !$(this).data('error')) {
+                    window.ZDM_Draft_Store.remove('reply', ticketId);
                 }
             });
         }
@@ -227,6 +433,136 @@
             zdmShowNotice('Ticket ID copied to clipboard', 'success');
         });
 
+        /**
+         * Ticket navigation and status shortcuts
+         */
+        if (window.ZDM_Shortcuts) {
+            var shortcuts = window.ZDM_Shortcuts;
+            var currentTicketId = $('#zdm-reply-form input[name="ticket_id"]').val();
+
+            zdmRememberTicketOrder();
+
+            shortcuts.register('tickets.next', {
+                keys: 'j',
+                group: 'Tickets',
+                description: 'Next ticket',
+                when: function() {
+                    return zdmTicketRows().length > 0 || !!currentTicketId;
+                },
+                handler: function() {
+                    zdmMoveTicket(1);
+                }
+            });
+
+            shortcuts.register('tickets.prev', {
+                keys: 'k',
+                group: 'Tickets',
+                description: 'Previous ticket',
+                when: function() {
+                    return zdmTicketRows().length > 0 || !!currentTicketId;
+                },
+                handler: function() {
+                    zdmMoveTicket(-1);
+                }
+            });
+
+            shortcuts.register('tickets.open', {
+                keys: 'o',
+                group: 'Tickets',
+                description: 'Open selected ticket',
+                when: function() {
+                    return zdmTicketRows().filter('.zdm-row-selected').length > 0;
+                },
+                handler: function() {
+                    window.location.href = zdmTicketRows().filter('.zdm-row-selected').find('a[href*="ticket_id="]').attr('href');
+                }
+            });
+
+            $.each({ 'open': 'Open', 'hold': 'On Hold', 'closed': 'Closed' }, function(key, status) {
+                shortcuts.register('status.' + key, {
+                    keys: 'alt+shift+' + key.charAt(0),
+                    group: 'Tickets',
+                    description: 'Set status to ' + status,
+                    when: function() {
+                        return $('select[name="new_status"]').length > 0;
+                    },
+                    handler: function() {
+                        var $select = $('select[name="new_status"]');
+                        $select.val(status);
+                        $select.closest('form').find('input[name="update_status"]').trigger('click');
+                    }
+                });
+            });
+        }
+
+        /**
+         * Ticket rows in the list
+         */
+        function zdmTicketRows() {
+            return $('.wp-list-table tbody tr').filter(function() {
+                return $(this).find('a[href*="ticket_id="]').length > 0;
+            });
+        }
+
+        /**
+         * Remember the list order so next/prev also work from a ticket
+         */
+        function zdmRememberTicketOrder() {
+            var $rows = zdmTicketRows();
+
+            if (!$rows.length) {
+                return;
+            }
+
+            try {
+                sessionStorage.setItem('zdm_ticket_nav', JSON.stringify($rows.map(function() {
+                    return zdmTicketIdFromRow($(this));
+                }).get()));
+            } catch (e) {
+                // sessionStorage unavailable
+            }
+        }
+
+        /**
+         * Get the ticket ID a list row links to
+         */
+        function zdmTicketIdFromRow($row) {
+            var match = ($row.find('a[href*="ticket_id="]').attr('href') || '').match(/ticket_id=([^&]+)/);
+            return match ? decodeURIComponent(match[1]) : null;
+        }
+
+        /**
+         * Move the list selection, or go to the adjacent ticket from a ticket view
+         */
+        function zdmMoveTicket(step) {
+            var $rows = zdmTicketRows();
+            var ticketId = $('#zdm-reply-form input[name="ticket_id"]').val();
+            var ids, index;
+
+            if ($rows.length) {
+                index = $rows.index($rows.filter('.zdm-row-selected'));
+                index = index === -1 ? (step > 0 ? 0 : $rows.length - 1) : Math.min($rows.length - 1, Math.max(0, index + step));
+
+                $rows.removeClass('zdm-row-selected');
+                $rows.eq(index).addClass('zdm-row-selected')[0].scrollIntoView({ block: 'nearest' });
+                return;
+            }
+
+            try {
+                ids = JSON.parse(sessionStorage.getItem('zdm_ticket_nav')) || [];
+            } catch (e) {
+                ids = [];
+            }
+
+            index = $.inArray(ticketId, ids);
+            if (index === -1 || !ids[index + step]) {
+                zdmShowNotice(step > 0 ? 'No next ticket in the list' : 'No previous ticket in the list', 'info');
+                return;
+            }
+
+            window.location.href = '?page=zoho-desk-manager&ticket_id=' + encodeURIComponent(ids[index + step]);
+        }
+
     });
 
 })(jQuery);
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * AI Usage for Zoho Desk Manager
+ * Estimates the cost of the next AI draft, shows what the last request
+ * used and today's total, and applies the daily budget to the AI buttons
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_AI_Usage = {
+        settings: {},
+        budget: null,
+        request: null,
+        timer: null,
+
+        /**
+         * Buttons that send a request to the AI
+         */
+        buttons: '#zdm-generate-ai-draft, #zdm-generate-with-options, #zdm-generate-variants, #zdm-improve-draft, .zdm-improve-op',
+
+        /**
+         * Show today's usage and bind the estimate to the AI options
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = window.zdm_ai_usage;
+            this.updateBudget(this.settings.budget);
+
+            $('#zdm-generate-ai-draft').on('click', function() {
+                self.estimate();
+            });
+
+            $('#zdm-response-type, #zdm-response-tone, #zdm-prompt-preset, #zdm-prompt-instructions').on('change', function() {
+                self.scheduleEstimate();
+            });
+
+            $('#zdm-prompt-inspector').on('change', '.zdm-prompt-message-check', function() {
+                self.scheduleEstimate();
+            });
+        },
+
+        /**
+         * Whether a hard budget has been reached
+         */
+        isBlocked: function() {
+            return !!(this.budget && this.budget.blocked);
+        },
+
+        /**
+         * Estimate again once the agent stops changing options
+         */
+        scheduleEstimate: function() {
+            var self = this;
+
+            clearTimeout(this.timer);
+            this.timer = setTimeout(function() {
+                self.estimate();
+            }, 400);
+        },
+
+        /**
+         * Estimate what the next draft will cost
+         */
+        estimate: function() {
+            var self = this;
+            var strings = this.settings.strings;
+            var $estimate = $('#zdm-ai-estimate');
+
+            if (this.settings.mode === 'browser') {
+                $estimate.text(strings.browser);
+                return;
+            }
+
+            if (this.settings.mode === 'subscription') {
+                this.checkCredits();
+                return;
+            }
+
+            $estimate.text(strings.estimating);
+
+            // Estimating reads the ticket thread from Zoho Desk
+            if (window.ZDM_Rate_Limit) {
+                window.ZDM_Rate_Limit.defer('ai-estimate', strings.estimate_label, function() {
+                    return self.requestEstimate();
+                });
+            } else {
+                this.requestEstimate();
+            }
+        },
+
+        /**
+         * Ask the server for the estimate
+         */
+        requestEstimate: function() {
+            var self = this;
+            var $estimate = $('#zdm-ai-estimate');
+
+            // Only the latest options' estimate is shown
+            if (this.request) {
+                this.request.abort();
+            }
+
+            return this.request = $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: $.extend({
+                    action: 'zdm_estimate_ai_usage',
+                    nonce: this.settings.nonce,
+                    ticket_id: window.ZDM_Draft.ticketId,
+                    response_type: $('#zdm-response-type').val(),
+                    tone: $('#zdm-response-tone').val()
+                }, window.ZDM_Draft.getPromptOptions()),
+                success: function(response) {
+                    if (response.success) {
+                        self.renderEstimate(response.data);
+                        self.updateBudget(response.data.budget);
+                    } else {
+                        $estimate.text('');
+                    }
+                },
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        $estimate.text('');
+                    }
+                },
+                complete: function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.request = null;
+                    }
+                }
+            });
+        },
+
+        /**
+         * Show the prompt size and the cost with each provider
+         */
+        renderEstimate: function(data) {
+            var self = this;
+            var strings = this.settings.strings;
+            var $list = $('<ul></ul>');
+
+            $.each(data.providers || [], function(index, provider) {
+                var text = provider.input_cost === null
+                    ? strings.unknown_price.replace('%1$s', provider.label).replace('%2$s', provider.model)
+                    : strings.provider_cost
+                        .replace('%1$s', provider.label)
+                        .replace('%2$s', provider.model)
+                        .replace('%3$s', self.formatCost(provider.input_cost))
+                        .replace('%4$s', self.formatCost(provider.max_cost));
+
+                $list.append($('<li></li>').toggleClass('zdm-ai-estimate-default', provider['default']).text(text));
+            });
+
+            $('#zdm-ai-estimate').empty().append(
+                document.createTextNode(strings.estimate.replace('%s', this.formatNumber(data.prompt_tokens))),
+                $list
+            );
+        },
+
+        /**
+         * Show the subscription's remaining credits
+         */
+        checkCredits: function() {
+            var self = this;
+            var strings = this.settings.strings;
+            var $estimate = $('#zdm-ai-estimate');
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'zdm_check_credits',
+                    nonce: this.settings.subscription_nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.showCredits(response.data.credits);
+                    } else {
+                        $estimate.text(strings.credits_unknown);
+                    }
+                },
+                error: function() {
+                    $estimate.text(strings.credits_unknown);
+                }
+            });
+        },
+
+        /**
+         * Show remaining credits, disabling generation once there are none
+         */
+        showCredits: function(credits) {
+            var strings = this.settings.strings;
+
+            credits = parseInt(credits, 10) || 0;
+
+            $('#zdm-ai-estimate').text(credits > 0 ? strings.credits.replace('%s', this.formatNumber(credits)) : strings.credits_out);
+            $('#zdm-generate-with-options').prop('disabled', credits <= 0 || this.isBlocked());
+        },
+
+        /**
+         * Show what a finished request used
+         *
+         * @param {Object} data Response with usage and budget
+         */
+        record: function(data) {
+            var strings = this.settings.strings;
+            var usage = data.usage || {};
+
+            if (usage.credits_used !== undefined) {
+                $('#zdm-ai-usage .zdm-ai-usage-last').text(strings.used_credits.replace('%s', this.formatNumber(usage.credits_used)));
+
+                if (usage.credits_remaining !== undefined) {
+                    this.showCredits(usage.credits_remaining);
+                }
+            } else if (usage.input_tokens !== undefined) {
+                $('#zdm-ai-usage .zdm-ai-usage-last').text(strings.used
+                    .replace('%1$s', this.formatNumber(usage.input_tokens))
+                    .replace('%2$s', this.formatNumber(usage.output_tokens))
+                    .replace('%3$s', this.formatCost(usage.cost)));
+            }
+
+            if (data.budget) {
+                this.updateBudget(data.budget);
+            }
+        },
+
+        /**
+         * Show today's total and apply the budget to the AI buttons
+         */
+        updateBudget: function(budget) {
+            var strings = this.settings.strings;
+            var $usage = $('#zdm-ai-usage');
+            var $notice = $usage.find('.zdm-ai-budget-notice');
+
+            if (!budget) {
+                return;
+            }
+
+            this.budget = budget;
+
+            if (budget.state === 'none') {
+                $usage.find('.zdm-ai-usage-today').text(strings.today
+                    .replace('%1$s', this.formatNumber(budget.today.requests))
+                    .replace('%2$s', this.formatCost(budget.today.cost)));
+            } else {
+                $usage.find('.zdm-ai-usage-today').text(strings.today_budget
+                    .replace('%1$s', this.formatCost(budget.spent))
+                    .replace('%2$s', this.formatCost(budget.amount)));
+            }
+
+            if (budget.state === 'reached') {
+                $notice.text(budget.blocked ? strings.reached_hard : strings.reached_soft).addClass('zdm-ai-budget-reached').show();
+            } else if (budget.state === 'warning') {
+                $notice.text(strings.warning).removeClass('zdm-ai-budget-reached').show();
+            } else {
+                $notice.hide();
+            }
+
+            if (budget.blocked) {
+                window.ZDM_Draft.hideAIOptions();
+                $(this.buttons).prop('disabled', true).addClass('zdm-ai-budget-disabled');
+            } else {
+                // Only undo what the budget disabled; other buttons may be busy
+                $('.zdm-ai-budget-disabled').prop('disabled', false).removeClass('zdm-ai-budget-disabled');
+            }
+        },
+
+        /**
+         * Format a cost in US dollars; single requests cost fractions of a cent
+         */
+        formatCost: function(cost) {
+            if (cost === null || cost === undefined) {
+                return this.settings.strings.unknown;
+            }
+
+            cost = parseFloat(cost);
+
+            return '$' + cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2);
+        },
+
+        /**
+         * Format a count with thousands separators
+         */
+        formatNumber: function(number) {
+            return (parseInt(number, 10) || 0).toLocaleString();
+        }
+    };
+
+    window.ZDM_AI_Usage = ZDM_AI_Usage;
+
+    $(document).ready(function() {
+        if ($('#zdm-ai-usage').length && window.ZDM_Draft) {
+            ZDM_AI_Usage.init();
+        }
+    });
+
+})(jQuery);
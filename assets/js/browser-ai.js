@@ -1,17 +1,26 @@
 /**
  * Browser AI Integration
- * Handles ChatGPT and Claude integration through browser
+ * Hands a prompt to ChatGPT or Claude in the browser and brings the answer
+ * back: through the companion extension when one answers the handshake,
+ * by copy and paste otherwise. The message protocol is described in
+ * docs/browser-extension-protocol.md.
  */
 
 (function($) {
     'use strict';
 
     var ZDM_Browser_AI = {
+        settings: {},
+        config: null,
+        transport: null,
+        request: null,
+        requestCount: 0,
 
         /**
          * Initialize browser AI functionality
          */
         init: function() {
+            this.settings = window.zdm_browser_ai || { strings: {} };
             this.bindEvents();
         },
 
@@ -21,207 +30,506 @@
         bindEvents: function() {
             var self = this;
 
-            // Replace the standard AI generate button behavior when browser AI is enabled
-            $(document).on('click', '#zdm-generate-ai-draft', function(e) {
-                if ($('body').hasClass('zdm-browser-ai-enabled')) {
-                    e.preventDefault();
-                    self.showBrowserAIDialog();
-                }
+            window.addEventListener('message', function(e) {
+                self.onMessage(e);
             });
 
-            // Copy prompt to clipboard
-            $(document).on('click', '.zdm-copy-prompt', function(e) {
+            $(document).on('click', '#zdm-browser-ai-modal .zdm-copy-prompt', function(e) {
                 e.preventDefault();
                 self.copyPromptToClipboard();
             });
 
-            // Open AI service
-            $(document).on('click', '.zdm-open-ai-service', function(e) {
+            $(document).on('click', '#zdm-browser-ai-modal .zdm-browser-ai-paste-instead', function(e) {
+                e.preventDefault();
+                self.cancelExtension();
+                self.showManual('');
+            });
+
+            $(document).on('click', '#zdm-browser-ai-modal .zdm-browser-ai-use', function(e) {
+                e.preventDefault();
+                self.useManualResponse();
+            });
+
+            $(document).on('click', '#zdm-browser-ai-modal .zdm-browser-ai-cancel', function(e) {
                 e.preventDefault();
-                var url = $(this).data('url');
-                window.open(url, '_blank');
+                self.close(false);
+            });
+
+            // Copy the prompt while the browser AI dialog is open
+            if (window.ZDM_Shortcuts) {
+                window.ZDM_Shortcuts.register('browser-ai.copy-prompt', {
+                    keys: 'c',
+                    group: 'Browser AI',
+                    description: 'Copy browser AI prompt',
+                    when: function() {
+                        return $('#zdm-browser-ai-modal .zdm-browser-ai-manual').is(':visible');
+                    },
+                    handler: function() {
+                        self.copyPromptToClipboard();
+                    }
+                });
+            }
+        },
+
+        /**
+         * Hand a prompt to the browser AI and wait for its answer
+         *
+         * @param {Object} data Browser-mode generation result with 'prompt'
+         *     and 'provider'
+         * @return {Promise} Resolves with the answer text, rejects when the
+         *     agent cancels
+         */
+        handOff: function(data) {
+            var self = this;
+            var request;
+
+            if (this.request) {
+                this.close(false);
+            }
+
+            this.requestCount++;
+            request = this.request = {
+                id: 'zdm-' + Date.now() + '-' + this.requestCount,
+                prompt: data.prompt,
+                redacted: (data.redactions || []).length,
+                provider: data.provider === 'claude' ? 'claude' : 'chatgpt',
+                deferred: $.Deferred(),
+                timer: null
+            };
+
+            this.render();
+            this.setStatus(this.settings.strings.checking_extension, true);
+
+            // The dialog may have been closed while the handshake ran
+            this.connect().done(function() {
+                if (self.request === request) {
+                    self.sendPrompt();
+                }
+            }).fail(function() {
+                if (self.request === request) {
+                    self.showManual(self.format('extension_not_found'));
+                }
+            });
+
+            return request.deferred.promise();
+        },
+
+        /**
+         * Label of the current provider
+         */
+        providerLabel: function() {
+            var providers = this.config ? this.config.providers : null;
+            var provider = this.request ? this.request.provider : 'chatgpt';
+
+            if (providers && providers[provider]) {
+                return providers[provider].label;
+            }
+
+            return provider === 'claude' ? 'Claude' : 'ChatGPT';
+        },
+
+        /**
+         * Provider URL for the "Open" button
+         */
+        providerUrl: function() {
+            var provider = this.request.provider;
+
+            if (this.config && this.config.providers[provider]) {
+                return this.config.providers[provider].url;
+            }
+
+            return provider === 'claude' ? 'https://claude.ai/new' : 'https://chat.openai.com';
+        },
+
+        /**
+         * Localized string with the provider name filled in
+         */
+        format: function(key, value) {
+            return this.settings.strings[key].replace('%s', value === undefined ? this.providerLabel() : value);
+        },
+
+        /**
+         * Build the hand-off dialog
+         */
+        render: function() {
+            var strings = this.settings.strings;
+            var $modal = $('<div id="zdm-browser-ai-modal" role="dialog" aria-modal="true"></div>');
+            var $dialog = $('<div class="zdm-browser-ai-dialog"></div>').appendTo($modal);
+            var $manual = $('<div class="zdm-browser-ai-manual" style="display: none;"></div>');
+
+            $('#zdm-browser-ai-modal').remove();
+
+            $dialog.append(
+                $('<h2></h2>').text(this.format('title')),
+                $('<p class="zdm-browser-ai-status" aria-live="polite"></p>').append(
+                    '<span class="spinner"></span>',
+                    '<span class="zdm-browser-ai-status-text"></span>',
+                    ' ',
+                    $('<a href="#" class="zdm-browser-ai-paste-instead" style="display: none;"></a>').text(strings.paste_instead)
+                ),
+                '<div class="zdm-browser-ai-stub"></div>',
+                $manual
+            );
+
+            if (this.request.redacted) {
+                $dialog.find('.zdm-browser-ai-status').after(
+                    $('<p class="description zdm-browser-ai-redacted"></p>').text(strings.redacted.replace('%d', this.request.redacted))
+                );
+            }
+
+            $manual.append(
+                $('<label for="zdm-ai-prompt"></label>').text(strings.prompt),
+                $('<textarea id="zdm-ai-prompt" class="zdm-browser-ai-prompt" readonly></textarea>').val(this.request.prompt),
+                $('<p class="zdm-browser-ai-buttons"></p>').append(
+                    $('<button type="button" class="button button-primary zdm-copy-prompt"></button>').text(strings.copy_prompt),
+                    ' ',
+                    $('<a class="button" target="_blank" rel="noopener noreferrer"></a>').attr('href', this.providerUrl()).text(this.format('open_provider'))
+                ),
+                $('<label for="zdm-ai-response-input"></label>').text(this.format('response')),
+                $('<textarea id="zdm-ai-response-input"></textarea>').attr('placeholder', this.format('response_placeholder'))
+            );
+
+            $dialog.append(
+                $('<div class="zdm-browser-ai-footer"></div>').append(
+                    $('<button type="button" class="button zdm-browser-ai-cancel"></button>').text(strings.cancel),
+                    $('<button type="button" class="button button-primary zdm-browser-ai-use" style="display: none;"></button>').text(strings.use_response)
+                )
+            );
+
+            $('body').append($modal);
+        },
+
+        /**
+         * Update the status line
+         */
+        setStatus: function(message, busy) {
+            var $modal = $('#zdm-browser-ai-modal');
+
+            $modal.find('.zdm-browser-ai-status-text').text(message);
+            $modal.find('.zdm-browser-ai-status .spinner').toggleClass('is-active', !!busy);
+            $modal.find('.zdm-browser-ai-status').toggle(message !== '');
+        },
+
+        /**
+         * Switch to copy and paste
+         */
+        showManual: function(message) {
+            var $modal = $('#zdm-browser-ai-modal');
+
+            this.setStatus(message, false);
+            $modal.find('.zdm-browser-ai-paste-instead').hide();
+            $modal.find('.zdm-browser-ai-manual, .zdm-browser-ai-use').show();
+            $modal.find('#zdm-ai-response-input').trigger('focus');
+        },
+
+        /**
+         * Find the extension (or the stub page) and run the handshake
+         *
+         * @return {Promise} Resolves once the extension answers 'ready'
+         */
+        connect: function() {
+            var self = this;
+            var deferred = $.Deferred();
+
+            this.loadConfig().done(function(config) {
+                var timer;
+
+                self.openTransport(config);
+
+                self.transport.ready = deferred;
+                timer = setTimeout(function() {
+                    if (deferred.state() === 'pending') {
+                        deferred.reject();
+                    }
+                }, config.handshake_timeout);
+
+                deferred.always(function() {
+                    clearTimeout(timer);
+                });
+
+                // A stub page announces itself on load; the extension answers the hello
+                self.send({ type: 'hello', protocol: config.protocol });
+            }).fail(function() {
+                deferred.reject();
             });
+
+            return deferred.promise();
         },
 
         /**
-         * Show browser AI dialog
+         * Fetch the handshake settings once per page
          */
-        showBrowserAIDialog: function() {
+        loadConfig: function() {
             var self = this;
-            var ticketId = $('#zdm-generate-ai-draft').data('ticket-id');
-            var responseType = $('#zdm-response-type').val() || 'solution';
-            var tone = $('#zdm-tone').val() || 'professional';
+            var deferred = $.Deferred();
 
-            // Show loading
-            self.showLoading();
+            if (this.config) {
+                return deferred.resolve(this.config).promise();
+            }
 
-            // Generate prompt via AJAX
             $.ajax({
-                url: zdm_browser_ai.ajax_url,
+                url: this.settings.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'zdm_browser_ai_generate',
-                    ticket_id: ticketId,
-                    response_type: responseType,
-                    tone: tone,
-                    provider: zdm_browser_ai.provider || 'chatgpt',
-                    nonce: zdm_browser_ai.nonce
+                    action: 'zdm_check_browser_extension',
+                    nonce: this.settings.nonce
                 },
                 success: function(response) {
-                    if (response.success) {
-                        self.displayBrowserAIInterface(response.data);
+                    if (response && response.success) {
+                        self.config = response.data;
+                        deferred.resolve(self.config);
                     } else {
-                        alert('Error: ' + (response.data.message || 'Failed to generate prompt'));
+                        deferred.reject();
                     }
                 },
                 error: function() {
-                    alert('Failed to generate prompt. Please try again.');
-                },
-                complete: function() {
-                    self.hideLoading();
+                    deferred.reject();
                 }
             });
+
+            return deferred.promise();
         },
 
         /**
-         * Display browser AI interface
+         * Pick where protocol messages go: this window, where the
+         * extension's content script listens, or the stub page's frame
          */
-        displayBrowserAIInterface: function(data) {
-            var html = '<div id="zdm-browser-ai-modal" style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); z-index: 99999; display: flex; align-items: center; justify-content: center;">';
-            html += '<div style="background: white; padding: 30px; border-radius: 8px; max-width: 800px; width: 90%; max-height: 80vh; overflow-y: auto;">';
-
-            // Header
-            html += '<h2 style="margin-top: 0;">Generate AI Response with ' + (data.provider === 'chatgpt' ? 'ChatGPT' : 'Claude') + '</h2>';
+        openTransport: function(config) {
+            var $frame, origin;
 
-            // Instructions
-            html += '<div style="background: #f0f8ff; padding: 15px; border-radius: 5px; margin-bottom: 20px;">';
-            html += '<h3 style="margin-top: 0;">Instructions:</h3>';
-            html += '<ol style="margin: 10px 0;">';
-            if (data.instructions && data.instructions.steps) {
-                data.instructions.steps.forEach(function(step) {
-                    html += '<li>' + step + '</li>';
-                });
+            if (!config.stub_url) {
+                this.transport = { target: window, origin: window.location.origin, ready: null };
+                return;
             }
-            html += '</ol>';
-            if (data.instructions && data.instructions.requirements) {
-                html += '<p style="margin-bottom: 0;"><strong>Requirements:</strong> ' + data.instructions.requirements + '</p>';
+
+            origin = new URL(config.stub_url, window.location.href).origin;
+            $frame = $('<iframe class="zdm-browser-ai-stub-frame"></iframe>')
+                .attr('title', this.settings.strings.stub_title)
+                .attr('src', config.stub_url);
+
+            $('#zdm-browser-ai-modal .zdm-browser-ai-stub').empty().append($frame);
+
+            this.transport = { target: null, frame: $frame[0], origin: origin, ready: null, queue: [] };
+        },
+
+        /**
+         * Post a protocol message to the extension
+         */
+        send: function(message) {
+            var transport = this.transport;
+
+            message = $.extend({ source: 'zdm-page', protocol: this.config.protocol }, message);
+
+            if (transport.target) {
+                transport.target.postMessage(message, transport.origin);
+            } else if (transport.queue) {
+                // The stub frame is still loading; it says 'ready' when it can listen
+                transport.queue.push(message);
             }
-            html += '</div>';
+        },
 
-            // Prompt textarea
-            html += '<div style="margin-bottom: 20px;">';
-            html += '<label style="display: block; margin-bottom: 5px; font-weight: bold;">Generated Prompt:</label>';
-            html += '<textarea id="zdm-ai-prompt" style="width: 100%; height: 200px; padding: 10px; border: 1px solid #ddd; border-radius: 4px; font-family: monospace; font-size: 12px;" readonly>' + data.prompt + '</textarea>';
-            html += '</div>';
+        /**
+         * Handle a message from the extension
+         */
+        onMessage: function(e) {
+            var transport = this.transport;
+            var data = e.data;
+            var request = this.request;
+
+            if (!transport || !data || typeof data !== 'object' || data.source !== 'zdm-extension') {
+                return;
+            }
 
-            // Action buttons
-            html += '<div style="display: flex; gap: 10px; margin-bottom: 20px;">';
-            html += '<button class="button button-primary zdm-copy-prompt">📋 Copy Prompt</button>';
-            html += '<button class="button zdm-open-ai-service" data-url="' + data.provider_url + '">🔗 Open ' + (data.provider === 'chatgpt' ? 'ChatGPT' : 'Claude') + '</button>';
-            html += '</div>';
+            // Only trust our own window (content script) or the stub frame
+            if (transport.frame) {
+                if (!transport.frame.contentWindow || e.source !== transport.frame.contentWindow || e.origin !== transport.origin) {
+                    return;
+                }
+            } else if (e.source !== window || e.origin !== window.location.origin) {
+                return;
+            }
 
-            // Response input area
-            html += '<div style="margin-bottom: 20px;">';
-            html += '<label style="display: block; margin-bottom: 5px; font-weight: bold;">Paste AI Response Here:</label>';
-            html += '<textarea id="zdm-ai-response-input" style="width: 100%; height: 200px; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" placeholder="After generating the response in ' + (data.provider === 'chatgpt' ? 'ChatGPT' : 'Claude') + ', copy and paste it here..."></textarea>';
-            html += '</div>';
+            if (data.type === 'ready') {
+                this.onReady(data);
+                return;
+            }
 
-            // Footer buttons
-            html += '<div style="display: flex; justify-content: space-between;">';
-            html += '<button class="button" onclick="document.getElementById(\'zdm-browser-ai-modal\').remove()">Cancel</button>';
-            html += '<button class="button button-primary" onclick="ZDM_Browser_AI.useAIResponse()">Use This Response</button>';
-            html += '</div>';
+            if (!request || data.requestId !== request.id) {
+                return;
+            }
 
-            html += '</div>';
-            html += '</div>';
+            switch (data.type) {
+                case 'status':
+                    this.setStatus(data.message || this.format('waiting'), true);
+                    break;
 
-            // Add to page
-            $('body').append(html);
+                case 'response':
+                    this.finishExtension();
+                    if ($.trim(data.text || '') === '') {
+                        this.showManual(this.settings.strings.extension_empty);
+                    } else {
+                        this.close(true, data.text);
+                    }
+                    break;
 
-            // Store prompt for clipboard
-            this.currentPrompt = data.prompt;
+                case 'error':
+                    this.finishExtension();
+                    this.showManual(this.format('extension_failed', data.message || data.code || ''));
+                    break;
+            }
         },
 
         /**
-         * Copy prompt to clipboard
+         * Extension answered the handshake
          */
-        copyPromptToClipboard: function() {
-            var promptText = $('#zdm-ai-prompt').val() || this.currentPrompt;
+        onReady: function(data) {
+            var transport = this.transport;
 
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-                navigator.clipboard.writeText(promptText).then(function() {
-                    $('.zdm-copy-prompt').text('✓ Copied!');
-                    setTimeout(function() {
-                        $('.zdm-copy-prompt').text('📋 Copy Prompt');
-                    }, 2000);
-                }).catch(function() {
-                    // Fallback
-                    var textarea = document.getElementById('zdm-ai-prompt');
-                    textarea.select();
-                    document.execCommand('copy');
-                    $('.zdm-copy-prompt').text('✓ Copied!');
+            if (data.protocol !== this.config.protocol) {
+                return;
+            }
+
+            if (transport.frame && !transport.target) {
+                transport.target = transport.frame.contentWindow;
+
+                $.each(transport.queue, function(index, message) {
+                    transport.target.postMessage(message, transport.origin);
                 });
-            } else {
-                // Fallback for older browsers
-                var textarea = document.getElementById('zdm-ai-prompt');
-                textarea.select();
-                document.execCommand('copy');
-                $('.zdm-copy-prompt').text('✓ Copied!');
+                transport.queue = [];
+            }
+
+            if (transport.ready) {
+                transport.ready.resolve(data);
             }
         },
 
         /**
-         * Use the AI response
+         * Send the prompt to the extension and wait for the answer
          */
-        useAIResponse: function() {
-            var response = $('#zdm-ai-response-input').val();
+        sendPrompt: function() {
+            var self = this;
+            var request = this.request;
+            var $modal = $('#zdm-browser-ai-modal');
+
+            this.setStatus(this.format('sending'), true);
+            $modal.find('.zdm-browser-ai-paste-instead').show();
+
+            request.timer = setTimeout(function() {
+                self.cancelExtension();
+                self.showManual(self.settings.strings.extension_timeout);
+            }, this.config.response_timeout);
+
+            this.send({
+                type: 'prompt',
+                requestId: request.id,
+                provider: request.provider,
+                providerUrl: this.providerUrl(),
+                prompt: request.prompt
+            });
+        },
+
+        /**
+         * Stop waiting on the extension for this request
+         */
+        finishExtension: function() {
+            if (this.request && this.request.timer) {
+                clearTimeout(this.request.timer);
+                this.request.timer = null;
+            }
+        },
 
-            if (!response.trim()) {
-                alert('Please paste the AI response before continuing.');
+        /**
+         * Tell the extension to abandon the request
+         */
+        cancelExtension: function() {
+            if (!this.request || !this.request.timer) {
                 return;
             }
 
-            // Insert into draft textarea
-            $('#zdm-draft-response').val(response);
+            this.finishExtension();
+            this.send({ type: 'cancel', requestId: this.request.id });
+        },
+
+        /**
+         * Copy prompt to clipboard
+         */
+        copyPromptToClipboard: function() {
+            var strings = this.settings.strings;
+            var textarea = document.getElementById('zdm-ai-prompt');
+            var $button = $('#zdm-browser-ai-modal .zdm-copy-prompt');
+
+            if (!textarea) {
+                return;
+            }
 
-            // Show success message
-            $('#zdm-draft-message').html('<div class="notice notice-success"><p>AI response added to draft. You can edit it before saving.</p></div>');
+            var copied = function() {
+                $button.text(strings.copied);
+                setTimeout(function() {
+                    $button.text(strings.copy_prompt);
+                }, 2000);
+            };
 
-            // Close modal
-            $('#zdm-browser-ai-modal').remove();
+            var fallback = function() {
+                textarea.select();
+                document.execCommand('copy');
+                copied();
+            };
 
-            // Mark draft as dirty
-            if (window.ZDM_Draft) {
-                window.ZDM_Draft.isDirty = true;
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(textarea.value).then(copied).catch(fallback);
+            } else {
+                fallback();
             }
         },
 
         /**
-         * Show loading indicator
+         * Use the pasted answer
          */
-        showLoading: function() {
-            $('#zdm-generate-ai-draft').prop('disabled', true).text('Generating prompt...');
+        useManualResponse: function() {
+            var response = $('#zdm-ai-response-input').val();
+
+            if (!$.trim(response)) {
+                window.alert(this.settings.strings.empty_response);
+                return;
+            }
+
+            this.close(true, response);
         },
 
         /**
-         * Hide loading indicator
+         * Close the dialog and settle the hand-off
          */
-        hideLoading: function() {
-            $('#zdm-generate-ai-draft').prop('disabled', false).text('Generate AI Response');
+        close: function(success, text) {
+            var request = this.request;
+
+            if (!request) {
+                return;
+            }
+
+            this.cancelExtension();
+            this.request = null;
+
+            // The stub frame goes with the dialog
+            if (this.transport && this.transport.frame) {
+                this.transport = null;
+            }
+
+            $('#zdm-browser-ai-modal').remove();
+
+            if (success) {
+                request.deferred.resolve(text);
+            } else {
+                request.deferred.reject();
+            }
         }
     };
 
     // Initialize when document is ready
     $(document).ready(function() {
         ZDM_Browser_AI.init();
-
-        // Add class to body if browser AI is enabled
-        if (typeof zdm_browser_ai !== 'undefined' && zdm_browser_ai.browser_ai_enabled) {
-            $('body').addClass('zdm-browser-ai-enabled');
-        }
     });
 
     // Make available globally
     window.ZDM_Browser_AI = ZDM_Browser_AI;
 
-})(jQuery);
\ No newline at end of file
+})(jQuery);
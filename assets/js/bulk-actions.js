@@ -0,0 +1,506 @@
+/**
+ * Bulk Actions for Zoho Desk Manager
+ * Selects tickets on the list (with shift-click ranges and every ticket
+ * matching the filters) and runs one action over them a ticket at a time,
+ * waiting out the API rate limit and reporting on each ticket
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Bulk_Actions = {
+        settings: {},
+        $root: null,
+        selected: {},
+        lastIndex: null,
+        listArgs: null,
+        running: false,
+        stopped: false,
+        queue: [],
+        results: [],
+        total: 0,
+        run: null,
+
+        /**
+         * Bind selection and the toolbar
+         */
+        init: function() {
+            var self = this;
+            var $list = $('#zdm-ticket-list');
+
+            this.settings = window.zdm_bulk;
+            this.$root = $('#zdm-bulk-actions');
+            this.listArgs = this.filterArgs(window.ZDM_Ticket_List.args());
+
+            $list.on('click', '.zdm-ticket-check', function(e) {
+                self.onCheck(this, e.shiftKey);
+            });
+
+            $list.on('change', '#zdm-select-page', function() {
+                self.selectPage(this.checked);
+            });
+
+            $(document).on('zdm-tickets-loaded', function(e, args) {
+                var filters = self.filterArgs(args);
+
+                // A different filter is a different set of tickets
+                if (filters !== self.listArgs && !self.running) {
+                    self.clear();
+                }
+
+                self.listArgs = filters;
+                self.lastIndex = null;
+                self.syncChecks();
+            });
+
+            $('#zdm-bulk-operation').on('change', function() {
+                self.showValueInput($(this).val());
+            });
+
+            $('#zdm-bulk-apply').on('click', function(e) {
+                e.preventDefault();
+                self.apply();
+            });
+
+            this.$root.on('click', '.zdm-bulk-clear', function(e) {
+                e.preventDefault();
+                self.clear();
+            });
+
+            this.$root.on('click', '.zdm-bulk-select-matching', function(e) {
+                e.preventDefault();
+                self.selectMatching();
+            });
+
+            this.$root.on('click', '.zdm-bulk-stop', function() {
+                self.stopped = true;
+                $(this).prop('disabled', true);
+            });
+
+            this.$root.on('click', '.zdm-bulk-retry', function() {
+                self.retryFailed();
+            });
+
+            this.$root.on('click', '.zdm-bulk-dismiss', function() {
+                self.$root.find('.zdm-bulk-report').hide();
+                self.render();
+            });
+        },
+
+        /**
+         * List arguments that decide which tickets match, as a string
+         */
+        filterArgs: function(args) {
+            return JSON.stringify($.extend({}, args, { paged: null }));
+        },
+
+        /**
+         * Checkboxes on the current page
+         */
+        checks: function() {
+            return $('#zdm-ticket-results .zdm-ticket-check');
+        },
+
+        /**
+         * Toggle a ticket, or the range since the last one with shift held
+         */
+        onCheck: function(checkbox, shift) {
+            var self = this;
+            var $checks = this.checks();
+            var index = $checks.index(checkbox);
+            var start, end;
+
+            if (shift && this.lastIndex !== null && this.lastIndex !== index) {
+                start = Math.min(index, this.lastIndex);
+                end = Math.max(index, this.lastIndex);
+
+                $checks.slice(start, end + 1).each(function() {
+                    this.checked = checkbox.checked;
+                    self.toggle(this);
+                });
+            } else {
+                this.toggle(checkbox);
+            }
+
+            this.lastIndex = index;
+            this.render();
+        },
+
+        /**
+         * Record a checkbox's state in the selection
+         */
+        toggle: function(checkbox) {
+            if (checkbox.checked) {
+                this.selected[checkbox.value] = String($(checkbox).data('number'));
+            } else {
+                delete this.selected[checkbox.value];
+            }
+        },
+
+        /**
+         * Select or clear every ticket on the page
+         */
+        selectPage: function(checked) {
+            var self = this;
+
+            this.checks().each(function() {
+                this.checked = checked;
+                self.toggle(this);
+            });
+
+            this.render();
+        },
+
+        /**
+         * Select every ticket matching the current filters
+         */
+        selectMatching: function() {
+            var self = this;
+            var strings = this.settings.strings;
+            var $banner = this.$root.find('.zdm-bulk-matching');
+
+            $banner.text(strings.collecting);
+
+            this.post('zdm_bulk_matching_ids', window.ZDM_Ticket_List.args()).done(function(data) {
+                var message = data.partial ? strings.matching_partial : (data.capped ? strings.matching_capped : strings.matching_selected);
+
+                self.selected = {};
+                $.each(data.tickets, function(index, ticket) {
+                    self.selected[ticket.id] = ticket.number;
+                });
+
+                self.syncChecks();
+                self.render();
+
+                $banner.empty().append(
+                    document.createTextNode(message.replace('%d', data.tickets.length) + ' '),
+                    $('<a href="#" class="zdm-bulk-clear"></a>').text($('#zdm-bulk-actions .zdm-bulk-toolbar .zdm-bulk-clear').text())
+                ).show();
+            }).fail(function(data) {
+                $banner.text(data.message);
+            });
+        },
+
+        /**
+         * Clear the selection
+         */
+        clear: function() {
+            this.selected = {};
+            this.lastIndex = null;
+            this.syncChecks();
+            this.render();
+        },
+
+        /**
+         * Tick the checkboxes of selected tickets on the page
+         */
+        syncChecks: function() {
+            var self = this;
+            var $checks = this.checks();
+
+            $checks.each(function() {
+                this.checked = self.selected.hasOwnProperty(this.value);
+            });
+
+            $('#zdm-select-page').prop('checked', $checks.length > 0 && $checks.filter(':checked').length === $checks.length);
+        },
+
+        /**
+         * Selected tickets as a list
+         */
+        selection: function() {
+            return $.map(this.selected, function(number, id) {
+                return { id: id, number: number };
+            });
+        },
+
+        /**
+         * Show the selection count and the "select all matching" offer
+         */
+        render: function() {
+            var strings = this.settings.strings;
+            var count = this.selection().length;
+            var $checks = this.checks();
+            var $banner = this.$root.find('.zdm-bulk-matching');
+            var pageSelected = $checks.length > 0 && $checks.filter(':checked').length === $checks.length;
+            var morePages = $('#zdm-ticket-results .tablenav-pages').length > 0;
+
+            $('#zdm-select-page').prop('checked', pageSelected);
+
+            this.$root.find('.zdm-bulk-count').text(count === 1 ? strings.selected_one : strings.selected_many.replace('%d', count));
+            this.$root.find('.zdm-bulk-toolbar').toggle(count > 0 || this.running);
+            this.$root.toggle(count > 0 || this.running || this.$root.find('.zdm-bulk-report').is(':visible'));
+
+            // Offer the rest of the matching tickets once a whole page is picked
+            if (pageSelected && morePages && count === $checks.length) {
+                $banner.empty().append(
+                    document.createTextNode(strings.page_selected.replace('%d', count) + ' '),
+                    $('<a href="#" class="zdm-bulk-select-matching"></a>').text(strings.select_matching)
+                ).show();
+            } else if (count <= $checks.length) {
+                $banner.hide();
+            }
+
+            this.updateEstimate();
+        },
+
+        /**
+         * Show the inputs the chosen operation needs
+         */
+        showValueInput: function(operation) {
+            this.$root.find('.zdm-bulk-value').each(function() {
+                $(this).toggle($.inArray(operation, String($(this).data('operations')).split(' ')) !== -1);
+            });
+
+            this.updateEstimate();
+        },
+
+        /**
+         * Explain how many API calls the run will make
+         */
+        updateEstimate: function() {
+            var operation = $('#zdm-bulk-operation').val();
+            var calls = operation ? this.settings.calls[operation] * this.selection().length : 0;
+
+            $('#zdm-bulk-apply').attr('title', calls ? this.settings.strings.calls_estimate.replace('%d', calls) : '');
+        },
+
+        /**
+         * Value for the chosen operation
+         */
+        value: function(operation) {
+            var $input = this.$root.find('.zdm-bulk-value').filter(function() {
+                return $.inArray(operation, String($(this).data('operations')).split(' ')) !== -1;
+            });
+
+            return $input.length ? $.trim($input.val()) : '';
+        },
+
+        /**
+         * Check the action and start the run
+         */
+        apply: function() {
+            var strings = this.settings.strings;
+            var operation = $('#zdm-bulk-operation').val();
+            var value = this.value(operation);
+            var tickets = this.selection();
+            var confirmKey = 'confirm_' + operation;
+
+            if (!operation) {
+                window.alert(strings.choose_action);
+                return;
+            }
+
+            if (this.$root.find('.zdm-bulk-value:visible').length && !value) {
+                window.alert(strings.need_value);
+                return;
+            }
+
+            if (strings[confirmKey] && !window.confirm(strings[confirmKey].replace('%d', tickets.length))) {
+                return;
+            }
+
+            this.start(operation, value, tickets);
+        },
+
+        /**
+         * Run an operation over tickets one at a time
+         */
+        start: function(operation, value, tickets) {
+            this.run = { operation: operation, value: value };
+            this.queue = tickets.slice();
+            this.results = [];
+            this.total = tickets.length;
+            this.running = true;
+            this.stopped = false;
+
+            this.$root.find('.zdm-bulk-report').hide().find('ul').empty();
+            this.$root.find('.zdm-bulk-progress').show().find('.zdm-bulk-stop').prop('disabled', false);
+            this.$root.find('.zdm-bulk-toolbar :input').prop('disabled', true);
+
+            this.render();
+            this.progress();
+            this.next();
+        },
+
+        /**
+         * Process the next ticket in the queue
+         */
+        next: function() {
+            var self = this;
+            var ticket;
+
+            if (this.stopped || !this.queue.length) {
+                this.finish();
+                return;
+            }
+
+            ticket = this.queue.shift();
+
+            this.post('zdm_bulk_action', {
+                operation: this.run.operation,
+                value: this.run.value,
+                ticket_id: ticket.id,
+                ticket_number: ticket.number
+            }).done(function(data) {
+                if (data.item && data.item.status === 'pending' && window.ZDM_Send_Queue) {
+                    window.ZDM_Send_Queue.add(data.item);
+                }
+
+                self.record(ticket, true, data.message);
+                self.next();
+            }).fail(function(data) {
+                if (data.code === 'rate_limited') {
+                    // Put the ticket back and try again once the limit resets
+                    self.queue.unshift(ticket);
+                    self.wait(data.retry_after);
+                    return;
+                }
+
+                self.record(ticket, false, data.message);
+                self.next();
+            });
+        },
+
+        /**
+         * Pause the run until the rate limit resets
+         */
+        wait: function(seconds) {
+            var self = this;
+            var $text = this.$root.find('.zdm-bulk-progress-text');
+            var timer;
+
+            var tick = function() {
+                if (self.stopped) {
+                    clearInterval(timer);
+                    self.finish();
+                    return;
+                }
+
+                if (seconds <= 0) {
+                    clearInterval(timer);
+                    self.progress();
+                    self.next();
+                    return;
+                }
+
+                $text.text(self.settings.strings.waiting.replace('%d', seconds));
+                seconds--;
+            };
+
+            timer = setInterval(tick, 1000);
+            tick();
+        },
+
+        /**
+         * Store a ticket's outcome
+         */
+        record: function(ticket, success, message) {
+            this.results.push({ ticket: ticket, success: success, message: message });
+
+            // Done tickets leave the selection so a retry only covers the rest
+            if (success) {
+                delete this.selected[ticket.id];
+            }
+
+            this.progress();
+        },
+
+        /**
+         * Update the progress bar
+         */
+        progress: function() {
+            this.$root.find('.zdm-bulk-progress progress').attr('value', this.total ? Math.round(this.results.length / this.total * 100) : 0);
+            this.$root.find('.zdm-bulk-progress-text').text(this.settings.strings.progress.replace('%1$d', this.results.length).replace('%2$d', this.total));
+        },
+
+        /**
+         * Show the per-ticket report and refresh the list
+         */
+        finish: function() {
+            var strings = this.settings.strings;
+            var $report = this.$root.find('.zdm-bulk-report');
+            var $items = $report.find('ul').empty();
+            var failed = 0;
+
+            this.running = false;
+
+            $.each(this.results, function(index, result) {
+                failed += result.success ? 0 : 1;
+
+                $items.append(
+                    $('<li></li>').addClass(result.success ? 'zdm-bulk-ok' : 'zdm-bulk-failed').append(
+                        $('<strong></strong>').text(strings.ticket.replace('%s', result.ticket.number)),
+                        ' ',
+                        document.createTextNode(result.message || '')
+                    )
+                );
+            });
+
+            $report.find('.zdm-bulk-summary').text(this.queue.length ?
+                strings.stopped.replace('%1$d', this.results.length - failed).replace('%2$d', failed).replace('%3$d', this.queue.length) :
+                strings.finished.replace('%1$d', this.results.length - failed).replace('%2$d', failed));
+            $report.find('.zdm-bulk-retry').toggle(failed > 0);
+            $report.show();
+
+            this.$root.find('.zdm-bulk-progress').hide();
+            this.$root.find('.zdm-bulk-toolbar :input').prop('disabled', false);
+
+            this.syncChecks();
+            this.render();
+
+            window.ZDM_Ticket_List.refresh();
+        },
+
+        /**
+         * Run the last operation again over the tickets that failed
+         */
+        retryFailed: function() {
+            var tickets = $.map(this.results, function(result) {
+                return result.success ? null : result.ticket;
+            });
+
+            if (tickets.length && this.run) {
+                this.start(this.run.operation, this.run.value, tickets);
+            }
+        },
+
+        /**
+         * Post to a bulk endpoint
+         *
+         * @return {Promise} Resolves with the response data, rejects with
+         *     an object holding 'message' and possibly 'code'
+         */
+        post: function(action, data) {
+            var self = this;
+            var deferred = $.Deferred();
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: $.extend({}, data, { action: action, nonce: this.settings.nonce }),
+                success: function(response) {
+                    if (response && response.success) {
+                        deferred.resolve(response.data);
+                    } else {
+                        deferred.reject($.extend({ message: self.settings.strings.network_error }, response && response.data));
+                    }
+                },
+                error: function() {
+                    deferred.reject({ message: self.settings.strings.network_error });
+                }
+            });
+
+            return deferred.promise();
+        }
+    };
+
+    window.ZDM_Bulk_Actions = ZDM_Bulk_Actions;
+
+    $(document).ready(function() {
+        if ($('#zdm-bulk-actions').length && window.ZDM_Ticket_List) {
+            ZDM_Bulk_Actions.init();
+        }
+    });
+
+})(jQuery);
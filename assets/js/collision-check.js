@@ -0,0 +1,236 @@
+/**
+ * Collision Check for Zoho Desk Manager
+ * Holds a reply back when the ticket received messages or status changes
+ * after the page was rendered, and lets the agent review them, regenerate
+ * the draft or send anyway
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Collision_Check = {
+        settings: {},
+        $form: null,
+        since: 0,
+        known: [],
+        latest: null,
+        cleared: false,
+        request: null,
+
+        /**
+         * Read the version of the ticket the page shows
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = window.zdm_collision;
+            this.$form = $('#zdm-reply-form');
+            this.since = parseInt(this.$form.data('rendered-at'), 10);
+            this.known = $.map(this.$form.data('thread-ids') || [], String);
+
+            this.$form.on('click', '.zdm-collision-review', function(e) {
+                e.preventDefault();
+                self.review();
+            });
+
+            this.$form.on('click', '.zdm-collision-regenerate', function(e) {
+                e.preventDefault();
+                self.regenerate();
+            });
+
+            this.$form.on('click', '.zdm-collision-send', function(e) {
+                e.preventDefault();
+                self.send();
+            });
+        },
+
+        /**
+         * Hold the submit until the ticket has been checked
+         *
+         * @return {Boolean} Whether the form may be submitted now
+         */
+        beforeSubmit: function() {
+            if (this.cleared) {
+                return true;
+            }
+
+            this.check();
+            return false;
+        },
+
+        /**
+         * Ask the server what changed since the page was rendered
+         */
+        check: function() {
+            var self = this;
+            var $submit = this.$form.find('input[name="reply_ticket"]');
+            var label = $submit.val();
+
+            if (this.request) {
+                return;
+            }
+
+            $submit.val(this.settings.strings.checking).prop('disabled', true);
+
+            this.request = $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'zdm_check_collisions',
+                    ticket_id: this.$form.find('input[name="ticket_id"]').val(),
+                    since: this.since,
+                    known: this.known,
+                    nonce: this.settings.nonce
+                }
+            }).always(function() {
+                self.request = null;
+                $submit.val(label).prop('disabled', false);
+            }).done(function(response) {
+                if (!response.success) {
+                    self.fallback();
+                    return;
+                }
+
+                self.latest = response.data;
+
+                if (response.data.changes.length) {
+                    self.showChanges(response.data.changes);
+                } else {
+                    self.send();
+                }
+            }).fail(function() {
+                self.fallback();
+            });
+        },
+
+        /**
+         * Zoho couldn't be checked; rely on replies sent through the plugin
+         */
+        fallback: function() {
+            if (!window.ZDM_Ticket_Presence || window.ZDM_Ticket_Presence.confirmSend()) {
+                this.send();
+            } else {
+                this.hold();
+            }
+        },
+
+        /**
+         * Submit the reply without checking again
+         */
+        send: function() {
+            this.cleared = true;
+            $('#zdm-collision-panel').remove();
+
+            // Click the submit button so its name is posted with the form
+            this.$form.find('input[name="reply_ticket"]').trigger('click');
+        },
+
+        /**
+         * Forget a pending Send & Close; the agent sends again when ready
+         */
+        hold: function() {
+            $('#zdm-close-ticket').val('0');
+        },
+
+        /**
+         * Treat everything found by the last check as seen
+         */
+        markSeen: function() {
+            if (this.latest) {
+                this.since = this.latest.checked_at;
+                this.known = this.latest.thread_ids;
+            }
+        },
+
+        /**
+         * Keep the changes on screen and allow the next send through
+         */
+        review: function() {
+            var $panel = $('#zdm-collision-panel');
+
+            this.markSeen();
+            this.hold();
+
+            $panel.removeClass('notice-warning').addClass('notice-info');
+            $panel.find('.zdm-collision-actions').replaceWith(
+                $('<p></p>').text(this.settings.strings.reviewed)
+            );
+        },
+
+        /**
+         * Write a new draft that takes the changes into account
+         */
+        regenerate: function() {
+            this.markSeen();
+            this.hold();
+            $('#zdm-collision-panel').remove();
+
+            $('html, body').animate({
+                scrollTop: $('#zdm-draft-section').offset().top - 50
+            }, 300);
+
+            // Generation reads the latest thread from Zoho
+            window.ZDM_Draft.generateAIDraft();
+        },
+
+        /**
+         * Show what changed above the reply form
+         */
+        showChanges: function(changes) {
+            var strings = this.settings.strings;
+            var $list = $('<ul class="zdm-collision-changes"></ul>');
+
+            $.each(changes, function(index, change) {
+                var $item = $('<li></li>').addClass('zdm-collision-' + change.type);
+                var title;
+
+                if (change.type === 'status') {
+                    title = strings.status.replace('%1$s', change.author).replace('%2$s', change.from).replace('%3$s', change.to);
+                } else {
+                    title = strings[change.type].replace('%s', change.author);
+                }
+
+                $item.append(
+                    $('<strong></strong>').text(title),
+                    ' ',
+                    $('<span class="zdm-collision-time"></span>').text(new Date(change.time).toLocaleString())
+                );
+
+                // Message content arrives sanitized from the server
+                if (change.content) {
+                    $item.append($('<div class="zdm-collision-content"></div>').html(change.content));
+                }
+
+                $list.append($item);
+            });
+
+            $('#zdm-collision-panel').remove();
+
+            $('<div id="zdm-collision-panel" class="notice notice-warning inline" role="alert"></div>').append(
+                $('<h4></h4>').text(strings.title),
+                $('<p></p>').text(strings.intro),
+                $list,
+                $('<p class="zdm-collision-actions"></p>').append(
+                    $('<button type="button" class="button zdm-collision-review"></button>').text(strings.review),
+                    ' ',
+                    $('<button type="button" class="button zdm-collision-regenerate"></button>').text(strings.regenerate),
+                    ' ',
+                    $('<button type="button" class="button button-primary zdm-collision-send"></button>').text(strings.send_anyway)
+                )
+            ).prependTo(this.$form);
+
+            $('html, body').animate({
+                scrollTop: this.$form.offset().top - 50
+            }, 300);
+        }
+    };
+
+    window.ZDM_Collision_Check = ZDM_Collision_Check;
+
+    $(document).ready(function() {
+        if ($('#zdm-reply-form').length) {
+            ZDM_Collision_Check.init();
+        }
+    });
+
+})(jQuery);
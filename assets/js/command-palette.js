@@ -0,0 +1,658 @@
+/**
+ * Command Palette for Zoho Desk Manager
+ * Ctrl+K search over tickets, templates, pages and ticket actions
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Command_Palette = {
+        settings: {},
+        items: [],
+        selected: 0,
+        context: null,
+        inputMode: null,
+        searchTimer: null,
+        searchRequest: null,
+        ticketResults: [],
+
+        /**
+         * Initialize the palette
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = $.extend({
+                nonces: {},
+                templates: [],
+                statuses: [],
+                pages: [],
+                current_ticket: ''
+            }, window.zdm_palette || {});
+
+            window.ZDM_Shortcuts.register('palette.open', {
+                keys: 'mod+k',
+                group: 'General',
+                description: 'Open command palette',
+                // Available everywhere, even while typing
+                within: 'body',
+                handler: function() {
+                    self.toggle();
+                }
+            });
+        },
+
+        /**
+         * Open or close the palette
+         */
+        toggle: function() {
+            if ($('#zdm-palette').length) {
+                this.close();
+            } else {
+                this.open();
+            }
+        },
+
+        /**
+         * Render the palette
+         */
+        open: function() {
+            var self = this;
+
+            this.context = this.settings.current_ticket ? { id: this.settings.current_ticket, current: true } : null;
+            this.inputMode = null;
+            this.ticketResults = [];
+
+            var $palette = $(
+                '<div id="zdm-palette">' +
+                    '<div class="zdm-palette-dialog" role="dialog" aria-modal="true">' +
+                        '<div class="zdm-palette-context"></div>' +
+                        '<input type="text" class="zdm-palette-input" autocomplete="off" spellcheck="false">' +
+                        '<ul class="zdm-palette-results" role="listbox"></ul>' +
+                        '<div class="zdm-palette-hint">↑↓ to move · Enter to run · Tab for ticket actions · Esc to close</div>' +
+                    '</div>' +
+                '</div>'
+            );
+
+            $palette.on('click', function(e) {
+                if (e.target === this) {
+                    self.close();
+                }
+            });
+
+            $palette.on('input', '.zdm-palette-input', function() {
+                self.onInput($(this).val());
+            });
+
+            $palette.on('keydown', '.zdm-palette-input', function(e) {
+                self.onKeydown(e);
+            });
+
+            $palette.on('mousemove', '.zdm-palette-item', function() {
+                self.select($(this).index());
+            });
+
+            $palette.on('click', '.zdm-palette-item', function() {
+                self.run($(this).index());
+            });
+
+            $('body').append($palette);
+            this.renderContext();
+            this.refresh('');
+            $palette.find('.zdm-palette-input').trigger('focus');
+        },
+
+        /**
+         * Remove the palette
+         */
+        close: function() {
+            clearTimeout(this.searchTimer);
+            if (this.searchRequest) {
+                this.searchRequest.abort();
+            }
+            $('#zdm-palette').remove();
+        },
+
+        /**
+         * Show which ticket actions apply to
+         */
+        renderContext: function() {
+            var $context = $('#zdm-palette .zdm-palette-context');
+            var $input = $('#zdm-palette .zdm-palette-input');
+
+            if (this.inputMode) {
+                $context.text(this.inputMode.label).show();
+                $input.attr('placeholder', this.inputMode.placeholder);
+            } else if (this.context) {
+                $context.text(this.context.current ?
+                    'This ticket' + (this.context.number ? ' #' + this.context.number : '') :
+                    'Ticket #' + this.context.number + ' · ' + this.context.subject).show();
+                $input.attr('placeholder', 'Search actions, templates, tickets…');
+            } else {
+                $context.hide();
+                $input.attr('placeholder', 'Search tickets by number or subject, templates, pages…');
+            }
+        },
+
+        /**
+         * React to typing
+         */
+        onInput: function(query) {
+            var self = this;
+
+            if (this.inputMode) {
+                return;
+            }
+
+            this.refresh(query);
+
+            // Ticket search goes to the server, debounced
+            clearTimeout(this.searchTimer);
+            if (this.searchRequest) {
+                this.searchRequest.abort();
+            }
+
+            if ($.trim(query).length < 2) {
+                this.ticketResults = [];
+                return;
+            }
+
+            this.searchTimer = setTimeout(function() {
+                self.searchRequest = $.ajax({
+                    url: self.settings.ajax_url,
+                    type: 'POST',
+                    data: {
+                        action: 'zdm_palette_search',
+                        query: $.trim(query),
+                        nonce: self.settings.nonces.search
+                    },
+                    success: function(response) {
+                        if (response.success && $('#zdm-palette .zdm-palette-input').val() === query) {
+                            self.ticketResults = response.data.tickets;
+                            self.refresh(query);
+                        }
+                    }
+                });
+            }, 250);
+        },
+
+        /**
+         * Handle navigation keys
+         */
+        onKeydown: function(e) {
+            switch (e.keyCode) {
+                case 40: // Down
+                    e.preventDefault();
+                    this.select(this.selected + 1);
+                    break;
+                case 38: // Up
+                    e.preventDefault();
+                    this.select(this.selected - 1);
+                    break;
+                case 13: // Enter
+                    e.preventDefault();
+                    if (this.inputMode) {
+                        this.inputMode.submit($.trim($(e.target).val()));
+                    } else {
+                        this.run(this.selected);
+                    }
+                    break;
+                case 9: // Tab
+                    e.preventDefault();
+                    this.focusTicket(this.selected);
+                    break;
+                case 8: // Backspace on an empty input leaves the ticket context
+                    if (!$(e.target).val() && (this.inputMode || (this.context && !this.context.current))) {
+                        e.preventDefault();
+                        this.inputMode = null;
+                        this.context = this.settings.current_ticket ? { id: this.settings.current_ticket, current: true } : null;
+                        this.renderContext();
+                        this.refresh('');
+                    }
+                    break;
+                case 27: // Esc
+                    e.preventDefault();
+                    this.close();
+                    break;
+            }
+        },
+
+        /**
+         * Build and render the filtered item list
+         */
+        refresh: function(query) {
+            var self = this;
+            var candidates = this.buildItems();
+            var scored = [];
+
+            $.each(candidates, function(index, item) {
+                var score = query ? self.fuzzyScore(query, item.label + ' ' + (item.keywords || '')) : 0;
+                if (score !== null) {
+                    scored.push({ item: item, score: score + (item.boost || 0), index: index });
+                }
+            });
+
+            scored.sort(function(a, b) {
+                return b.score - a.score || a.index - b.index;
+            });
+
+            this.items = $.map(scored.slice(0, 30), function(entry) {
+                return entry.item;
+            });
+
+            var $results = $('#zdm-palette .zdm-palette-results').empty();
+
+            if (!this.items.length) {
+                $results.append('<li class="zdm-palette-empty">No matches</li>');
+            }
+
+            $.each(this.items, function(index, item) {
+                var $item = $('<li class="zdm-palette-item" role="option"><span class="zdm-palette-type"></span><span class="zdm-palette-label"></span><span class="zdm-palette-detail"></span></li>');
+                $item.find('.zdm-palette-type').text(item.type);
+                $item.find('.zdm-palette-label').text(item.label);
+                $item.find('.zdm-palette-detail').text(item.detail || '');
+                $results.append($item);
+            });
+
+            this.select(0);
+        },
+
+        /**
+         * Everything the palette can offer right now
+         */
+        buildItems: function() {
+            var self = this;
+            var items = [];
+            var ticket = this.context;
+
+            // Ticket actions first when there is a ticket to act on
+            if (ticket) {
+                items.push({
+                    type: 'Action',
+                    label: 'Generate AI draft',
+                    boost: 2,
+                    run: function() {
+                        self.generateDraft(ticket);
+                    }
+                });
+
+                $.each(this.settings.statuses, function(index, status) {
+                    items.push({
+                        type: 'Action',
+                        label: 'Change status to ' + status,
+                        keywords: 'set status',
+                        boost: 1,
+                        run: function() {
+                            self.changeStatus(ticket, status);
+                        }
+                    });
+                });
+
+                items.push({
+                    type: 'Action',
+                    label: 'Add tag…',
+                    keywords: 'tags label',
+                    boost: 1,
+                    run: function() {
+                        self.promptTags(ticket);
+                    }
+                });
+
+                items.push({
+                    type: 'Action',
+                    label: 'Open in Zoho Desk',
+                    keywords: 'external web',
+                    boost: 1,
+                    run: function() {
+                        self.openInZoho(ticket);
+                    }
+                });
+
+                if (!ticket.current) {
+                    items.push({
+                        type: 'Action',
+                        label: 'Open ticket #' + ticket.number,
+                        boost: 1,
+                        run: function() {
+                            window.location.href = self.settings.ticket_url + encodeURIComponent(ticket.id);
+                        }
+                    });
+                }
+            }
+
+            $.each(this.settings.templates, function(index, template) {
+                items.push({
+                    type: 'Template',
+                    label: (ticket ? 'Apply template: ' : 'Edit template: ') + template.name,
+                    detail: template.category || '',
+                    keywords: template.key,
+                    run: function() {
+                        if (ticket) {
+                            self.applyTemplate(ticket, template);
+                        } else {
+                            window.location.href = template.edit_url;
+                        }
+                    }
+                });
+            });
+
+            $.each(this.ticketResults, function(index, result) {
+                items.push({
+                    type: 'Ticket',
+                    label: '#' + result.number + ' ' + result.subject,
+                    detail: result.status,
+                    keywords: result.email,
+                    boost: 3,
+                    ticket: result,
+                    run: function() {
+                        window.location.href = self.settings.ticket_url + encodeURIComponent(result.id);
+                    }
+                });
+            });
+
+            $.each(this.settings.pages, function(index, page) {
+                items.push({
+                    type: 'Page',
+                    label: 'Go to ' + page.label,
+                    run: function() {
+                        window.location.href = page.url;
+                    }
+                });
+            });
+
+            return items;
+        },
+
+        /**
+         * Score a fuzzy (in-order subsequence) match, null when no match
+         */
+        fuzzyScore: function(query, text) {
+            var q = query.toLowerCase().replace(/\s+/g, '');
+            var t = text.toLowerCase();
+            var score = 0;
+            var lastIndex = -1;
+            var i, index;
+
+            if (t.indexOf(query.toLowerCase()) !== -1) {
+                return 100 - t.indexOf(query.toLowerCase());
+            }
+
+            for (i = 0; i < q.length; i++) {
+                index = t.indexOf(q.charAt(i), lastIndex + 1);
+                if (index === -1) {
+                    return null;
+                }
+                // Reward consecutive characters and word starts
+                score += index === lastIndex + 1 ? 3 : (/\W/.test(t.charAt(index - 1)) || index === 0 ? 2 : 0);
+                lastIndex = index;
+            }
+
+            return score;
+        },
+
+        /**
+         * Highlight an item
+         */
+        select: function(index) {
+            var $items = $('#zdm-palette .zdm-palette-item');
+
+            if (!$items.length) {
+                this.selected = 0;
+                return;
+            }
+
+            this.selected = Math.max(0, Math.min($items.length - 1, index));
+            $items.removeClass('is-selected').attr('aria-selected', 'false');
+            $items.eq(this.selected).addClass('is-selected').attr('aria-selected', 'true')[0].scrollIntoView({ block: 'nearest' });
+        },
+
+        /**
+         * Run the item at an index
+         */
+        run: function(index) {
+            var item = this.items[index];
+
+            if (item) {
+                item.run();
+            }
+        },
+
+        /**
+         * Switch to actions for the ticket at an index
+         */
+        focusTicket: function(index) {
+            var item = this.items[index];
+
+            if (!item || !item.ticket) {
+                return;
+            }
+
+            this.context = item.ticket;
+            this.renderContext();
+            $('#zdm-palette .zdm-palette-input').val('');
+            this.refresh('');
+        },
+
+        /**
+         * Ask for free text (e.g. tags) inside the palette
+         */
+        promptTags: function(ticket) {
+            var self = this;
+
+            this.inputMode = {
+                label: 'Add tags to ' + (ticket.number ? 'ticket #' + ticket.number : 'this ticket'),
+                placeholder: 'Tag names, separated by commas',
+                submit: function(value) {
+                    var tags = $.grep($.map(value.split(','), $.trim), function(tag) {
+                        return tag !== '';
+                    });
+
+                    if (tags.length) {
+                        self.addTags(ticket, tags);
+                    }
+                }
+            };
+
+            $('#zdm-palette .zdm-palette-input').val('');
+            $('#zdm-palette .zdm-palette-results').empty();
+            this.renderContext();
+        },
+
+        /**
+         * Whether the ticket is the one open in the draft editor
+         */
+        isOpenTicket: function(ticket) {
+            return window.ZDM_Draft && $('#zdm-draft-section').length && String(window.ZDM_Draft.ticketId) === String(ticket.id);
+        },
+
+        /**
+         * Generate a draft, in the editor when the ticket is open
+         */
+        generateDraft: function(ticket) {
+            var self = this;
+
+            this.close();
+
+            if (this.isOpenTicket(ticket)) {
+                window.ZDM_Draft.generateAIDraft();
+                return;
+            }
+
+            this.notify('Generating draft for ticket #' + ticket.number + '…', 'info');
+
+            this.post('zdm_generate_ai_response', 'ai', {
+                ticket_id: ticket.id,
+                response_type: 'solution',
+                tone: 'professional'
+            }).done(function(data) {
+                if (data.browser_mode) {
+                    self.notify('Browser AI is enabled; open the ticket to generate a draft', 'info');
+                    return;
+                }
+                self.saveDraft(ticket, data.response, 'ai_generate', 'AI draft saved for ticket #' + ticket.number);
+            });
+        },
+
+        /**
+         * Apply a template, in the editor when the ticket is open
+         */
+        applyTemplate: function(ticket, template) {
+            var self = this;
+
+            this.close();
+
+            if (this.isOpenTicket(ticket)) {
+                $('#zdm-template-select').val(template.key);
+                window.ZDM_Draft.useSelectedTemplate();
+                return;
+            }
+
+            this.post('zdm_process_template', 'ai', {
+                ticket_id: ticket.id,
+                template_key: template.key
+            }).done(function(data) {
+                self.saveDraft(ticket, data.content, 'template', '"' + template.name + '" saved as draft for ticket #' + ticket.number);
+            });
+        },
+
+        /**
+         * Store text as the ticket's draft
+         */
+        saveDraft: function(ticket, content, source, message) {
+            var self = this;
+
+            this.post('zdm_save_draft', 'ai', {
+                ticket_id: ticket.id,
+                draft_content: content,
+                source: source
+            }).done(function() {
+                self.notify(message, 'success');
+            });
+        },
+
+        /**
+         * Change a ticket's status
+         */
+        changeStatus: function(ticket, status) {
+            var self = this;
+
+            this.close();
+
+            this.post('zdm_update_status', 'status', {
+                ticket_id: ticket.id,
+                status: status
+            }).done(function() {
+                self.notify('Status changed to ' + status, 'success');
+                $('select[name="new_status"]').val(status);
+            });
+        },
+
+        /**
+         * Add tags to a ticket
+         */
+        addTags: function(ticket, tags) {
+            var self = this;
+
+            this.close();
+
+            this.post('zdm_add_ticket_tags', 'ai', {
+                ticket_id: ticket.id,
+                tags: tags
+            }).done(function() {
+                self.notify('Tags added: ' + tags.join(', '), 'success');
+            });
+        },
+
+        /**
+         * Open the ticket in Zoho Desk
+         */
+        openInZoho: function(ticket) {
+            var self = this;
+
+            // Open the window synchronously so popup blockers allow it
+            var popup = window.open('', '_blank');
+
+            this.close();
+
+            if (ticket.web_url) {
+                popup.location.href = ticket.web_url;
+                return;
+            }
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'zdm_palette_search',
+                    ticket_id: ticket.id,
+                    nonce: this.settings.nonces.search
+                },
+                success: function(response) {
+                    if (response.success && response.data.tickets[0].web_url) {
+                        popup.location.href = response.data.tickets[0].web_url;
+                    } else {
+                        popup.close();
+                        self.notify('Zoho Desk link not available for this ticket', 'error');
+                    }
+                },
+                error: function() {
+                    popup.close();
+                    self.notify('Network error', 'error');
+                }
+            });
+        },
+
+        /**
+         * Call an existing AJAX action
+         *
+         * @return {jQuery.Promise} Resolves with response.data
+         */
+        post: function(action, nonce, data) {
+            var self = this;
+            var deferred = $.Deferred();
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: $.extend({ action: action, nonce: this.settings.nonces[nonce] }, data),
+                success: function(response) {
+                    if (response && response.success) {
+                        deferred.resolve(response.data);
+                    } else {
+                        self.notify('Failed: ' + (response && response.data ? response.data : 'unknown error'), 'error');
+                        deferred.reject();
+                    }
+                },
+                error: function() {
+                    self.notify('Network error', 'error');
+                    deferred.reject();
+                }
+            });
+
+            return deferred.promise();
+        },
+
+        /**
+         * Show a short-lived message
+         */
+        notify: function(message, type) {
+            var $toast = $('#zdm-palette-toast');
+
+            if (!$toast.length) {
+                $toast = $('<div id="zdm-palette-toast" role="status"></div>').appendTo('body');
+            }
+
+            clearTimeout(this.toastTimer);
+            $toast.attr('class', 'zdm-palette-toast-' + type).text(message).fadeIn(150);
+
+            this.toastTimer = setTimeout(function() {
+                $toast.fadeOut(300);
+            }, type === 'info' ? 8000 : 4000);
+        }
+    };
+
+    window.ZDM_Command_Palette = ZDM_Command_Palette;
+
+    ZDM_Command_Palette.init();
+
+})(jQuery);
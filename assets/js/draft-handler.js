@@ -9,9 +9,14 @@
     var ZDM_Draft = {
         ticketId: null,
         isDirty: false,
+        templateKey: null,
 
         init: function() {
             this.ticketId = $('#zdm-generate-ai-draft').data('ticket-id');
+
+            // Drafts saved as HTML (e.g. by the CLI) are edited as Markdown
+            $('#zdm-draft-content').val(this.toMarkdown($('#zdm-draft-content').val()));
+
             this.bindEvents();
             this.initWordCounter();
             this.checkAutoSave();
@@ -44,6 +49,10 @@
                 self.hideAIOptions();
             });
 
+            $('#zdm-redaction-notice .zdm-redaction-dismiss').on('click', function() {
+                $('#zdm-redaction-notice').hide();
+            });
+
             // Template event handlers
             $('#zdm-cancel-template').on('click', function(e) {
                 e.preventDefault();
@@ -63,6 +72,12 @@
                 self.useSelectedTemplate();
             });
 
+            // Live preview while filling in template variables
+            $('#zdm-template-variables').on('input', 'input', function() {
+                $(this).closest('.zdm-template-variable').removeClass('zdm-template-variable-unresolved');
+                self.updateTemplatePreview();
+            });
+
             // Template suggestion clicks
             $(document).on('click', '.zdm-template-suggestion', function(e) {
                 e.preventDefault();
@@ -109,26 +124,136 @@
                 self.sendAndClose();
             });
 
+            // Toggle the rendered Markdown preview
+            $('#zdm-toggle-preview').on('click', function(e) {
+                e.preventDefault();
+                $(this).toggleClass('active');
+                $('#zdm-draft-preview').toggle($(this).hasClass('active'));
+                self.refreshPreview();
+            });
+
+            // Stop a streaming generation and keep the partial text
+            $('#zdm-stop-generation').on('click', function(e) {
+                e.preventDefault();
+                self.stopGeneration();
+            });
+
             // Track draft changes
             $('#zdm-draft-content').on('input', function() {
                 self.isDirty = true;
+                if (window.ZDM_Ticket_Presence) {
+                    window.ZDM_Ticket_Presence.editing(this.value);
+                }
                 self.updateWordCount();
                 self.autoSaveDraft();
             });
 
-            // Keyboard shortcuts
-            $(document).on('keydown', function(e) {
-                // Ctrl/Cmd + G = Generate draft
-                if ((e.ctrlKey || e.metaKey) && e.keyCode === 71) {
-                    e.preventDefault();
+            this.registerShortcuts();
+        },
+
+        registerShortcuts: function() {
+            var self = this;
+            var shortcuts = window.ZDM_Shortcuts;
+            var n;
+
+            // Draft shortcuts only apply while working in the draft section
+            shortcuts.register('draft.generate', {
+                keys: 'mod+g',
+                group: 'Draft',
+                description: 'Generate AI draft',
+                within: '#zdm-draft-section',
+                handler: function() {
                     $('#zdm-generate-ai-draft').click();
                 }
-                // Ctrl/Cmd + S = Save draft
-                if ((e.ctrlKey || e.metaKey) && e.keyCode === 83) {
-                    e.preventDefault();
+            });
+
+            shortcuts.register('draft.save', {
+                keys: 'mod+s',
+                group: 'Draft',
+                description: 'Save draft',
+                within: '#zdm-draft-section',
+                handler: function() {
                     self.saveDraft();
                 }
             });
+
+            shortcuts.register('reply.open', {
+                keys: 'r',
+                group: 'Reply',
+                description: 'Open reply editor',
+                handler: function() {
+                    self.openReply();
+                }
+            });
+
+            shortcuts.register('reply.send', {
+                keys: 'mod+enter',
+                group: 'Reply',
+                description: 'Send reply',
+                within: '#zdm-draft-section, #zdm-reply-form',
+                handler: function() {
+                    self.sendReply();
+                }
+            });
+
+            shortcuts.register('reply.send-close', {
+                keys: 'mod+shift+enter',
+                group: 'Reply',
+                description: 'Send reply and close ticket',
+                within: '#zdm-draft-section, #zdm-reply-form',
+                handler: function() {
+                    self.sendAndClose();
+                }
+            });
+
+            for (n = 1; n <= 9; n++) {
+                shortcuts.register('template.' + n, {
+                    keys: 'alt+' + n,
+                    group: 'Templates',
+                    description: 'Apply template ' + n,
+                    handler: self.applyTemplateByNumber.bind(self, n)
+                });
+            }
+        },
+
+        openReply: function() {
+            $('html, body').animate({
+                scrollTop: $('#zdm-reply-form').offset().top - 100
+            }, 300);
+
+            if (typeof tinyMCE !== 'undefined' && tinyMCE.get('reply_content') && !tinyMCE.get('reply_content').isHidden()) {
+                tinyMCE.get('reply_content').focus();
+            } else {
+                $('#reply_content').trigger('focus');
+            }
+        },
+
+        sendReply: function() {
+            var reply = typeof tinyMCE !== 'undefined' && tinyMCE.get('reply_content') ?
+                tinyMCE.get('reply_content').getContent({ format: 'text' }) :
+                $('#reply_content').val();
+
+            // Send the draft when nothing has been copied to the reply yet
+            if (!$.trim(reply) && $.trim($('#zdm-draft-content').val())) {
+                this.copyToReply();
+            }
+
+            // Click the submit button so its name is posted with the form
+            $('#zdm-reply-form input[name="reply_ticket"]').trigger('click');
+        },
+
+        applyTemplateByNumber: function(number) {
+            var $option = $('#zdm-template-select option').filter(function() {
+                return $(this).val() !== '';
+            }).eq(number - 1);
+
+            if (!$option.length) {
+                this.showStatus('No template number ' + number, 'error');
+                return;
+            }
+
+            $('#zdm-template-select').val($option.val());
+            this.useSelectedTemplate();
         },
 
         showAIOptions: function() {
@@ -138,51 +263,62 @@
 
         hideAIOptions: function() {
             $('#zdm-ai-options').slideUp();
-            $('#zdm-generate-ai-draft').prop('disabled', false);
+            $('#zdm-generate-ai-draft').prop('disabled', this.aiBlocked());
+        },
+
+        aiBlocked: function() {
+            // A reached hard budget keeps the AI buttons disabled
+            return !!(window.ZDM_AI_Usage && window.ZDM_AI_Usage.isBlocked());
         },
 
         generateAIDraft: function() {
-            var self = this;
             var responseType = $('#zdm-response-type').val();
             var responseTone = $('#zdm-response-tone').val();
 
+            this.hideAIOptions();
+
+            if (this.canStream()) {
+                this.streamAIDraft(responseType, responseTone);
+            } else {
+                this.requestAIDraft(responseType, responseTone);
+            }
+        },
+
+        getPromptOptions: function() {
+            // Preset, instructions and message selection from the prompt inspector
+            return window.ZDM_Prompt_Inspector ? window.ZDM_Prompt_Inspector.getOptions() : {};
+        },
+
+        canStream: function() {
+            return !!(window.fetch && window.FormData && window.TextDecoder &&
+                      window.ReadableStream && window.AbortController);
+        },
+
+        requestAIDraft: function(responseType, responseTone) {
+            var self = this;
+
             // Show loading state
             self.showLoading('Generating AI draft...');
-            self.hideAIOptions();
+            $('#zdm-generate-ai-draft').prop('disabled', true);
 
             $.ajax({
                 url: zdm_ajax.ajax_url,
                 type: 'POST',
-                data: {
+                data: $.extend({
                     action: 'zdm_generate_ai_response',
                     ticket_id: self.ticketId,
                     response_type: responseType,
                     tone: responseTone,
                     nonce: zdm_ajax.nonce
-                },
+                }, self.getPromptOptions()),
                 success: function(response) {
                     if (response.success) {
                         // Check if browser mode
                         if (response.data.browser_mode) {
                             self.hideLoading();
-                            self.showBrowserPrompt(response.data);
+                            self.handOffToBrowser(response.data);
                         } else {
-                            // Set draft content for API mode
-                            $('#zdm-draft-content').val(response.data.response);
-                            self.updateWordCount();
-
-                            // Show success status
-                            self.showStatus('✓ AI draft generated successfully', 'success');
-
-                            // Show suggestions if available
-                            if (response.data.suggestions && response.data.suggestions.length > 0) {
-                                self.showSuggestions(response.data.suggestions);
-                            }
-
-                            // Auto-save the generated draft
-                            self.saveDraft(true);
-
-                            // Usage stats available in response.data.usage if needed
+                            self.applyGeneratedDraft(response.data.response, response.data);
                         }
                     } else {
                         self.showStatus('Failed to generate draft: ' + response.data, 'error');
@@ -193,15 +329,224 @@
                 },
                 complete: function() {
                     self.hideLoading();
-                    $('#zdm-generate-ai-draft').prop('disabled', false);
+                    $('#zdm-generate-ai-draft').prop('disabled', self.aiBlocked());
                 }
             });
         },
 
-        saveDraft: function(silent) {
+        streamAIDraft: function(responseType, responseTone) {
+            var self = this;
+            var $draft = $('#zdm-draft-content');
+            var text = '';
+            var redactions = [];
+            var finished = false;
+            var body = new FormData();
+
+            body.append('action', 'zdm_stream_ai_response');
+            body.append('ticket_id', self.ticketId);
+            body.append('response_type', responseType);
+            body.append('tone', responseTone);
+            body.append('nonce', zdm_ajax.nonce);
+
+            $.each(self.getPromptOptions(), function(key, value) {
+                if ($.isArray(value)) {
+                    $.each(value, function(index, item) {
+                        body.append(key + '[]', item);
+                    });
+                } else {
+                    body.append(key, value);
+                }
+            });
+
+            self.streamController = new AbortController();
+            self.showLoading('Generating AI draft...');
+            $('#zdm-stop-generation').show();
+            $('#zdm-generate-ai-draft').prop('disabled', true);
+
+            fetch(zdm_ajax.ajax_url, {
+                method: 'POST',
+                body: body,
+                credentials: 'same-origin',
+                signal: self.streamController.signal
+            }).then(function(response) {
+                var contentType = response.headers.get('Content-Type') || '';
+
+                if (window.ZDM_Rate_Limit) {
+                    window.ZDM_Rate_Limit.readFetch(response);
+                }
+
+                // Browser AI, subscription mode or no curl: use the one-shot request
+                if (!response.ok || !response.body || contentType.indexOf('text/event-stream') === -1) {
+                    finished = true;
+                    self.finishStream();
+                    self.requestAIDraft(responseType, responseTone);
+                    return;
+                }
+
+                // The existing draft stays until the first token replaces it
+                return self.readEventStream(response.body.getReader(), function(event, data) {
+                    if (event === 'redactions') {
+                        redactions = data.redactions;
+                    } else if (event === 'token') {
+                        text += data.text;
+                        $draft.val(self.restoreRedactions(text, redactions)).scrollTop($draft[0].scrollHeight);
+                        self.updateWordCount();
+                    } else if (event === 'done') {
+                        finished = true;
+                        self.finishStream();
+                        self.applyGeneratedDraft(self.restoreRedactions(text, redactions), data);
+                    } else if (event === 'error') {
+                        finished = true;
+                        self.finishStream();
+                        self.showStatus('Failed to generate draft: ' + data.message, 'error');
+
+                        if (window.ZDM_AI_Usage) {
+                            window.ZDM_AI_Usage.record(data);
+                        }
+                    }
+                });
+            }).then(function() {
+                if (!finished) {
+                    self.finishStream();
+                    self.keepPartialDraft(text, 'Connection closed before the draft was finished');
+                }
+            }).catch(function(error) {
+                self.finishStream();
+
+                if (error && error.name === 'AbortError') {
+                    self.keepPartialDraft(text, 'Generation stopped');
+                } else {
+                    self.keepPartialDraft(text, 'Network error. Please try again.');
+                }
+            });
+        },
+
+        readEventStream: function(reader, onEvent) {
+            var decoder = new TextDecoder();
+            var buffer = '';
+
+            function pump() {
+                return reader.read().then(function(result) {
+                    var boundary;
+
+                    if (result.done) {
+                        return;
+                    }
+
+                    buffer += decoder.decode(result.value, { stream: true });
+
+                    // Events are separated by a blank line
+                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                        var block = buffer.slice(0, boundary);
+                        var event = 'message';
+                        var data = '';
+                        var payload;
+
+                        buffer = buffer.slice(boundary + 2);
+
+                        block.split('\n').forEach(function(line) {
+                            if (line.indexOf('event:') === 0) {
+                                event = $.trim(line.slice(6));
+                            } else if (line.indexOf('data:') === 0) {
+                                data += $.trim(line.slice(5));
+                            }
+                        });
+
+                        try {
+                            payload = JSON.parse(data);
+                        } catch (e) {
+                            continue;
+                        }
+
+                        onEvent(event, payload);
+                    }
+
+                    return pump();
+                });
+            }
+
+            return pump();
+        },
+
+        stopGeneration: function() {
+            if (this.streamController) {
+                this.streamController.abort();
+            }
+        },
+
+        finishStream: function() {
+            this.streamController = null;
+            this.hideLoading();
+            $('#zdm-stop-generation').hide();
+            $('#zdm-generate-ai-draft').prop('disabled', this.aiBlocked());
+        },
+
+        keepPartialDraft: function(text, reason) {
+            if (!text.trim()) {
+                this.showStatus(reason, 'error');
+                return;
+            }
+
+            this.isDirty = true;
+            this.showStatus(reason + ' — partial draft kept', 'info');
+            this.saveDraft(true, 'ai_generate');
+        },
+
+        applyGeneratedDraft: function(text, data) {
+            // Set draft content for API mode
+            $('#zdm-draft-content').val(text);
+            if (window.ZDM_Ticket_Presence) {
+                window.ZDM_Ticket_Presence.editing(text);
+            }
+            this.updateWordCount();
+
+            // Show success status
+            this.showStatus('✓ AI draft generated successfully', 'success');
+            this.showRedactions(data.redactions);
+
+            // Show suggestions if available
+            if (data.suggestions && data.suggestions.length > 0) {
+                this.showSuggestions(data.suggestions);
+            }
+
+            // Auto-save the generated draft
+            this.saveDraft(true, 'ai_generate');
+
+            if (window.ZDM_AI_Usage) {
+                window.ZDM_AI_Usage.record(data);
+            }
+        },
+
+        restoreRedactions: function(text, redactions) {
+            // Put back the values that were swapped for placeholders before the prompt left
+            $.each(redactions || [], function(index, redaction) {
+                text = text.split(redaction.placeholder).join(redaction.value);
+            });
+
+            return text;
+        },
+
+        showRedactions: function(redactions) {
+            var $notice = $('#zdm-redaction-notice');
+            var $list = $notice.find('ul').empty();
+
+            $.each(redactions || [], function(index, redaction) {
+                $list.append($('<li></li>').append(
+                    $('<code></code>').text(redaction.placeholder),
+                    ' ',
+                    document.createTextNode(redaction.value)
+                ));
+            });
+
+            $notice.toggle($list.children().length > 0);
+        },
+
+        saveDraft: function(silent, source) {
             var self = this;
             var draftContent = $('#zdm-draft-content').val();
 
+            source = source || 'manual';
+
             if (!draftContent.trim()) {
                 if (!silent) {
                     self.showStatus('Draft is empty', 'error');
@@ -213,37 +558,46 @@
                 self.showLoading('Saving draft...');
             }
 
-            $.ajax({
-                url: zdm_ajax.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'zdm_save_draft',
-                    ticket_id: self.ticketId,
-                    draft_content: draftContent,
-                    nonce: zdm_ajax.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        self.isDirty = false;
-                        if (!silent) {
-                            self.showStatus('✓ Draft saved successfully', 'success');
-                        }
-                        $('.zdm-draft-timestamp').text('Last saved: ' + new Date().toLocaleString());
-                    } else {
-                        if (!silent) {
-                            self.showStatus('Failed to save draft', 'error');
-                        }
-                    }
-                },
-                error: function() {
-                    if (!silent) {
-                        self.showStatus('Network error while saving', 'error');
-                    }
-                },
-                complete: function() {
-                    if (!silent) {
-                        self.hideLoading();
-                    }
+            // Saves go through the sync queue so a dropped connection doesn't lose them
+            window.ZDM_Sync_Queue.send('zdm_save_draft', {
+                ticket_id: self.ticketId,
+                draft_content: draftContent,
+                source: source
+            }, {
+                dedupeKey: 'draft:' + self.ticketId,
+                label: 'Draft for ticket #' + self.ticketId
+            }).done(function(response) {
+                self.isDirty = false;
+                if (!silent) {
+                    self.showStatus('✓ Draft saved successfully', 'success');
+                }
+                $('.zdm-draft-timestamp').text('Last saved: ' + new Date().toLocaleString());
+
+                // The server copy is current, so the offline cache is only needed for newer edits
+                if ($('#zdm-draft-content').val() === draftContent) {
+                    window.ZDM_Draft_Store.remove('draft', self.ticketId);
+                }
+
+                // Let the revision history panel pick up the new version
+                $(document).trigger('zdm:draft-saved', [response.data.revision]);
+            }).fail(function(message) {
+                // e.g. another agent holds the draft
+                if (message && typeof message !== 'string') {
+                    message = message.message;
+                }
+
+                if (!silent) {
+                    self.showStatus('Failed to save draft' + (message ? ': ' + message : ''), 'error');
+                }
+            }).progress(function() {
+                // Held for retry; the draft stays dirty until it syncs
+                if (!silent) {
+                    self.hideLoading();
+                    self.showStatus('Offline - draft will be saved when the connection returns', 'info');
+                }
+            }).always(function() {
+                if (!silent) {
+                    self.hideLoading();
                 }
             });
         },
@@ -263,7 +617,7 @@
                 },
                 success: function(response) {
                     if (response.success && response.data.draft) {
-                        $('#zdm-draft-content').val(response.data.draft);
+                        $('#zdm-draft-content').val(self.toMarkdown(response.data.draft));
                         self.updateWordCount();
                         self.showStatus('✓ Draft loaded successfully', 'success');
 
@@ -285,74 +639,15 @@
 
         clearDraft: function() {
             $('#zdm-draft-content').val('');
+            window.ZDM_Draft_Store.remove('draft', this.ticketId);
             this.updateWordCount();
             this.showStatus('Draft cleared', 'info');
             $('#zdm-ai-suggestions').slideUp();
         },
 
         improveDraft: function() {
-            var self = this;
-            var currentDraft = $('#zdm-draft-content').val();
-
-            if (!currentDraft.trim()) {
-                self.showStatus('No draft to improve', 'error');
-                return;
-            }
-
-            // Show improvement options
-            var improvementTypes = [
-                'more concise',
-                'more detailed',
-                'more friendly',
-                'more professional',
-                'more empathetic'
-            ];
-
-            var buttons = improvementTypes.map(function(type) {
-                return '<button class="button button-small zdm-improve-type" data-type="' + type + '">' +
-                       type.charAt(0).toUpperCase() + type.slice(1) + '</button>';
-            }).join(' ');
-
-            self.showStatus('Select improvement type: ' + buttons, 'info');
-
-            // Bind improvement type clicks
-            $('.zdm-improve-type').on('click', function() {
-                var improvementType = $(this).data('type');
-                self.executeImprovement(currentDraft, improvementType);
-            });
-        },
-
-        executeImprovement: function(currentDraft, improvementType) {
-            var self = this;
-
-            self.showLoading('Improving draft to be ' + improvementType + '...');
-
-            $.ajax({
-                url: zdm_ajax.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'zdm_improve_response',
-                    current_response: currentDraft,
-                    improvement_type: improvementType,
-                    nonce: zdm_ajax.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $('#zdm-draft-content').val(response.data.improved_response);
-                        self.updateWordCount();
-                        self.showStatus('✓ Draft improved successfully', 'success');
-                        self.saveDraft(true);
-                    } else {
-                        self.showStatus('Failed to improve draft', 'error');
-                    }
-                },
-                error: function() {
-                    self.showStatus('Network error', 'error');
-                },
-                complete: function() {
-                    self.hideLoading();
-                }
-            });
+            // Selection-aware options and tracked-change review live in ZDM_Draft_Improve
+            window.ZDM_Draft_Improve.open();
         },
 
         copyToReply: function() {
@@ -363,12 +658,15 @@
                 return;
             }
 
+            // The draft is Markdown; the reply goes to Zoho as HTML
+            var html = window.ZDM_Markdown.toHtml(draftContent);
+
             // Copy to TinyMCE editor if available
             if (typeof tinyMCE !== 'undefined' && tinyMCE.get('reply_content')) {
-                tinyMCE.get('reply_content').setContent(draftContent);
+                tinyMCE.get('reply_content').setContent(html);
             } else {
                 // Fallback to textarea
-                $('#reply_content').val(draftContent);
+                $('#reply_content').val(html);
             }
 
             this.showStatus('✓ Draft copied to reply form', 'success');
@@ -380,20 +678,11 @@
         },
 
         sendAndClose: function() {
-            var self = this;
-
-            // First copy draft to reply
-            self.copyToReply();
+            // The flag is cleared again if the send is held back
+            $('#zdm-close-ticket').val('1');
 
-            // Add close ticket flag
-            $('<input>').attr({
-                type: 'hidden',
-                name: 'close_ticket',
-                value: '1'
-            }).appendTo('#zdm-reply-form');
-
-            // Submit the form
-            $('#zdm-reply-form').submit();
+            // Goes through the same checks and undo window as a plain send
+            this.sendReply();
         },
 
         updateWordCount: function() {
@@ -403,6 +692,21 @@
 
             $('.word-count').text(words);
             $('.char-count').text(chars);
+
+            // Every content change passes through here, so keep the preview in step
+            this.refreshPreview();
+        },
+
+        refreshPreview: function() {
+            var $preview = $('#zdm-draft-preview');
+
+            if ($preview.is(':visible')) {
+                $preview.html(window.ZDM_Markdown.toHtml($('#zdm-draft-content').val()));
+            }
+        },
+
+        toMarkdown: function(content) {
+            return window.ZDM_Markdown.looksLikeHtml(content) ? window.ZDM_Markdown.fromHtml(content) : content;
         },
 
         initWordCounter: function() {
@@ -417,29 +721,27 @@
                 clearTimeout(self.autoSaveTimer);
             }
 
-            // Set new timer (save after 2 seconds of no typing)
+            // Set new timer (save after 2 seconds of no typing). Only the tab
+            // being typed in saves, and not while another agent holds the draft
             self.autoSaveTimer = setTimeout(function() {
-                if (self.isDirty) {
-                    self.saveDraft(true);
+                if (self.isDirty && (!window.ZDM_Ticket_Presence || window.ZDM_Ticket_Presence.canAutosave())) {
+                    self.saveDraft(true, 'autosave');
                 }
             }, 2000);
         },
 
         checkAutoSave: function() {
-            // Check for browser's localStorage auto-saved draft
-            var localDraft = localStorage.getItem('zdm_draft_' + this.ticketId);
-            if (localDraft && !$('#zdm-draft-content').val()) {
-                if (confirm('Found an auto-saved draft. Would you like to restore it?')) {
-                    $('#zdm-draft-content').val(localDraft);
-                    this.updateWordCount();
-                    this.showStatus('Auto-saved draft restored', 'info');
-                }
-            }
-
-            // Save to localStorage on change
             var self = this;
-            $('#zdm-draft-content').on('input', function() {
-                localStorage.setItem('zdm_draft_' + self.ticketId, $(this).val());
+
+            // Offer any unsaved copy cached in this browser and keep it up to date
+            window.ZDM_Draft_Store.attach({
+                field: 'draft',
+                ticketId: this.ticketId,
+                $input: $('#zdm-draft-content'),
+                onRestore: function(record, message) {
+                    self.updateWordCount();
+                    self.showStatus(message, 'info');
+                }
             });
         },
 
@@ -479,97 +781,23 @@
             $('.spinner', '#zdm-draft-status').remove();
         },
 
-        showBrowserPrompt: function(data) {
+        handOffToBrowser: function(data) {
             var self = this;
-            var provider = data.provider === 'claude' ? 'Claude' : 'ChatGPT';
-            var providerUrl = data.provider === 'claude' ? 'https://claude.ai/new' : 'https://chat.openai.com';
-
-            // Create modal HTML
-            var modalHtml = '<div id="zdm-browser-prompt-modal" style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); z-index: 99999; display: flex; align-items: center; justify-content: center;">';
-            modalHtml += '<div style="background: white; padding: 30px; border-radius: 8px; max-width: 800px; width: 90%; max-height: 80vh; overflow-y: auto;">';
-
-            // Header
-            modalHtml += '<h2 style="margin-top: 0;">Generate Response with ' + provider + '</h2>';
-
-            // Instructions
-            modalHtml += '<div style="background: #f0f8ff; padding: 15px; border-radius: 5px; margin-bottom: 20px;">';
-            modalHtml += '<h3 style="margin-top: 0;">Instructions:</h3>';
-            modalHtml += '<ol>';
-            modalHtml += '<li>Click "Copy Prompt" below</li>';
-            modalHtml += '<li>Click "Open ' + provider + '" to open in a new tab</li>';
-            modalHtml += '<li>Paste the prompt in ' + provider + ' and press Enter</li>';
-            modalHtml += '<li>Copy the response from ' + provider + '</li>';
-            modalHtml += '<li>Paste it in the box below and click "Use This Response"</li>';
-            modalHtml += '</ol>';
-            modalHtml += '</div>';
-
-            // Prompt display
-            modalHtml += '<div style="margin-bottom: 20px;">';
-            modalHtml += '<label style="display: block; margin-bottom: 5px; font-weight: bold;">Generated Prompt:</label>';
-            modalHtml += '<textarea id="zdm-browser-prompt" style="width: 100%; height: 200px; padding: 10px; border: 1px solid #ddd; border-radius: 4px; font-family: monospace; font-size: 12px;" readonly>' + data.prompt + '</textarea>';
-            modalHtml += '</div>';
-
-            // Action buttons
-            modalHtml += '<div style="display: flex; gap: 10px; margin-bottom: 20px;">';
-            modalHtml += '<button class="button button-primary" onclick="ZDM_Draft.copyPrompt()">📋 Copy Prompt</button>';
-            modalHtml += '<button class="button" onclick="window.open(\'' + providerUrl + '\', \'_blank\')">🔗 Open ' + provider + '</button>';
-            modalHtml += '</div>';
-
-            // Response input
-            modalHtml += '<div style="margin-bottom: 20px;">';
-            modalHtml += '<label style="display: block; margin-bottom: 5px; font-weight: bold;">Paste ' + provider + ' Response Here:</label>';
-            modalHtml += '<textarea id="zdm-browser-response" style="width: 100%; height: 200px; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" placeholder="After generating the response in ' + provider + ', copy and paste it here..."></textarea>';
-            modalHtml += '</div>';
-
-            // Footer buttons
-            modalHtml += '<div style="display: flex; justify-content: space-between;">';
-            modalHtml += '<button class="button" onclick="document.getElementById(\'zdm-browser-prompt-modal\').remove()">Cancel</button>';
-            modalHtml += '<button class="button button-primary" onclick="ZDM_Draft.useBrowserResponse()">Use This Response</button>';
-            modalHtml += '</div>';
-
-            modalHtml += '</div>';
-            modalHtml += '</div>';
-
-            // Add modal to page
-            jQuery('body').append(modalHtml);
-        },
-
-        copyPrompt: function() {
-            var promptText = document.getElementById('zdm-browser-prompt').value;
-
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-                navigator.clipboard.writeText(promptText).then(function() {
-                    jQuery('.button:contains("Copy Prompt")').text('✓ Copied!');
-                    setTimeout(function() {
-                        jQuery('.button:contains("Copied")').text('📋 Copy Prompt');
-                    }, 2000);
-                });
-            } else {
-                // Fallback for older browsers
-                document.getElementById('zdm-browser-prompt').select();
-                document.execCommand('copy');
-                jQuery('.button:contains("Copy Prompt")').text('✓ Copied!');
-            }
-        },
 
-        useBrowserResponse: function() {
-            var response = document.getElementById('zdm-browser-response').value;
-
-            if (!response.trim()) {
-                alert('Please paste the AI response before continuing.');
+            if (!window.ZDM_Browser_AI) {
+                self.showStatus('Browser AI is not available on this page', 'error');
                 return;
             }
 
-            // Insert response into draft
-            jQuery('#zdm-draft-content').val(response);
-            this.updateWordCount();
-            this.showStatus('✓ AI response added to draft', 'success');
-
-            // Close modal
-            jQuery('#zdm-browser-prompt-modal').remove();
+            window.ZDM_Browser_AI.handOff(data).done(function(response) {
+                $('#zdm-draft-content').val(self.restoreRedactions(response, data.redactions));
+                self.updateWordCount();
+                self.showStatus('✓ AI response added to draft', 'success');
+                self.showRedactions(data.redactions);
 
-            // Auto-save
-            this.saveDraft(true);
+                // Auto-save
+                self.saveDraft(true, 'browser_ai');
+            });
         },
 
         showTemplateOptions: function() {
@@ -580,9 +808,7 @@
         hideTemplateOptions: function() {
             $('#zdm-template-options').slideUp();
             $('#zdm-use-template').prop('disabled', false);
-            $('#zdm-template-select').val('');
-            $('#zdm-template-preview').text('Select a template to see the preview...');
-            $('#zdm-use-selected-template').prop('disabled', true);
+            this.previewTemplate('');
         },
 
         filterTemplatesByCategory: function(category) {
@@ -600,55 +826,148 @@
             });
 
             // Reset selection
-            $('#zdm-template-select').val('');
-            $('#zdm-template-preview').text('Select a template to see the preview...');
-            $('#zdm-use-selected-template').prop('disabled', true);
+            this.previewTemplate('');
         },
 
         previewTemplate: function(templateKey) {
-            var self = this;
+            var $option = this.getTemplateOption(templateKey);
 
-            if (!templateKey) {
+            if (!templateKey || !$option.length) {
+                this.templateKey = null;
+                $('#zdm-template-select').val('');
+                $('#zdm-template-variables').hide().empty();
                 $('#zdm-template-preview').text('Select a template to see the preview...');
                 $('#zdm-use-selected-template').prop('disabled', true);
                 return;
             }
 
-            // Get template content via AJAX
-            $.ajax({
-                url: zdm_ajax.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'zdm_preview_template',
-                    template_key: templateKey,
-                    ticket_id: self.ticketId,
-                    nonce: zdm_ajax.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $('#zdm-template-preview').text(response.data.preview);
-                        $('#zdm-use-selected-template').prop('disabled', false);
-                    } else {
-                        $('#zdm-template-preview').text('Error loading template preview');
-                        $('#zdm-use-selected-template').prop('disabled', true);
-                    }
-                },
-                error: function() {
-                    $('#zdm-template-preview').text('Error loading template preview');
-                    $('#zdm-use-selected-template').prop('disabled', true);
+            $('#zdm-template-select').val(templateKey);
+            this.templateKey = templateKey;
+            this.renderTemplateVariables($option.data('fields') || []);
+            this.updateTemplatePreview();
+        },
+
+        getTemplateOption: function(templateKey) {
+            return $('#zdm-template-select option').filter(function() {
+                return templateKey && $(this).val() === templateKey;
+            });
+        },
+
+        renderTemplateVariables: function(fields) {
+            var values = $('#zdm-template-options').data('values') || {};
+            var $container = $('#zdm-template-variables').empty();
+
+            if (!fields.length) {
+                $container.hide();
+                return;
+            }
+
+            $.each(fields, function(index, field) {
+                var value = values[field.name] == null ? '' : String(values[field.name]);
+                var id = 'zdm-template-var-' + field.name;
+                var $row = $('<p class="zdm-template-variable"><label></label><input type="text" class="widefat"></p>');
+
+                $row.find('label').attr('for', id).text(
+                    field.name.replace(/_/g, ' ').replace(/^./, function(c) { return c.toUpperCase(); }) +
+                    (field.required ? ' *' : '')
+                );
+                $row.find('input').attr({
+                    id: id,
+                    placeholder: '{' + field.name + '}',
+                    'data-variable': field.name,
+                    'data-required': field.required ? '1' : '0'
+                }).val(value);
+
+                // Highlight what couldn't be filled from the ticket
+                $row.toggleClass('zdm-template-variable-unresolved', value === '');
+                $container.append($row);
+            });
+
+            $container.show();
+        },
+
+        getTemplateValues: function() {
+            var values = {};
+
+            $('#zdm-template-variables input').each(function() {
+                values[$(this).data('variable')] = $(this).val();
+            });
+
+            return values;
+        },
+
+        getMissingTemplateVariables: function() {
+            var missing = [];
+
+            $('#zdm-template-variables input').each(function() {
+                var $input = $(this);
+                var empty = $.trim($input.val()) === '' && $input.data('required') === 1;
+
+                $input.closest('.zdm-template-variable').toggleClass('zdm-template-variable-missing', empty);
+                if (empty) {
+                    missing.push($input);
                 }
             });
+
+            return missing;
+        },
+
+        updateTemplatePreview: function() {
+            var content = this.getTemplateOption(this.templateKey).attr('data-content') || '';
+            var values = this.getTemplateValues();
+            var escape = window.ZDM_Markdown.escape;
+            var missing = this.getMissingTemplateVariables();
+            var html = '';
+            var pattern = /\{([a-z0-9_]+)\}/gi;
+            var lastIndex = 0;
+            var match, value;
+
+            while ((match = pattern.exec(content)) !== null) {
+                html += escape(content.substring(lastIndex, match.index));
+                value = values[match[1].toLowerCase()];
+
+                if (value) {
+                    html += '<span class="zdm-template-value">' + escape(value) + '</span>';
+                } else {
+                    html += '<mark class="zdm-template-unresolved">' + escape(match[0]) + '</mark>';
+                }
+
+                lastIndex = pattern.lastIndex;
+            }
+
+            html += escape(content.substring(lastIndex));
+
+            $('#zdm-template-preview').html(html);
+            $('#zdm-use-selected-template')
+                .prop('disabled', missing.length > 0)
+                .attr('title', missing.length ? 'Fill in the required variables first' : '');
         },
 
         useSelectedTemplate: function() {
             var self = this;
             var templateKey = $('#zdm-template-select').val();
+            var missing;
 
             if (!templateKey) {
                 self.showStatus('Please select a template first', 'error');
                 return;
             }
 
+            // Shortcuts and the palette pick a template without the change event
+            if (templateKey !== self.templateKey) {
+                self.previewTemplate(templateKey);
+            }
+
+            missing = self.getMissingTemplateVariables();
+            if (missing.length) {
+                self.showTemplateOptions();
+                missing[0].trigger('focus');
+                self.showStatus('Fill in the required variables: ' + $.map(missing, function($input) {
+                    return $input.data('variable');
+                }).join(', '), 'error');
+                return;
+            }
+
             self.showLoading('Processing template...');
 
             $.ajax({
@@ -658,18 +977,19 @@
                     action: 'zdm_process_template',
                     template_key: templateKey,
                     ticket_id: self.ticketId,
+                    variables: JSON.stringify(self.getTemplateValues()),
                     nonce: zdm_ajax.nonce
                 },
                 success: function(response) {
                     if (response.success) {
                         // Insert template content into draft
-                        $('#zdm-draft-content').val(response.data.content);
+                        $('#zdm-draft-content').val(self.toMarkdown(response.data.content));
                         self.updateWordCount();
                         self.hideTemplateOptions();
                         self.showStatus('✓ Template applied successfully', 'success');
 
                         // Auto-save the template
-                        self.saveDraft(true);
+                        self.saveDraft(true, 'template');
                     } else {
                         self.showStatus('Failed to process template: ' + response.data, 'error');
                     }
@@ -0,0 +1,363 @@
+/**
+ * Draft Revision History for Zoho Desk Manager
+ * Lists saved draft revisions, diffs any two of them and restores old versions
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Draft_History = {
+        revisions: [],
+        loaded: false,
+
+        /**
+         * Initialize the history panel
+         */
+        init: function() {
+            this.bindEvents();
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            var self = this;
+
+            $('#zdm-toggle-history').on('click', function(e) {
+                e.preventDefault();
+                self.togglePanel();
+            });
+
+            $('#zdm-compare-revisions').on('click', function(e) {
+                e.preventDefault();
+                var ids = self.getCheckedIds();
+                self.compare(ids[1], ids[0]);
+            });
+
+            $('#zdm-close-diff').on('click', function(e) {
+                e.preventDefault();
+                $('#zdm-draft-diff').slideUp();
+            });
+
+            $('input[name="zdm-diff-mode"]').on('change', function() {
+                if (self.lastDiff) {
+                    self.renderDiff(self.lastDiff.older, self.lastDiff.newer);
+                }
+            });
+
+            $(document).on('change', '.zdm-revision-check', function() {
+                // Keep at most two revisions ticked
+                var $checked = $('.zdm-revision-check:checked');
+                if ($checked.length > 2) {
+                    $checked.not(this).first().prop('checked', false);
+                }
+                $('#zdm-compare-revisions').prop('disabled', $('.zdm-revision-check:checked').length !== 2);
+            });
+
+            $(document).on('click', '.zdm-revision-view', function(e) {
+                e.preventDefault();
+                self.compareWithCurrent($(this).data('revision'));
+            });
+
+            $(document).on('click', '.zdm-revision-restore', function(e) {
+                e.preventDefault();
+                self.restore($(this).data('revision'));
+            });
+
+            // Refresh the list whenever the draft handler saves
+            $(document).on('zdm:draft-saved', function() {
+                if ($('#zdm-draft-history').is(':visible')) {
+                    self.loadRevisions();
+                } else {
+                    self.loaded = false;
+                }
+            });
+        },
+
+        /**
+         * Show or hide the history panel
+         */
+        togglePanel: function() {
+            var $panel = $('#zdm-draft-history');
+
+            if ($panel.is(':visible')) {
+                $panel.hide();
+                return;
+            }
+
+            $panel.show();
+            if (!this.loaded) {
+                this.loadRevisions();
+            }
+        },
+
+        /**
+         * Fetch the revision list for the current ticket
+         */
+        loadRevisions: function() {
+            var self = this;
+            var $list = $('#zdm-draft-history .zdm-revision-list');
+
+            $list.html('<li class="zdm-revision-item"><span class="spinner is-active"></span> Loading revisions...</li>');
+
+            this.request({ operation: 'list_revisions' }).done(function(response) {
+                if (response.success) {
+                    self.revisions = response.data.revisions;
+                    self.loaded = true;
+                    self.renderList();
+                } else {
+                    $list.html('<li class="zdm-revision-item">Unable to load revisions</li>');
+                }
+            }).fail(function() {
+                $list.html('<li class="zdm-revision-item">Network error while loading revisions</li>');
+            });
+        },
+
+        /**
+         * Render the revision list
+         */
+        renderList: function() {
+            var self = this;
+            var $list = $('#zdm-draft-history .zdm-revision-list').empty();
+
+            $('#zdm-compare-revisions').prop('disabled', true);
+
+            if (!this.revisions.length) {
+                $list.html('<li class="zdm-revision-item">No revisions saved yet</li>');
+                return;
+            }
+
+            $.each(this.revisions, function(index, revision) {
+                var html = '<li class="zdm-revision-item' + (index === 0 ? ' zdm-revision-current' : '') + '">' +
+                    '<input type="checkbox" class="zdm-revision-check" value="' + revision.id + '">' +
+                    '<div class="zdm-revision-meta">' +
+                    '<span class="zdm-revision-source">' + self.escapeHtml(revision.source_label) + '</span> ' +
+                    '<strong>#' + revision.id + '</strong>' +
+                    '<div>' + self.escapeHtml(revision.created_at) + ' · ' + self.escapeHtml(revision.user_name) +
+                    ' · ' + revision.word_count + ' words</div>' +
+                    '<div class="zdm-revision-excerpt">' + self.escapeHtml(revision.excerpt) + '</div>' +
+                    '<div class="zdm-revision-actions">' +
+                    '<button type="button" class="button-link zdm-revision-view" data-revision="' + revision.id + '">Diff vs editor</button>';
+
+                if (index > 0) {
+                    html += ' | <button type="button" class="button-link zdm-revision-restore" data-revision="' + revision.id + '">Restore</button>';
+                }
+
+                html += '</div></div></li>';
+                $list.append(html);
+            });
+        },
+
+        /**
+         * Get ticked revision IDs, newest first
+         */
+        getCheckedIds: function() {
+            return $('.zdm-revision-check:checked').map(function() {
+                return parseInt($(this).val(), 10);
+            }).get().sort(function(a, b) {
+                return b - a;
+            });
+        },
+
+        /**
+         * Diff two stored revisions
+         */
+        compare: function(olderId, newerId) {
+            var self = this;
+
+            $.when(this.getRevision(olderId), this.getRevision(newerId)).done(function(older, newer) {
+                self.renderDiff(
+                    { label: '#' + older.id + ' (' + older.source_label + ')', content: older.content },
+                    { label: '#' + newer.id + ' (' + newer.source_label + ')', content: newer.content }
+                );
+            }).fail(function() {
+                window.ZDM_Draft.showStatus('Unable to load revisions for comparison', 'error');
+            });
+        },
+
+        /**
+         * Diff a stored revision against the text currently in the editor
+         */
+        compareWithCurrent: function(revisionId) {
+            var self = this;
+
+            this.getRevision(revisionId).done(function(revision) {
+                self.renderDiff(
+                    { label: '#' + revision.id + ' (' + revision.source_label + ')', content: revision.content },
+                    { label: 'Editor', content: $('#zdm-draft-content').val() }
+                );
+            }).fail(function() {
+                window.ZDM_Draft.showStatus('Unable to load revision', 'error');
+            });
+        },
+
+        /**
+         * Restore a revision into the editor and save it as a new revision
+         */
+        restore: function(revisionId) {
+            var draft = window.ZDM_Draft;
+
+            this.getRevision(revisionId).done(function(revision) {
+                $('#zdm-draft-content').val(revision.content);
+                draft.updateWordCount();
+                draft.showStatus('✓ Revision #' + revision.id + ' restored', 'success');
+                draft.saveDraft(true, 'restore');
+            }).fail(function() {
+                draft.showStatus('Unable to restore revision', 'error');
+            });
+        },
+
+        /**
+         * Fetch a single revision with its content
+         *
+         * @return {jQuery.Promise} Resolves with the revision object
+         */
+        getRevision: function(revisionId) {
+            var deferred = $.Deferred();
+
+            this.request({ operation: 'get_revision', revision_id: revisionId }).done(function(response) {
+                if (response.success) {
+                    deferred.resolve(response.data.revision);
+                } else {
+                    deferred.reject();
+                }
+            }).fail(function() {
+                deferred.reject();
+            });
+
+            return deferred.promise();
+        },
+
+        /**
+         * Call the draft loading endpoint with a revision operation
+         */
+        request: function(data) {
+            return $.ajax({
+                url: zdm_ajax.ajax_url,
+                type: 'POST',
+                data: $.extend({
+                    action: 'zdm_load_draft',
+                    ticket_id: window.ZDM_Draft.ticketId,
+                    nonce: zdm_ajax.nonce
+                }, data)
+            });
+        },
+
+        /**
+         * Render the word diff between two texts
+         */
+        renderDiff: function(older, newer) {
+            var ops = this.diffWords(older.content, newer.content);
+            var mode = $('input[name="zdm-diff-mode"]:checked').val();
+            var self = this;
+            var html;
+
+            this.lastDiff = { older: older, newer: newer };
+
+            if (mode === 'side') {
+                var left = '';
+                var right = '';
+
+                $.each(ops, function(i, op) {
+                    var text = self.escapeHtml(op.text);
+                    if (op.type === 'equal') {
+                        left += text;
+                        right += text;
+                    } else if (op.type === 'delete') {
+                        left += '<del>' + text + '</del>';
+                    } else {
+                        right += '<ins>' + text + '</ins>';
+                    }
+                });
+
+                html = '<div class="zdm-diff-columns"><div>' + left + '</div><div>' + right + '</div></div>';
+            } else {
+                html = $.map(ops, function(op) {
+                    var text = self.escapeHtml(op.text);
+                    if (op.type === 'delete') {
+                        return '<del>' + text + '</del>';
+                    }
+                    if (op.type === 'insert') {
+                        return '<ins>' + text + '</ins>';
+                    }
+                    return text;
+                }).join('');
+            }
+
+            $('#zdm-draft-diff .zdm-diff-title').text(older.label + ' → ' + newer.label);
+            $('#zdm-draft-diff .zdm-diff-body').html(html);
+            $('#zdm-draft-diff').slideDown();
+        },
+
+        /**
+         * Word-level diff using the longest common subsequence
+         *
+         * @return {Array} Operations of {type: 'equal'|'insert'|'delete', text}
+         */
+        diffWords: function(oldText, newText) {
+            var a = oldText.match(/\s+|[^\s]+/g) || [];
+            var b = newText.match(/\s+|[^\s]+/g) || [];
+            var n = a.length;
+            var m = b.length;
+            var width = m + 1;
+            var table = new Uint32Array((n + 1) * width);
+            var ops = [];
+            var i, j;
+
+            for (i = n - 1; i >= 0; i--) {
+                for (j = m - 1; j >= 0; j--) {
+                    table[i * width + j] = a[i] === b[j] ?
+                        table[(i + 1) * width + j + 1] + 1 :
+                        Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+                }
+            }
+
+            function push(type, text) {
+                var last = ops[ops.length - 1];
+                if (last && last.type === type) {
+                    last.text += text;
+                } else {
+                    ops.push({ type: type, text: text });
+                }
+            }
+
+            i = 0;
+            j = 0;
+            while (i < n && j < m) {
+                if (a[i] === b[j]) {
+                    push('equal', a[i]);
+                    i++;
+                    j++;
+                } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                    push('delete', a[i++]);
+                } else {
+                    push('insert', b[j++]);
+                }
+            }
+            while (i < n) {
+                push('delete', a[i++]);
+            }
+            while (j < m) {
+                push('insert', b[j++]);
+            }
+
+            return ops;
+        },
+
+        /**
+         * Escape text for HTML output
+         */
+        escapeHtml: function(text) {
+            return $('<div>').text(text == null ? '' : String(text)).html();
+        }
+    };
+
+    window.ZDM_Draft_History = ZDM_Draft_History;
+
+    $(document).ready(function() {
+        if ($('#zdm-draft-history').length) {
+            ZDM_Draft_History.init();
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,239 @@
+/**
+ * Draft Improvements for Zoho Desk Manager
+ * Applies AI improvements to the highlighted part of the draft (or all of
+ * it) and shows the result as a tracked change to accept or reject
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Draft_Improve = {
+        range: null,
+        pending: null,
+
+        /**
+         * Initialize the improve panel
+         */
+        init: function() {
+            this.bindEvents();
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            var self = this;
+
+            $('.zdm-improve-op').on('click', function(e) {
+                e.preventDefault();
+                self.execute($(this).data('type'));
+            });
+
+            $('#zdm-improve-instructions').on('keydown', function(e) {
+                if (e.keyCode === 13) {
+                    e.preventDefault();
+                    self.execute('custom');
+                }
+            });
+
+            $('#zdm-cancel-improve').on('click', function(e) {
+                e.preventDefault();
+                self.close();
+            });
+
+            $('#zdm-accept-improvement').on('click', function(e) {
+                e.preventDefault();
+                self.accept();
+            });
+
+            $('#zdm-reject-improvement').on('click', function(e) {
+                e.preventDefault();
+                self.reject();
+            });
+        },
+
+        /**
+         * Show the improve options for the current selection
+         */
+        open: function() {
+            var textarea = document.getElementById('zdm-draft-content');
+            var text = textarea.value;
+            var start = textarea.selectionStart;
+            var end = textarea.selectionEnd;
+            var selected;
+
+            if (!text.trim()) {
+                window.ZDM_Draft.showStatus('No draft to improve', 'error');
+                return;
+            }
+
+            if (this.pending) {
+                window.ZDM_Draft.showStatus('Accept or reject the current suggestion first', 'info');
+                return;
+            }
+
+            // Textareas keep their selection after losing focus to the button
+            selected = text.substring(start, end);
+            if (selected.trim()) {
+                this.range = { start: start, end: end };
+                $('#zdm-improve-options .zdm-improve-scope').html(
+                    'Improving selection: <em>' + this.escapeHtml(this.truncate(selected, 120)) + '</em>'
+                );
+            } else {
+                this.range = null;
+                $('#zdm-improve-options .zdm-improve-scope').text('Improving the whole draft. Highlight text first to improve only part of it.');
+            }
+
+            $('#zdm-improve-options').slideDown();
+            $('#zdm-improve-instructions').trigger('focus');
+        },
+
+        /**
+         * Hide the improve options
+         */
+        close: function() {
+            $('#zdm-improve-options').slideUp();
+        },
+
+        /**
+         * Request an improvement of the chosen type
+         */
+        execute: function(type) {
+            var self = this;
+            var draft = window.ZDM_Draft;
+            var text = $('#zdm-draft-content').val();
+            var instructions = $.trim($('#zdm-improve-instructions').val());
+            var range = this.range || { start: 0, end: text.length };
+            var original = text.substring(range.start, range.end);
+
+            if (type === 'custom' && !instructions) {
+                draft.showStatus('Enter instructions first', 'error');
+                return;
+            }
+
+            this.close();
+            draft.showLoading(this.range ? 'Improving selected text...' : 'Improving draft...');
+
+            // Nothing may move the selected range while the request runs
+            $('#zdm-draft-content').prop('readonly', true);
+
+            $.ajax({
+                url: zdm_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'zdm_improve_response',
+                    current_response: text,
+                    selection: this.range ? original : '',
+                    improvement_type: type,
+                    instructions: instructions,
+                    language: $('#zdm-improve-language').val(),
+                    nonce: zdm_ajax.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.review(range, original, response.data.improved_response);
+                        $('#zdm-improve-instructions').val('');
+
+                        if (window.ZDM_AI_Usage) {
+                            window.ZDM_AI_Usage.record(response.data);
+                        }
+                    } else {
+                        $('#zdm-draft-content').prop('readonly', false);
+                        draft.showStatus('Failed to improve draft: ' + response.data, 'error');
+                    }
+                },
+                error: function() {
+                    $('#zdm-draft-content').prop('readonly', false);
+                    draft.showStatus('Network error', 'error');
+                },
+                complete: function() {
+                    draft.hideLoading();
+                }
+            });
+        },
+
+        /**
+         * Show the suggestion as a tracked change
+         */
+        review: function(range, original, improved) {
+            var ops = window.ZDM_Draft_History.diffWords(original, improved);
+            var self = this;
+
+            this.pending = { range: range, original: original, improved: improved };
+
+            $('#zdm-improve-review .zdm-diff-body').html($.map(ops, function(op) {
+                var text = self.escapeHtml(op.text);
+                if (op.type === 'delete') {
+                    return '<del>' + text + '</del>';
+                }
+                if (op.type === 'insert') {
+                    return '<ins>' + text + '</ins>';
+                }
+                return text;
+            }).join(''));
+
+            $('#zdm-improve-review').slideDown();
+            window.ZDM_Draft.showStatus('Review the suggested change below', 'info');
+        },
+
+        /**
+         * Apply the suggestion to the draft
+         */
+        accept: function() {
+            var draft = window.ZDM_Draft;
+            var $content = $('#zdm-draft-content');
+            var text = $content.val();
+            var pending = this.pending;
+
+            if (!pending) {
+                return;
+            }
+
+            $content.val(text.substring(0, pending.range.start) + pending.improved + text.substring(pending.range.end));
+            $content.prop('readonly', false);
+
+            // Select the replaced span so the agent can see what changed
+            $content[0].setSelectionRange(pending.range.start, pending.range.start + pending.improved.length);
+
+            this.pending = null;
+            $('#zdm-improve-review').slideUp();
+
+            draft.updateWordCount();
+            draft.showStatus('✓ Improvement applied', 'success');
+            draft.saveDraft(true, 'improve');
+        },
+
+        /**
+         * Discard the suggestion
+         */
+        reject: function() {
+            this.pending = null;
+            $('#zdm-draft-content').prop('readonly', false);
+            $('#zdm-improve-review').slideUp();
+            window.ZDM_Draft.showStatus('Suggestion discarded', 'info');
+        },
+
+        /**
+         * Shorten text for display
+         */
+        truncate: function(text, length) {
+            return text.length > length ? text.substring(0, length) + '…' : text;
+        },
+
+        /**
+         * Escape text for HTML output
+         */
+        escapeHtml: function(text) {
+            return $('<div>').text(text == null ? '' : String(text)).html();
+        }
+    };
+
+    window.ZDM_Draft_Improve = ZDM_Draft_Improve;
+
+    $(document).ready(function() {
+        if ($('#zdm-improve-options').length) {
+            ZDM_Draft_Improve.init();
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,408 @@
+/**
+ * Offline Draft Store for Zoho Desk Manager
+ * Single client-side cache for unsaved reply and draft text, backed by
+ * IndexedDB with a localStorage fallback
+ */
+
+(function($) {
+    'use strict';
+
+    var DB_NAME = 'zdm-drafts';
+    var STORE_NAME = 'drafts';
+    var LEGACY_PREFIX = 'zdm_draft_';
+
+    var ZDM_Draft_Store = {
+        settings: {},
+        dbPromise: null,
+
+        /**
+         * Initialize the store and purge stale entries
+         */
+        init: function() {
+            this.settings = $.extend({
+                site_id: 1,
+                user_id: 0,
+                ttl: 7 * 24 * 3600,
+                max_size: 262144,
+                max_local_size: 65536,
+                max_entries: 50,
+                strings: {}
+            }, window.zdm_draft_store || {});
+
+            this.cleanup();
+        },
+
+        /**
+         * Build the namespaced key for a field on a ticket
+         */
+        key: function(field, ticketId) {
+            return ['zdm', this.settings.site_id, this.settings.user_id, field, ticketId].join(':');
+        },
+
+        /**
+         * Prefix shared by every key belonging to this user on this site
+         */
+        prefix: function() {
+            return ['zdm', this.settings.site_id, this.settings.user_id, ''].join(':');
+        },
+
+        /**
+         * Open the IndexedDB database, resolving with null when unavailable
+         */
+        openDb: function() {
+            if (this.dbPromise) {
+                return this.dbPromise;
+            }
+
+            var deferred = $.Deferred();
+            this.dbPromise = deferred.promise();
+
+            if (!window.indexedDB) {
+                deferred.resolve(null);
+                return this.dbPromise;
+            }
+
+            try {
+                var request = window.indexedDB.open(DB_NAME, 1);
+
+                request.onupgradeneeded = function() {
+                    var store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('savedAt', 'savedAt');
+                };
+                request.onsuccess = function() {
+                    deferred.resolve(request.result);
+                };
+                request.onerror = request.onblocked = function() {
+                    deferred.resolve(null);
+                };
+            } catch (e) {
+                // Private browsing modes may refuse IndexedDB outright
+                deferred.resolve(null);
+            }
+
+            return this.dbPromise;
+        },
+
+        /**
+         * Run a request against the object store
+         *
+         * @return {jQuery.Promise} Resolves with the request result
+         */
+        transaction: function(db, mode, callback) {
+            var deferred = $.Deferred();
+
+            try {
+                var tx = db.transaction(STORE_NAME, mode);
+                var request = callback(tx.objectStore(STORE_NAME));
+
+                tx.oncomplete = function() {
+                    deferred.resolve(request ? request.result : undefined);
+                };
+                tx.onerror = tx.onabort = function() {
+                    deferred.reject(tx.error);
+                };
+            } catch (e) {
+                deferred.reject(e);
+            }
+
+            return deferred.promise();
+        },
+
+        /**
+         * Get a cached draft
+         *
+         * @return {jQuery.Promise} Resolves with {content, savedAt} or null
+         */
+        get: function(field, ticketId) {
+            var self = this;
+            var key = this.key(field, ticketId);
+
+            return this.openDb().then(function(db) {
+                if (db) {
+                    return self.transaction(db, 'readonly', function(store) {
+                        return store.get(key);
+                    });
+                }
+
+                try {
+                    return JSON.parse(localStorage.getItem(key));
+                } catch (e) {
+                    return null;
+                }
+            }).then(function(record) {
+                if (record && self.isExpired(record)) {
+                    self.remove(field, ticketId);
+                    return null;
+                }
+                return record || null;
+            }, function() {
+                return $.Deferred().resolve(null).promise();
+            });
+        },
+
+        /**
+         * Cache a draft. Empty content removes the entry.
+         *
+         * @return {jQuery.Promise} Resolves with true when stored
+         */
+        set: function(field, ticketId, content) {
+            var self = this;
+
+            if (!content) {
+                return this.remove(field, ticketId).then(function() {
+                    return false;
+                });
+            }
+
+            var record = {
+                key: this.key(field, ticketId),
+                field: field,
+                ticketId: String(ticketId),
+                content: content,
+                savedAt: Date.now()
+            };
+
+            return this.openDb().then(function(db) {
+                if (content.length > (db ? self.settings.max_size : self.settings.max_local_size)) {
+                    return false;
+                }
+
+                if (db) {
+                    return self.transaction(db, 'readwrite', function(store) {
+                        return store.put(record);
+                    }).then(function() {
+                        return true;
+                    }, function() {
+                        return $.Deferred().resolve(false).promise();
+                    });
+                }
+
+                return self.setLocal(record);
+            });
+        },
+
+        /**
+         * Write to localStorage, evicting old drafts once if the quota is hit
+         */
+        setLocal: function(record) {
+            var value = JSON.stringify(record);
+
+            try {
+                localStorage.setItem(record.key, value);
+                return true;
+            } catch (e) {
+                this.evictLocal(Math.floor(this.settings.max_entries / 2));
+
+                try {
+                    localStorage.setItem(record.key, value);
+                    return true;
+                } catch (retryError) {
+                    return false;
+                }
+            }
+        },
+
+        /**
+         * Remove a cached draft
+         */
+        remove: function(field, ticketId) {
+            var self = this;
+            var key = this.key(field, ticketId);
+
+            return this.openDb().then(function(db) {
+                if (db) {
+                    return self.transaction(db, 'readwrite', function(store) {
+                        return store['delete'](key);
+                    }).then(null, function() {
+                        return $.Deferred().resolve().promise();
+                    });
+                }
+
+                localStorage.removeItem(key);
+            });
+        },
+
+        /**
+         * Drop expired drafts, keep at most max_entries and clear the old
+         * shared zdm_draft_<id> keys that could not tell fields apart
+         */
+        cleanup: function() {
+            var self = this;
+            var i, key;
+
+            try {
+                for (i = localStorage.length - 1; i >= 0; i--) {
+                    key = localStorage.key(i);
+                    if (key && key.indexOf(LEGACY_PREFIX) === 0) {
+                        localStorage.removeItem(key);
+                    }
+                }
+            } catch (e) {
+                // localStorage disabled
+            }
+
+            return this.openDb().then(function(db) {
+                if (!db) {
+                    self.evictLocal(self.settings.max_entries);
+                    return;
+                }
+
+                return self.transaction(db, 'readwrite', function(store) {
+                    var prefix = self.prefix();
+                    var kept = 0;
+
+                    // Walk newest first so the oldest entries are evicted
+                    store.index('savedAt').openCursor(null, 'prev').onsuccess = function(event) {
+                        var cursor = event.target.result;
+                        if (!cursor) {
+                            return;
+                        }
+
+                        if (self.isExpired(cursor.value)) {
+                            cursor['delete']();
+                        } else if (cursor.value.key.indexOf(prefix) === 0 && ++kept > self.settings.max_entries) {
+                            cursor['delete']();
+                        }
+                        cursor['continue']();
+                    };
+                }).then(null, function() {
+                    return $.Deferred().resolve().promise();
+                });
+            });
+        },
+
+        /**
+         * Trim localStorage drafts for this user down to a number of entries
+         */
+        evictLocal: function(limit) {
+            var prefix = this.prefix();
+            var records = [];
+            var i, key, record;
+
+            try {
+                for (i = 0; i < localStorage.length; i++) {
+                    key = localStorage.key(i);
+                    if (key && key.indexOf(prefix) === 0) {
+                        try {
+                            record = JSON.parse(localStorage.getItem(key));
+                        } catch (e) {
+                            record = null;
+                        }
+                        records.push({ key: key, savedAt: record ? record.savedAt : 0, expired: !record || this.isExpired(record) });
+                    }
+                }
+
+                records.sort(function(a, b) {
+                    return b.savedAt - a.savedAt;
+                });
+
+                $.each(records, function(index, entry) {
+                    if (entry.expired || index >= limit) {
+                        localStorage.removeItem(entry.key);
+                    }
+                });
+            } catch (e) {
+                // localStorage disabled
+            }
+        },
+
+        /**
+         * Whether a record is older than the configured lifetime
+         */
+        isExpired: function(record) {
+            return !record.savedAt || (Date.now() - record.savedAt) > this.settings.ttl * 1000;
+        },
+
+        /**
+         * Wire a textarea to the store: offer any cached copy that differs
+         * from the current value, then keep the cache up to date as the
+         * user types.
+         *
+         * @param {Object} options field, ticketId, $input, delay, onRestore
+         */
+        attach: function(options) {
+            var self = this;
+            var $input = options.$input;
+            var timer;
+
+            this.get(options.field, options.ticketId).done(function(record) {
+                if (record && record.content !== $input.val()) {
+                    self.showPrompt(record, options);
+                }
+            });
+
+            $input.on('input.zdmDraftStore', function() {
+                clearTimeout(timer);
+                timer = setTimeout(function() {
+                    self.set(options.field, options.ticketId, $input.val());
+                }, options.delay || 1000);
+            });
+        },
+
+        /**
+         * Show the restore / discard / compare prompt above a field
+         */
+        showPrompt: function(record, options) {
+            var self = this;
+            var strings = $.extend({
+                found: 'An unsaved copy of this text from %s was found in this browser.',
+                restore: 'Restore',
+                discard: 'Discard',
+                compare: 'Compare',
+                cached: 'Unsaved copy',
+                current: 'Current text',
+                restored: 'Unsaved copy restored'
+            }, this.settings.strings);
+            var $input = options.$input;
+
+            options.$container = options.$container || $input;
+            options.$container.prev('.zdm-local-draft-prompt').remove();
+
+            var $prompt = $(
+                '<div class="zdm-local-draft-prompt notice notice-info inline">' +
+                    '<p><span class="zdm-local-draft-message"></span> ' +
+                    '<button type="button" class="button button-small zdm-local-draft-restore"></button> ' +
+                    '<button type="button" class="button button-small zdm-local-draft-discard"></button> ' +
+                    '<button type="button" class="button-link zdm-local-draft-compare"></button></p>' +
+                    '<div class="zdm-local-draft-compare-view" style="display: none;">' +
+                        '<div><strong></strong><pre class="zdm-local-draft-cached"></pre></div>' +
+                        '<div><strong></strong><pre class="zdm-local-draft-current"></pre></div>' +
+                    '</div>' +
+                '</div>'
+            );
+
+            $prompt.find('.zdm-local-draft-message').text(strings.found.replace('%s', new Date(record.savedAt).toLocaleString()));
+            $prompt.find('.zdm-local-draft-restore').text(strings.restore);
+            $prompt.find('.zdm-local-draft-discard').text(strings.discard);
+            $prompt.find('.zdm-local-draft-compare').text(strings.compare);
+            $prompt.find('.zdm-local-draft-compare-view strong').first().text(strings.cached);
+            $prompt.find('.zdm-local-draft-compare-view strong').last().text(strings.current);
+
+            $prompt.on('click', '.zdm-local-draft-restore', function() {
+                $input.val(record.content).trigger('input');
+                $prompt.remove();
+                if (options.onRestore) {
+                    options.onRestore(record, strings.restored);
+                }
+            });
+
+            $prompt.on('click', '.zdm-local-draft-discard', function() {
+                self.remove(options.field, options.ticketId);
+                $prompt.remove();
+            });
+
+            $prompt.on('click', '.zdm-local-draft-compare', function() {
+                $prompt.find('.zdm-local-draft-cached').text(record.content);
+                $prompt.find('.zdm-local-draft-current').text($input.val());
+                $prompt.find('.zdm-local-draft-compare-view').slideToggle(150);
+            });
+
+            options.$container.before($prompt);
+        }
+    };
+
+    window.ZDM_Draft_Store = ZDM_Draft_Store;
+
+    ZDM_Draft_Store.init();
+
+})(jQuery);
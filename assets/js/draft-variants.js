@@ -0,0 +1,296 @@
+/**
+ * AI Draft Variants for Zoho Desk Manager
+ * Generates several drafts in parallel (tones x providers), compares them
+ * side by side and lets the agent pick one or merge paragraphs
+ */
+
+(function($) {
+    'use strict';
+
+    var MAX_VARIANTS = 6;
+
+    var ZDM_Draft_Variants = {
+        variants: [],
+        mergeOrder: [],
+
+        /**
+         * Initialize the variants panel
+         */
+        init: function() {
+            this.bindEvents();
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            var self = this;
+
+            $('#zdm-generate-variants').on('click', function(e) {
+                e.preventDefault();
+                self.generate();
+            });
+
+            $('#zdm-close-variants').on('click', function(e) {
+                e.preventDefault();
+                $('#zdm-draft-variants').slideUp();
+            });
+
+            $('#zdm-merge-variants').on('click', function(e) {
+                e.preventDefault();
+                self.merge();
+            });
+
+            $(document).on('click', '.zdm-variant-use', function(e) {
+                e.preventDefault();
+                self.pick($(this).data('variant'));
+            });
+
+            $(document).on('change', '.zdm-variant-paragraph-check', function() {
+                self.toggleParagraph($(this).data('variant'), $(this).data('paragraph'), this.checked);
+            });
+        },
+
+        /**
+         * Build the tone/provider combinations to request
+         */
+        getCombinations: function() {
+            var tones = $('.zdm-variant-tone:checked').map(function() {
+                return { key: $(this).val(), label: $(this).data('label') };
+            }).get();
+            var providers = $('.zdm-variant-provider:checked').map(function() {
+                return { key: $(this).val(), label: $(this).data('label') };
+            }).get();
+            var combinations = [];
+
+            if (!tones.length) {
+                var $tone = $('#zdm-response-tone');
+                tones = [{ key: $tone.val(), label: $tone.find('option:selected').text() }];
+            }
+
+            // Empty provider means the configured default
+            if (!providers.length) {
+                providers = [{ key: '', label: 'Default' }];
+            }
+
+            $.each(tones, function(i, tone) {
+                $.each(providers, function(j, provider) {
+                    combinations.push({
+                        tone: tone.key,
+                        provider: provider.key,
+                        label: tone.label + ' · ' + provider.label
+                    });
+                });
+            });
+
+            return combinations.slice(0, MAX_VARIANTS);
+        },
+
+        /**
+         * Request every combination in parallel
+         */
+        generate: function() {
+            var self = this;
+            var draft = window.ZDM_Draft;
+            var responseType = $('#zdm-response-type').val();
+            var $grid = $('#zdm-draft-variants .zdm-variant-grid').empty();
+
+            this.variants = this.getCombinations();
+            this.mergeOrder = [];
+            this.updateMergeButton();
+
+            draft.hideAIOptions();
+            $('#zdm-draft-variants').slideDown();
+            $('#zdm-generate-ai-draft').prop('disabled', true);
+
+            var requests = $.map(this.variants, function(variant, index) {
+                $grid.append(
+                    '<div class="zdm-variant-card" data-variant="' + index + '">' +
+                        '<div class="zdm-variant-title"><strong>' + self.escapeHtml(variant.label) + '</strong></div>' +
+                        '<div class="zdm-variant-body"><span class="spinner is-active"></span> Generating...</div>' +
+                    '</div>'
+                );
+
+                return $.ajax({
+                    url: zdm_ajax.ajax_url,
+                    type: 'POST',
+                    data: $.extend({
+                        action: 'zdm_generate_ai_response',
+                        ticket_id: draft.ticketId,
+                        response_type: responseType,
+                        tone: variant.tone,
+                        provider: variant.provider,
+                        nonce: zdm_ajax.nonce
+                    }, draft.getPromptOptions()),
+                    success: function(response) {
+                        if (response.success && window.ZDM_AI_Usage) {
+                            window.ZDM_AI_Usage.updateBudget(response.data.budget);
+                        }
+
+                        if (response.success && response.data.response) {
+                            variant.text = response.data.response;
+                            variant.sentiment = response.data.sentiment || 'neutral';
+                            variant.paragraphs = $.grep(variant.text.split(/\n{2,}/), function(paragraph) {
+                                return $.trim(paragraph) !== '';
+                            });
+                            self.renderCard(index);
+                        } else {
+                            self.renderError(index, response.data || 'Generation failed');
+                        }
+                    },
+                    error: function() {
+                        self.renderError(index, 'Network error');
+                    }
+                });
+            });
+
+            // Re-enable once every request has settled, successful or not
+            $.when.apply($, $.map(requests, function(request) {
+                var settled = $.Deferred();
+                request.always(settled.resolve);
+                return settled;
+            })).done(function() {
+                $('#zdm-generate-ai-draft').prop('disabled', draft.aiBlocked());
+            });
+        },
+
+        /**
+         * Render a finished variant
+         */
+        renderCard: function(index) {
+            var self = this;
+            var variant = this.variants[index];
+            var words = $.trim(variant.text) ? $.trim(variant.text).split(/\s+/).length : 0;
+            var html = '';
+
+            $.each(variant.paragraphs, function(paragraphIndex, paragraph) {
+                html += '<div class="zdm-variant-paragraph">' +
+                    '<label><input type="checkbox" class="zdm-variant-paragraph-check" data-variant="' + index + '" data-paragraph="' + paragraphIndex + '">' +
+                    '<span class="zdm-merge-order"></span></label>' +
+                    '<div class="zdm-markdown-preview">' + window.ZDM_Markdown.toHtml(paragraph) + '</div>' +
+                '</div>';
+            });
+
+            var $card = $('.zdm-variant-card[data-variant="' + index + '"]');
+            $card.find('.zdm-variant-title').append(
+                '<span class="zdm-variant-meta">' + words + ' words · ' +
+                '<span class="zdm-sentiment zdm-sentiment-' + variant.sentiment + '">' + self.escapeHtml(variant.sentiment) + '</span></span>'
+            );
+            $card.find('.zdm-variant-body').html(html);
+            $card.append('<div class="zdm-variant-actions"><button type="button" class="button button-primary button-small zdm-variant-use" data-variant="' + index + '">Use This Draft</button></div>');
+        },
+
+        /**
+         * Render a failed variant
+         */
+        renderError: function(index, message) {
+            $('.zdm-variant-card[data-variant="' + index + '"] .zdm-variant-body')
+                .html('<span class="zdm-variant-error">' + this.escapeHtml(message) + '</span>');
+        },
+
+        /**
+         * Track paragraph selection order for merging
+         */
+        toggleParagraph: function(variantIndex, paragraphIndex, checked) {
+            this.mergeOrder = $.grep(this.mergeOrder, function(entry) {
+                return entry.variant !== variantIndex || entry.paragraph !== paragraphIndex;
+            });
+
+            if (checked) {
+                this.mergeOrder.push({ variant: variantIndex, paragraph: paragraphIndex });
+            }
+
+            $('.zdm-merge-order').text('');
+            $.each(this.mergeOrder, function(position, entry) {
+                $('.zdm-variant-paragraph-check[data-variant="' + entry.variant + '"][data-paragraph="' + entry.paragraph + '"]')
+                    .siblings('.zdm-merge-order').text(position + 1);
+            });
+
+            this.updateMergeButton();
+        },
+
+        /**
+         * Enable merging once any paragraph is ticked
+         */
+        updateMergeButton: function() {
+            $('#zdm-merge-variants').prop('disabled', !this.mergeOrder.length);
+        },
+
+        /**
+         * Use a whole variant as the draft
+         */
+        pick: function(index) {
+            this.apply(this.variants[index].text, 'pick', [index]);
+        },
+
+        /**
+         * Join the ticked paragraphs in the order they were ticked
+         */
+        merge: function() {
+            var self = this;
+            var used = [];
+
+            var text = $.map(this.mergeOrder, function(entry) {
+                if ($.inArray(entry.variant, used) === -1) {
+                    used.push(entry.variant);
+                }
+                return self.variants[entry.variant].paragraphs[entry.paragraph];
+            }).join('\n\n');
+
+            this.apply(text, 'merge', used);
+        },
+
+        /**
+         * Put the chosen text in the editor and record the choice
+         */
+        apply: function(text, choiceType, chosen) {
+            var draft = window.ZDM_Draft;
+
+            $('#zdm-draft-content').val(text);
+            draft.updateWordCount();
+            draft.saveDraft(true, 'ai_generate');
+            draft.showStatus(choiceType === 'merge' ? '✓ Merged draft created' : '✓ Variant applied', 'success');
+            $('#zdm-draft-variants').slideUp();
+
+            // Only variants that actually came back count as shown
+            var shown = [];
+            var shownChosen = [];
+            $.each(this.variants, function(index, variant) {
+                if (variant.text) {
+                    if ($.inArray(index, chosen) !== -1) {
+                        shownChosen.push(shown.length);
+                    }
+                    shown.push({ tone: variant.tone, provider: variant.provider || 'default' });
+                }
+            });
+
+            $.ajax({
+                url: zdm_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'zdm_record_variant_choice',
+                    choice_type: choiceType,
+                    variants: JSON.stringify(shown),
+                    chosen: shownChosen,
+                    nonce: zdm_ajax.nonce
+                }
+            });
+        },
+
+        /**
+         * Escape text for HTML output
+         */
+        escapeHtml: function(text) {
+            return $('<div>').text(text == null ? '' : String(text)).html();
+        }
+    };
+
+    window.ZDM_Draft_Variants = ZDM_Draft_Variants;
+
+    $(document).ready(function() {
+        if ($('#zdm-draft-variants').length) {
+            ZDM_Draft_Variants.init();
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,271 @@
+/**
+ * Markdown conversion for Zoho Desk Manager
+ * Renders the Markdown that AI providers emit into safe HTML for replies,
+ * and turns stored HTML drafts and templates back into Markdown for editing
+ */
+
+(function($) {
+    'use strict';
+
+    var BLOCK_START = /^(```|#{1,6}\s|>|\s*([-*+]|\d+[.)])\s+|(\*{3,}|-{3,}|_{3,})\s*$)/;
+    var LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+    var ZDM_Markdown = {
+
+        /**
+         * Convert Markdown to HTML
+         *
+         * All text is escaped before any tags are added, so the result only
+         * ever contains the elements generated here.
+         *
+         * @param {String} markdown Markdown source
+         * @return {String} HTML
+         */
+        toHtml: function(markdown) {
+            var lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+            var html = [];
+            var i = 0;
+            var match, buffer, ordered, tag;
+
+            while (i < lines.length) {
+                var line = lines[i];
+
+                // Fenced code block
+                if (/^```/.test(line)) {
+                    buffer = [];
+                    i++;
+                    while (i < lines.length && !/^```/.test(lines[i])) {
+                        buffer.push(lines[i]);
+                        i++;
+                    }
+                    i++;
+                    html.push('<pre><code>' + this.escape(buffer.join('\n')) + '</code></pre>');
+                    continue;
+                }
+
+                // Heading
+                match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+                if (match) {
+                    tag = 'h' + match[1].length;
+                    html.push('<' + tag + '>' + this.inline(match[2]) + '</' + tag + '>');
+                    i++;
+                    continue;
+                }
+
+                // Horizontal rule
+                if (/^(\*{3,}|-{3,}|_{3,})\s*$/.test(line)) {
+                    html.push('<hr>');
+                    i++;
+                    continue;
+                }
+
+                // Blockquote
+                if (/^>/.test(line)) {
+                    buffer = [];
+                    while (i < lines.length && /^>/.test(lines[i])) {
+                        buffer.push(lines[i].replace(/^>\s?/, ''));
+                        i++;
+                    }
+                    html.push('<blockquote>' + this.toHtml(buffer.join('\n')) + '</blockquote>');
+                    continue;
+                }
+
+                // List
+                match = line.match(LIST_ITEM);
+                if (match) {
+                    ordered = /\d/.test(match[2]);
+                    buffer = [];
+                    while (i < lines.length) {
+                        match = lines[i].match(LIST_ITEM);
+                        if (match && /\d/.test(match[2]) === ordered) {
+                            buffer.push(match[3]);
+                        } else if (buffer.length && /^\s{2,}\S/.test(lines[i])) {
+                            // Indented continuation of the previous item
+                            buffer[buffer.length - 1] += '\n' + lines[i].trim();
+                        } else {
+                            break;
+                        }
+                        i++;
+                    }
+                    tag = ordered ? 'ol' : 'ul';
+                    html.push('<' + tag + '>' + $.map(buffer, function(item) {
+                        return '<li>' + ZDM_Markdown.inline(item) + '</li>';
+                    }).join('') + '</' + tag + '>');
+                    continue;
+                }
+
+                // Blank line
+                if (!line.trim()) {
+                    i++;
+                    continue;
+                }
+
+                // Paragraph
+                buffer = [];
+                while (i < lines.length && lines[i].trim() && (!buffer.length || !BLOCK_START.test(lines[i]))) {
+                    buffer.push(lines[i]);
+                    i++;
+                }
+                html.push('<p>' + this.inline(buffer.join('\n')) + '</p>');
+            }
+
+            return html.join('\n');
+        },
+
+        /**
+         * Convert inline Markdown (code, links, emphasis) to HTML
+         */
+        inline: function(text) {
+            var self = this;
+            var codes = [];
+
+            // Pull code spans out first so nothing inside them is formatted
+            text = String(text).replace(/`([^`]+)`/g, function(all, code) {
+                codes.push('<code>' + self.escape(code) + '</code>');
+                return '\u0000' + (codes.length - 1) + '\u0000';
+            });
+
+            text = this.escape(text);
+
+            text = text.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, function(all, label, url) {
+                var href = url.replace(/&amp;/g, '&');
+                if (!/^(https?:|mailto:)/i.test(href)) {
+                    return label;
+                }
+                return '<a href="' + self.escape(href) + '">' + label + '</a>';
+            });
+
+            text = text
+                .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+                .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+                .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+                .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?=\W|$)/g, '$1<em>$2</em>')
+                .replace(/\n/g, '<br>\n');
+
+            return text.replace(/\u0000(\d+)\u0000/g, function(all, index) {
+                return codes[index];
+            });
+        },
+
+        /**
+         * Convert HTML to Markdown
+         *
+         * @param {String} html HTML source
+         * @return {String} Markdown
+         */
+        fromHtml: function(html) {
+            // DOMParser documents are inert: no scripts run and no images load
+            var doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+            var markdown = this.convertChildren(doc.body, { listDepth: 0 });
+
+            return markdown
+                .replace(/[ \t]+\n/g, '\n')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim();
+        },
+
+        /**
+         * Convert all child nodes of an element
+         */
+        convertChildren: function(element, state) {
+            var self = this;
+
+            return $.map($.makeArray(element.childNodes), function(node) {
+                return self.convertNode(node, state);
+            }).join('');
+        },
+
+        /**
+         * Convert a single DOM node to Markdown
+         */
+        convertNode: function(node, state) {
+            var self = this;
+            var name, content, level;
+
+            if (node.nodeType === 3) {
+                return node.nodeValue.replace(/\s+/g, ' ');
+            }
+            if (node.nodeType !== 1) {
+                return '';
+            }
+
+            name = node.nodeName.toLowerCase();
+
+            switch (name) {
+                case 'br':
+                    return '\n';
+                case 'hr':
+                    return '\n\n---\n\n';
+                case 'strong':
+                case 'b':
+                    content = this.convertChildren(node, state).trim();
+                    return content ? '**' + content + '**' : '';
+                case 'em':
+                case 'i':
+                    content = this.convertChildren(node, state).trim();
+                    return content ? '*' + content + '*' : '';
+                case 'code':
+                    return '`' + node.textContent + '`';
+                case 'pre':
+                    return '\n\n```\n' + node.textContent.replace(/\n$/, '') + '\n```\n\n';
+                case 'a':
+                    content = this.convertChildren(node, state).trim();
+                    return node.getAttribute('href') ? '[' + content + '](' + node.getAttribute('href') + ')' : content;
+                case 'h1':
+                case 'h2':
+                case 'h3':
+                case 'h4':
+                case 'h5':
+                case 'h6':
+                    level = parseInt(name.charAt(1), 10);
+                    return '\n\n' + new Array(level + 1).join('#') + ' ' + this.convertChildren(node, state).trim() + '\n\n';
+                case 'blockquote':
+                    content = this.convertChildren(node, state).trim();
+                    return '\n\n' + content.replace(/^/gm, '> ') + '\n\n';
+                case 'ul':
+                case 'ol':
+                    content = $.map($.makeArray(node.children), function(item, index) {
+                        var marker = name === 'ol' ? (index + 1) + '. ' : '- ';
+                        var indent = new Array(state.listDepth * 2 + 1).join(' ');
+                        var body = self.convertChildren(item, { listDepth: state.listDepth + 1 }).trim();
+                        return indent + marker + body.replace(/\n(?!\s*([-*+]|\d+\.)\s)/g, '\n' + indent + '  ');
+                    }).join('\n');
+                    return state.listDepth ? '\n' + content : '\n\n' + content + '\n\n';
+                case 'p':
+                case 'div':
+                case 'section':
+                case 'article':
+                case 'table':
+                case 'tr':
+                    return '\n\n' + this.convertChildren(node, state).trim() + '\n\n';
+                case 'script':
+                case 'style':
+                    return '';
+                default:
+                    return this.convertChildren(node, state);
+            }
+        },
+
+        /**
+         * Whether text appears to be HTML rather than Markdown or plain text
+         */
+        looksLikeHtml: function(text) {
+            return /<(p|br|div|ul|ol|li|strong|b|em|i|a|h[1-6]|pre|code|blockquote|hr|table|span)\b[^>]*>/i.test(text || '');
+        },
+
+        /**
+         * Escape text for HTML output
+         */
+        escape: function(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    window.ZDM_Markdown = ZDM_Markdown;
+
+})(jQuery);
@@ -0,0 +1,393 @@
+/**
+ * Prompt Inspector for Zoho Desk Manager
+ * Shows what the AI draft prompt is built from, lets the agent choose the
+ * thread messages and add instructions, and manages the team's presets
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Prompt_Inspector = {
+        settings: {},
+        presets: [],
+        open: false,
+        customized: false,
+        instructionsEdited: false,
+        request: null,
+
+        /**
+         * Bind the inspector and preset controls
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = window.zdm_prompt_presets;
+            this.presets = this.settings.presets || [];
+
+            $('#zdm-inspect-prompt').on('click', function(e) {
+                e.preventDefault();
+                self.toggle();
+            });
+
+            $('#zdm-prompt-preset').on('change', function() {
+                self.applyPreset($(this).val());
+            });
+
+            $('#zdm-response-type, #zdm-response-tone').on('change', function() {
+                self.refresh();
+            });
+
+            $('#zdm-prompt-inspector').on('change', '.zdm-prompt-message-check', function() {
+                self.customized = true;
+                self.refresh();
+            });
+
+            $('#zdm-prompt-instructions').on('input', function() {
+                self.instructionsEdited = true;
+            }).on('change', function() {
+                self.refresh();
+            });
+
+            $('#zdm-save-prompt-preset').on('click', function(e) {
+                e.preventDefault();
+                self.savePreset();
+            });
+
+            $('#zdm-delete-prompt-preset').on('click', function(e) {
+                e.preventDefault();
+                self.deletePreset();
+            });
+        },
+
+        /**
+         * Options the draft requests should carry
+         *
+         * Instructions and the message selection are only sent once the
+         * agent changed them; otherwise the server applies the preset.
+         */
+        getOptions: function() {
+            var options = { preset: $('#zdm-prompt-preset').val() || '' };
+
+            if (this.instructionsEdited) {
+                options.instructions = $('#zdm-prompt-instructions').val();
+            }
+
+            if (this.customized) {
+                options.pick_messages = 1;
+                options.message_ids = $('#zdm-prompt-inspector .zdm-prompt-message-check:checked').map(function() {
+                    return String($(this).data('id'));
+                }).get();
+            }
+
+            return options;
+        },
+
+        /**
+         * Show or hide the inspector
+         */
+        toggle: function() {
+            this.open = !this.open;
+            $('#zdm-inspect-prompt').attr('aria-expanded', this.open ? 'true' : 'false');
+
+            if (this.open) {
+                $('#zdm-prompt-inspector').slideDown();
+                this.refresh();
+            } else {
+                $('#zdm-prompt-inspector').slideUp();
+            }
+        },
+
+        /**
+         * Find a preset by ID
+         */
+        findPreset: function(id) {
+            var found = null;
+
+            $.each(this.presets, function(index, preset) {
+                if (preset.id === id) {
+                    found = preset;
+                    return false;
+                }
+            });
+
+            return found;
+        },
+
+        /**
+         * Load a preset into the AI options
+         */
+        applyPreset: function(id) {
+            var preset = this.findPreset(id);
+            var strings = this.settings.strings;
+
+            this.customized = false;
+            this.instructionsEdited = false;
+
+            if (preset) {
+                $('#zdm-response-type').val(preset.response_type);
+                $('#zdm-response-tone').val(preset.tone);
+                $('#zdm-prompt-instructions').val(preset.instructions);
+                $('#zdm-prompt-preset-name').val(preset.name);
+                $('#zdm-prompt-preset-limit').val(preset.message_limit);
+                $('.zdm-prompt-preset-meta').text(strings.updated_by.replace('%1$s', preset.updated_by).replace('%2$s', preset.updated_at));
+            } else {
+                $('#zdm-prompt-instructions').val('');
+                $('#zdm-prompt-preset-name').val('');
+                $('#zdm-prompt-preset-limit').val(0);
+                $('.zdm-prompt-preset-meta').text('');
+            }
+
+            $('#zdm-delete-prompt-preset').toggle(!!preset);
+            this.refresh();
+        },
+
+        /**
+         * Rebuild the preset dropdown
+         */
+        renderPresets: function(selected) {
+            var $select = $('#zdm-prompt-preset');
+
+            $select.find('option').not('[value=""]').remove();
+
+            $.each(this.presets, function(index, preset) {
+                $select.append($('<option></option>').val(preset.id).text(preset.name));
+            });
+
+            $select.val(selected || '');
+        },
+
+        /**
+         * Ask the server for the assembled prompt
+         */
+        refresh: function() {
+            var self = this;
+
+            if (!this.open) {
+                return;
+            }
+
+            // Building the prompt reads the ticket thread from Zoho Desk
+            if (window.ZDM_Rate_Limit) {
+                window.ZDM_Rate_Limit.defer('prompt-inspector', this.settings.strings.preview_label, function() {
+                    return self.load();
+                });
+            } else {
+                this.load();
+            }
+        },
+
+        /**
+         * Load the assembled prompt, unless the inspector was closed meanwhile
+         */
+        load: function() {
+            var self = this;
+            var $inspector = $('#zdm-prompt-inspector');
+
+            if (!this.open) {
+                return;
+            }
+
+            // Only the latest request's answer is shown
+            if (this.request) {
+                this.request.abort();
+            }
+
+            $inspector.find('.zdm-prompt-loading').show();
+
+            return this.request = $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: $.extend({
+                    action: 'zdm_inspect_prompt',
+                    nonce: this.settings.nonce,
+                    ticket_id: window.ZDM_Draft.ticketId,
+                    response_type: $('#zdm-response-type').val(),
+                    tone: $('#zdm-response-tone').val()
+                }, this.getOptions()),
+                success: function(response) {
+                    if (response.success) {
+                        self.render(response.data);
+                    } else {
+                        window.ZDM_Draft.showStatus(response.data.message, 'error');
+                    }
+                },
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        window.ZDM_Draft.showStatus(self.settings.strings.network_error, 'error');
+                    }
+                },
+                complete: function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.request = null;
+                        $inspector.find('.zdm-prompt-loading').hide();
+                    }
+                }
+            });
+        },
+
+        /**
+         * Show the prompt's ingredients
+         */
+        render: function(data) {
+            var strings = this.settings.strings;
+            var $inspector = $('#zdm-prompt-inspector');
+            var $fields = $inspector.find('.zdm-prompt-fields tbody').empty();
+            var $messages = $inspector.find('.zdm-prompt-messages').empty();
+            var $redactions;
+            var included = 0;
+
+            $.each(data.ticket, function(label, value) {
+                if (value) {
+                    $fields.append($('<tr></tr>').append(
+                        $('<th scope="row"></th>').text(label),
+                        $('<td></td>').text(value)
+                    ));
+                }
+            });
+
+            $.each(data.messages, function(index, message) {
+                var $check = $('<input type="checkbox" class="zdm-prompt-message-check">')
+                    .attr('data-id', message.id)
+                    .prop('checked', message.included);
+
+                included += message.included ? 1 : 0;
+
+                $messages.append($('<li></li>').toggleClass('zdm-prompt-message-customer', message.customer).append(
+                    $('<label></label>').append(
+                        $check,
+                        ' ',
+                        $('<strong></strong>').text((message.customer ? strings.customer : strings.agent) + ' · ' + message.author),
+                        ' ',
+                        $('<span class="zdm-prompt-message-time"></span>').text(message.time ? new Date(message.time).toLocaleString() : ''),
+                        $('<span class="zdm-prompt-message-excerpt"></span>').text(message.excerpt)
+                    )
+                ));
+            });
+
+            if (!data.messages.length) {
+                $messages.append($('<li></li>').text(strings.no_messages));
+            }
+
+            $inspector.find('.zdm-prompt-count').text('(' + strings.included.replace('%1$d', included).replace('%2$d', data.messages.length) + ')');
+            $redactions = $inspector.find('.zdm-prompt-redactions ul').empty();
+            $.each(data.redactions, function(index, redaction) {
+                $redactions.append($('<li></li>').append(
+                    $('<code></code>').text(redaction.placeholder),
+                    ' ',
+                    document.createTextNode(redaction.value)
+                ));
+            });
+            $inspector.find('.zdm-prompt-redactions').toggle(data.redactions.length > 0);
+
+            $inspector.find('.zdm-prompt-system').text(data.system);
+            $inspector.find('.zdm-prompt-user').text(data.user);
+
+            if (!this.instructionsEdited) {
+                $('#zdm-prompt-instructions').val(data.instructions);
+            }
+
+            // Suggest the current selection's size for a new preset
+            if (this.customized) {
+                $('#zdm-prompt-preset-limit').val(included);
+            }
+        },
+
+        /**
+         * Save the current options as a team preset
+         */
+        savePreset: function() {
+            var self = this;
+            var strings = this.settings.strings;
+            var name = $.trim($('#zdm-prompt-preset-name').val());
+            var current = this.findPreset($('#zdm-prompt-preset').val());
+            var clash = null;
+
+            if (!name) {
+                window.alert(strings.name_required);
+                return;
+            }
+
+            $.each(this.presets, function(index, preset) {
+                if (preset.name.toLowerCase() === name.toLowerCase()) {
+                    clash = preset;
+                    return false;
+                }
+            });
+
+            if (clash && clash !== current && !window.confirm(strings.overwrite.replace('%s', clash.name))) {
+                return;
+            }
+
+            this.post('zdm_save_prompt_preset', {
+                name: name,
+                response_type: $('#zdm-response-type').val(),
+                tone: $('#zdm-response-tone').val(),
+                instructions: $('#zdm-prompt-instructions').val(),
+                message_limit: $('#zdm-prompt-preset-limit').val()
+            }).done(function(data) {
+                self.presets = data.presets;
+                self.renderPresets(data.preset.id);
+                self.applyPreset(data.preset.id);
+                window.ZDM_Draft.showStatus(strings.saved.replace('%s', data.preset.name), 'success');
+            });
+        },
+
+        /**
+         * Delete the selected preset for everyone
+         */
+        deletePreset: function() {
+            var self = this;
+            var preset = this.findPreset($('#zdm-prompt-preset').val());
+
+            if (!preset || !window.confirm(this.settings.strings.confirm_delete.replace('%s', preset.name))) {
+                return;
+            }
+
+            this.post('zdm_delete_prompt_preset', { id: preset.id }).done(function(data) {
+                self.presets = data.presets;
+                self.renderPresets('');
+                self.applyPreset('');
+                window.ZDM_Draft.showStatus(self.settings.strings.deleted, 'success');
+            });
+        },
+
+        /**
+         * Post to a preset endpoint, reporting failures in the draft status
+         *
+         * @return {Promise} Resolves with the response data
+         */
+        post: function(action, data) {
+            var self = this;
+            var deferred = $.Deferred();
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: $.extend({}, data, { action: action, nonce: this.settings.nonce }),
+                success: function(response) {
+                    if (response && response.success) {
+                        deferred.resolve(response.data);
+                    } else {
+                        window.ZDM_Draft.showStatus((response && response.data && response.data.message) || self.settings.strings.network_error, 'error');
+                        deferred.reject();
+                    }
+                },
+                error: function() {
+                    window.ZDM_Draft.showStatus(self.settings.strings.network_error, 'error');
+                    deferred.reject();
+                }
+            });
+
+            return deferred.promise();
+        }
+    };
+
+    window.ZDM_Prompt_Inspector = ZDM_Prompt_Inspector;
+
+    $(document).ready(function() {
+        if ($('#zdm-prompt-inspector').length && window.ZDM_Draft) {
+            ZDM_Prompt_Inspector.init();
+        }
+    });
+
+})(jQuery);
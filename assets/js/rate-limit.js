@@ -0,0 +1,279 @@
+/**
+ * Rate Limit for Zoho Desk Manager
+ * Reads the Zoho Desk API rate-limit state sent with every plugin AJAX
+ * response, shows the remaining calls in the admin bar and holds back
+ * requests until the limit resets, telling the agent what is waiting
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Rate_Limit = {
+        settings: {},
+        limit: 0,
+        left: 0,
+        resetAt: 0,
+        queue: [],
+        timer: null,
+
+        /**
+         * Start from the state the page was rendered with and follow every
+         * AJAX response after that
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = window.zdm_rate_limit;
+            this.update(this.settings.limit, this.settings.remaining, this.settings.reset);
+
+            $(document).ajaxComplete(function(e, xhr) {
+                self.readXhr(xhr);
+            });
+        },
+
+        /**
+         * Update from a jQuery AJAX response
+         */
+        readXhr: function(xhr) {
+            this.read(function(name) {
+                return xhr.getResponseHeader(name);
+            });
+        },
+
+        /**
+         * Update from a fetch() response, e.g. a streamed AI draft
+         */
+        readFetch: function(response) {
+            this.read(function(name) {
+                return response.headers.get(name);
+            });
+        },
+
+        /**
+         * Update from the X-ZDM-RateLimit-* headers, if the response has them
+         *
+         * @param {Function} header Returns a header value by name
+         */
+        read: function(header) {
+            var remaining = header('X-ZDM-RateLimit-Remaining');
+
+            if (remaining === null || remaining === undefined) {
+                return;
+            }
+
+            this.update(header('X-ZDM-RateLimit-Limit'), remaining, header('X-ZDM-RateLimit-Reset'));
+        },
+
+        /**
+         * Store a new state and let the page know
+         *
+         * @param {Number} limit Calls per minute
+         * @param {Number} remaining Calls left this minute
+         * @param {Number} reset Seconds until the minute is over
+         */
+        update: function(limit, remaining, reset) {
+            this.limit = parseInt(limit, 10) || this.limit;
+            this.left = Math.max(0, parseInt(remaining, 10) || 0);
+            this.resetAt = Date.now() + (parseInt(reset, 10) || 0) * 1000;
+
+            this.render();
+            this.startTimer();
+            $(document).trigger('zdm-rate-limit', [this.getState()]);
+        },
+
+        /**
+         * Current state: limit, remaining and reset (seconds)
+         */
+        getState: function() {
+            return { limit: this.limit, remaining: this.remaining(), reset: this.secondsToReset() };
+        },
+
+        /**
+         * Calls left, counting a passed reset as a full minute's worth
+         */
+        remaining: function() {
+            return this.secondsToReset() > 0 ? this.left : this.limit;
+        },
+
+        /**
+         * Seconds until the limit resets
+         */
+        secondsToReset: function() {
+            return Math.max(0, Math.ceil((this.resetAt - Date.now()) / 1000));
+        },
+
+        /**
+         * Whether background requests should wait for the reset
+         */
+        isLow: function() {
+            return this.remaining() <= this.settings.low;
+        },
+
+        /**
+         * Whether nothing more will get through until the reset
+         */
+        isExhausted: function() {
+            return this.remaining() <= 0;
+        },
+
+        /**
+         * Run a non-urgent request now, or once the limit resets if calls
+         * are low; a newer request with the same key replaces a waiting one
+         *
+         * @param {String} key Identifies the request, e.g. 'ticket-list-refresh'
+         * @param {String} label What is waiting, shown to the agent
+         * @param {Function} fn Makes the request
+         * @return {jQuery.Promise} Settles with the result of fn
+         */
+        defer: function(key, label, fn) {
+            return this.schedule(key, label, fn, false);
+        },
+
+        /**
+         * Run an urgent request now, or once the limit resets if it is used up
+         *
+         * @see defer
+         */
+        whenAvailable: function(key, label, fn) {
+            return this.schedule(key, label, fn, true);
+        },
+
+        /**
+         * Run or queue a request
+         */
+        schedule: function(key, label, fn, urgent) {
+            var item = null;
+
+            if (!(urgent ? this.isExhausted() : this.isLow())) {
+                return $.when(fn());
+            }
+
+            $.each(this.queue, function(index, waiting) {
+                if (waiting.key === key) {
+                    item = waiting;
+                    return false;
+                }
+            });
+
+            if (item) {
+                item.label = label;
+                item.fn = fn;
+            } else {
+                item = { key: key, label: label, fn: fn, deferred: $.Deferred() };
+                this.queue.push(item);
+            }
+
+            this.startTimer();
+            this.renderNotice();
+
+            return item.deferred.promise();
+        },
+
+        /**
+         * Run a waiting request and take it off the queue
+         */
+        run: function(item) {
+            this.queue = $.grep(this.queue, function(waiting) {
+                return waiting !== item;
+            });
+
+            $.when(item.fn()).then(item.deferred.resolve, item.deferred.reject);
+        },
+
+        /**
+         * Tick once a second while there is a countdown to show
+         */
+        startTimer: function() {
+            var self = this;
+
+            if (this.timer) {
+                return;
+            }
+
+            this.timer = setInterval(function() {
+                self.tick();
+            }, 1000);
+        },
+
+        /**
+         * Update the countdowns and release the queue after the reset
+         */
+        tick: function() {
+            var self = this;
+
+            if (this.secondsToReset() <= 0) {
+                $.each(this.queue.slice(), function(index, item) {
+                    self.run(item);
+                });
+
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+
+            this.render();
+            this.renderNotice();
+        },
+
+        /**
+         * Show the remaining calls in the admin bar
+         */
+        render: function() {
+            var strings = this.settings.strings;
+            var $meter = $('#wp-admin-bar-zdm-rate-limit');
+            var remaining = this.remaining();
+
+            $meter.toggleClass('zdm-rate-limit-low', this.isLow())
+                  .toggleClass('zdm-rate-limit-exhausted', this.isExhausted());
+            $meter.find('.zdm-rate-limit-fill').css('width', (this.limit ? Math.round(remaining / this.limit * 100) : 0) + '%');
+            $meter.find('.zdm-rate-limit-text').text(strings.meter.replace('%1$d', remaining).replace('%2$d', this.limit));
+            $meter.find('.ab-item').attr('title', strings.meter_title
+                .replace('%1$d', remaining)
+                .replace('%2$d', this.limit)
+                .replace('%3$d', this.secondsToReset()));
+        },
+
+        /**
+         * Tell the agent what is waiting for the reset, and why
+         */
+        renderNotice: function() {
+            var self = this;
+            var strings = this.settings.strings;
+            var $notice = $('#zdm-rate-limit-notice');
+            var $list;
+
+            if (!this.queue.length) {
+                $notice.remove();
+                return;
+            }
+
+            if (!$notice.length) {
+                $notice = $('<div id="zdm-rate-limit-notice" role="status"><p></p><ul></ul></div>').appendTo('body');
+            }
+
+            $notice.find('p').text((this.isExhausted() ? strings.exhausted : strings.waiting).replace('%d', this.secondsToReset()));
+            $list = $notice.find('ul').empty();
+
+            $.each(this.queue, function(index, item) {
+                $list.append($('<li></li>').append(
+                    document.createTextNode(item.label + ' '),
+                    $('<button type="button" class="button-link"></button>').text(strings.run_now).on('click', function() {
+                        self.run(item);
+                        self.renderNotice();
+                    })
+                ));
+            });
+        }
+    };
+
+    window.ZDM_Rate_Limit = ZDM_Rate_Limit;
+
+    // Start right away so other modules' ready handlers see the state
+    if (window.zdm_rate_limit) {
+        ZDM_Rate_Limit.init();
+
+        $(document).ready(function() {
+            ZDM_Rate_Limit.render();
+        });
+    }
+
+})(jQuery);
@@ -0,0 +1,336 @@
+/**
+ * Send Queue for Zoho Desk Manager
+ * Shows a countdown toast with an Undo button for replies held in the undo
+ * window, and sends them from the browser when the window is over
+ */
+
+(function($) {
+    'use strict';
+
+    // How long a "sent" toast stays up
+    var SENT_TOAST_TIME = 4000;
+
+    // Wait before asking again when another request is sending the reply
+    var FLUSH_RETRY = 3000;
+
+    var ZDM_Send_Queue = {
+        settings: {},
+        items: {},
+        offset: 0,
+        timer: null,
+        flushing: false,
+        nextFlush: 0,
+        $container: null,
+
+        /**
+         * Show the current user's queued and failed replies
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = window.zdm_send_queue;
+            this.offset = this.settings.now * 1000 - Date.now();
+            this.$container = $('<div id="zdm-send-toasts" class="zdm-send-toasts" aria-live="polite"></div>').appendTo('body');
+
+            this.$container.on('click', '.zdm-send-undo', function(e) {
+                e.preventDefault();
+                self.undo($(this).closest('.zdm-send-toast').data('id'));
+            });
+
+            this.$container.on('click', '.zdm-send-dismiss', function(e) {
+                e.preventDefault();
+                self.dismiss($(this).closest('.zdm-send-toast').data('id'));
+            });
+
+            $.each(this.settings.items, function(index, item) {
+                self.add(item);
+            });
+        },
+
+        /**
+         * Current time on the server, in seconds
+         */
+        now: function() {
+            return (Date.now() + this.offset) / 1000;
+        },
+
+        /**
+         * Track a reply returned by the server
+         */
+        add: function(item) {
+            this.items[item.id] = item;
+            this.render(item);
+
+            if (item.status === 'pending' && !this.timer) {
+                this.timer = setInterval(this.tick.bind(this), 1000);
+            }
+        },
+
+        /**
+         * Update countdowns and send replies whose window is over
+         */
+        tick: function() {
+            var self = this;
+            var pending = 0;
+            var due = false;
+
+            $.each(this.items, function(id, item) {
+                if (item.status !== 'pending') {
+                    return;
+                }
+
+                pending++;
+                due = due || item.send_at <= self.now();
+                self.render(item);
+            });
+
+            if (!pending) {
+                clearInterval(this.timer);
+                this.timer = null;
+                return;
+            }
+
+            if (due && !this.flushing && Date.now() >= this.nextFlush) {
+                this.flush();
+            }
+        },
+
+        /**
+         * Ask the server to send due replies and report on the rest
+         */
+        flush: function() {
+            var self = this;
+
+            this.flushing = true;
+
+            this.post('zdm_flush_send_queue', {}).done(function(data) {
+                self.reconcile(data.items);
+            }).always(function() {
+                self.flushing = false;
+                self.nextFlush = Date.now() + FLUSH_RETRY;
+            });
+        },
+
+        /**
+         * Bring local items in line with the server's queue
+         *
+         * Pending items the server no longer holds were sent, here or by
+         * WP-Cron.
+         */
+        reconcile: function(items) {
+            var self = this;
+            var remaining = {};
+
+            $.each(items, function(index, item) {
+                remaining[item.id] = item;
+
+                // Queued from another tab
+                if (!self.items[item.id]) {
+                    self.add(item);
+                }
+            });
+
+            $.each(this.items, function(id, item) {
+                if (remaining[id]) {
+                    self.items[id] = remaining[id];
+                    self.render(remaining[id]);
+                } else if (item.status === 'pending') {
+                    item.status = 'sent';
+                    self.render(item);
+                    self.remove(id, SENT_TOAST_TIME);
+                }
+            });
+        },
+
+        /**
+         * Take a reply back out of the queue
+         */
+        undo: function(id) {
+            var self = this;
+            var item = this.items[id];
+
+            if (!item || item.status !== 'pending') {
+                return;
+            }
+
+            this.toast(id).find('button').prop('disabled', true);
+
+            this.post('zdm_cancel_send', { id: id }).done(function(data) {
+                delete self.items[id];
+                self.message(id, self.restore(data) ? self.settings.strings.restored : self.settings.strings.cancelled, data.ticket_id);
+                self.remove(id, SENT_TOAST_TIME * 2);
+            }).fail(function() {
+                self.message(id, self.settings.strings.too_late);
+                self.flush();
+            });
+        },
+
+        /**
+         * Put a cancelled reply back into the editor when its ticket is open
+         *
+         * @return {Boolean} Whether the reply could be restored here
+         */
+        restore: function(data) {
+            var $form = $('#zdm-reply-form');
+            var editor = typeof tinyMCE !== 'undefined' && tinyMCE.get('reply_content');
+
+            if (!$form.length || $form.find('input[name="ticket_id"]').val() !== String(data.ticket_id)) {
+                return false;
+            }
+
+            if (editor && !editor.isHidden()) {
+                editor.setContent(data.content);
+            } else {
+                $('#reply_content').val(data.content);
+            }
+
+            $('html, body').animate({
+                scrollTop: $form.offset().top - 100
+            }, 300);
+
+            return true;
+        },
+
+        /**
+         * Forget a failed or not-closed reply the agent has seen
+         */
+        dismiss: function(id) {
+            if (this.items[id] && (this.items[id].status === 'failed' || this.items[id].status === 'not_closed')) {
+                this.post('zdm_dismiss_send', { id: id });
+            }
+
+            delete this.items[id];
+            this.remove(id, 0);
+        },
+
+        /**
+         * Toast element for an item, if shown
+         */
+        toast: function(id) {
+            return this.$container.children().filter(function() {
+                return $(this).data('id') === id;
+            });
+        },
+
+        /**
+         * Draw or update an item's toast
+         */
+        render: function(item) {
+            var strings = this.settings.strings;
+            var $toast = this.toast(item.id);
+            var $actions = $('<span class="zdm-send-toast-actions"></span>');
+            var seconds, text;
+
+            if (!$toast.length) {
+                $toast = $('<div class="zdm-send-toast" role="status"></div>').data('id', item.id).appendTo(this.$container);
+            }
+
+            if (item.status === 'pending') {
+                seconds = Math.ceil(item.send_at - this.now());
+                text = seconds > 0 ?
+                    (item.close ? strings.sending_close : strings.sending).replace('%1$s', item.label).replace('%2$d', seconds) :
+                    strings.sending_now.replace('%s', item.label);
+
+                if (seconds > 0) {
+                    $actions.append($('<button type="button" class="button button-small zdm-send-undo"></button>').text(strings.undo));
+                }
+            } else if (item.status === 'failed' || item.status === 'not_closed') {
+                text = item.status === 'failed' ?
+                    strings.failed.replace('%1$s', item.label).replace('%2$s', item.error) :
+                    strings.not_closed.replace('%s', item.label);
+                $actions.append(
+                    this.ticketLink(item.ticket_id),
+                    ' ',
+                    $('<button type="button" class="button button-small zdm-send-dismiss"></button>').text(strings.dismiss)
+                );
+            } else {
+                text = strings.sent.replace('%s', item.label);
+            }
+
+            // Re-rendering every second would steal focus from the button
+            if ($toast.find('.zdm-send-toast-text').text() === text && $toast.hasClass('zdm-send-toast-' + item.status)) {
+                return;
+            }
+
+            $toast.attr('class', 'zdm-send-toast zdm-send-toast-' + item.status).empty().append(
+                $('<span class="zdm-send-toast-text"></span>').text(text),
+                $actions
+            );
+        },
+
+        /**
+         * Replace a toast's content with a message
+         */
+        message: function(id, text, ticketId) {
+            var $toast = this.toast(id);
+            var $actions = $('<span class="zdm-send-toast-actions"></span>');
+
+            if (ticketId) {
+                $actions.append(this.ticketLink(ticketId));
+            }
+
+            $toast.attr('class', 'zdm-send-toast zdm-send-toast-info').empty().append(
+                $('<span class="zdm-send-toast-text"></span>').text(text),
+                $actions
+            );
+        },
+
+        /**
+         * Link to a ticket's page
+         */
+        ticketLink: function(ticketId) {
+            return $('<a class="button button-small"></a>')
+                .attr('href', this.settings.ticket_url + encodeURIComponent(ticketId))
+                .text(this.settings.strings.open);
+        },
+
+        /**
+         * Remove a toast after a delay
+         */
+        remove: function(id, delay) {
+            var self = this;
+
+            setTimeout(function() {
+                self.toast(id).fadeOut(200, function() {
+                    $(this).remove();
+                });
+            }, delay);
+        },
+
+        /**
+         * Post to a queue endpoint
+         *
+         * @return {Promise} Resolves with the response data
+         */
+        post: function(action, data) {
+            var deferred = $.Deferred();
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: $.extend({ action: action, nonce: this.settings.nonce }, data),
+                success: function(response) {
+                    if (response && response.success) {
+                        deferred.resolve(response.data);
+                    } else {
+                        deferred.reject(response && response.data);
+                    }
+                },
+                error: function() {
+                    deferred.reject();
+                }
+            });
+
+            return deferred.promise();
+        }
+    };
+
+    window.ZDM_Send_Queue = ZDM_Send_Queue;
+
+    $(document).ready(function() {
+        if (window.zdm_send_queue) {
+            ZDM_Send_Queue.init();
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,391 @@
+/**
+ * Keyboard Shortcut Registry for Zoho Desk Manager
+ * Every plugin script registers its shortcuts here; bindings are scoped,
+ * user-configurable and listed in the "?" overlay
+ */
+
+(function($) {
+    'use strict';
+
+    var MODIFIERS = ['control', 'meta', 'alt', 'shift'];
+    var IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+
+    var ZDM_Shortcuts = {
+        shortcuts: {},
+        order: [],
+        settings: {},
+        capturing: null,
+
+        /**
+         * Initialize the registry
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = $.extend({
+                bindings: {},
+                strings: {}
+            }, window.zdm_shortcuts || {});
+
+            this.strings = $.extend({
+                title: 'Keyboard Shortcuts',
+                help: 'Click a key to change it, then press the new combination. Esc cancels, Backspace disables.',
+                press_keys: 'Press keys…',
+                disabled: 'Disabled',
+                reset: 'Reset to defaults',
+                close: 'Close',
+                saved: 'Shortcuts saved',
+                conflict: 'Already used by "%s"'
+            }, this.settings.strings);
+
+            $(document).on('keydown.zdmShortcuts', function(e) {
+                self.handle(e);
+            });
+
+            this.register('help.overlay', {
+                keys: '?',
+                group: 'General',
+                description: 'Show keyboard shortcuts',
+                handler: function() {
+                    self.toggleOverlay();
+                }
+            });
+        },
+
+        /**
+         * Register a shortcut
+         *
+         * @param {String} id Unique ID, used to persist custom bindings
+         * @param {Object} options keys (default combination, e.g. "mod+s"),
+         *     description, group, handler, when (function returning whether
+         *     the shortcut applies on this screen right now) and within (a
+         *     selector the focus must be inside; also lets the shortcut fire
+         *     while typing in fields there)
+         */
+        register: function(id, options) {
+            if (!this.shortcuts[id]) {
+                this.order.push(id);
+            }
+
+            this.shortcuts[id] = $.extend({
+                id: id,
+                keys: '',
+                description: id,
+                group: 'General',
+                when: null,
+                within: null,
+                handler: $.noop
+            }, options);
+        },
+
+        /**
+         * Current key combination for a shortcut, honouring user bindings
+         */
+        getKeys: function(id) {
+            if (Object.prototype.hasOwnProperty.call(this.settings.bindings, id)) {
+                return this.settings.bindings[id];
+            }
+            return this.shortcuts[id] ? this.shortcuts[id].keys : '';
+        },
+
+        /**
+         * Turn a keydown event into a combination string like "mod+shift+k"
+         */
+        normalize: function(e) {
+            var key = e.key || '';
+            var parts = [];
+
+            if (!key || $.inArray(key.toLowerCase(), MODIFIERS) !== -1) {
+                return '';
+            }
+
+            // Use the physical key for letters and digits so Alt/Option
+            // combinations aren't turned into special characters
+            if (/^Key[A-Z]$/.test(e.code)) {
+                key = e.code.slice(3).toLowerCase();
+            } else if (/^Digit\d$/.test(e.code)) {
+                key = e.code.slice(5);
+            } else {
+                key = key.toLowerCase();
+            }
+
+            if (e.ctrlKey || e.metaKey) {
+                parts.push('mod');
+            }
+            if (e.altKey) {
+                parts.push('alt');
+            }
+            // Shift is implied by symbols such as "?"
+            if (e.shiftKey && (key.length > 1 || /[a-z0-9]/.test(key))) {
+                parts.push('shift');
+            }
+
+            parts.push(key);
+            return parts.join('+');
+        },
+
+        /**
+         * Whether an element accepts typing
+         */
+        isEditable: function(element) {
+            var $el = $(element);
+            return $el.is('input, textarea, select, [contenteditable="true"]') || element.isContentEditable;
+        },
+
+        /**
+         * Dispatch a keydown to the matching shortcut
+         */
+        handle: function(e) {
+            var self = this;
+            var combo = this.normalize(e);
+            var editable = this.isEditable(e.target);
+            var matched = null;
+
+            if (!combo || this.capturing) {
+                return;
+            }
+
+            $.each(this.order, function(index, id) {
+                var shortcut = self.shortcuts[id];
+
+                if (self.getKeys(id) !== combo) {
+                    return;
+                }
+                if (shortcut.within) {
+                    if (!$(e.target).closest(shortcut.within).length) {
+                        return;
+                    }
+                } else if (editable) {
+                    return;
+                }
+                if (shortcut.when && !shortcut.when()) {
+                    return;
+                }
+
+                matched = shortcut;
+                return false;
+            });
+
+            if (matched) {
+                e.preventDefault();
+                matched.handler(e);
+            }
+        },
+
+        /**
+         * Format a combination for display
+         */
+        format: function(keys) {
+            if (!keys) {
+                return this.strings.disabled;
+            }
+
+            return $.map(keys.split('+'), function(part) {
+                switch (part) {
+                    case 'mod':
+                        return IS_MAC ? '⌘' : 'Ctrl';
+                    case 'alt':
+                        return IS_MAC ? '⌥' : 'Alt';
+                    case 'shift':
+                        return 'Shift';
+                    case 'enter':
+                        return 'Enter';
+                    case 'escape':
+                        return 'Esc';
+                    default:
+                        return part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1);
+                }
+            }).join(IS_MAC ? '' : '+');
+        },
+
+        /**
+         * Show or hide the shortcut overlay
+         */
+        toggleOverlay: function() {
+            if ($('#zdm-shortcuts-overlay').length) {
+                this.closeOverlay();
+            } else {
+                this.openOverlay();
+            }
+        },
+
+        /**
+         * Render the overlay listing every shortcut on this screen
+         */
+        openOverlay: function() {
+            var self = this;
+            var groups = {};
+            var groupOrder = [];
+
+            $.each(this.order, function(index, id) {
+                var shortcut = self.shortcuts[id];
+                if (!groups[shortcut.group]) {
+                    groups[shortcut.group] = [];
+                    groupOrder.push(shortcut.group);
+                }
+                groups[shortcut.group].push(shortcut);
+            });
+
+            var $overlay = $(
+                '<div id="zdm-shortcuts-overlay">' +
+                    '<div class="zdm-shortcuts-dialog" role="dialog" aria-modal="true">' +
+                        '<div class="zdm-shortcuts-header"><h2></h2>' +
+                        '<button type="button" class="button-link zdm-shortcuts-close"><span class="dashicons dashicons-no-alt"></span></button></div>' +
+                        '<p class="description"></p>' +
+                        '<div class="zdm-shortcuts-groups"></div>' +
+                        '<p class="zdm-shortcuts-message"></p>' +
+                        '<div class="zdm-shortcuts-footer">' +
+                            '<button type="button" class="button zdm-shortcuts-reset"></button> ' +
+                            '<button type="button" class="button button-primary zdm-shortcuts-close"></button>' +
+                        '</div>' +
+                    '</div>' +
+                '</div>'
+            );
+
+            $overlay.find('h2').text(this.strings.title);
+            $overlay.find('.description').text(this.strings.help);
+            $overlay.find('.zdm-shortcuts-reset').text(this.strings.reset);
+            $overlay.find('.zdm-shortcuts-footer .zdm-shortcuts-close').text(this.strings.close);
+
+            $.each(groupOrder, function(index, group) {
+                var $group = $('<div class="zdm-shortcuts-group"><h3></h3><table></table></div>');
+                $group.find('h3').text(group);
+
+                $.each(groups[group], function(i, shortcut) {
+                    var available = !shortcut.when || shortcut.when();
+                    var $row = $('<tr><td class="zdm-shortcut-description"></td><td><button type="button" class="zdm-shortcut-keys"></button></td></tr>');
+
+                    $row.toggleClass('zdm-shortcut-unavailable', !available);
+                    $row.find('.zdm-shortcut-description').text(shortcut.description);
+                    $row.find('.zdm-shortcut-keys').attr('data-shortcut', shortcut.id).text(self.format(self.getKeys(shortcut.id)));
+                    $group.find('table').append($row);
+                });
+
+                $overlay.find('.zdm-shortcuts-groups').append($group);
+            });
+
+            $overlay.on('click', function(e) {
+                if (e.target === this) {
+                    self.closeOverlay();
+                }
+            });
+            $overlay.on('click', '.zdm-shortcuts-close', function() {
+                self.closeOverlay();
+            });
+            $overlay.on('click', '.zdm-shortcut-keys', function() {
+                self.capture($(this));
+            });
+            $overlay.on('click', '.zdm-shortcuts-reset', function() {
+                self.settings.bindings = {};
+                self.save();
+                self.closeOverlay();
+                self.openOverlay();
+            });
+
+            $(document).on('keydown.zdmShortcutsOverlay', function(e) {
+                if (e.keyCode === 27 && !self.capturing) {
+                    self.closeOverlay();
+                }
+            });
+
+            $('body').append($overlay);
+            $overlay.find('.zdm-shortcuts-footer .zdm-shortcuts-close').trigger('focus');
+        },
+
+        /**
+         * Remove the overlay
+         */
+        closeOverlay: function() {
+            this.capturing = null;
+            $(document).off('keydown.zdmShortcutsOverlay keydown.zdmShortcutsCapture');
+            $('#zdm-shortcuts-overlay').remove();
+        },
+
+        /**
+         * Record the next key combination for a shortcut
+         */
+        capture: function($button) {
+            var self = this;
+            var id = $button.data('shortcut');
+
+            $(document).off('keydown.zdmShortcutsCapture');
+            $('.zdm-shortcut-keys.is-capturing').removeClass('is-capturing').each(function() {
+                $(this).text(self.format(self.getKeys($(this).data('shortcut'))));
+            });
+
+            this.capturing = id;
+            $button.addClass('is-capturing').text(this.strings.press_keys);
+
+            $(document).on('keydown.zdmShortcutsCapture', function(e) {
+                var combo = self.normalize(e);
+                var conflict = null;
+
+                if (!combo) {
+                    return;
+                }
+
+                e.preventDefault();
+                e.stopPropagation();
+
+                if (combo !== 'escape') {
+                    combo = combo === 'backspace' ? '' : combo;
+
+                    $.each(self.order, function(index, otherId) {
+                        if (combo && otherId !== id && self.getKeys(otherId) === combo) {
+                            conflict = self.shortcuts[otherId];
+                            return false;
+                        }
+                    });
+
+                    if (conflict) {
+                        $('#zdm-shortcuts-overlay .zdm-shortcuts-message').text(self.strings.conflict.replace('%s', conflict.description));
+                        return;
+                    }
+
+                    self.settings.bindings[id] = combo;
+                    self.save();
+                }
+
+                $(document).off('keydown.zdmShortcutsCapture');
+                self.capturing = null;
+                $button.removeClass('is-capturing').text(self.format(self.getKeys(id)));
+            });
+        },
+
+        /**
+         * Persist the user's custom bindings
+         */
+        save: function() {
+            var self = this;
+            var overrides = {};
+
+            // Only store bindings that differ from the defaults
+            $.each(this.settings.bindings, function(id, keys) {
+                if (!self.shortcuts[id] || self.shortcuts[id].keys !== keys) {
+                    overrides[id] = keys;
+                }
+            });
+            this.settings.bindings = overrides;
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'zdm_save_shortcuts',
+                    bindings: JSON.stringify(overrides),
+                    nonce: this.settings.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $('#zdm-shortcuts-overlay .zdm-shortcuts-message').text(self.strings.saved);
+                    }
+                }
+            });
+        }
+    };
+
+    window.ZDM_Shortcuts = ZDM_Shortcuts;
+
+    ZDM_Shortcuts.init();
+
+})(jQuery);
@@ -0,0 +1,150 @@
+/**
+ * SLA Countdowns for Zoho Desk Manager
+ * Ticks every .zdm-sla element down to its deadline and escalates its
+ * colour as the deadline approaches
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_SLA = {
+        settings: {},
+
+        /**
+         * Start ticking
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = $.extend(true, {
+                thresholds: { warning: 14400, critical: 3600 },
+                strings: {
+                    response: 'Response',
+                    resolution: 'Resolution',
+                    breached: '%s overdue'
+                }
+            }, window.zdm_sla || {});
+
+            this.tick();
+            setInterval(function() {
+                self.tick();
+            }, 1000);
+        },
+
+        /**
+         * Create a countdown element
+         *
+         * @param {String} due Deadline timestamp
+         * @param {String} type 'response' or 'resolution'
+         * @return {jQuery}
+         */
+        element: function(due, type) {
+            var $el = $('<span class="zdm-sla"></span>').attr({
+                'data-sla-due': due,
+                'data-sla-type': type
+            });
+
+            this.update($el[0]);
+            return $el;
+        },
+
+        /**
+         * Update every countdown on the page
+         */
+        tick: function() {
+            var self = this;
+
+            $('.zdm-sla[data-sla-due]').each(function() {
+                self.update(this);
+            });
+        },
+
+        /**
+         * Update a single countdown
+         */
+        update: function(el) {
+            var due = new Date(el.getAttribute('data-sla-due')).getTime();
+            var type = el.getAttribute('data-sla-type');
+            var remaining, text, className;
+
+            if (isNaN(due)) {
+                return;
+            }
+
+            remaining = due - Date.now();
+            text = (this.settings.strings[type] || type) + ': ' + (remaining < 0 ?
+                this.settings.strings.breached.replace('%s', this.format(-remaining)) :
+                this.format(remaining));
+            className = 'zdm-sla zdm-sla-' + this.state(remaining);
+
+            // Skip DOM writes when nothing visible changed
+            if (el.textContent !== text) {
+                el.textContent = text;
+            }
+            if (el.className !== className) {
+                el.className = className;
+                el.title = new Date(due).toLocaleString();
+            }
+        },
+
+        /**
+         * Escalation level for the time left
+         *
+         * @return {String} 'ok', 'warning', 'critical' or 'breached'
+         */
+        state: function(remaining) {
+            if (remaining < 0) {
+                return 'breached';
+            }
+            if (remaining < this.settings.thresholds.critical * 1000) {
+                return 'critical';
+            }
+            if (remaining < this.settings.thresholds.warning * 1000) {
+                return 'warning';
+            }
+            return 'ok';
+        },
+
+        /**
+         * Format a duration, showing seconds only in the last hour
+         */
+        format: function(ms) {
+            var seconds = Math.floor(ms / 1000);
+            var days = Math.floor(seconds / 86400);
+            var hours = Math.floor(seconds % 86400 / 3600);
+            var minutes = Math.floor(seconds % 3600 / 60);
+
+            if (days > 0) {
+                return days + 'd ' + hours + 'h';
+            }
+            if (hours > 0) {
+                return hours + 'h ' + minutes + 'm';
+            }
+            return minutes + 'm ' + ('0' + seconds % 60).slice(-2) + 's';
+        },
+
+        /**
+         * Earliest upcoming deadline among timestamps, or null
+         */
+        nextDeadline: function(dates) {
+            var now = Date.now();
+            var next = null;
+
+            $.each(dates, function(index, value) {
+                var time = value ? new Date(value).getTime() : NaN;
+                if (!isNaN(time) && time > now && (next === null || time < next)) {
+                    next = time;
+                }
+            });
+
+            return next;
+        }
+    };
+
+    window.ZDM_SLA = ZDM_SLA;
+
+    $(document).ready(function() {
+        ZDM_SLA.init();
+    });
+
+})(jQuery);
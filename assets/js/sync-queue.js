@@ -0,0 +1,436 @@
+/**
+ * Offline Sync Queue for Zoho Desk Manager
+ * Persists outbound draft saves and status changes while the network is
+ * unavailable and replays them with backoff once it returns
+ */
+
+(function($) {
+    'use strict';
+
+    // How long a tab may hold an item it is sending; longer than the request timeout
+    var CLAIM_TTL = 35000;
+
+    var ZDM_Sync_Queue = {
+        settings: {},
+        tabId: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        deferreds: {},
+        inFlight: {},
+        retryTimer: null,
+
+        /**
+         * Initialize the queue and replay anything left from earlier pages
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = $.extend({
+                ajax_url: window.ajaxurl,
+                site_id: 1,
+                user_id: 0,
+                nonces: {},
+                max_delay: 60,
+                strings: {}
+            }, window.zdm_sync_queue || {});
+
+            this.storageKey = ['zdm', this.settings.site_id, this.settings.user_id, 'sync-queue'].join(':');
+
+            $(window).on('online', function() {
+                // Connectivity is back, so retry immediately
+                self.flush(true);
+            });
+
+            // Another tab changed the queue
+            $(window).on('storage', function(e) {
+                if (e.originalEvent.key === self.storageKey) {
+                    self.updateIndicator();
+                }
+            });
+
+            $(document).ready(function() {
+                self.updateIndicator();
+                self.flush(true);
+            });
+        },
+
+        /**
+         * Send a request through the queue
+         *
+         * The returned promise resolves with the JSON response, rejects with
+         * an error message for permanent failures, and notifies 'queued' when
+         * the request is held for a later retry, or 'rate_limited' when it
+         * waits for the Zoho Desk API limit to reset. A newer request with
+         * the same dedupeKey replaces a pending one and settles its promise
+         * as well.
+         *
+         * @param {String} action AJAX action
+         * @param {Object} data Request data without nonce
+         * @param {Object} options dedupeKey, label, and rateLimited for
+         *     actions that call the Zoho Desk API
+         * @return {jQuery.Promise}
+         */
+        send: function(action, data, options) {
+            options = options || {};
+
+            var item = {
+                id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+                action: action,
+                data: data,
+                dedupeKey: options.dedupeKey || null,
+                label: options.label || action,
+                rateLimited: !!options.rateLimited,
+                attempts: 0,
+                nextAttempt: 0,
+                createdAt: Date.now()
+            };
+            var self = this;
+            var deferred = $.Deferred();
+            var queue = this.load();
+
+            this.deferreds[item.id] = deferred;
+
+            if (item.dedupeKey) {
+                queue = $.grep(queue, function(pending) {
+                    if (pending.dedupeKey === item.dedupeKey) {
+                        self.supersede(pending.id, deferred);
+                        return false;
+                    }
+                    return true;
+                });
+            }
+
+            queue.push(item);
+            this.save(queue);
+            this.attempt(item);
+
+            return deferred.promise();
+        },
+
+        /**
+         * Hand a superseded request's callbacks over to its replacement
+         */
+        supersede: function(id, replacement) {
+            var previous = this.deferreds[id];
+
+            if (previous) {
+                replacement.done(previous.resolve).fail(previous.reject);
+                delete this.deferreds[id];
+            }
+        },
+
+        /**
+         * Try to deliver a single queued item
+         */
+        attempt: function(item) {
+            var self = this;
+
+            if (this.inFlight[item.id]) {
+                return;
+            }
+
+            if (this.limitReached(item)) {
+                this.holdForLimit(item);
+                return;
+            }
+
+            // Every open tab flushes the shared queue; only one may send each item
+            if (!this.claim(item)) {
+                this.scheduleRetry();
+                return;
+            }
+
+            this.inFlight[item.id] = true;
+            this.updateIndicator();
+
+            $.ajax({
+                url: this.settings.ajax_url,
+                type: 'POST',
+                dataType: 'json',
+                timeout: 30000,
+                data: $.extend({}, item.data, {
+                    action: item.action,
+                    nonce: this.settings.nonces[item.action]
+                }),
+                success: function(response, textStatus, xhr) {
+                    delete self.inFlight[item.id];
+
+                    if (window.ZDM_Rate_Limit) {
+                        window.ZDM_Rate_Limit.readXhr(xhr);
+                    }
+
+                    if (response && response.success) {
+                        self.complete(item, 'resolve', response);
+                    } else if (self.limitReached(item)) {
+                        // Zoho refused it for the rate limit; it will get through after the reset
+                        self.holdForLimit(item);
+                    } else {
+                        self.complete(item, 'reject', response && response.data ? response.data : 'Request failed');
+                    }
+                },
+                error: function(xhr, textStatus) {
+                    delete self.inFlight[item.id];
+
+                    // Offline, timed out or server hiccup: keep it for later
+                    if (xhr.status === 0 || xhr.status >= 500 || textStatus === 'timeout') {
+                        self.defer(item);
+                    } else {
+                        self.complete(item, 'reject', 'Request rejected (' + xhr.status + ')');
+                    }
+                }
+            });
+        },
+
+        /**
+         * Mark an item in storage as being sent by this tab
+         *
+         * @return {Boolean} False when it was sent already or another tab
+         *     is sending it
+         */
+        claim: function(item) {
+            var self = this;
+            var queue = this.load();
+            var now = Date.now();
+            var stored = null;
+
+            $.each(queue, function(index, pending) {
+                if (pending.id === item.id) {
+                    stored = pending;
+                    return false;
+                }
+            });
+
+            if (!stored || (stored.claimedBy && stored.claimedBy !== this.tabId && stored.claimedUntil > now)) {
+                return false;
+            }
+
+            stored.claimedBy = this.tabId;
+            stored.claimedUntil = now + CLAIM_TTL;
+            this.save(queue);
+
+            // Another tab may have claimed it at the same moment; the last write wins
+            return $.grep(this.load(), function(pending) {
+                return pending.id === item.id && pending.claimedBy === self.tabId;
+            }).length > 0;
+        },
+
+        /**
+         * When an item may be tried again, allowing for another tab's claim
+         */
+        dueAt: function(item) {
+            var claimed = item.claimedBy && item.claimedBy !== this.tabId ? item.claimedUntil : 0;
+
+            return Math.max(item.nextAttempt, claimed);
+        },
+
+        /**
+         * Whether an item has to wait for the Zoho Desk API limit to reset
+         */
+        limitReached: function(item) {
+            return item.rateLimited && !!window.ZDM_Rate_Limit && window.ZDM_Rate_Limit.isExhausted();
+        },
+
+        /**
+         * Send an item once the Zoho Desk API limit resets
+         */
+        holdForLimit: function(item) {
+            var self = this;
+
+            if (this.deferreds[item.id]) {
+                this.deferreds[item.id].notify('rate_limited');
+            }
+
+            window.ZDM_Rate_Limit.whenAvailable('sync:' + item.id, item.label, function() {
+                // Superseded or settled while waiting
+                var pending = $.grep(self.load(), function(queued) {
+                    return queued.id === item.id;
+                });
+
+                if (pending.length) {
+                    self.attempt(pending[0]);
+                }
+            });
+        },
+
+        /**
+         * Remove an item from the queue and settle its promise
+         */
+        complete: function(item, method, value) {
+            var deferred = this.deferreds[item.id];
+
+            this.save($.grep(this.load(), function(pending) {
+                return pending.id !== item.id;
+            }));
+
+            if (deferred) {
+                deferred[method](value);
+                delete this.deferreds[item.id];
+            }
+
+            $(document).trigger('zdm:sync-' + (method === 'resolve' ? 'complete' : 'failed'), [item, value]);
+            this.updateIndicator();
+        },
+
+        /**
+         * Keep an item for a later retry with exponential backoff
+         */
+        defer: function(item) {
+            var self = this;
+            var queue = this.load();
+            var found = false;
+
+            $.each(queue, function(index, pending) {
+                if (pending.id === item.id) {
+                    pending.attempts++;
+                    pending.nextAttempt = Date.now() + self.backoff(pending.attempts) * 1000;
+                    // Any tab may retry it
+                    delete pending.claimedBy;
+                    delete pending.claimedUntil;
+                    found = true;
+                }
+            });
+
+            // Superseded while in flight
+            if (!found) {
+                return;
+            }
+
+            this.save(queue);
+
+            if (this.deferreds[item.id]) {
+                this.deferreds[item.id].notify('queued');
+            }
+
+            this.updateIndicator();
+            this.scheduleRetry();
+        },
+
+        /**
+         * Seconds to wait before the given attempt
+         */
+        backoff: function(attempts) {
+            return Math.min(this.settings.max_delay, Math.pow(2, attempts - 1) * 2);
+        },
+
+        /**
+         * Set a timer for the next due item
+         */
+        scheduleRetry: function() {
+            var self = this;
+            var queue = this.load();
+            var next = null;
+
+            clearTimeout(this.retryTimer);
+
+            $.each(queue, function(index, item) {
+                if (!self.inFlight[item.id] && (next === null || self.dueAt(item) < next)) {
+                    next = self.dueAt(item);
+                }
+            });
+
+            if (next !== null) {
+                this.retryTimer = setTimeout(function() {
+                    self.flush(false);
+                }, Math.max(0, next - Date.now()));
+            }
+        },
+
+        /**
+         * Retry every item that is due, or all of them when forced
+         */
+        flush: function(force) {
+            var self = this;
+            var now = Date.now();
+
+            if (navigator.onLine === false) {
+                this.scheduleRetry();
+                return;
+            }
+
+            $.each(this.load(), function(index, item) {
+                if (force || self.dueAt(item) <= now) {
+                    self.attempt(item);
+                }
+            });
+        },
+
+        /**
+         * Number of queued changes
+         */
+        count: function() {
+            return this.load().length;
+        },
+
+        /**
+         * Read the persisted queue
+         */
+        load: function() {
+            try {
+                return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            } catch (e) {
+                return [];
+            }
+        },
+
+        /**
+         * Persist the queue
+         */
+        save: function(queue) {
+            try {
+                if (queue.length) {
+                    localStorage.setItem(this.storageKey, JSON.stringify(queue));
+                } else {
+                    localStorage.removeItem(this.storageKey);
+                }
+            } catch (e) {
+                // Quota exceeded or storage disabled; the in-page retry still works
+            }
+        },
+
+        /**
+         * Show or hide the pending changes indicator
+         */
+        updateIndicator: function() {
+            var self = this;
+            var queue = this.load();
+            var waiting = $.grep(queue, function(item) {
+                return !self.inFlight[item.id];
+            }).length;
+            var strings = $.extend({
+                pending_one: '1 change pending sync',
+                pending_many: '%d changes pending sync',
+                retry: 'Retry now'
+            }, this.settings.strings);
+            var $indicator = $('#zdm-sync-indicator');
+
+            if (!document.body) {
+                return;
+            }
+
+            if (!waiting) {
+                $indicator.remove();
+                return;
+            }
+
+            if (!$indicator.length) {
+                $indicator = $('<div id="zdm-sync-indicator"><span class="dashicons dashicons-update"></span> ' +
+                    '<span class="zdm-sync-count"></span> ' +
+                    '<button type="button" class="button-link zdm-sync-retry"></button></div>');
+                $indicator.find('.zdm-sync-retry').text(strings.retry).on('click', function() {
+                    self.flush(true);
+                });
+                $('body').append($indicator);
+            }
+
+            $indicator.attr('title', $.map(queue, function(item) {
+                return item.label;
+            }).join('\n'));
+            $indicator.find('.zdm-sync-count').text(
+                waiting === 1 ? strings.pending_one : strings.pending_many.replace('%d', waiting)
+            );
+        }
+    };
+
+    window.ZDM_Sync_Queue = ZDM_Sync_Queue;
+
+    ZDM_Sync_Queue.init();
+
+})(jQuery);
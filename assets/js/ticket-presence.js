@@ -0,0 +1,250 @@
+/**
+ * Ticket Presence for Zoho Desk Manager
+ * Shows who else is on the ticket, keeps the draft lock over the Heartbeat
+ * API and makes sure only one tab in this browser autosaves the draft
+ */
+
+(function($) {
+    'use strict';
+
+    // Typing within this window counts as drafting
+    var DRAFTING_WINDOW = 5 * 60 * 1000;
+
+    var ZDM_Ticket_Presence = {
+        settings: {},
+        tabId: null,
+        channel: null,
+        owner: null,
+        lastEdit: 0,
+        takeover: false,
+        status: null,
+        heldLock: false,
+        lostTo: null,
+
+        /**
+         * Start tracking presence
+         */
+        init: function() {
+            var self = this;
+
+            this.settings = window.zdm_presence;
+            this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+            if ('BroadcastChannel' in window) {
+                this.channel = new BroadcastChannel('zdm:' + this.settings.site_id + ':' + this.settings.user_id + ':ticket:' + this.settings.ticket_id);
+                this.channel.onmessage = function(e) {
+                    self.onMessage(e.data);
+                };
+            }
+
+            $('#zdm-presence').on('click', '.zdm-presence-takeover', function(e) {
+                e.preventDefault();
+                self.takeOver();
+            });
+
+            $(document).on('heartbeat-send', function(e, data) {
+                data.zdm_presence = {
+                    ticket_id: self.settings.ticket_id,
+                    drafting: self.isDrafting() ? 1 : 0,
+                    takeover: self.takeover ? 1 : 0
+                };
+                self.takeover = false;
+            });
+
+            $(document).on('heartbeat-tick', function(e, data) {
+                if (data.zdm_presence) {
+                    self.update(data.zdm_presence);
+                }
+            });
+
+            if (window.wp && wp.heartbeat) {
+                wp.heartbeat.interval(this.settings.interval);
+                wp.heartbeat.connectNow();
+            }
+        },
+
+        /**
+         * Whether this tab is actively writing the draft
+         */
+        isDrafting: function() {
+            return this.owner === this.tabId && Date.now() - this.lastEdit < DRAFTING_WINDOW;
+        },
+
+        /**
+         * Record an edit to the draft in this tab
+         *
+         * @param {String} content Current draft text, mirrored to other tabs
+         */
+        editing: function(content) {
+            var first = !this.isDrafting();
+
+            this.owner = this.tabId;
+            this.lastEdit = Date.now();
+
+            if (this.channel) {
+                this.channel.postMessage({ type: 'editing', tab: this.tabId, content: content });
+            }
+
+            this.render();
+
+            // Claim the lock right away instead of on the next beat
+            if (first && window.wp && wp.heartbeat) {
+                wp.heartbeat.connectNow();
+            }
+        },
+
+        /**
+         * Whether this tab may autosave the draft
+         */
+        canAutosave: function() {
+            if (this.owner && this.owner !== this.tabId) {
+                return false;
+            }
+
+            return !this.status || !this.status.lock || this.status.lock.mine;
+        },
+
+        /**
+         * Handle messages from other tabs on this ticket
+         */
+        onMessage: function(message) {
+            if (!message || message.type !== 'editing' || message.tab === this.tabId) {
+                return;
+            }
+
+            // Another tab is writing; follow along instead of saving over it
+            this.owner = message.tab;
+            $('#zdm-draft-content').val(message.content);
+
+            if (window.ZDM_Draft) {
+                window.ZDM_Draft.isDirty = false;
+                window.ZDM_Draft.updateWordCount();
+            }
+
+            this.render();
+        },
+
+        /**
+         * Claim the draft lock from whoever holds it
+         */
+        takeOver: function() {
+            this.takeover = true;
+            this.owner = this.tabId;
+            this.lastEdit = Date.now();
+            this.lostTo = null;
+
+            if (this.channel) {
+                this.channel.postMessage({ type: 'editing', tab: this.tabId, content: $('#zdm-draft-content').val() });
+            }
+
+            wp.heartbeat.connectNow();
+        },
+
+        /**
+         * Apply the server's view of the ticket
+         */
+        update: function(status) {
+            var lock = status.lock;
+
+            // Someone took the lock while this tab held it
+            if (this.heldLock && lock && !lock.mine) {
+                this.lostTo = lock.name;
+            } else if (lock && lock.mine) {
+                this.lostTo = null;
+            }
+
+            this.heldLock = !!(lock && lock.mine);
+            this.status = status;
+            this.render();
+
+            // Pick up anything held back while another agent had the lock
+            if (this.heldLock && window.ZDM_Draft && window.ZDM_Draft.isDirty) {
+                window.ZDM_Draft.autoSaveDraft();
+            }
+        },
+
+        /**
+         * Reply sent by another agent after this page was opened
+         */
+        newerReply: function() {
+            var reply = this.status && this.status.reply;
+
+            return reply && reply.time > this.settings.loaded_at ? reply : null;
+        },
+
+        /**
+         * Ask before sending over a reply another agent already sent
+         *
+         * @return {Boolean} Whether to go ahead with the send
+         */
+        confirmSend: function() {
+            var reply = this.newerReply();
+
+            if (!reply) {
+                return true;
+            }
+
+            return window.confirm(this.settings.strings.confirm_send
+                .replace('%1$s', reply.name)
+                .replace('%2$s', new Date(reply.time * 1000).toLocaleTimeString()));
+        },
+
+        /**
+         * Show presence, lock state and replies above the ticket
+         */
+        render: function() {
+            var strings = this.settings.strings;
+            var $bar = $('#zdm-presence').empty();
+            var status = this.status || { viewers: [], lock: null };
+            var reply = this.newerReply();
+            var lines = [];
+
+            $.each(status.viewers, function(index, viewer) {
+                lines.push({
+                    text: (viewer.drafting ? strings.drafting : strings.viewing).replace('%s', viewer.name),
+                    type: 'info'
+                });
+            });
+
+            if (status.lock && !status.lock.mine) {
+                lines.push({
+                    text: (this.lostTo ? strings.lost : strings.locked).replace('%s', status.lock.name),
+                    type: 'warning',
+                    takeover: true
+                });
+            } else if (this.owner && this.owner !== this.tabId) {
+                lines.push({ text: strings.other_tab, type: 'info' });
+            }
+
+            if (reply) {
+                lines.push({
+                    text: strings.replied.replace('%1$s', reply.name).replace('%2$s', new Date(reply.time * 1000).toLocaleTimeString()),
+                    type: 'error'
+                });
+            }
+
+            $.each(lines, function(index, line) {
+                var $line = $('<p class="zdm-presence-line"></p>')
+                    .addClass('zdm-presence-' + line.type)
+                    .text(line.text);
+
+                if (line.takeover) {
+                    $line.append(' ', $('<button type="button" class="button button-small zdm-presence-takeover"></button>').text(strings.take_over));
+                }
+
+                $bar.append($line);
+            });
+
+            $bar.toggle(lines.length > 0);
+        }
+    };
+
+    window.ZDM_Ticket_Presence = ZDM_Ticket_Presence;
+
+    $(document).ready(function() {
+        if ($('#zdm-presence').length) {
+            ZDM_Ticket_Presence.init();
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,383 @@
+/**
+ * Live Widget Updates for Zoho Desk Manager
+ * Long-polls for incremental widget updates from one "leader" tab and
+ * shares them with the other open admin tabs over BroadcastChannel
+ */
+
+(function($) {
+    'use strict';
+
+    var LOCK_TTL = 10000;
+    var HEARTBEAT = 3000;
+    var MAX_FAILURES = 3;
+
+    var ZDM_Widget_Live = {
+        settings: {},
+        tabId: null,
+        channel: null,
+        lockKey: null,
+        etag: '',
+        role: null,
+        mode: 'live',
+        running: false,
+        failures: 0,
+        request: null,
+        pollTimer: null,
+        heartbeatTimer: null,
+        nextPoll: null,
+        paused: false,
+
+        /**
+         * Set up the transport
+         *
+         * @param {Object} options etag (version the page was rendered at),
+         *     onUpdate(data) to apply an update and onStatus(status) to
+         *     report the mode ('live' or 'polling'), role ('leader' or
+         *     'follower'), whether updates are paused for the rate limit
+         *     and, when polling or paused, the next poll time
+         */
+        init: function(options) {
+            var self = this;
+
+            this.settings = $.extend({
+                etag: '',
+                onUpdate: $.noop,
+                onStatus: $.noop
+            }, options);
+
+            this.etag = this.settings.etag;
+            this.mode = zdm_widget.long_poll ? 'live' : 'polling';
+            this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2);
+            this.lockKey = 'zdm:' + zdm_widget.site_id + ':' + zdm_widget.user_id + ':widget-leader';
+
+            if ('BroadcastChannel' in window && this.storageAvailable()) {
+                this.channel = new BroadcastChannel('zdm:' + zdm_widget.site_id + ':' + zdm_widget.user_id + ':widget');
+                this.channel.onmessage = function(e) {
+                    self.onMessage(e.data);
+                };
+            }
+
+            $(window).on('pagehide', function() {
+                self.resign();
+            });
+        },
+
+        /**
+         * Whether localStorage can hold the leader lock
+         */
+        storageAvailable: function() {
+            try {
+                window.localStorage.setItem('zdm:test', '1');
+                window.localStorage.removeItem('zdm:test');
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Start receiving updates
+         */
+        start: function() {
+            var self = this;
+
+            if (this.running) {
+                return;
+            }
+
+            this.running = true;
+
+            // Without a channel every tab fetches for itself
+            if (!this.channel) {
+                this.becomeLeader();
+                return;
+            }
+
+            this.elect();
+            this.heartbeatTimer = setInterval(function() {
+                self.elect();
+            }, HEARTBEAT);
+        },
+
+        /**
+         * Stop receiving updates
+         */
+        stop: function() {
+            this.running = false;
+            clearInterval(this.heartbeatTimer);
+            this.resign();
+        },
+
+        /**
+         * Claim or renew the leader lock, or follow the current leader
+         */
+        elect: function() {
+            var lock = this.readLock();
+            var now = Date.now();
+
+            if (!lock || lock.expires < now || lock.id === this.tabId) {
+                this.writeLock({ id: this.tabId, expires: now + LOCK_TTL });
+
+                // Another tab may have claimed it at the same moment; the
+                // next heartbeat settles who keeps it
+                if (this.role !== 'leader') {
+                    this.becomeLeader();
+                }
+            } else if (this.role !== 'follower') {
+                this.becomeFollower();
+            }
+        },
+
+        /**
+         * Read the leader lock
+         */
+        readLock: function() {
+            try {
+                return JSON.parse(window.localStorage.getItem(this.lockKey));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Write the leader lock
+         */
+        writeLock: function(lock) {
+            try {
+                window.localStorage.setItem(this.lockKey, JSON.stringify(lock));
+            } catch (e) {
+                // Storage full; this tab keeps fetching for itself
+            }
+        },
+
+        /**
+         * Fetch updates for every tab
+         */
+        becomeLeader: function() {
+            this.role = 'leader';
+            this.failures = 0;
+            this.reportStatus();
+            this.poll();
+        },
+
+        /**
+         * Rely on another tab's updates
+         */
+        becomeFollower: function() {
+            this.role = 'follower';
+            this.cancelPoll();
+            this.reportStatus();
+        },
+
+        /**
+         * Give up leadership so another tab takes over at once
+         */
+        resign: function() {
+            var lock;
+
+            this.cancelPoll();
+
+            if (this.role === 'leader' && this.channel) {
+                lock = this.readLock();
+                if (lock && lock.id === this.tabId) {
+                    window.localStorage.removeItem(this.lockKey);
+                }
+                this.channel.postMessage({ type: 'leader-gone' });
+            }
+
+            this.role = null;
+        },
+
+        /**
+         * Abort any pending request or timer
+         */
+        cancelPoll: function() {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+            this.nextPoll = null;
+
+            if (this.request) {
+                this.request.abort();
+                this.request = null;
+            }
+        },
+
+        /**
+         * Handle messages from other tabs
+         */
+        onMessage: function(message) {
+            if (!message || !this.running) {
+                return;
+            }
+
+            if (message.type === 'update') {
+                this.receive(message.data);
+            } else if (message.type === 'leader-gone') {
+                this.elect();
+            }
+        },
+
+        /**
+         * Ask the server for changes, holding the request open when live
+         */
+        poll: function() {
+            var self = this;
+            var live = this.mode === 'live';
+
+            if (this.role !== 'leader' || !this.running) {
+                return;
+            }
+
+            this.cancelPoll();
+
+            this.request = this.fetch({ wait: live ? 1 : 0 });
+
+            this.request.done(function() {
+                self.failures = 0;
+            }).fail(function(xhr, status) {
+                if (status === 'abort') {
+                    return;
+                }
+
+                self.failures++;
+
+                // Proxies and hosts that can't hold requests open end up here
+                if (live && self.failures >= MAX_FAILURES) {
+                    self.mode = 'polling';
+                    self.reportStatus();
+                }
+            }).always(function(data, status) {
+                if (status === 'abort' || self.role !== 'leader' || !self.running) {
+                    return;
+                }
+
+                self.request = null;
+                self.schedule(self.mode === 'live' && !self.failures ? 0 : self.delay());
+            });
+        },
+
+        /**
+         * Delay before the next request
+         */
+        delay: function() {
+            if (this.mode === 'live') {
+                // Back off after a failed long-poll
+                return Math.min(30000, 1000 * Math.pow(2, this.failures));
+            }
+            return zdm_widget.refresh_interval;
+        },
+
+        /**
+         * Schedule the next request
+         */
+        schedule: function(delay) {
+            var self = this;
+
+            this.nextPoll = Date.now() + delay;
+            this.reportStatus();
+
+            this.pollTimer = setTimeout(function() {
+                // Polling waits while the tab is hidden; live updates keep
+                // running so hidden leaders still serve other tabs
+                if (self.mode === 'polling' && document.hidden) {
+                    self.schedule(1000);
+                    return;
+                }
+
+                // Leave the last Zoho Desk API calls of the minute to the agent
+                if (window.ZDM_Rate_Limit && window.ZDM_Rate_Limit.isLow()) {
+                    self.paused = true;
+                    self.schedule(window.ZDM_Rate_Limit.secondsToReset() * 1000 + 1000);
+                    return;
+                }
+
+                self.paused = false;
+                self.poll();
+            }, delay);
+        },
+
+        /**
+         * Request an update now, e.g. for the Refresh button
+         *
+         * @param {Object} options wait (long-poll) and force (bypass the
+         *     server cache)
+         * @return {jQuery.Promise} Resolves with the update, with an
+         *     abort() method like jqXHR
+         */
+        fetch: function(options) {
+            var self = this;
+            var xhr, promise;
+
+            options = $.extend({ wait: 0, force: 0 }, options);
+
+            xhr = $.ajax({
+                url: zdm_widget.ajax_url,
+                type: 'POST',
+                timeout: options.wait ? 60000 : 30000,
+                data: {
+                    action: 'zdm_widget_updates',
+                    since: this.etag,
+                    wait: options.wait,
+                    force: options.force,
+                    nonce: zdm_widget.nonce
+                }
+            });
+
+            promise = xhr.then(function(response) {
+                if (!response.success) {
+                    return $.Deferred().reject(null, 'error', response.data).promise();
+                }
+
+                if (response.data.changed) {
+                    self.receive(response.data);
+
+                    if (self.channel) {
+                        self.channel.postMessage({ type: 'update', data: response.data });
+                    }
+                }
+
+                return response.data;
+            });
+
+            promise.abort = function() {
+                xhr.abort();
+            };
+
+            return promise;
+        },
+
+        /**
+         * Apply an update if it follows on from the version shown here
+         */
+        receive: function(data) {
+            if (data.etag === this.etag) {
+                return;
+            }
+
+            // An update computed for another version can't be applied as a
+            // patch; fetch this tab's own changes instead
+            if (!data.full && data.since !== this.etag) {
+                this.fetch();
+                return;
+            }
+
+            this.etag = data.etag;
+            this.settings.onUpdate(data);
+        },
+
+        /**
+         * Report the current mode
+         */
+        reportStatus: function() {
+            this.settings.onStatus({
+                mode: this.mode,
+                role: this.role,
+                paused: this.paused && this.role === 'leader',
+                nextPoll: (this.mode === 'polling' || this.paused) && this.role === 'leader' ? this.nextPoll : null
+            });
+        }
+    };
+
+    window.ZDM_Widget_Live = ZDM_Widget_Live;
+
+})(jQuery);
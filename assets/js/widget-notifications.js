@@ -0,0 +1,300 @@
+/**
+ * Desktop Notifications for Zoho Desk Manager
+ * Notifies once per event (new ticket, ticket turning overdue, customer
+ * reply on one of my tickets), tracked against tickets already seen
+ */
+
+(function($) {
+    'use strict';
+
+    var SEEN_TTL = 7 * 24 * 60 * 60 * 1000;
+    var GROUP_THRESHOLD = 3;
+    var CHECK_INTERVAL = 30000;
+
+    var ZDM_Widget_Notifications = {
+        prefs: {},
+        storeKey: null,
+        tickets: [],
+
+        /**
+         * Initialize notifications
+         */
+        init: function() {
+            var self = this;
+
+            this.prefs = $.extend({
+                new_ticket: true,
+                overdue: true,
+                customer_reply: true,
+                quiet_start: '',
+                quiet_end: ''
+            }, zdm_widget.notifications);
+
+            this.storeKey = 'zdm:' + zdm_widget.site_id + ':' + zdm_widget.user_id + ':notify-seen';
+
+            this.bindEvents();
+            this.renderPermission();
+
+            // Tickets turn overdue without any update from the server
+            setInterval(function() {
+                self.check();
+            }, CHECK_INTERVAL);
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            var self = this;
+
+            $('#zdm-toggle-notify-settings').on('click', function(e) {
+                e.preventDefault();
+                var open = !$('#zdm-notify-settings').is(':visible');
+                $('#zdm-notify-settings').slideToggle(150);
+                $(this).attr('aria-expanded', open ? 'true' : 'false');
+            });
+
+            $('#zdm-notify-settings').on('click', '.zdm-save-notify-settings', function(e) {
+                e.preventDefault();
+                self.savePrefs();
+            });
+
+            $('#zdm-notify-settings').on('click', '.zdm-request-permission', function(e) {
+                e.preventDefault();
+                Notification.requestPermission(function() {
+                    self.renderPermission();
+                });
+            });
+        },
+
+        /**
+         * Describe the browser's permission state
+         */
+        renderPermission: function() {
+            var $status = $('#zdm-notify-settings .zdm-notify-permission');
+            var strings = zdm_widget.strings;
+
+            if (!('Notification' in window)) {
+                $status.text(strings.notify_unsupported);
+                return;
+            }
+
+            $status.text(strings['notify_' + Notification.permission] || '');
+
+            if (Notification.permission === 'default') {
+                $status.append(' ', $('<a href="#" class="zdm-request-permission"></a>').text(strings.notify_enable));
+            }
+        },
+
+        /**
+         * Save the settings form
+         */
+        savePrefs: function() {
+            var self = this;
+            var $form = $('#zdm-notify-settings');
+            var data = {
+                action: 'zdm_save_notification_prefs',
+                nonce: zdm_widget.nonce,
+                quiet_start: $form.find('[name="quiet_start"]').val(),
+                quiet_end: $form.find('[name="quiet_end"]').val()
+            };
+
+            $form.find('input[type="checkbox"]').each(function() {
+                if (this.checked) {
+                    data[this.name] = 1;
+                }
+            });
+
+            $.post(zdm_widget.ajax_url, data, function(response) {
+                if (response.success) {
+                    self.prefs = response.data;
+                    window.ZDM_Widget.showNotification(zdm_widget.strings.saved, 'success');
+                }
+            });
+        },
+
+        /**
+         * Look for new events in the current ticket list
+         *
+         * @param {Array} tickets Every ticket the widget knows about
+         */
+        process: function(tickets) {
+            this.tickets = tickets;
+            this.check();
+        },
+
+        /**
+         * Compare tickets against what was seen before and notify
+         */
+        check: function() {
+            var self = this;
+            var store = this.readStore();
+            var now = Date.now();
+            var email = (zdm_widget.agent_email || '').toLowerCase();
+            var events = [];
+            var seeding = !store.since;
+
+            // Only the tab fetching updates notifies, so each event fires once
+            // however many dashboards are open
+            if (window.ZDM_Widget_Live.role !== 'leader') {
+                return;
+            }
+
+            if (seeding) {
+                store.since = now;
+            }
+
+            $.each(this.tickets, function(index, ticket) {
+                var seen = store.tickets[ticket.id];
+                var overdue = window.ZDM_Widget.isOverdue(ticket);
+                var mine = email && ticket.assignee_email.toLowerCase() === email;
+                var replied = ticket.customer_response_time ? new Date(ticket.customer_response_time).getTime() : 0;
+
+                if (!seen) {
+                    // Tickets created before we started watching aren't new
+                    if (!seeding && new Date(ticket.created_time).getTime() > store.since) {
+                        events.push({ type: 'new_ticket', ticket: ticket });
+                    }
+
+                    store.tickets[ticket.id] = { o: overdue ? 1 : 0, r: replied, t: now };
+                    return;
+                }
+
+                if (overdue && !seen.o) {
+                    events.push({ type: 'overdue', ticket: ticket });
+                }
+                if (mine && replied > seen.r) {
+                    events.push({ type: 'customer_reply', ticket: ticket });
+                }
+
+                seen.o = overdue ? 1 : 0;
+                seen.r = Math.max(seen.r, replied);
+                seen.t = now;
+            });
+
+            // Forget tickets not seen for a while
+            $.each(store.tickets, function(ticketId, seen) {
+                if (now - seen.t > SEEN_TTL) {
+                    delete store.tickets[ticketId];
+                }
+            });
+
+            this.writeStore(store);
+
+            events = $.grep(events, function(event) {
+                return self.prefs[event.type];
+            });
+
+            if (events.length && !this.isQuietTime(new Date())) {
+                this.notify(events);
+            }
+        },
+
+        /**
+         * Whether a time falls inside the user's quiet hours
+         */
+        isQuietTime: function(date) {
+            var toMinutes = function(value) {
+                var parts = value.split(':');
+                return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+            };
+            var start, end, current;
+
+            if (!this.prefs.quiet_start || !this.prefs.quiet_end) {
+                return false;
+            }
+
+            start = toMinutes(this.prefs.quiet_start);
+            end = toMinutes(this.prefs.quiet_end);
+            current = date.getHours() * 60 + date.getMinutes();
+
+            // Quiet hours may run past midnight, e.g. 22:00 - 07:00
+            return start <= end ? current >= start && current < end : current >= start || current < end;
+        },
+
+        /**
+         * Show notifications, grouping them when many arrive at once
+         */
+        notify: function(events) {
+            var self = this;
+            var strings = zdm_widget.strings;
+            var lines;
+
+            if (!('Notification' in window) || Notification.permission !== 'granted') {
+                return;
+            }
+
+            if (events.length <= GROUP_THRESHOLD) {
+                $.each(events, function(index, event) {
+                    self.show(self.describe(event), event.ticket.subject, zdm_widget.ticket_url + encodeURIComponent(event.ticket.id), 'zdm-' + event.type + '-' + event.ticket.id);
+                });
+                return;
+            }
+
+            lines = $.map(events.slice(0, GROUP_THRESHOLD), function(event) {
+                return self.describe(event);
+            });
+            lines.push(strings.notify_more.replace('%d', events.length - GROUP_THRESHOLD));
+
+            this.show(strings.notify_group.replace('%d', events.length), lines.join('\n'), zdm_widget.tickets_url, 'zdm-group');
+        },
+
+        /**
+         * One-line summary of an event
+         */
+        describe: function(event) {
+            var template = {
+                new_ticket: zdm_widget.strings.notify_new,
+                overdue: zdm_widget.strings.notify_overdue,
+                customer_reply: zdm_widget.strings.notify_reply
+            }[event.type];
+
+            return template.replace('%1$s', event.ticket.number);
+        },
+
+        /**
+         * Show a single clickable notification
+         */
+        show: function(title, body, url, tag) {
+            var notification = new Notification(title, {
+                body: body,
+                tag: tag
+            });
+
+            notification.onclick = function() {
+                window.focus();
+                window.location.href = url;
+                notification.close();
+            };
+        },
+
+        /**
+         * Read the seen-ticket store
+         */
+        readStore: function() {
+            var store = null;
+
+            try {
+                store = JSON.parse(window.localStorage.getItem(this.storeKey));
+            } catch (e) {
+                // Fall through to an empty store
+            }
+
+            return store && store.tickets ? store : { since: 0, tickets: {} };
+        },
+
+        /**
+         * Write the seen-ticket store
+         */
+        writeStore: function(store) {
+            try {
+                window.localStorage.setItem(this.storeKey, JSON.stringify(store));
+            } catch (e) {
+                // Storage full or unavailable; events may repeat
+            }
+        }
+    };
+
+    window.ZDM_Widget_Notifications = ZDM_Widget_Notifications;
+
+})(jQuery);
@@ -0,0 +1,678 @@
+/**
+ * Ticket Quick-View for Zoho Desk Manager
+ * Shows a ticket's thread and customer history in a modal on the dashboard
+ * and lets agents reply, apply templates, change status, add tags and
+ * generate drafts without leaving it
+ */
+
+(function($) {
+    'use strict';
+
+    var ZDM_Quick_View = {
+        $modal: null,
+        $list: null,
+        ticketId: null,
+        ticket: null,
+        loadedReply: '',
+        request: null,
+
+        /**
+         * Build the modal and bind its handlers
+         */
+        init: function() {
+            var strings = zdm_widget.strings;
+
+            this.$modal = $(
+                '<div id="zdm-ticket-modal" style="display:none;">' +
+                    '<div class="zdm-modal-overlay"></div>' +
+                    '<div class="zdm-modal-content zdm-quick-view" role="dialog" aria-modal="true">' +
+                        '<div class="zdm-qv-nav">' +
+                            '<button type="button" class="button zdm-qv-prev"><span class="dashicons dashicons-arrow-left-alt2"></span></button>' +
+                            '<span class="zdm-qv-position"></span>' +
+                            '<button type="button" class="button zdm-qv-next"><span class="dashicons dashicons-arrow-right-alt2"></span></button>' +
+                        '</div>' +
+                        '<button type="button" class="zdm-modal-close">&times;</button>' +
+                        '<div class="zdm-modal-body"></div>' +
+                    '</div>' +
+                '</div>'
+            ).appendTo('body');
+
+            this.$modal.find('.zdm-qv-prev').attr({ title: strings.qv_previous, 'aria-label': strings.qv_previous });
+            this.$modal.find('.zdm-qv-next').attr({ title: strings.qv_next, 'aria-label': strings.qv_next });
+            this.$modal.find('.zdm-modal-close').attr('aria-label', strings.qv_close);
+
+            this.bindEvents();
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            var self = this;
+            var $modal = this.$modal;
+
+            $modal.on('click', '.zdm-modal-close, .zdm-modal-overlay', function() {
+                self.close();
+            });
+
+            $modal.on('click', '.zdm-qv-prev', function() {
+                self.navigate(-1);
+            });
+
+            $modal.on('click', '.zdm-qv-next', function() {
+                self.navigate(1);
+            });
+
+            $modal.on('click', '.zdm-qv-send', function(e) {
+                e.preventDefault();
+                self.sendReply($(this));
+            });
+
+            $modal.on('click', '.zdm-qv-save', function(e) {
+                e.preventDefault();
+                self.saveDraft($(this));
+            });
+
+            $modal.on('click', '.zdm-qv-generate', function(e) {
+                e.preventDefault();
+                self.generateDraft($(this));
+            });
+
+            $modal.on('change', '.zdm-qv-template', function() {
+                var key = $(this).val();
+
+                $(this).val('');
+                if (key) {
+                    self.applyTemplate(key);
+                }
+            });
+
+            $modal.on('change', '.zdm-qv-status', function() {
+                self.changeStatus($(this).val());
+            });
+
+            $modal.on('submit', '.zdm-qv-tags', function(e) {
+                e.preventDefault();
+                self.addTags($(this));
+            });
+
+            $(document).on('keydown', function(e) {
+                if (!$modal.is(':visible')) {
+                    return;
+                }
+
+                if (e.key === 'Escape') {
+                    self.close();
+                    return;
+                }
+
+                // Arrow keys page through tickets unless the agent is typing
+                if ($(e.target).is('input, textarea, select') || e.altKey || e.ctrlKey || e.metaKey) {
+                    return;
+                }
+
+                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    self.navigate(e.key === 'ArrowLeft' ? -1 : 1);
+                }
+            });
+        },
+
+        /**
+         * Open a ticket
+         *
+         * @param {String} ticketId Ticket to show
+         * @param {jQuery} $list Widget list the ticket was opened from, used
+         *     for previous/next navigation
+         */
+        open: function(ticketId, $list) {
+            if (!this.$modal) {
+                this.init();
+            }
+
+            if (this.$modal.is(':visible') && !this.confirmDiscard()) {
+                return;
+            }
+
+            this.$list = $list && $list.length ? $list : $();
+            this.$modal.fadeIn(150);
+            this.load(String(ticketId));
+        },
+
+        /**
+         * Close the modal
+         */
+        close: function() {
+            if (!this.confirmDiscard()) {
+                return;
+            }
+
+            if (this.request) {
+                this.request.abort();
+                this.request = null;
+            }
+
+            this.$modal.fadeOut(150);
+            this.ticketId = null;
+        },
+
+        /**
+         * Ticket IDs in the list the modal was opened from, as currently shown
+         */
+        ticketIds: function() {
+            return this.$list.children('.zdm-ticket-item').map(function() {
+                return String($(this).data('ticket-id'));
+            }).get();
+        },
+
+        /**
+         * Move to the previous or next ticket in the list
+         */
+        navigate: function(step) {
+            var ids = this.ticketIds();
+            var index = $.inArray(this.ticketId, ids);
+            var target = ids[index + step];
+
+            if (index === -1 || !target || !this.confirmDiscard()) {
+                return;
+            }
+
+            this.load(target);
+        },
+
+        /**
+         * Update the previous/next controls
+         */
+        renderNav: function() {
+            var ids = this.ticketIds();
+            var index = $.inArray(this.ticketId, ids);
+
+            this.$modal.find('.zdm-qv-nav').toggle(ids.length > 1);
+            this.$modal.find('.zdm-qv-prev').prop('disabled', index <= 0);
+            this.$modal.find('.zdm-qv-next').prop('disabled', index === -1 || index >= ids.length - 1);
+            this.$modal.find('.zdm-qv-position').text(index === -1 ? '' :
+                zdm_widget.strings.qv_position.replace('%1$d', index + 1).replace('%2$d', ids.length));
+        },
+
+        /**
+         * Fetch and show a ticket
+         */
+        load: function(ticketId) {
+            var self = this;
+            var $body = this.$modal.find('.zdm-modal-body');
+
+            if (this.request) {
+                this.request.abort();
+            }
+
+            this.ticketId = ticketId;
+            this.ticket = null;
+            this.loadedReply = '';
+            this.renderNav();
+
+            $body.html('<div class="zdm-widget-loading"><span class="spinner is-active"></span> </div>')
+                 .find('.zdm-widget-loading').append(document.createTextNode(zdm_widget.strings.qv_loading));
+
+            this.request = $.ajax({
+                url: zdm_widget.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'zdm_get_ticket_details',
+                    ticket_id: ticketId,
+                    nonce: zdm_widget.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.render(response.data);
+                    } else {
+                        $body.empty().append($('<p class="zdm-qv-error"></p>').text(zdm_widget.strings.qv_error));
+                    }
+                },
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        $body.empty().append($('<p class="zdm-qv-error"></p>').text(zdm_widget.strings.qv_error));
+                    }
+                },
+                complete: function() {
+                    self.request = null;
+                }
+            });
+        },
+
+        /**
+         * Render a loaded ticket
+         */
+        render: function(data) {
+            var self = this;
+            var ticket = data.ticket;
+            var strings = zdm_widget.strings;
+            var $body = this.$modal.find('.zdm-modal-body').empty();
+            var $thread = $('<div class="zdm-qv-thread"></div>');
+            var $meta = $('<div class="zdm-qv-meta"></div>');
+
+            this.ticket = ticket;
+
+            $('<h3 class="zdm-qv-title"></h3>')
+                .text('#' + ticket.number + ' ' + ticket.subject)
+                .appendTo($body);
+
+            $meta.append(
+                $('<span class="zdm-qv-badge zdm-qv-status-badge"></span>').text(ticket.status),
+                $('<span class="zdm-qv-badge"></span>').addClass('zdm-qv-priority-' + ticket.priority.toLowerCase()).text(ticket.priority),
+                $('<span></span>').text(strings.qv_from + ': ' + (ticket.email || ticket.contact_name)),
+                $('<span></span>').text(strings.qv_assignee + ': ' + (ticket.assignee_name || strings.unassigned)),
+                window.ZDM_Widget.slaBadges(ticket)
+            ).appendTo($body);
+
+            $thread.append($('<h4></h4>').text(strings.qv_thread));
+
+            if (ticket.description) {
+                $thread.append(this.buildMessage({
+                    author: ticket.contact_name,
+                    customer: true,
+                    internal: false,
+                    time: ticket.created_time,
+                    content: ticket.description
+                }));
+            }
+
+            $.each(data.threads, function(index, message) {
+                $thread.append(self.buildMessage(message));
+            });
+
+            $('<div class="zdm-qv-layout"></div>').append(
+                $('<div class="zdm-qv-main"></div>').append($thread, this.buildReply()),
+                $('<div class="zdm-qv-side"></div>').append(this.buildActions(ticket), this.buildCustomer(data.customer))
+            ).appendTo($body);
+
+            $('<div class="zdm-qv-links"></div>').append(
+                $('<a class="button button-primary"></a>')
+                    .attr('href', zdm_widget.ticket_url + encodeURIComponent(ticket.id))
+                    .text(strings.qv_view_full),
+                ticket.web_url ? $('<a class="button" target="_blank" rel="noopener noreferrer"></a>')
+                    .attr('href', ticket.web_url)
+                    .text(strings.qv_open_zoho) : null
+            ).appendTo($body);
+
+            this.setReply(data.draft);
+
+            // Start at the latest message
+            $thread.scrollTop($thread[0].scrollHeight);
+            this.renderNav();
+        },
+
+        /**
+         * Build one message of the thread
+         *
+         * Content arrives sanitized from the server.
+         */
+        buildMessage: function(message) {
+            var strings = zdm_widget.strings;
+            var $header = $('<div class="zdm-qv-message-header"></div>')
+                .append($('<strong></strong>').text(message.author));
+
+            if (!message.customer) {
+                $header.append($('<span class="zdm-qv-tag"></span>').text(strings.qv_support));
+            }
+            if (message.internal) {
+                $header.append($('<span class="zdm-qv-tag zdm-qv-tag-internal"></span>').text(strings.qv_internal));
+            }
+            if (message.time) {
+                $header.append($('<span class="zdm-qv-time"></span>')
+                    .text(window.ZDM_Widget.timeAgo(message.time))
+                    .attr('title', new Date(message.time).toLocaleString()));
+            }
+
+            return $('<div class="zdm-qv-message"></div>')
+                .toggleClass('zdm-qv-message-customer', !!message.customer)
+                .toggleClass('zdm-qv-message-private', !!message.internal)
+                .append($header, $('<div class="zdm-qv-message-body"></div>').html(message.content));
+        },
+
+        /**
+         * Build the reply box
+         */
+        buildReply: function() {
+            var strings = zdm_widget.strings;
+
+            return $('<div class="zdm-qv-reply"></div>').append(
+                $('<h4></h4>').text(strings.qv_reply),
+                $('<textarea class="zdm-qv-reply-text" rows="6"></textarea>').attr('placeholder', strings.qv_reply_placeholder),
+                $('<div class="zdm-qv-reply-actions"></div>').append(
+                    $('<button type="button" class="button button-primary zdm-qv-send"></button>').text(strings.qv_send),
+                    $('<button type="button" class="button zdm-qv-save"></button>').text(strings.qv_save_draft),
+                    $('<button type="button" class="button zdm-qv-generate"></button>').text(strings.qv_generate)
+                )
+            );
+        },
+
+        /**
+         * Build the status, template and tag controls
+         */
+        buildActions: function(ticket) {
+            var strings = zdm_widget.strings;
+            var $status = $('<select class="zdm-qv-status"></select>');
+            var $template = $('<select class="zdm-qv-template"></select>')
+                .append($('<option value=""></option>').text(strings.qv_template));
+
+            $.each(zdm_widget.statuses, function(index, status) {
+                $('<option>').val(status).text(status).appendTo($status);
+            });
+
+            // Keep statuses the list doesn't offer, e.g. Escalated, selectable
+            if ($.inArray(ticket.status, zdm_widget.statuses) === -1) {
+                $('<option>').val(ticket.status).text(ticket.status).prependTo($status);
+            }
+            $status.val(ticket.status);
+
+            $.each(zdm_widget.templates, function(index, template) {
+                $('<option>').val(template.key).text(template.name).appendTo($template);
+            });
+
+            return $('<div class="zdm-qv-actions"></div>').append(
+                $('<label></label>').text(strings.qv_status).append($status),
+                zdm_widget.templates.length ? $template : null,
+                $('<form class="zdm-qv-tags"></form>').append(
+                    $('<input type="text" name="tags">').attr('placeholder', strings.qv_tags),
+                    $('<button type="submit" class="button"></button>').text(strings.qv_add_tags)
+                )
+            );
+        },
+
+        /**
+         * Build the customer history panel
+         */
+        buildCustomer: function(customer) {
+            var strings = zdm_widget.strings;
+            var $panel = $('<div class="zdm-qv-customer"></div>').append($('<h4></h4>').text(strings.qv_customer));
+            var stats, $list;
+
+            if (!customer) {
+                return $panel.append($('<p class="description"></p>').text(strings.qv_no_history));
+            }
+
+            stats = customer.stats;
+
+            $('<div class="zdm-qv-stats"></div>').append(
+                this.buildStat(stats.total_tickets, strings.qv_total),
+                this.buildStat(stats.open_tickets, strings.qv_open),
+                this.buildStat(stats.closed_tickets, strings.qv_closed),
+                this.buildStat(stats.average_resolution_time ? strings.qv_hours.replace('%s', stats.average_resolution_time) : '—', strings.qv_resolution)
+            ).appendTo($panel);
+
+            if (stats.first_ticket_date) {
+                $('<p class="description"></p>')
+                    .text(strings.qv_since.replace('%s', new Date(stats.first_ticket_date).toLocaleDateString()))
+                    .appendTo($panel);
+            }
+
+            if (customer.tickets.length) {
+                $list = $('<ul class="zdm-qv-history"></ul>').appendTo($panel);
+
+                $.each(customer.tickets, function(index, ticket) {
+                    $('<li></li>').append(
+                        $('<a></a>').attr('href', zdm_widget.ticket_url + encodeURIComponent(ticket.id)).text('#' + ticket.number + ' ' + ticket.subject),
+                        ' ',
+                        $('<span class="zdm-qv-badge"></span>').text(ticket.status)
+                    ).appendTo($list);
+                });
+            }
+
+            return $panel;
+        },
+
+        /**
+         * Build one customer stat
+         */
+        buildStat: function(value, label) {
+            return $('<div class="zdm-qv-stat"></div>').append(
+                $('<span class="zdm-qv-stat-value"></span>').text(value),
+                $('<span class="zdm-qv-stat-label"></span>').text(label)
+            );
+        },
+
+        /**
+         * The reply box
+         */
+        replyBox: function() {
+            return this.$modal.find('.zdm-qv-reply-text');
+        },
+
+        /**
+         * Put text in the reply box, converting stored HTML to Markdown
+         */
+        setReply: function(content) {
+            var markdown = content && window.ZDM_Markdown.looksLikeHtml(content) ? window.ZDM_Markdown.fromHtml(content) : (content || '');
+
+            this.replyBox().val(markdown);
+            this.loadedReply = markdown;
+        },
+
+        /**
+         * Whether leaving the ticket is fine, asking when a reply was written
+         */
+        confirmDiscard: function() {
+            var $reply = this.replyBox();
+
+            if (!this.ticket || !$reply.length || $.trim($reply.val()) === $.trim(this.loadedReply)) {
+                return true;
+            }
+
+            return window.confirm(zdm_widget.strings.qv_discard);
+        },
+
+        /**
+         * Send the reply to the customer
+         */
+        sendReply: function($button) {
+            var self = this;
+            var ticketId = this.ticketId;
+            var reply = $.trim(this.replyBox().val());
+
+            if (!reply) {
+                this.notify(zdm_widget.strings.qv_empty_reply, 'error');
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            this.post('zdm_widget_send_reply', zdm_widget.nonce, {
+                ticket_id: ticketId,
+                ticket_number: this.ticket.number,
+                content: window.ZDM_Markdown.toHtml(reply)
+            }).done(function(item) {
+                if (item.status === 'pending') {
+                    // Sent once the undo window is over
+                    window.ZDM_Send_Queue.add(item);
+                    window.ZDM_Widget.showNotification(zdm_widget.strings.qv_queued, 'success');
+
+                    if (self.ticketId === ticketId) {
+                        self.replyBox().val('');
+                        self.loadedReply = '';
+                    }
+                    return;
+                }
+
+                window.ZDM_Widget.showNotification(zdm_widget.strings.qv_sent, 'success');
+                window.ZDM_Widget.refreshWidget(false);
+
+                // Show the reply in the thread
+                if (self.ticketId === ticketId) {
+                    self.loadedReply = self.replyBox().val();
+                    self.load(ticketId);
+                }
+            }).always(function() {
+                $button.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Store the reply as the ticket's draft
+         */
+        saveDraft: function($button) {
+            var self = this;
+            var reply = $.trim(this.replyBox().val());
+
+            if (!reply) {
+                this.notify(zdm_widget.strings.qv_empty_reply, 'error');
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            this.post('zdm_save_draft', zdm_widget.nonces.ai, {
+                ticket_id: this.ticketId,
+                draft_content: window.ZDM_Markdown.toHtml(reply),
+                source: 'manual'
+            }).done(function() {
+                self.loadedReply = self.replyBox().val();
+                self.notify(zdm_widget.strings.qv_draft_saved, 'success');
+            }).always(function() {
+                $button.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Generate an AI draft into the reply box
+         */
+        generateDraft: function($button) {
+            var self = this;
+            var ticketId = this.ticketId;
+            var label = $button.text();
+
+            $button.prop('disabled', true).text(zdm_widget.strings.qv_generating);
+
+            this.post('zdm_generate_ai_response', zdm_widget.nonces.ai, {
+                ticket_id: ticketId,
+                response_type: 'solution',
+                tone: 'professional'
+            }).done(function(data) {
+                if (self.ticketId !== ticketId) {
+                    return;
+                }
+                if (data.browser_mode) {
+                    self.notify(zdm_widget.strings.qv_browser_ai, 'info');
+                    return;
+                }
+                self.replyBox().val(data.response).trigger('focus');
+            }).always(function() {
+                $button.prop('disabled', false).text(label);
+            });
+        },
+
+        /**
+         * Fill the reply box from a template
+         */
+        applyTemplate: function(key) {
+            var self = this;
+            var ticketId = this.ticketId;
+
+            this.post('zdm_process_template', zdm_widget.nonces.ai, {
+                ticket_id: ticketId,
+                template_key: key
+            }).done(function(data) {
+                if (self.ticketId !== ticketId) {
+                    return;
+                }
+                self.replyBox().val(window.ZDM_Markdown.looksLikeHtml(data.content) ? window.ZDM_Markdown.fromHtml(data.content) : data.content)
+                    .trigger('focus');
+            });
+        },
+
+        /**
+         * Change the ticket's status
+         */
+        changeStatus: function(status) {
+            var self = this;
+            var $select = this.$modal.find('.zdm-qv-status').prop('disabled', true);
+
+            this.post('zdm_update_status', zdm_widget.nonces.status, {
+                ticket_id: this.ticketId,
+                status: status
+            }).done(function() {
+                self.ticket.status = status;
+                self.$modal.find('.zdm-qv-meta .zdm-qv-status-badge').text(status);
+                self.notify(zdm_widget.strings.qv_status_changed.replace('%s', status), 'success');
+                window.ZDM_Widget.refreshWidget(false);
+            }).fail(function() {
+                $select.val(self.ticket.status);
+            }).always(function() {
+                $select.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Add the tags typed into the tag form
+         */
+        addTags: function($form) {
+            var self = this;
+            var $input = $form.find('input[name="tags"]');
+            var tags = $.grep($.map($input.val().split(','), $.trim), function(tag) {
+                return tag !== '';
+            });
+
+            if (!tags.length) {
+                return;
+            }
+
+            this.post('zdm_add_ticket_tags', zdm_widget.nonces.ai, {
+                ticket_id: this.ticketId,
+                tags: tags
+            }).done(function() {
+                $input.val('');
+                self.notify(zdm_widget.strings.qv_tags_added.replace('%s', tags.join(', ')), 'success');
+            });
+        },
+
+        /**
+         * Show a message inside the modal
+         */
+        notify: function(message, type) {
+            var $notice = $('<div class="notice is-dismissible zdm-qv-notice"></div>')
+                .addClass('notice-' + type)
+                .append($('<p></p>').text(message));
+
+            this.$modal.find('.zdm-qv-notice').remove();
+            this.$modal.find('.zdm-modal-body').prepend($notice);
+
+            setTimeout(function() {
+                $notice.fadeOut(function() {
+                    $notice.remove();
+                });
+            }, 4000);
+        },
+
+        /**
+         * Call an AJAX action, reporting failures in the modal
+         *
+         * @return {jQuery.Promise} Resolves with response.data
+         */
+        post: function(action, nonce, data) {
+            var self = this;
+            var deferred = $.Deferred();
+
+            $.ajax({
+                url: zdm_widget.ajax_url,
+                type: 'POST',
+                data: $.extend({ action: action, nonce: nonce }, data),
+                success: function(response) {
+                    if (response && response.success) {
+                        deferred.resolve(response.data);
+                        return;
+                    }
+                    self.notify(response && typeof response.data === 'string' ? response.data : zdm_widget.strings.qv_failed, 'error');
+                    deferred.reject();
+                },
+                error: function() {
+                    self.notify(zdm_widget.strings.qv_failed, 'error');
+                    deferred.reject();
+                }
+            });
+
+            return deferred.promise();
+        }
+    };
+
+    window.ZDM_Quick_View = ZDM_Quick_View;
+
+})(jQuery);
@@ -7,21 +7,57 @@
 (function($) {
     'use strict';
 
+    var PRIORITY_ORDER = { High: 1, Medium: 2, Low: 3, Normal: 3 };
+    var RECENT_LIMIT = 10;
+
     var ZDM_Widget = {
-        refreshInterval: null,
         countdownInterval: null,
-        refreshTime: 60, // seconds
-        currentCountdown: 60,
+        status: {},
         isRefreshing: false,
         autoRefreshEnabled: true,
+        tickets: {},
+        departments: {},
+        prefs: {},
+        rendered: false,
 
         /**
          * Initialize the widget
          */
         init: function() {
+            var self = this;
+            var initial = $('#zdm-widget-container').data('initial');
+
+            this.prefs = $.extend({
+                scope: 'all',
+                department: '',
+                sort: 'modified_time',
+                order: 'desc'
+            }, zdm_widget.prefs);
+
+            if (initial) {
+                this.applyUpdate(initial);
+            }
+
+            window.ZDM_Widget_Live.init({
+                etag: initial ? initial.etag : '',
+                onUpdate: function(data) {
+                    self.applyUpdate(data);
+                },
+                onStatus: function(status) {
+                    self.status = status;
+                    self.updateCountdown();
+                }
+            });
+
             this.bindEvents();
             this.startAutoRefresh();
             this.initTooltips();
+
+            // Move tickets between the breaching and overdue sections as
+            // deadlines pass, without waiting for an update
+            setInterval(function() {
+                self.render();
+            }, 30000);
         },
 
         /**
@@ -36,15 +72,39 @@
                 self.refreshWidget(true);
             });
 
-            // Ticket item click for quick preview
+            // Ticket item click for quick-view
             $(document).on('click', '.zdm-ticket-item', function(e) {
                 if (!$(e.target).is('a')) {
                     e.preventDefault();
                     var ticketId = $(this).data('ticket-id');
-                    self.showTicketPreview(ticketId);
+                    self.showTicketPreview(ticketId, $(this).parent());
                 }
             });
 
+            // Filters
+            $(document).on('change', '.zdm-widget-scope, .zdm-widget-department', function() {
+                self.prefs.scope = $('.zdm-widget-scope').val();
+                self.prefs.department = $('.zdm-widget-department').val();
+                self.render();
+                self.savePrefs();
+            });
+
+            // Column sorting
+            $(document).on('click', '.zdm-widget-table .zdm-sort', function(e) {
+                e.preventDefault();
+                var key = $(this).data('sort');
+
+                if (self.prefs.sort === key) {
+                    self.prefs.order = self.prefs.order === 'asc' ? 'desc' : 'asc';
+                } else {
+                    self.prefs.sort = key;
+                    self.prefs.order = key === 'modified_time' ? 'desc' : 'asc';
+                }
+
+                self.render();
+                self.savePrefs();
+            });
+
             // Toggle auto-refresh
             $(document).on('click', '#zdm-toggle-refresh', function(e) {
                 e.preventDefault();
@@ -52,22 +112,16 @@
             });
 
             // Keyboard shortcuts
-            $(document).on('keydown', function(e) {
-                // Alt + R for refresh
-                if (e.altKey && e.keyCode === 82) {
-                    e.preventDefault();
-                    self.refreshWidget(true);
-                }
-            });
-
-            // Page visibility change
-            document.addEventListener('visibilitychange', function() {
-                if (document.hidden) {
-                    self.pauseAutoRefresh();
-                } else {
-                    self.resumeAutoRefresh();
-                }
-            });
+            if (window.ZDM_Shortcuts) {
+                window.ZDM_Shortcuts.register('widget.refresh', {
+                    keys: 'alt+r',
+                    group: 'Dashboard',
+                    description: 'Refresh support tickets widget',
+                    handler: function() {
+                        self.refreshWidget(true);
+                    }
+                });
+            }
         },
 
         /**
@@ -83,58 +137,26 @@
                 return;
             }
 
-            // Set countdown
-            this.currentCountdown = this.refreshTime;
-            this.updateCountdown();
+            window.ZDM_Widget_Live.start();
 
-            // Countdown interval (every second)
+            // Keep the status line current
             this.countdownInterval = setInterval(function() {
-                self.currentCountdown--;
                 self.updateCountdown();
-
-                if (self.currentCountdown <= 0) {
-                    self.refreshWidget(false);
-                    self.currentCountdown = self.refreshTime;
-                }
             }, 1000);
-
-            // Main refresh interval as backup
-            this.refreshInterval = setInterval(function() {
-                self.refreshWidget(false);
-            }, zdm_widget.refresh_interval);
         },
 
         /**
          * Stop auto-refresh
          */
         stopAutoRefresh: function() {
-            if (this.refreshInterval) {
-                clearInterval(this.refreshInterval);
-                this.refreshInterval = null;
-            }
+            window.ZDM_Widget_Live.stop();
+
             if (this.countdownInterval) {
                 clearInterval(this.countdownInterval);
                 this.countdownInterval = null;
             }
         },
 
-        /**
-         * Pause auto-refresh (when page not visible)
-         */
-        pauseAutoRefresh: function() {
-            this.stopAutoRefresh();
-        },
-
-        /**
-         * Resume auto-refresh (when page becomes visible)
-         */
-        resumeAutoRefresh: function() {
-            if (this.autoRefreshEnabled) {
-                this.refreshWidget(true);
-                this.startAutoRefresh();
-            }
-        },
-
         /**
          * Toggle auto-refresh on/off
          */
@@ -155,17 +177,34 @@
          * Update countdown display
          */
         updateCountdown: function() {
-            if (this.autoRefreshEnabled) {
-                var text = zdm_widget.strings.auto_refresh.replace('%d', this.currentCountdown);
-                $('#zdm-refresh-countdown').text(text);
+            var $countdown = $('#zdm-refresh-countdown');
+            var seconds;
 
-                // Add visual indicator when close to refresh
-                if (this.currentCountdown <= 5) {
-                    $('#zdm-refresh-countdown').css('color', '#dc3545');
-                } else {
-                    $('#zdm-refresh-countdown').css('color', '#666');
-                }
+            if (!this.autoRefreshEnabled) {
+                return;
+            }
+
+            if (this.status.paused && this.status.nextPoll) {
+                seconds = Math.max(0, Math.ceil((this.status.nextPoll - Date.now()) / 1000));
+                $countdown.text(zdm_widget.strings.paused.replace('%d', seconds)).css('color', '#dba617');
+                return;
+            }
+
+            if (this.status.mode === 'live' || this.status.role === 'follower') {
+                $countdown.text(this.status.role === 'follower' ? zdm_widget.strings.live_shared : zdm_widget.strings.live)
+                          .css('color', '#28a745');
+                return;
+            }
+
+            if (!this.status.nextPoll) {
+                return;
             }
+
+            seconds = Math.max(0, Math.ceil((this.status.nextPoll - Date.now()) / 1000));
+            $countdown.text(zdm_widget.strings.auto_refresh.replace('%d', seconds));
+
+            // Add visual indicator when close to refresh
+            $countdown.css('color', seconds <= 5 ? '#dc3545' : '#666');
         },
 
         /**
@@ -189,165 +228,438 @@
                        .addClass('dashicons-update-spin');
             }
 
-            $.ajax({
-                url: zdm_widget.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'zdm_refresh_widget',
-                    nonce: zdm_widget.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $container.html(response.data.html);
-                        self.animateNewContent();
-                        self.checkForUrgentTickets();
-                    } else {
-                        self.showNotification(zdm_widget.strings.error, 'error');
-                    }
-                },
-                error: function() {
+            window.ZDM_Widget_Live.fetch({ force: 1 }).fail(function(xhr, status) {
+                if (status !== 'abort') {
                     self.showNotification(zdm_widget.strings.error, 'error');
-                },
-                complete: function() {
-                    self.isRefreshing = false;
-                    $container.removeClass('zdm-updating');
-                    $button.prop('disabled', false)
-                           .find('.dashicons')
-                           .removeClass('dashicons-update-spin');
                 }
+            }).always(function() {
+                self.isRefreshing = false;
+                $container.removeClass('zdm-updating');
+                $button.prop('disabled', false)
+                       .find('.dashicons')
+                       .removeClass('dashicons-update-spin');
             });
         },
 
         /**
-         * Show ticket preview in modal
+         * Merge an update into the ticket store and re-render
          */
-        showTicketPreview: function(ticketId) {
+        applyUpdate: function(data) {
             var self = this;
 
-            // Create modal if doesn't exist
-            if (!$('#zdm-ticket-modal').length) {
-                var modalHtml = '<div id="zdm-ticket-modal" style="display:none;">' +
-                               '<div class="zdm-modal-overlay"></div>' +
-                               '<div class="zdm-modal-content">' +
-                               '<span class="zdm-modal-close">&times;</span>' +
-                               '<div class="zdm-modal-body">Loading...</div>' +
-                               '</div></div>';
-                $('body').append(modalHtml);
+            if (data.full) {
+                this.tickets = {};
             }
 
-            var $modal = $('#zdm-ticket-modal');
-            var $modalBody = $modal.find('.zdm-modal-body');
+            $.each(data.tickets, function(index, ticket) {
+                self.tickets[ticket.id] = ticket;
+            });
 
-            // Show modal with loading state
-            $modal.fadeIn();
-            $modalBody.html('<div class="zdm-widget-loading"><span class="spinner is-active"></span> Loading ticket details...</div>');
+            $.each(data.removed || [], function(index, ticketId) {
+                delete self.tickets[ticketId];
+            });
 
-            // Fetch ticket details
-            $.ajax({
-                url: zdm_widget.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'zdm_get_ticket_details',
-                    ticket_id: ticketId,
-                    nonce: zdm_widget.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $modalBody.html(response.data.html);
-                    } else {
-                        $modalBody.html('<p>Error loading ticket details</p>');
-                    }
-                },
-                error: function() {
-                    $modalBody.html('<p>Error loading ticket details</p>');
-                }
+            this.departments = data.departments || {};
+
+            window.ZDM_Widget_Notifications.process($.map(this.tickets, function(ticket) {
+                return ticket;
+            }));
+
+            // The page was rendered while Zoho was unreachable
+            if (!$('#zdm-widget-container .zdm-stat-grid').length) {
+                window.location.reload();
+                return;
+            }
+
+            this.render();
+        },
+
+        /**
+         * Render the widget from the ticket store
+         */
+        render: function() {
+            var self = this;
+            var tickets = this.filterTickets();
+            var counts = this.countTickets(tickets);
+            var overdue = $.grep(tickets, this.isOverdue);
+            // Overdue tickets have their own section
+            var breaching = $.grep(tickets, function(ticket) {
+                return !self.isOverdue(ticket) && self.isBreachingSoon(ticket);
             });
+            var recent = this.sortTickets(tickets.slice()).slice(0, RECENT_LIMIT);
+
+            this.renderFilters();
+            this.renderStats(counts);
+            this.renderBreakdown(counts);
+
+            this.patchRows($('.zdm-breaching-list'), this.sortTickets(breaching, 'due_date', 'asc'), this.buildCard);
+            $('.zdm-breaching-section').toggle(breaching.length > 0);
+
+            this.patchRows($('.zdm-overdue-list'), this.sortTickets(overdue, 'due_date', 'asc'), this.buildCard);
+            $('.zdm-overdue-section').toggle(overdue.length > 0);
 
-            // Close modal handlers
-            $modal.on('click', '.zdm-modal-close, .zdm-modal-overlay', function() {
-                $modal.fadeOut();
+            this.patchRows($('.zdm-recent-tickets'), recent, this.buildRow);
+            $('.zdm-recent-tickets-section').toggle(recent.length > 0);
+            $('.zdm-all-clear').toggle(tickets.length === 0);
+
+            $('.zdm-widget-table .zdm-sort').removeAttr('data-order')
+                .filter('[data-sort="' + this.prefs.sort + '"]').attr('data-order', this.prefs.order);
+
+            this.rendered = true;
+            this.initTooltips();
+            this.checkForUrgentTickets(counts);
+        },
+
+        /**
+         * Sync the filter controls with the preferences
+         */
+        renderFilters: function() {
+            var $department = $('.zdm-widget-department');
+            var current = this.prefs.department;
+
+            $department.find('option').not('[value=""]').remove();
+            $.each(this.departments, function(id, name) {
+                $('<option>').val(id).text(name).appendTo($department);
             });
 
-            $(document).on('keydown', function(e) {
-                if (e.keyCode === 27) { // ESC key
-                    $modal.fadeOut();
+            // Keep a saved department selectable while it has no tickets
+            if (current && !this.departments[current]) {
+                $('<option>').val(current).text(current).appendTo($department);
+            }
+
+            $department.val(current);
+            $('.zdm-widget-scope').val(this.prefs.scope);
+        },
+
+        /**
+         * Tickets matching the user's filters
+         */
+        filterTickets: function() {
+            var prefs = this.prefs;
+            var email = (zdm_widget.agent_email || '').toLowerCase();
+
+            return $.grep($.map(this.tickets, function(ticket) {
+                return ticket;
+            }), function(ticket) {
+                if (prefs.scope === 'mine' && (!email || ticket.assignee_email.toLowerCase() !== email)) {
+                    return false;
+                }
+                if (prefs.scope === 'unassigned' && ticket.assignee_id) {
+                    return false;
                 }
+                return !prefs.department || ticket.department_id === prefs.department;
             });
         },
 
         /**
-         * Animate new content
+         * Count tickets for the stat cards and breakdowns
          */
-        animateNewContent: function() {
-            $('.zdm-stat-card').each(function(index) {
-                $(this).css('opacity', '0').delay(index * 50).animate({
-                    opacity: 1
-                }, 300);
+        countTickets: function(tickets) {
+            var self = this;
+            var now = Date.now();
+            var counts = {
+                urgent: 0,
+                open: 0,
+                pending_reply: 0,
+                overdue: 0,
+                by_status: {},
+                by_priority: {}
+            };
+
+            $.each(tickets, function(index, ticket) {
+                counts.by_status[ticket.status] = (counts.by_status[ticket.status] || 0) + 1;
+                counts.by_priority[ticket.priority] = (counts.by_priority[ticket.priority] || 0) + 1;
+
+                // The stat cards count Open tickets only; On Hold and
+                // Escalated ones show in the breakdowns and lists
+                if (ticket.status !== 'Open') {
+                    return;
+                }
+
+                counts.open++;
+
+                if (ticket.priority === 'High') {
+                    counts.urgent++;
+                }
+                if (self.isOverdue(ticket)) {
+                    counts.overdue++;
+                }
+                // Modified in the last 24 hours and may need a reply
+                if (now - self.parseTime(ticket.modified_time) < 86400000) {
+                    counts.pending_reply++;
+                }
             });
 
-            $('.zdm-ticket-item').each(function(index) {
-                $(this).css('opacity', '0').delay(index * 30).animate({
-                    opacity: 1
-                }, 200);
+            return counts;
+        },
+
+        /**
+         * Update the stat cards, highlighting changed numbers
+         */
+        renderStats: function(counts) {
+            var rendered = this.rendered;
+
+            $('#zdm-widget-container .zdm-stat-card').each(function() {
+                var $card = $(this);
+                var value = String(counts[$card.data('stat')]);
+                var $number = $card.find('.zdm-stat-number');
+
+                if ($number.text() !== value) {
+                    $number.text(value);
+
+                    if (rendered) {
+                        $card.removeClass('zdm-stat-changed');
+                        $card[0].offsetWidth; // Restart the highlight
+                        $card.addClass('zdm-stat-changed');
+                    }
+                }
             });
         },
 
         /**
-         * Check for urgent tickets and show browser notification
+         * Show counts by status and priority
          */
-        checkForUrgentTickets: function() {
-            var urgentCount = parseInt($('.zdm-stat-urgent .zdm-stat-number').text());
-            var overdueCount = parseInt($('.zdm-stat-overdue .zdm-stat-number').text());
-
-            if (urgentCount > 0 || overdueCount > 0) {
-                // Add pulse effect to urgent stats
-                if (urgentCount > 0) {
-                    $('.zdm-stat-urgent').addClass('pulse-animation');
+        renderBreakdown: function(counts) {
+            var format = function(group) {
+                var parts = $.map(group, function(count, label) {
+                    return label + ' ' + count;
+                });
+                return parts.length ? parts.join(' · ') : zdm_widget.strings.none;
+            };
+
+            $('.zdm-breakdown-status').text(format(counts.by_status));
+            $('.zdm-breakdown-priority').text(format(counts.by_priority));
+        },
+
+        /**
+         * Sort tickets by a column
+         */
+        sortTickets: function(tickets, key, order) {
+            var self = this;
+            var direction;
+
+            key = key || this.prefs.sort;
+            direction = (order || this.prefs.order) === 'asc' ? 1 : -1;
+
+            return tickets.sort(function(a, b) {
+                var x = self.sortValue(a, key);
+                var y = self.sortValue(b, key);
+
+                // Empty values always sort last
+                if (x === null || y === null) {
+                    return x === y ? 0 : (x === null ? 1 : -1);
                 }
-                if (overdueCount > 0) {
-                    $('.zdm-stat-overdue').addClass('pulse-animation');
+                return (x < y ? -1 : x > y ? 1 : 0) * direction;
+            });
+        },
+
+        /**
+         * Comparable value of a ticket column
+         */
+        sortValue: function(ticket, key) {
+            switch (key) {
+                case 'number':
+                    return parseInt(ticket.number, 10) || 0;
+                case 'priority':
+                    return PRIORITY_ORDER[ticket.priority] || 3;
+                case 'due_date':
+                    // Whichever deadline comes first
+                    var deadlines = $.grep([ticket.response_due_date, ticket.due_date], Boolean);
+                    return deadlines.length ? Math.min.apply(Math, $.map(deadlines, this.parseTime)) : null;
+                case 'modified_time':
+                    return ticket[key] ? this.parseTime(ticket[key]) : null;
+                default:
+                    return ticket[key] ? String(ticket[key]).toLowerCase() : null;
+            }
+        },
+
+        /**
+         * Patch a list of rows in place
+         *
+         * Unchanged rows are kept as they are, changed ones are replaced and
+         * flashed, and the rest are reordered or removed.
+         */
+        patchRows: function($list, tickets, build) {
+            var self = this;
+            var $existing = {};
+            var keep = {};
+
+            $list.children('.zdm-ticket-item').each(function() {
+                $existing[$(this).attr('data-ticket-id')] = $(this);
+            });
+
+            $.each(tickets, function(index, ticket) {
+                var version = JSON.stringify(ticket);
+                var $row = $existing[ticket.id];
+
+                if (!$row || $row.data('version') !== version) {
+                    var $fresh = build.call(self, ticket).data('version', version);
+
+                    if (self.rendered) {
+                        $fresh.addClass('zdm-ticket-changed');
+                    }
+                    if ($row) {
+                        $row.replaceWith($fresh);
+                    }
+                    $row = $fresh;
                 }
 
-                // Request notification permission if needed
-                if ('Notification' in window && Notification.permission === 'granted') {
-                    this.showBrowserNotification(urgentCount, overdueCount);
+                keep[ticket.id] = true;
+
+                // Appending an existing row moves it without re-rendering
+                $list.append($row);
+            });
+
+            $.each($existing, function(ticketId, $row) {
+                if (!keep[ticketId]) {
+                    $row.remove();
                 }
+            });
+        },
+
+        /**
+         * Build a recent tickets table row
+         */
+        buildRow: function(ticket) {
+            var $row = $('<tr class="zdm-ticket-item"><td></td><td><a></a></td><td></td><td></td><td></td><td></td></tr>');
+            var $cells = $row.children('td');
+
+            $row.attr('data-ticket-id', ticket.id).addClass(this.priorityClass(ticket));
+            $cells.eq(0).text('#' + ticket.number);
+            $cells.eq(1).find('a').attr('href', zdm_widget.ticket_url + encodeURIComponent(ticket.id)).text(ticket.subject);
+            $cells.eq(2).text(ticket.priority);
+
+            if (ticket.assignee_name) {
+                $cells.eq(3).text(ticket.assignee_name);
+            } else {
+                $cells.eq(3).append($('<span class="zdm-unassigned">').text(zdm_widget.strings.unassigned));
             }
+
+            $cells.eq(4).append(this.slaBadges(ticket));
+            $cells.eq(5).text(this.timeAgo(ticket.modified_time));
+
+            return $row;
         },
 
         /**
-         * Show browser notification
+         * Build an overdue ticket card
          */
-        showBrowserNotification: function(urgentCount, overdueCount) {
-            if (document.hidden) { // Only show when tab is not active
-                var title = 'Zoho Desk Alert';
-                var body = '';
-
-                if (urgentCount > 0 && overdueCount > 0) {
-                    body = urgentCount + ' urgent and ' + overdueCount + ' overdue tickets need attention!';
-                } else if (urgentCount > 0) {
-                    body = urgentCount + ' urgent ticket(s) need attention!';
-                } else if (overdueCount > 0) {
-                    body = overdueCount + ' overdue ticket(s) need attention!';
-                }
+        buildCard: function(ticket) {
+            var $card = $(
+                '<div class="zdm-ticket-item">' +
+                    '<div style="display: flex; justify-content: space-between; align-items: start;">' +
+                        '<div style="flex: 1;"><strong></strong> - <span class="zdm-ticket-subject"></span>' +
+                            '<div class="zdm-ticket-meta" style="font-size: 11px; color: #666; margin-top: 3px;"></div>' +
+                        '</div>' +
+                        '<a class="button button-small">View</a>' +
+                    '</div>' +
+                '</div>'
+            );
+
+            $card.attr('data-ticket-id', ticket.id).addClass(this.priorityClass(ticket));
+            $card.find('strong').text('#' + ticket.number);
+            $card.find('.zdm-ticket-subject').text(ticket.subject);
+            $card.find('.zdm-ticket-meta').text(ticket.contact_name + ' • ' + (ticket.assignee_name || zdm_widget.strings.unassigned) + ' • ')
+                .append(this.slaBadges(ticket));
+            $card.find('a').attr('href', zdm_widget.ticket_url + encodeURIComponent(ticket.id));
+
+            return $card;
+        },
 
-                var notification = new Notification(title, {
-                    body: body,
-                    icon: zdm_widget.plugin_url + 'assets/images/icon.png',
-                    tag: 'zdm-alert',
-                    requireInteraction: false
-                });
+        /**
+         * Live countdowns to a ticket's response and resolution deadlines
+         */
+        slaBadges: function(ticket) {
+            var $badges = $();
+
+            if (ticket.response_due_date) {
+                $badges = $badges.add(window.ZDM_SLA.element(ticket.response_due_date, 'response'));
+            }
+            if (ticket.due_date) {
+                $badges = $badges.add(window.ZDM_SLA.element(ticket.due_date, 'resolution'));
+            }
+
+            return $badges.length ? $badges : $('<span class="zdm-sla-none">—</span>');
+        },
+
+        /**
+         * CSS class for a ticket's priority
+         */
+        priorityClass: function(ticket) {
+            if (ticket.priority === 'High') {
+                return 'zdm-priority-high';
+            }
+            return ticket.priority === 'Medium' ? 'zdm-priority-medium' : '';
+        },
+
+        /**
+         * Whether a ticket is past its due date
+         */
+        isOverdue: function(ticket) {
+            return !!ticket.due_date && ZDM_Widget.parseTime(ticket.due_date) < Date.now();
+        },
+
+        /**
+         * Whether a ticket has a deadline within the next hour
+         */
+        isBreachingSoon: function(ticket) {
+            var next = window.ZDM_SLA.nextDeadline([ticket.response_due_date, ticket.due_date]);
+            return next !== null && next - Date.now() <= 3600000;
+        },
 
-                notification.onclick = function() {
-                    window.focus();
-                    window.location.href = zdm_widget.tickets_url;
-                    notification.close();
-                };
+        /**
+         * Parse a Zoho timestamp to milliseconds
+         */
+        parseTime: function(value) {
+            return value ? new Date(value).getTime() : 0;
+        },
+
+        /**
+         * Human-readable time since a timestamp
+         */
+        timeAgo: function(value) {
+            var diff = Math.floor((Date.now() - this.parseTime(value)) / 1000);
+            var strings = zdm_widget.strings;
 
-                setTimeout(function() {
-                    notification.close();
-                }, 5000);
+            if (diff < 60) {
+                return strings.just_now;
             }
+            if (diff < 3600) {
+                return strings.mins_ago.replace('%d', Math.floor(diff / 60));
+            }
+            if (diff < 86400) {
+                return strings.hours_ago.replace('%d', Math.floor(diff / 3600));
+            }
+            return strings.days_ago.replace('%d', Math.floor(diff / 86400));
+        },
+
+        /**
+         * Persist filters and sorting for this user
+         */
+        savePrefs: function() {
+            $.ajax({
+                url: zdm_widget.ajax_url,
+                type: 'POST',
+                data: $.extend({
+                    action: 'zdm_save_widget_prefs',
+                    nonce: zdm_widget.nonce
+                }, this.prefs)
+            });
+        },
+
+        /**
+         * Open a ticket in the quick-view, paging through the list it's in
+         */
+        showTicketPreview: function(ticketId, $list) {
+            window.ZDM_Quick_View.open(ticketId, $list);
+        },
+
+        /**
+         * Highlight the urgent and overdue cards when they have tickets
+         */
+        checkForUrgentTickets: function(counts) {
+            $('.zdm-stat-urgent').toggleClass('pulse-animation', counts.urgent > 0);
+            $('.zdm-stat-overdue').toggleClass('pulse-animation', counts.overdue > 0);
         },
 
         /**
@@ -383,37 +695,36 @@
         }
     };
 
+    window.ZDM_Widget = ZDM_Widget;
+
     // Initialize on document ready
     $(document).ready(function() {
         if ($('#zdm_ticket_summary').length) {
+            window.ZDM_Widget_Notifications.init();
             ZDM_Widget.init();
 
             // Request notification permission
             if ('Notification' in window && Notification.permission === 'default') {
                 $('#zdm_ticket_summary').prepend(
                     '<div class="notice notice-info is-dismissible">' +
-                    '<p>Enable browser notifications to get alerts for urgent tickets. ' +
+                    '<p>Enable browser notifications to get alerts for new and overdue tickets. ' +
                     '<a href="#" id="zdm-enable-notifications">Enable Notifications</a></p>' +
                     '</div>'
                 );
 
                 $('#zdm-enable-notifications').on('click', function(e) {
                     e.preventDefault();
-                    Notification.requestPermission();
+                    Notification.requestPermission(function() {
+                        window.ZDM_Widget_Notifications.renderPermission();
+                    });
                     $(this).closest('.notice').fadeOut();
                 });
             }
         }
     });
 
-    // Add CSS for modal
+    // Add CSS for animations
     $('<style>').text(
-        '#zdm-ticket-modal { position: fixed; top: 0; left: 0; width: 100%; height: 100%; z-index: 100000; }' +
-        '.zdm-modal-overlay { position: absolute; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); }' +
-        '.zdm-modal-content { position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); ' +
-        'background: white; padding: 20px; border-radius: 5px; max-width: 600px; width: 90%; max-height: 80vh; overflow-y: auto; }' +
-        '.zdm-modal-close { position: absolute; top: 10px; right: 15px; font-size: 28px; cursor: pointer; color: #999; }' +
-        '.zdm-modal-close:hover { color: #333; }' +
         '.pulse-animation { animation: pulse 2s infinite; }' +
         '@keyframes pulse { 0% { transform: scale(1); } 50% { transform: scale(1.05); } 100% { transform: scale(1); } }' +
         '.zdm-widget-notice { margin: 0 0 10px 0 !important; }'
@@ -43,6 +43,16 @@ function zdm_add_admin_menu() {
         'zdm_ai_settings_page'
     );
 
+    // AI Usage submenu
+    add_submenu_page(
+        'zoho-desk-manager',
+        'AI Usage',
+        'AI Usage',
+        'manage_options',
+        'zoho-desk-ai-usage',
+        'zdm_ai_usage_page'
+    );
+
     // Templates submenu
     add_submenu_page(
         'zoho-desk-manager',
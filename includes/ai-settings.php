@@ -17,6 +17,7 @@ function zdm_register_ai_settings() {
     register_setting('zdm_ai_settings', 'zdm_browser_ai_provider');
     register_setting('zdm_ai_settings', 'zdm_include_full_conversation');
     register_setting('zdm_ai_settings', 'zdm_conversation_limit');
+    register_setting('zdm_ai_settings', 'zdm_browser_extension_stub');
 
     // API subscription settings (deprecated)
     register_setting('zdm_ai_settings', 'zdm_use_subscription');
@@ -52,6 +53,23 @@ function zdm_register_ai_settings() {
     // Auto-tagging settings
     register_setting('zdm_ai_settings', 'zdm_auto_tag_tickets');
     register_setting('zdm_ai_settings', 'zdm_tag_scope');
+
+    // Personal data redaction
+    register_setting('zdm_ai_settings', 'zdm_pii_redaction');
+    register_setting('zdm_ai_settings', 'zdm_pii_types', array(
+        'sanitize_callback' => array('ZDM_PII_Redactor', 'sanitize_types')
+    ));
+    register_setting('zdm_ai_settings', 'zdm_pii_rules', array(
+        'sanitize_callback' => array('ZDM_PII_Redactor', 'sanitize_rules')
+    ));
+
+    // Usage budget
+    register_setting('zdm_ai_settings', 'zdm_ai_daily_budget', array(
+        'sanitize_callback' => array('ZDM_AI_Usage', 'sanitize_budget')
+    ));
+    register_setting('zdm_ai_settings', 'zdm_ai_budget_mode', array(
+        'sanitize_callback' => array('ZDM_AI_Usage', 'sanitize_budget_mode')
+    ));
 }
 add_action('admin_init', 'zdm_register_ai_settings');
 
@@ -76,6 +94,8 @@ function zdm_ai_settings_page() {
             </div>
         <?php endif; ?>
 
+        <?php settings_errors('zdm_pii_rules'); ?>
+
         <nav class="nav-tab-wrapper">
             <a href="?page=zoho-desk-ai&tab=subscription" class="nav-tab <?php echo $active_tab == 'subscription' ? 'nav-tab-active' : ''; ?>">
                 Browser AI
@@ -167,6 +187,20 @@ function zdm_ai_settings_page() {
                                         </div>
                                     </td>
                                 </tr>
+                                <tr>
+                                    <th scope="row">Companion Extension</th>
+                                    <td>
+                                        <p class="description" style="margin-top: 0;">When the companion browser extension is installed, prompts are sent to <?php echo $browser_provider === 'claude' ? 'Claude' : 'ChatGPT'; ?> and the answer comes back into the draft automatically. Without it, the prompt is copied and pasted by hand.</p>
+                                        <label style="display: block; margin-top: 10px;">
+                                            <input type="checkbox"
+                                                   name="zdm_browser_extension_stub"
+                                                   value="1"
+                                                   <?php checked(get_option('zdm_browser_extension_stub'), '1'); ?>>
+                                            Use the extension stub
+                                        </label>
+                                        <p class="description">For testing only: talk to the local stub page instead of a real extension. See <code>docs/browser-extension-protocol.md</code>.</p>
+                                    </td>
+                                </tr>
                             </table>
                         </div>
 
@@ -544,6 +578,45 @@ function zdm_ai_settings_page() {
                         </div>
                     </div>
 
+                    <!-- Variant Preferences -->
+                    <?php $variant_stats = ZDM_Draft_Variants::get_stats(); ?>
+                    <div class="card" style="max-width: 800px; margin: 20px 0;">
+                        <h3 style="margin-top: 0;">Variant Preferences</h3>
+                        <?php if (empty($variant_stats['variants'])): ?>
+                            <p class="description">No variant comparisons yet. Use "Compare Variants" on a ticket to generate several drafts side by side.</p>
+                        <?php else: ?>
+                            <p>
+                                <?php echo intval($variant_stats['comparisons']); ?> comparisons:
+                                <?php echo intval($variant_stats['picks']); ?> picked as is,
+                                <?php echo intval($variant_stats['merges']); ?> merged.
+                            </p>
+                            <table class="widefat striped">
+                                <thead>
+                                    <tr>
+                                        <th>Tone</th>
+                                        <th>Provider</th>
+                                        <th>Shown</th>
+                                        <th>Picked</th>
+                                        <th>Merged</th>
+                                        <th>Preferred</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    <?php foreach ($variant_stats['variants'] as $variant): ?>
+                                        <tr>
+                                            <td><?php echo esc_html(ucfirst($variant['tone'])); ?></td>
+                                            <td><?php echo esc_html(ucfirst($variant['provider'])); ?></td>
+                                            <td><?php echo intval($variant['shown']); ?></td>
+                                            <td><?php echo intval($variant['picked']); ?></td>
+                                            <td><?php echo intval($variant['merged']); ?></td>
+                                            <td><?php echo intval($variant['preference_rate']); ?>%</td>
+                                        </tr>
+                                    <?php endforeach; ?>
+                                </tbody>
+                            </table>
+                        <?php endif; ?>
+                    </div>
+
                     <!-- Response Examples -->
                     <div class="card" style="max-width: 800px; margin: 20px 0;">
                         <h3 style="margin-top: 0;">Response Structure Guide</h3>
@@ -612,6 +685,101 @@ function zdm_ai_settings_page() {
                 </tr>
             </table>
 
+            <!-- Personal Data Redaction -->
+            <h3>🔒 Personal Data Redaction</h3>
+            <table class="form-table">
+                <tr>
+                    <th scope="row">Redact Prompts</th>
+                    <td>
+                        <label>
+                            <input type="checkbox"
+                                   name="zdm_pii_redaction"
+                                   value="1"
+                                   <?php checked(get_option('zdm_pii_redaction', '1'), '1'); ?>>
+                            Replace personal data with placeholders before prompts leave this site
+                        </label>
+                        <p class="description">
+                            Applies to AI provider requests, draft improvements and browser AI prompts (clipboard and extension).
+                            The same value always gets the same placeholder, such as <code>[EMAIL_1]</code>, and the real values are put back into the draft.
+                        </p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row">Built-in Rules</th>
+                    <td>
+                        <?php $zdm_pii_types = (array) get_option('zdm_pii_types', array_keys(ZDM_PII_Redactor::get_builtin_rules())); ?>
+                        <?php foreach (ZDM_PII_Redactor::get_builtin_rules() as $type => $rule): ?>
+                            <label style="display: block; margin-bottom: 4px;">
+                                <input type="checkbox"
+                                       name="zdm_pii_types[]"
+                                       value="<?php echo esc_attr($type); ?>"
+                                       <?php checked(in_array($type, $zdm_pii_types, true)); ?>>
+                                <?php echo esc_html($rule['label']); ?>
+                                <code>[<?php echo esc_html($type); ?>_1]</code>
+                            </label>
+                        <?php endforeach; ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="zdm_pii_rules">Custom Rules</label></th>
+                    <td>
+                        <textarea name="zdm_pii_rules"
+                                  id="zdm_pii_rules"
+                                  rows="5"
+                                  class="large-text code"
+                                  placeholder="Account ID | /\bACC-\d{6}\b/"><?php echo esc_textarea(ZDM_PII_Redactor::format_rules()); ?></textarea>
+                        <p class="description">
+                            One rule per line: <code>Label | /pattern/flags</code> (a PHP regular expression). Custom rules run before the built-in ones.
+                            If the pattern has a capture group, only the first group is redacted.
+                        </p>
+                    </td>
+                </tr>
+            </table>
+
+            <!-- Usage Budget -->
+            <h3>💰 Usage Budget</h3>
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="zdm_ai_daily_budget">Daily Budget per Agent</label></th>
+                    <td>
+                        $<input type="number"
+                                name="zdm_ai_daily_budget"
+                                id="zdm_ai_daily_budget"
+                                value="<?php echo esc_attr(get_option('zdm_ai_daily_budget', 0)); ?>"
+                                min="0"
+                                step="0.01"
+                                class="small-text">
+                        <p class="description">
+                            What each agent may spend on AI provider requests per day, worked out from token counts and model list prices.
+                            Set to 0 for no budget. Agents see a warning at <?php echo intval(ZDM_AI_Usage::WARNING_RATIO * 100); ?>%.
+                            <a href="<?php echo esc_url(admin_url('admin.php?page=zoho-desk-ai-usage')); ?>">View the usage report</a>
+                        </p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row">When Reached</th>
+                    <td>
+                        <label>
+                            <input type="radio"
+                                   name="zdm_ai_budget_mode"
+                                   value="soft"
+                                   <?php checked(get_option('zdm_ai_budget_mode', 'soft'), 'soft'); ?>>
+                            Warn the agent (soft limit)
+                        </label><br>
+                        <label>
+                            <input type="radio"
+                                   name="zdm_ai_budget_mode"
+                                   value="hard"
+                                   <?php checked(get_option('zdm_ai_budget_mode', 'soft'), 'hard'); ?>>
+                            Disable AI drafts and improvements until the next day (hard limit)
+                        </label>
+                        <p class="description">
+                            Browser AI is not charged to this site and ignores the budget.
+                        </p>
+                    </td>
+                </tr>
+            </table>
+
             <?php submit_button('Save Settings'); ?>
         </form>
 
@@ -0,0 +1,156 @@
+<?php
+/**
+ * AI Usage Page
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Render the AI usage report
+ */
+function zdm_ai_usage_page() {
+    $periods = array(7 => 'Last 7 days', 30 => 'Last 30 days', ZDM_AI_Usage::KEEP_DAYS => 'Last ' . ZDM_AI_Usage::KEEP_DAYS . ' days');
+    $days = absint($_GET['days'] ?? 7);
+    $days = isset($periods[$days]) ? $days : 7;
+
+    $report = ZDM_AI_Usage::get_report($days);
+    $budget = (float) get_option('zdm_ai_daily_budget', 0);
+    $budget_mode = get_option('zdm_ai_budget_mode', 'soft');
+    ?>
+    <div class="wrap">
+        <h1>AI Usage</h1>
+
+        <p>
+            <?php foreach ($periods as $period => $label): ?>
+                <a href="<?php echo esc_url(add_query_arg('days', $period)); ?>"
+                   class="button <?php echo $period === $days ? 'button-primary' : ''; ?>"><?php echo esc_html($label); ?></a>
+            <?php endforeach; ?>
+        </p>
+
+        <p class="description">
+            Costs are worked out from the token counts the providers report and the list prices of each model.
+            Browser AI drafts are not charged to this site and are not counted.
+            <?php if ($budget > 0): ?>
+                Each agent has a daily budget of <strong><?php echo esc_html(ZDM_AI_Usage::format_cost($budget)); ?></strong>
+                (<?php echo $budget_mode === 'hard' ? 'AI buttons are disabled once it is reached' : 'agents are warned once it is reached'; ?>).
+            <?php else: ?>
+                No daily budget is set.
+            <?php endif; ?>
+            <a href="<?php echo esc_url(admin_url('admin.php?page=zoho-desk-ai')); ?>">Change in AI Settings</a>
+        </p>
+
+        <?php if (empty($report['days'])): ?>
+            <div class="card">
+                <p>No AI requests in this period.</p>
+            </div>
+        <?php else: ?>
+            <div class="zdm-usage-summary">
+                <div class="card">
+                    <h3>Requests</h3>
+                    <p class="zdm-usage-figure"><?php echo esc_html(number_format_i18n($report['totals']['requests'])); ?></p>
+                </div>
+                <div class="card">
+                    <h3>Tokens</h3>
+                    <p class="zdm-usage-figure"><?php echo esc_html(number_format_i18n($report['totals']['input_tokens'] + $report['totals']['output_tokens'])); ?></p>
+                    <p class="description">
+                        <?php echo esc_html(number_format_i18n($report['totals']['input_tokens'])); ?> prompt,
+                        <?php echo esc_html(number_format_i18n($report['totals']['output_tokens'])); ?> reply
+                    </p>
+                </div>
+                <div class="card">
+                    <h3>Cost</h3>
+                    <p class="zdm-usage-figure"><?php echo esc_html(ZDM_AI_Usage::format_cost($report['totals']['cost'])); ?></p>
+                    <?php if ($report['totals']['credits'] > 0): ?>
+                        <p class="description">plus <?php echo esc_html(number_format_i18n($report['totals']['credits'])); ?> subscription credits</p>
+                    <?php endif; ?>
+                </div>
+            </div>
+
+            <h2>By Agent</h2>
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th>Agent</th>
+                        <th>Requests</th>
+                        <th>Prompt Tokens</th>
+                        <th>Reply Tokens</th>
+                        <th>Credits</th>
+                        <th>Cost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($report['agents'] as $user_id => $totals): ?>
+                        <?php $user = $user_id ? get_userdata($user_id) : false; ?>
+                        <tr>
+                            <td><?php echo esc_html($user ? $user->display_name : ($user_id ? 'Deleted user #' . $user_id : 'WP-CLI / background')); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['requests'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['input_tokens'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['output_tokens'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['credits'])); ?></td>
+                            <td><?php echo esc_html(ZDM_AI_Usage::format_cost($totals['cost'])); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <h2>By Day</h2>
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Requests</th>
+                        <th>Prompt Tokens</th>
+                        <th>Reply Tokens</th>
+                        <th>Credits</th>
+                        <th>Cost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($report['days'] as $date => $totals): ?>
+                        <tr>
+                            <td><?php echo esc_html(date_i18n(get_option('date_format'), strtotime($date))); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['requests'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['input_tokens'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['output_tokens'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['credits'])); ?></td>
+                            <td><?php echo esc_html(ZDM_AI_Usage::format_cost($totals['cost'])); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <h2>By Model</h2>
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <th>Model</th>
+                        <th>Provider</th>
+                        <th>Requests</th>
+                        <th>Prompt Tokens</th>
+                        <th>Reply Tokens</th>
+                        <th>Cost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($report['models'] as $model => $totals): ?>
+                        <tr>
+                            <td><code><?php echo esc_html($model); ?></code></td>
+                            <td><?php echo esc_html(ucfirst($totals['provider'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['requests'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['input_tokens'])); ?></td>
+                            <td><?php echo esc_html(number_format_i18n($totals['output_tokens'])); ?></td>
+                            <td><?php echo esc_html(ZDM_AI_Usage::get_price($model) ? ZDM_AI_Usage::format_cost($totals['cost']) : 'No price known'); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+        <?php endif; ?>
+    </div>
+    <?php
+}
@@ -29,9 +29,9 @@ class ZDM_AI_Assistant {
      */
     public static function init() {
         add_action('wp_ajax_zdm_generate_ai_response', array(__CLASS__, 'ajax_generate_response'));
+        add_action('wp_ajax_zdm_stream_ai_response', array(__CLASS__, 'ajax_stream_response'));
         add_action('wp_ajax_zdm_improve_response', array(__CLASS__, 'ajax_improve_response'));
         add_action('wp_ajax_zdm_get_response_templates', array(__CLASS__, 'ajax_get_templates'));
-        add_action('wp_ajax_zdm_preview_template', array(__CLASS__, 'ajax_preview_template'));
         add_action('wp_ajax_zdm_process_template', array(__CLASS__, 'ajax_process_template'));
     }
 
@@ -45,6 +45,12 @@ class ZDM_AI_Assistant {
             return self::generate_browser_prompt($ticket_data, $conversation_history, $options);
         }
 
+        // Browser AI is free for the site, everything else counts against the budget
+        $budget_error = ZDM_AI_Usage::check_budget();
+        if ($budget_error) {
+            return $budget_error;
+        }
+
         // Check if subscription service is enabled (deprecated)
         if (get_option('zdm_use_subscription') == '1') {
             // Include subscription AI handler if not already loaded
@@ -52,13 +58,114 @@ class ZDM_AI_Assistant {
                 require_once ZDM_PLUGIN_PATH . 'includes/class-subscription-ai.php';
             }
 
+            // The service builds the prompt itself, so redact what it is built from
+            $redaction = ZDM_PII_Redactor::redact_prompt(array(
+                'ticket' => $ticket_data,
+                'history' => $conversation_history,
+                'options' => $options
+            ));
+
             // Use subscription service for AI generation
-            return ZDM_Subscription_AI::generate_response($ticket_data, $conversation_history, $options);
+            $result = ZDM_Subscription_AI::generate_response($redaction['prompt']['ticket'], $redaction['prompt']['history'], $redaction['prompt']['options']);
+
+            if (!isset($result['error'])) {
+                $result['response'] = ZDM_PII_Redactor::restore($result['response'], $redaction['redactions']);
+                $result['redactions'] = $redaction['redactions'];
+                ZDM_AI_Usage::record('subscription', $result['usage']['model_used'], $result['usage']);
+                $result['budget'] = ZDM_AI_Usage::get_budget_status();
+            }
+
+            return $result;
+        }
+
+        // Otherwise use direct API keys, optionally with a specific provider
+        $config = self::get_provider_config($options['provider'] ?? '');
+
+        if (isset($config['error'])) {
+            return $config;
         }
 
-        // Otherwise use direct API keys
-        // Get the default AI provider
-        $provider = get_option('zdm_default_ai_provider');
+        $provider = $config['provider'];
+        $api_key = $config['api_key'];
+
+        // Prepare context for AI
+        $context = self::prepare_context($ticket_data, $conversation_history, $options);
+
+        // Build the prompt, keeping personal data out of it
+        $redaction = ZDM_PII_Redactor::redact_prompt(self::build_prompt($context, $options));
+
+        // Call the appropriate AI API
+        $response = self::call_provider_api($config, $redaction['prompt']);
+
+        if (isset($response['error'])) {
+            return $response;
+        }
+
+        // Process and format the response
+        $result = self::process_ai_response($response, $context);
+
+        if (!isset($result['error'])) {
+            $result['response'] = ZDM_PII_Redactor::restore($result['response'], $redaction['redactions']);
+            $result['redactions'] = $redaction['redactions'];
+            $result['metadata']['provider'] = $provider;
+            $result['metadata']['model'] = $config['model'];
+            $result['usage']['cost'] = ZDM_AI_Usage::record($provider, $config['model'], $result['usage']);
+            $result['budget'] = ZDM_AI_Usage::get_budget_status();
+        }
+
+        return $result;
+    }
+
+    /**
+     * Send a prompt to the provider described by get_provider_config()
+     */
+    private static function call_provider_api($config, $prompt) {
+        switch ($config['provider']) {
+            case 'openai':
+                return self::call_openai_api($prompt, $config['api_key'], $config['model']);
+            case 'claude':
+                return self::call_claude_api($prompt, $config['api_key'], $config['model']);
+            case 'gemini':
+                return self::call_gemini_api($prompt, $config['api_key'], $config['model']);
+            default:
+                return array(
+                    'error' => true,
+                    'message' => 'Unknown AI provider: ' . $config['provider']
+                );
+        }
+    }
+
+    /**
+     * Providers that are enabled and have an API key
+     *
+     * @return array Provider key => label
+     */
+    public static function get_available_providers() {
+        $labels = array(
+            'openai' => 'OpenAI',
+            'claude' => 'Claude',
+            'gemini' => 'Gemini'
+        );
+
+        $available = array();
+        foreach ($labels as $provider => $label) {
+            if (get_option('zdm_' . $provider . '_enabled') && get_option('zdm_' . $provider . '_api_key')) {
+                $available[$provider] = $label;
+            }
+        }
+
+        return $available;
+    }
+
+    /**
+     * Resolve the direct API provider, key and model
+     *
+     * @param string $provider Provider to use instead of the configured default
+     */
+    private static function get_provider_config($provider = '') {
+        if (empty($provider)) {
+            $provider = get_option('zdm_default_ai_provider');
+        }
 
         if (empty($provider)) {
             return array(
@@ -78,36 +185,39 @@ class ZDM_AI_Assistant {
             );
         }
 
-        // Prepare context for AI
-        $context = self::prepare_context($ticket_data, $conversation_history, $options);
-
-        // Build the prompt
-        $prompt = self::build_prompt($context, $options);
+        $model = self::get_model($provider);
 
-        // Call the appropriate AI API
-        switch ($provider) {
-            case 'openai':
-                $response = self::call_openai_api($prompt, $api_key, get_option('zdm_openai_model', 'gpt-3.5-turbo'));
-                break;
-            case 'claude':
-                $response = self::call_claude_api($prompt, $api_key, get_option('zdm_claude_model', 'claude-3-haiku-20240307'));
-                break;
-            case 'gemini':
-                $response = self::call_gemini_api($prompt, $api_key, get_option('zdm_gemini_model', 'gemini-pro'));
-                break;
-            default:
-                return array(
-                    'error' => true,
-                    'message' => 'Unknown AI provider: ' . $provider
-                );
+        if ($model === '') {
+            return array(
+                'error' => true,
+                'message' => 'Unknown AI provider: ' . $provider
+            );
         }
 
-        if (isset($response['error'])) {
-            return $response;
+        return array(
+            'provider' => $provider,
+            'api_key' => $api_key,
+            'model' => $model
+        );
+    }
+
+    /**
+     * Model configured for a provider
+     *
+     * @return string Empty for an unknown provider
+     */
+    public static function get_model($provider) {
+        $default_models = array(
+            'openai' => 'gpt-3.5-turbo',
+            'claude' => 'claude-3-haiku-20240307',
+            'gemini' => 'gemini-pro'
+        );
+
+        if (!isset($default_models[$provider])) {
+            return '';
         }
 
-        // Process and format the response
-        return self::process_ai_response($response, $context);
+        return get_option('zdm_' . $provider . '_model', $default_models[$provider]);
     }
 
     /**
@@ -128,19 +238,28 @@ class ZDM_AI_Assistant {
             'agent_messages' => array(),    // All agent responses
             'customer_sentiment' => '',
             'key_issues' => array(),
-            'product_area' => $ticket_data['product'] ?? ''
+            'product_area' => $ticket_data['product'] ?? '',
+            'include_full' => get_option('zdm_include_full_conversation', '1') === '1'
         );
 
+        // Messages picked in the prompt inspector are sent in full and unlimited
+        if (isset($options['message_ids'])) {
+            $context['include_full'] = true;
+            $conversation_history = array_values(array_filter($conversation_history, function($message) use ($options) {
+                return in_array((string) ($message['id'] ?? ''), $options['message_ids'], true);
+            }));
+        }
+
         // Process complete conversation history
         if (!empty($conversation_history)) {
             $last_customer_message = '';
 
             // Check if we should include full conversation
-            $include_full = get_option('zdm_include_full_conversation', '1') === '1';
-            $conversation_limit = intval(get_option('zdm_conversation_limit', '20'));
+            $include_full = $context['include_full'];
+            $conversation_limit = intval($options['message_limit'] ?? get_option('zdm_conversation_limit', '20'));
 
             // Limit conversation history if needed
-            if ($include_full && count($conversation_history) > $conversation_limit) {
+            if ($include_full && !isset($options['message_ids']) && count($conversation_history) > $conversation_limit) {
                 // Keep the most recent messages
                 $conversation_history = array_slice($conversation_history, -$conversation_limit);
             }
@@ -153,6 +272,7 @@ class ZDM_AI_Assistant {
 
                 // Build full conversation entry
                 $conversation_entry = array(
+                    'id' => (string) ($message['id'] ?? ''),
                     'type' => $author_type,
                     'author' => $author_name,
                     'content' => $content,
@@ -227,7 +347,7 @@ class ZDM_AI_Assistant {
         }
 
         // Include complete conversation history for full context
-        $include_full = get_option('zdm_include_full_conversation', '1') === '1';
+        $include_full = $context['include_full'];
 
         if ($include_full && !empty($context['full_conversation'])) {
             $user_prompt .= "\n**Complete Conversation History:**\n";
@@ -302,6 +422,11 @@ class ZDM_AI_Assistant {
                 break;
         }
 
+        // Instructions the agent added in the prompt inspector or a preset
+        if (!empty($options['instructions'])) {
+            $user_prompt .= "\n\n**Additional Instructions:**\n{$options['instructions']}";
+        }
+
         $user_prompt .= "\n\nIMPORTANT: Address the customer by name and personalize the response based on their specific issue.";
 
         return array(
@@ -310,6 +435,69 @@ class ZDM_AI_Assistant {
         );
     }
 
+    /**
+     * Describe the prompt generate_response() would send
+     *
+     * @param array $ticket_data Ticket from the Zoho API
+     * @param array $conversation_history Every thread message of the ticket
+     * @param array $options Generation options
+     * @return array Ticket fields, every message with whether it's
+     *     included, the agent's instructions and the assembled prompt as
+     *     it leaves, with the values redacted from it
+     */
+    public static function inspect_prompt($ticket_data, $conversation_history, $options = array()) {
+        $context = self::prepare_context($ticket_data, $conversation_history, $options);
+        $redaction = ZDM_PII_Redactor::redact_prompt(self::build_prompt($context, $options));
+        $prompt = $redaction['prompt'];
+
+        $included = array();
+        foreach ($context['full_conversation'] as $entry) {
+            $included[$entry['id']] = true;
+        }
+
+        // Without the full conversation only the latest customer message is sent
+        if (!$context['include_full']) {
+            $included = array();
+            foreach (array_reverse($conversation_history) as $message) {
+                if (($message['author']['type'] ?? '') === 'END_USER') {
+                    $included[(string) ($message['id'] ?? '')] = true;
+                    break;
+                }
+            }
+        }
+
+        $messages = array();
+        foreach ($conversation_history as $message) {
+            $id = (string) ($message['id'] ?? '');
+            $content = $message['content'] ?? $message['plainText'] ?? $message['summary'] ?? '';
+
+            $messages[] = array(
+                'id' => $id,
+                'customer' => ($message['author']['type'] ?? '') === 'END_USER',
+                'author' => $message['author']['firstName'] ?? $message['author']['name'] ?? 'Unknown',
+                'time' => $message['createdTime'] ?? '',
+                'excerpt' => wp_trim_words(wp_strip_all_tags($content), 40),
+                'included' => isset($included[$id])
+            );
+        }
+
+        return array(
+            'ticket' => array(
+                'Subject' => $context['ticket_subject'],
+                'Customer' => $context['customer_name'],
+                'Priority' => $context['priority'],
+                'Category' => $context['category'],
+                'Sentiment' => $context['customer_sentiment'],
+                'Key issues' => implode(', ', $context['key_issues'])
+            ),
+            'messages' => $messages,
+            'instructions' => $options['instructions'] ?? '',
+            'system' => $prompt['system'],
+            'user' => $prompt['user'],
+            'redactions' => $redaction['redactions']
+        );
+    }
+
     /**
      * Call Claude API
      */
@@ -522,6 +710,7 @@ class ZDM_AI_Assistant {
         return array(
             'success' => true,
             'response' => $generated_text,
+            'sentiment' => self::analyze_sentiment($generated_text),
             'usage' => array(
                 'input_tokens' => $response['usage']['input_tokens'] ?? 0,
                 'output_tokens' => $response['usage']['output_tokens'] ?? 0
@@ -647,8 +836,6 @@ class ZDM_AI_Assistant {
         }
 
         $ticket_id = sanitize_text_field($_POST['ticket_id']);
-        $response_type = sanitize_text_field($_POST['response_type'] ?? 'solution');
-        $tone = sanitize_text_field($_POST['tone'] ?? 'professional');
 
         // Fetch ticket data
         $api = new ZDM_Zoho_API();
@@ -667,12 +854,7 @@ class ZDM_AI_Assistant {
         }
 
         // Generate response
-        $options = array(
-            'response_type' => $response_type,
-            'tone' => $tone
-        );
-
-        $result = self::generate_response($ticket, $conversation_history, $options);
+        $result = self::generate_response($ticket, $conversation_history, ZDM_Prompt_Presets::get_request_options());
 
         if (isset($result['error'])) {
             wp_send_json_error($result['message']);
@@ -681,6 +863,352 @@ class ZDM_AI_Assistant {
         }
     }
 
+    /**
+     * Check whether drafts can be streamed with the current AI configuration
+     */
+    public static function supports_streaming() {
+        // Browser AI and the subscription service only support one-shot responses
+        if (get_option('zdm_use_browser_ai') == '1' || get_option('zdm_use_subscription') == '1') {
+            return false;
+        }
+
+        return function_exists('curl_init');
+    }
+
+    /**
+     * AJAX handler for streaming a response as server-sent events
+     *
+     * Falls back to a JSON error with `stream_unavailable` so the browser can
+     * retry through the one-shot `zdm_generate_ai_response` action.
+     */
+    public static function ajax_stream_response() {
+        check_ajax_referer('zdm_ai_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        if (!self::supports_streaming()) {
+            wp_send_json_error(array(
+                'stream_unavailable' => true,
+                'message' => 'Streaming is not available for the current AI configuration'
+            ));
+        }
+
+        $config = self::get_provider_config();
+
+        if (isset($config['error'])) {
+            wp_send_json_error($config['message']);
+        }
+
+        $budget_error = ZDM_AI_Usage::check_budget();
+        if ($budget_error) {
+            wp_send_json_error($budget_error['message']);
+        }
+
+        $ticket_id = sanitize_text_field($_POST['ticket_id']);
+        $options = ZDM_Prompt_Presets::get_request_options();
+
+        $api = new ZDM_Zoho_API();
+        $ticket = $api->get_ticket($ticket_id);
+        $threads = $api->get_ticket_threads($ticket_id);
+
+        if (!$ticket) {
+            wp_send_json_error('Unable to fetch ticket data');
+        }
+
+        $conversation_history = isset($threads['data']) ? $threads['data'] : array();
+        $context = self::prepare_context($ticket, $conversation_history, $options);
+        $redaction = ZDM_PII_Redactor::redact_prompt(self::build_prompt($context, $options));
+
+        self::start_event_stream();
+
+        // Tokens arrive with placeholders; the browser puts the values back
+        self::send_stream_event('redactions', array('redactions' => $redaction['redactions']));
+
+        $generated_text = '';
+        $response = self::stream_provider_api($config, $redaction['prompt'], function($text) use (&$generated_text) {
+            $generated_text .= $text;
+            self::send_stream_event('token', array('text' => $text));
+        });
+
+        if (isset($response['error'])) {
+            $usage = self::get_partial_stream_usage($response, $redaction['prompt'], $generated_text);
+
+            // The provider bills what it read and wrote before an error or the agent's Stop
+            if ($usage) {
+                $usage['cost'] = ZDM_AI_Usage::record($config['provider'], $config['model'], $usage);
+            }
+
+            self::send_stream_event('error', array(
+                'message' => $response['message'],
+                'usage' => $usage ?: array(),
+                'budget' => ZDM_AI_Usage::get_budget_status()
+            ));
+            exit;
+        }
+
+        // Stream the signature last so the draft matches the one-shot response
+        $signature = get_option('zdm_email_signature', '');
+        if (!empty($signature)) {
+            self::send_stream_event('token', array('text' => "\n\n" . $signature));
+        }
+
+        $usage = $response['usage'];
+        $usage['cost'] = ZDM_AI_Usage::record($config['provider'], $config['model'], $usage);
+
+        self::send_stream_event('done', array(
+            'usage' => $usage,
+            'budget' => ZDM_AI_Usage::get_budget_status(),
+            'redactions' => $redaction['redactions'],
+            'suggestions' => self::generate_suggestions($context),
+            'metadata' => array(
+                'generated_at' => current_time('mysql'),
+                'model' => $config['model'],
+                'context_items' => count($context['key_issues'])
+            )
+        ));
+        exit;
+    }
+
+    /**
+     * Usage of a stream that ended early, or null if the provider never started
+     *
+     * Some providers only report usage at the end of the stream, so missing
+     * counts are estimated from the prompt and the text received.
+     *
+     * @return array|null input_tokens and output_tokens
+     */
+    private static function get_partial_stream_usage($response, $prompt, $generated_text) {
+        $usage = $response['usage'] ?? array('input_tokens' => 0, 'output_tokens' => 0);
+
+        if (empty($response['cancelled']) && $generated_text === '' && empty($usage['input_tokens'])) {
+            return null;
+        }
+
+        if (empty($usage['input_tokens'])) {
+            $usage['input_tokens'] = ZDM_AI_Usage::estimate_tokens(implode("\n\n", (array) $prompt));
+        }
+
+        $usage['output_tokens'] = max((int) $usage['output_tokens'], ZDM_AI_Usage::estimate_tokens($generated_text));
+
+        return $usage;
+    }
+
+    /**
+     * Send event stream headers and disable output buffering
+     */
+    private static function start_event_stream() {
+        if (function_exists('set_time_limit')) {
+            set_time_limit(0);
+        }
+
+        // Keep running after the agent presses Stop, so the usage is still recorded
+        ignore_user_abort(true);
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/event-stream; charset=' . get_option('blog_charset'));
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no'); // Stop nginx from buffering the stream
+
+        flush();
+    }
+
+    /**
+     * Write a single server-sent event to the browser
+     */
+    private static function send_stream_event($event, $data) {
+        echo 'event: ' . $event . "\n";
+        echo 'data: ' . wp_json_encode($data) . "\n\n";
+        flush();
+    }
+
+    /**
+     * Stream a completion from the configured provider
+     *
+     * Calls $on_text for every text delta and returns the token usage once the
+     * provider closes the stream. Aborts when the browser disconnects; errors
+     * carry the usage counted so far, and 'cancelled' for a disconnect.
+     */
+    private static function stream_provider_api($config, $prompt, $on_text) {
+        $max_tokens = intval(get_option('zdm_ai_max_tokens', self::MAX_TOKENS));
+        $temperature = floatval(get_option('zdm_ai_temperature', 0.7));
+        $api_key = $config['api_key'];
+        $model = $config['model'];
+
+        switch ($config['provider']) {
+            case 'claude':
+                $url = self::CLAUDE_API_URL;
+                $headers = array(
+                    'Content-Type: application/json',
+                    'x-api-key: ' . $api_key,
+                    'anthropic-version: 2023-06-01'
+                );
+                $body = array(
+                    'model' => $model,
+                    'messages' => array(
+                        array('role' => 'user', 'content' => $prompt['user'])
+                    ),
+                    'system' => $prompt['system'],
+                    'max_tokens' => $max_tokens,
+                    'temperature' => $temperature,
+                    'stream' => true
+                );
+                break;
+            case 'openai':
+                $url = 'https://api.openai.com/v1/chat/completions';
+                $headers = array(
+                    'Content-Type: application/json',
+                    'Authorization: Bearer ' . $api_key
+                );
+                $body = array(
+                    'model' => $model,
+                    'messages' => array(
+                        array('role' => 'system', 'content' => $prompt['system']),
+                        array('role' => 'user', 'content' => $prompt['user'])
+                    ),
+                    'max_tokens' => $max_tokens,
+                    'temperature' => $temperature,
+                    'stream' => true,
+                    'stream_options' => array('include_usage' => true)
+                );
+                break;
+            case 'gemini':
+                $url = 'https://generativelanguage.googleapis.com/v1beta/models/' . $model . ':streamGenerateContent?alt=sse&key=' . $api_key;
+                $headers = array('Content-Type: application/json');
+                $body = array(
+                    'contents' => array(
+                        array(
+                            'parts' => array(
+                                array('text' => $prompt['system'] . "\n\n" . $prompt['user'])
+                            )
+                        )
+                    ),
+                    'generationConfig' => array(
+                        'temperature' => $temperature,
+                        'maxOutputTokens' => $max_tokens
+                    )
+                );
+                break;
+            default:
+                return array(
+                    'error' => true,
+                    'message' => 'Unknown AI provider: ' . $config['provider']
+                );
+        }
+
+        $provider = $config['provider'];
+        $buffer = '';
+        $error_body = '';
+        $usage = array('input_tokens' => 0, 'output_tokens' => 0);
+
+        $ch = curl_init($url);
+        curl_setopt_array($ch, array(
+            CURLOPT_POST => true,
+            CURLOPT_HTTPHEADER => $headers,
+            CURLOPT_POSTFIELDS => wp_json_encode($body),
+            CURLOPT_TIMEOUT => 120,
+            CURLOPT_WRITEFUNCTION => function($ch, $chunk) use ($provider, $on_text, &$buffer, &$error_body, &$usage) {
+                // Returning a short length makes curl abort the transfer
+                if (connection_aborted()) {
+                    return 0;
+                }
+
+                if (curl_getinfo($ch, CURLINFO_HTTP_CODE) !== 200) {
+                    $error_body .= $chunk;
+                    return strlen($chunk);
+                }
+
+                $buffer .= $chunk;
+
+                while (($pos = strpos($buffer, "\n")) !== false) {
+                    $line = trim(substr($buffer, 0, $pos));
+                    $buffer = substr($buffer, $pos + 1);
+
+                    if (strpos($line, 'data:') !== 0) {
+                        continue;
+                    }
+
+                    $payload = json_decode(trim(substr($line, 5)), true);
+                    if (!is_array($payload)) {
+                        continue; // e.g. OpenAI's [DONE] marker
+                    }
+
+                    $text = self::parse_stream_payload($provider, $payload, $usage);
+                    if ($text !== '') {
+                        call_user_func($on_text, $text);
+                    }
+                }
+
+                return strlen($chunk);
+            }
+        ));
+
+        curl_exec($ch);
+        $curl_error = curl_error($ch);
+        $response_code = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        curl_close($ch);
+
+        if (connection_aborted()) {
+            return array(
+                'error' => true,
+                'cancelled' => true,
+                'message' => 'Generation cancelled',
+                'usage' => $usage
+            );
+        }
+
+        if ($response_code !== 200) {
+            $response_body = json_decode($error_body, true);
+            $error_message = $response_body['error']['message'] ?? ($curl_error ?: 'Unknown error occurred');
+            return array(
+                'error' => true,
+                'message' => ucfirst($provider) . ' API error: ' . $error_message,
+                'usage' => $usage
+            );
+        }
+
+        return array(
+            'usage' => $usage,
+            'model' => $model
+        );
+    }
+
+    /**
+     * Extract the text delta (and any usage counts) from one provider stream event
+     */
+    private static function parse_stream_payload($provider, $payload, &$usage) {
+        switch ($provider) {
+            case 'claude':
+                if (isset($payload['message']['usage']['input_tokens'])) {
+                    $usage['input_tokens'] = $payload['message']['usage']['input_tokens'];
+                }
+                if (isset($payload['usage']['output_tokens'])) {
+                    $usage['output_tokens'] = $payload['usage']['output_tokens'];
+                }
+                return $payload['delta']['text'] ?? '';
+
+            case 'openai':
+                if (!empty($payload['usage'])) {
+                    $usage['input_tokens'] = $payload['usage']['prompt_tokens'] ?? 0;
+                    $usage['output_tokens'] = $payload['usage']['completion_tokens'] ?? 0;
+                }
+                return $payload['choices'][0]['delta']['content'] ?? '';
+
+            case 'gemini':
+                if (isset($payload['usageMetadata'])) {
+                    $usage['input_tokens'] = $payload['usageMetadata']['promptTokenCount'] ?? 0;
+                    $usage['output_tokens'] = $payload['usageMetadata']['candidatesTokenCount'] ?? 0;
+                }
+                return $payload['candidates'][0]['content']['parts'][0]['text'] ?? '';
+        }
+
+        return '';
+    }
+
     /**
      * Generate prompt for browser-based AI
      */
@@ -688,8 +1216,9 @@ class ZDM_AI_Assistant {
         // Prepare context
         $context = self::prepare_context($ticket_data, $conversation_history, $options);
 
-        // Build the prompt
-        $prompt = self::build_prompt($context, $options);
+        // Build the prompt; it ends up in the clipboard or an extension, so redact it too
+        $redaction = ZDM_PII_Redactor::redact_prompt(self::build_prompt($context, $options));
+        $prompt = $redaction['prompt'];
 
         // Get the selected browser provider
         $browser_provider = get_option('zdm_browser_ai_provider', 'chatgpt');
@@ -703,6 +1232,7 @@ class ZDM_AI_Assistant {
             'browser_mode' => true,
             'provider' => $browser_provider,
             'prompt' => $full_prompt,
+            'redactions' => $redaction['redactions'],
             'response' => '', // Empty for browser mode
             'message' => 'Copy this prompt to ' . ($browser_provider === 'chatgpt' ? 'ChatGPT' : 'Claude'),
             'metadata' => array(
@@ -722,83 +1252,102 @@ class ZDM_AI_Assistant {
             wp_die('Insufficient permissions');
         }
 
-        $current_response = sanitize_textarea_field($_POST['current_response']);
-        $improvement_type = sanitize_text_field($_POST['improvement_type']);
+        $current_response = sanitize_textarea_field(wp_unslash($_POST['current_response'] ?? ''));
+        $improvement_type = sanitize_text_field($_POST['improvement_type'] ?? '');
+        $selection = sanitize_textarea_field(wp_unslash($_POST['selection'] ?? ''));
+        $instructions = sanitize_textarea_field(wp_unslash($_POST['instructions'] ?? ''));
+        $language = sanitize_text_field($_POST['language'] ?? '');
 
-        $api_key = get_option('zdm_claude_api_key');
+        $instruction = self::get_improvement_instruction($improvement_type, $instructions, $language);
 
-        if (empty($api_key)) {
-            wp_send_json_error('Claude API key not configured');
+        if (empty($current_response) || empty($instruction)) {
+            wp_send_json_error('Missing required data');
             return;
         }
 
-        $prompt = array(
-            'system' => 'You are a professional editor helping to improve customer support responses.',
-            'user' => "Please improve the following response by making it more {$improvement_type}:\n\n{$current_response}"
-        );
+        // Use the configured provider, falling back to Claude as before
+        $config = self::get_provider_config();
+        if (isset($config['error'])) {
+            $config = self::get_provider_config('claude');
+        }
 
-        $response = self::call_claude_api($prompt, $api_key);
+        if (isset($config['error'])) {
+            wp_send_json_error($config['message']);
+            return;
+        }
 
-        if (isset($response['error'])) {
-            wp_send_json_error($response['message']);
-        } else {
-            wp_send_json_success(array(
-                'improved_response' => $response['content'][0]['text'] ?? $current_response
-            ));
+        $budget_error = ZDM_AI_Usage::check_budget();
+        if ($budget_error) {
+            wp_send_json_error($budget_error['message']);
+            return;
         }
-    }
 
-    /**
-     * AJAX handler for template preview
-     */
-    public static function ajax_preview_template() {
-        check_ajax_referer('zdm_ai_nonce', 'nonce');
+        $system = 'You are a professional editor helping to improve customer support responses. ' .
+            'Keep Markdown formatting. Return only the rewritten text, without quotes or commentary.';
 
-        if (!current_user_can('manage_options')) {
-            wp_die('Insufficient permissions');
+        if (!empty($selection)) {
+            // Rewrite just the highlighted span, with the full draft as context
+            $user = "Here is a customer support draft for context:\n\n{$current_response}\n\n" .
+                "Rewrite ONLY the following excerpt from it. {$instruction}\n\nExcerpt:\n{$selection}";
+        } else {
+            $user = "Please improve the following response. {$instruction}\n\n{$current_response}";
         }
 
-        $template_key = sanitize_text_field($_POST['template_key']);
-        $ticket_id = sanitize_text_field($_POST['ticket_id']);
+        $redaction = ZDM_PII_Redactor::redact_prompt(array(
+            'system' => $system,
+            'user' => $user
+        ));
 
-        // Include template manager
-        require_once ZDM_PLUGIN_PATH . 'includes/class-template-manager.php';
+        $response = self::call_provider_api($config, $redaction['prompt']);
 
-        // Get ticket data for variable extraction
-        $api = new ZDM_Zoho_API();
-        $ticket_data = $api->get_ticket($ticket_id);
-        $threads = $api->get_ticket_threads($ticket_id);
+        if (isset($response['error'])) {
+            wp_send_json_error($response['message']);
+        } else {
+            $original = !empty($selection) ? $selection : $current_response;
+            $improved = ZDM_PII_Redactor::restore(trim($response['content'][0]['text'] ?? ''), $redaction['redactions']);
+            $usage = array(
+                'input_tokens' => $response['usage']['input_tokens'] ?? 0,
+                'output_tokens' => $response['usage']['output_tokens'] ?? 0
+            );
+            $usage['cost'] = ZDM_AI_Usage::record($config['provider'], $config['model'], $usage);
 
-        if (!$ticket_data) {
-            wp_send_json_error('Unable to fetch ticket data');
-            return;
+            wp_send_json_success(array(
+                'improved_response' => $improved ?: $original,
+                'scope' => !empty($selection) ? 'selection' : 'draft',
+                'usage' => $usage,
+                'budget' => ZDM_AI_Usage::get_budget_status()
+            ));
         }
+    }
 
-        // Extract variables from ticket
-        $variables = ZDM_Template_Manager::extract_ticket_variables($ticket_data, $threads);
+    /**
+     * Describe an improvement operation as an instruction for the AI
+     *
+     * @param string $type Built-in operation or a legacy "more ..." type
+     * @param string $instructions Free-text instructions from the agent
+     * @param string $language Target language for translation
+     * @return string Empty when nothing was requested
+     */
+    private static function get_improvement_instruction($type, $instructions = '', $language = '') {
+        $operations = array(
+            'fix_grammar' => 'Fix spelling, grammar and punctuation without changing the meaning or tone.',
+            'translate' => 'Translate it into ' . ($language ?: 'English') . ', keeping the tone and formatting.',
+            'expand_bullets' => 'Expand each bullet point into a complete, helpful sentence or short paragraph.'
+        );
 
-        // Get template
-        $template = ZDM_Template_Manager::get_template($template_key);
+        $parts = array();
 
-        if (!$template) {
-            wp_send_json_error('Template not found');
-            return;
+        if (isset($operations[$type])) {
+            $parts[] = $operations[$type];
+        } elseif (strpos($type, 'more ') === 0) {
+            $parts[] = 'Make it ' . $type . '.';
         }
 
-        // Process template with variables for preview
-        $preview = $template['content'];
-        foreach ($variables as $key => $value) {
-            $preview = str_replace('{' . $key . '}', $value, $preview);
+        if (!empty($instructions)) {
+            $parts[] = 'Follow these instructions: ' . $instructions;
         }
 
-        // Replace any remaining variables with defaults
-        $preview = ZDM_Template_Manager::process_template($template_key, $variables);
-
-        wp_send_json_success(array(
-            'preview' => $preview,
-            'template_name' => $template['name'],
-            'variables_used' => array_keys($variables)
-        ));
+        return implode(' ', $parts);
     }
 
     /**
@@ -830,6 +1379,14 @@ class ZDM_AI_Assistant {
         // Extract variables from ticket
         $variables = ZDM_Template_Manager::extract_ticket_variables($ticket_data, $threads);
 
+        // Values the agent filled in or corrected take precedence
+        $submitted = json_decode(wp_unslash($_POST['variables'] ?? ''), true);
+        if (is_array($submitted)) {
+            foreach ($submitted as $key => $value) {
+                $variables[sanitize_key($key)] = sanitize_textarea_field((string) $value);
+            }
+        }
+
         // Process template
         $content = ZDM_Template_Manager::process_template($template_key, $variables);
 
@@ -0,0 +1,514 @@
+<?php
+/**
+ * AI Usage and Budgets
+ *
+ * Estimates what an AI draft will cost before it is generated, keeps a
+ * per-agent, per-day ledger of the tokens and credits actually used, and
+ * enforces the daily budget set in AI Settings.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_AI_Usage {
+
+    /**
+     * Option holding the usage ledger
+     */
+    const LEDGER_OPTION = 'zdm_ai_usage_ledger';
+
+    /**
+     * Option held while a request updates the ledger
+     */
+    const LOCK_OPTION = 'zdm_ai_usage_lock';
+
+    /**
+     * Seconds after which a held ledger lock is taken to be left by a
+     * request that died
+     */
+    const LOCK_TIMEOUT = 10;
+
+    /**
+     * Days of usage kept in the ledger
+     */
+    const KEEP_DAYS = 90;
+
+    /**
+     * Share of the budget at which agents are warned
+     */
+    const WARNING_RATIO = 0.8;
+
+    /**
+     * Rough characters per token, good enough for an estimate
+     */
+    const CHARS_PER_TOKEN = 4;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('wp_ajax_zdm_estimate_ai_usage', array(__CLASS__, 'ajax_estimate'));
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Prices in US dollars per million tokens
+     *
+     * @return array Model => array('input', 'output')
+     */
+    public static function get_prices() {
+        return apply_filters('zdm_ai_model_prices', array(
+            'gpt-4o-mini' => array('input' => 0.15, 'output' => 0.60),
+            'gpt-4o' => array('input' => 2.50, 'output' => 10.00),
+            'gpt-4-turbo' => array('input' => 10.00, 'output' => 30.00),
+            'gpt-4' => array('input' => 30.00, 'output' => 60.00),
+            'gpt-3.5-turbo' => array('input' => 0.50, 'output' => 1.50),
+            'claude-3-5-sonnet' => array('input' => 3.00, 'output' => 15.00),
+            'claude-3-5-haiku' => array('input' => 0.80, 'output' => 4.00),
+            'claude-3-opus' => array('input' => 15.00, 'output' => 75.00),
+            'claude-3-sonnet' => array('input' => 3.00, 'output' => 15.00),
+            'claude-3-haiku' => array('input' => 0.25, 'output' => 1.25),
+            'gemini-1.5-pro' => array('input' => 1.25, 'output' => 5.00),
+            'gemini-1.5-flash' => array('input' => 0.075, 'output' => 0.30),
+            'gemini-pro' => array('input' => 0.50, 'output' => 1.50)
+        ));
+    }
+
+    /**
+     * Price of a model
+     *
+     * Dated model names such as "claude-3-haiku-20240307" use the price of
+     * the longest name they start with.
+     *
+     * @return array|null array('input', 'output'), or null when unknown
+     */
+    public static function get_price($model) {
+        $prices = self::get_prices();
+        $match = '';
+
+        foreach (array_keys($prices) as $name) {
+            if (strpos((string) $model, $name) === 0 && strlen($name) > strlen($match)) {
+                $match = $name;
+            }
+        }
+
+        return $match !== '' ? $prices[$match] : null;
+    }
+
+    /**
+     * Cost of a request in US dollars
+     *
+     * @return float|null Null when the model has no known price
+     */
+    public static function calculate_cost($model, $input_tokens, $output_tokens) {
+        $price = self::get_price($model);
+
+        if (!$price) {
+            return null;
+        }
+
+        return ($input_tokens * $price['input'] + $output_tokens * $price['output']) / 1000000;
+    }
+
+    /**
+     * Estimate the tokens in a piece of text
+     */
+    public static function estimate_tokens($text) {
+        return (int) ceil(mb_strlen((string) $text) / self::CHARS_PER_TOKEN);
+    }
+
+    /**
+     * How drafts are generated: 'browser', 'subscription' or 'api'
+     */
+    public static function get_mode() {
+        if (get_option('zdm_use_browser_ai') == '1') {
+            return 'browser';
+        }
+
+        return get_option('zdm_use_subscription') == '1' ? 'subscription' : 'api';
+    }
+
+    /**
+     * Estimate what sending a prompt costs with each available provider
+     *
+     * The output is not known in advance, so the cost is given for the
+     * prompt alone and for a reply of the "Max tokens" setting.
+     *
+     * @param array $prompt array('system', 'user')
+     * @return array prompt_tokens, max_output_tokens and providers, a list
+     *     of array('provider', 'label', 'model', 'default', 'input_cost', 'max_cost')
+     */
+    public static function estimate($prompt) {
+        $prompt_tokens = self::estimate_tokens(implode("\n\n", (array) $prompt));
+        $max_output = (int) get_option('zdm_ai_max_tokens', ZDM_AI_Assistant::MAX_TOKENS);
+        $default = get_option('zdm_default_ai_provider');
+        $providers = array();
+
+        foreach (ZDM_AI_Assistant::get_available_providers() as $provider => $label) {
+            $model = ZDM_AI_Assistant::get_model($provider);
+            $input_cost = self::calculate_cost($model, $prompt_tokens, 0);
+
+            $providers[] = array(
+                'provider' => $provider,
+                'label' => $label,
+                'model' => $model,
+                'default' => $provider === $default,
+                'input_cost' => $input_cost,
+                'max_cost' => $input_cost === null ? null : self::calculate_cost($model, $prompt_tokens, $max_output)
+            );
+        }
+
+        return array(
+            'prompt_tokens' => $prompt_tokens,
+            'max_output_tokens' => $max_output,
+            'providers' => $providers
+        );
+    }
+
+    /**
+     * Add a request to the current agent's ledger for today
+     *
+     * @param string $provider Provider key, or 'subscription'
+     * @param string $model Model that answered
+     * @param array $usage input_tokens, output_tokens and, for the
+     *     subscription service, credits_used
+     * @return float|null Cost of the request
+     */
+    public static function record($provider, $model, $usage) {
+        $input = (int) ($usage['input_tokens'] ?? 0);
+        $output = (int) ($usage['output_tokens'] ?? 0);
+        $cost = self::calculate_cost($model, $input, $output);
+
+        // Parallel requests, e.g. draft variants, would overwrite each other's totals
+        $locked = self::lock();
+
+        // Another request may have changed it since this one loaded options
+        wp_cache_delete(self::LEDGER_OPTION, 'options');
+
+        $ledger = self::get_ledger();
+        $date = current_time('Y-m-d');
+        $user_id = get_current_user_id();
+
+        if (!isset($ledger[$date][$user_id][$model])) {
+            $ledger[$date][$user_id][$model] = array(
+                'provider' => $provider,
+                'requests' => 0,
+                'input_tokens' => 0,
+                'output_tokens' => 0,
+                'cost' => 0,
+                'credits' => 0
+            );
+        }
+
+        $entry = &$ledger[$date][$user_id][$model];
+        $entry['requests']++;
+        $entry['input_tokens'] += $input;
+        $entry['output_tokens'] += $output;
+        $entry['cost'] += (float) $cost;
+        $entry['credits'] += (int) ($usage['credits_used'] ?? 0);
+        unset($entry);
+
+        // Dates sort as strings, so the oldest days are at the front
+        ksort($ledger);
+        $ledger = array_slice($ledger, -self::KEEP_DAYS, null, true);
+
+        update_option(self::LEDGER_OPTION, $ledger, false);
+
+        if ($locked) {
+            delete_option(self::LOCK_OPTION);
+        }
+
+        return $cost;
+    }
+
+    /**
+     * Wait for the ledger lock
+     *
+     * @return bool Whether the lock was taken; false after waiting
+     *     LOCK_TIMEOUT seconds, in which case the ledger is updated anyway
+     */
+    private static function lock() {
+        $deadline = microtime(true) + self::LOCK_TIMEOUT;
+
+        while (!add_option(self::LOCK_OPTION, time(), '', 'no')) {
+            wp_cache_delete(self::LOCK_OPTION, 'options');
+            $locked_at = get_option(self::LOCK_OPTION);
+
+            if ($locked_at !== false && time() - (int) $locked_at > self::LOCK_TIMEOUT) {
+                delete_option(self::LOCK_OPTION);
+                continue;
+            }
+
+            if (microtime(true) >= $deadline) {
+                return false;
+            }
+
+            usleep(50000);
+        }
+
+        return true;
+    }
+
+    /**
+     * The ledger: date => user ID => model => totals
+     *
+     * @return array
+     */
+    public static function get_ledger() {
+        return (array) get_option(self::LEDGER_OPTION, array());
+    }
+
+    /**
+     * Totals for one agent on one day
+     *
+     * @param int $user_id Defaults to the current user
+     * @param string $date Y-m-d, defaults to today
+     * @return array requests, input_tokens, output_tokens, cost, credits
+     */
+    public static function get_day_totals($user_id = 0, $date = '') {
+        $ledger = self::get_ledger();
+        $user_id = $user_id ?: get_current_user_id();
+        $date = $date ?: current_time('Y-m-d');
+
+        return self::sum($ledger[$date][$user_id] ?? array());
+    }
+
+    /**
+     * Add up ledger entries
+     */
+    private static function sum($entries) {
+        $totals = array('requests' => 0, 'input_tokens' => 0, 'output_tokens' => 0, 'cost' => 0, 'credits' => 0);
+
+        foreach ($entries as $entry) {
+            foreach ($totals as $key => $value) {
+                $totals[$key] = $value + ($entry[$key] ?? 0);
+            }
+        }
+
+        return $totals;
+    }
+
+    /**
+     * Usage over the last days, grouped for the report page
+     *
+     * @param int $days Days to include, today being the last
+     * @return array 'totals', 'days' (date => totals), 'agents'
+     *     (user ID => totals) and 'models' (model => totals with provider)
+     */
+    public static function get_report($days) {
+        $since = date('Y-m-d', strtotime(current_time('Y-m-d') . ' -' . max(0, $days - 1) . ' days'));
+        $report = array('totals' => self::sum(array()), 'days' => array(), 'agents' => array(), 'models' => array());
+        $all = array();
+
+        foreach (self::get_ledger() as $date => $users) {
+            if ($date < $since) {
+                continue;
+            }
+
+            $day = array();
+
+            foreach ($users as $user_id => $models) {
+                $report['agents'][$user_id] = self::sum(array_merge(array($report['agents'][$user_id] ?? array()), $models));
+
+                foreach ($models as $model => $entry) {
+                    $report['models'][$model] = self::sum(array($report['models'][$model] ?? array(), $entry));
+                    $report['models'][$model]['provider'] = $entry['provider'];
+                    $day[] = $entry;
+                    $all[] = $entry;
+                }
+            }
+
+            $report['days'][$date] = self::sum($day);
+        }
+
+        $report['totals'] = self::sum($all);
+        krsort($report['days']);
+
+        uasort($report['agents'], function($a, $b) {
+            return $b['cost'] <=> $a['cost'] ?: $b['requests'] <=> $a['requests'];
+        });
+
+        uasort($report['models'], function($a, $b) {
+            return $b['requests'] <=> $a['requests'];
+        });
+
+        return $report;
+    }
+
+    /**
+     * Where the current agent stands against the daily budget
+     *
+     * @return array amount, mode ('soft' or 'hard'), spent, today's
+     *     totals, and state: 'none' without a budget, 'ok', 'warning'
+     *     or 'reached'; blocked is true once a hard budget is reached
+     */
+    public static function get_budget_status() {
+        $amount = (float) get_option('zdm_ai_daily_budget', 0);
+        $mode = get_option('zdm_ai_budget_mode', 'soft') === 'hard' ? 'hard' : 'soft';
+        $today = self::get_day_totals();
+        $state = 'none';
+
+        if ($amount > 0) {
+            if ($today['cost'] >= $amount) {
+                $state = 'reached';
+            } elseif ($today['cost'] >= $amount * self::WARNING_RATIO) {
+                $state = 'warning';
+            } else {
+                $state = 'ok';
+            }
+        }
+
+        return array(
+            'amount' => $amount,
+            'mode' => $mode,
+            'spent' => $today['cost'],
+            'today' => $today,
+            'state' => $state,
+            'blocked' => $state === 'reached' && $mode === 'hard'
+        );
+    }
+
+    /**
+     * Refuse a request once the agent's hard budget is used up
+     *
+     * @return array|null Error in the shape generate_response() returns,
+     *     or null when the request may go ahead
+     */
+    public static function check_budget() {
+        $status = self::get_budget_status();
+
+        if (!$status['blocked']) {
+            return null;
+        }
+
+        return array(
+            'error' => true,
+            'budget_reached' => true,
+            'message' => sprintf(
+                /* translators: %s: daily budget in US dollars */
+                __('Your daily AI budget of $%s is used up. AI drafts are available again tomorrow.', 'zoho-desk-manager'),
+                number_format_i18n($status['amount'], 2)
+            )
+        );
+    }
+
+    /**
+     * Sanitize the daily budget setting
+     *
+     * @return float US dollars, 0 for no budget
+     */
+    public static function sanitize_budget($input) {
+        return round(max(0, (float) $input), 2);
+    }
+
+    /**
+     * Sanitize the budget mode setting
+     */
+    public static function sanitize_budget_mode($input) {
+        return $input === 'hard' ? 'hard' : 'soft';
+    }
+
+    /**
+     * Format a cost for display
+     *
+     * @param float|null $cost
+     * @return string
+     */
+    public static function format_cost($cost) {
+        if ($cost === null) {
+            return __('unknown', 'zoho-desk-manager');
+        }
+
+        // Single requests cost fractions of a cent
+        return '$' . number_format_i18n($cost, $cost > 0 && $cost < 0.01 ? 4 : 2);
+    }
+
+    /**
+     * Enqueue the usage display on the single ticket page
+     */
+    public static function enqueue_scripts($hook) {
+        if (!ZDM_Shortcuts::is_plugin_screen($hook) || ZDM_Ticket_Presence::get_screen_ticket_id() === '') {
+            return;
+        }
+
+        wp_enqueue_script(
+            'zdm-ai-usage',
+            ZDM_PLUGIN_URL . 'assets/js/ai-usage.js',
+            array('jquery', 'zdm-draft-handler'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-ai-usage', 'zdm_ai_usage', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('zdm_ai_usage_nonce'),
+            'subscription_nonce' => wp_create_nonce('zdm_subscription_nonce'),
+            'mode' => self::get_mode(),
+            'budget' => self::get_budget_status(),
+            'report_url' => admin_url('admin.php?page=zoho-desk-ai-usage'),
+            'strings' => array(
+                'estimating' => __('Estimating cost...', 'zoho-desk-manager'),
+                'estimate_label' => __('Cost estimate', 'zoho-desk-manager'),
+                'estimate' => __('About %s prompt tokens', 'zoho-desk-manager'),
+                'provider_cost' => __('%1$s (%2$s): %3$s for the prompt, up to %4$s with the reply', 'zoho-desk-manager'),
+                'unknown_price' => __('%1$s (%2$s): no price known for this model', 'zoho-desk-manager'),
+                'browser' => __('Browser AI uses your own ChatGPT or Claude subscription, so this site is not charged.', 'zoho-desk-manager'),
+                'credits' => __('%s subscription credits left', 'zoho-desk-manager'),
+                'credits_unknown' => __('Could not check the remaining subscription credits.', 'zoho-desk-manager'),
+                'credits_out' => __('The subscription has no credits left.', 'zoho-desk-manager'),
+                'used' => __('Last AI request: %1$s prompt + %2$s reply tokens, %3$s', 'zoho-desk-manager'),
+                'used_credits' => __('Last AI request: %s subscription credits', 'zoho-desk-manager'),
+                'today' => __('Today: %1$s requests, %2$s', 'zoho-desk-manager'),
+                'today_budget' => __('Today: %1$s of your %2$s budget', 'zoho-desk-manager'),
+                'warning' => __('You have used most of your daily AI budget.', 'zoho-desk-manager'),
+                'reached_soft' => __('You are over your daily AI budget. Please keep AI use to what is needed.', 'zoho-desk-manager'),
+                'reached_hard' => __('Your daily AI budget is used up. AI drafts are available again tomorrow.', 'zoho-desk-manager'),
+                'unknown' => __('unknown', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * AJAX handler estimating the next draft's cost
+     */
+    public static function ajax_estimate() {
+        check_ajax_referer('zdm_ai_usage_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $mode = self::get_mode();
+        $data = array('mode' => $mode, 'budget' => self::get_budget_status());
+
+        // The subscription service builds its own prompt and bills in credits
+        if ($mode === 'subscription') {
+            wp_send_json_success($data);
+        }
+
+        $ticket_id = sanitize_text_field($_POST['ticket_id'] ?? '');
+
+        if (empty($ticket_id)) {
+            wp_send_json_error(array('message' => 'Missing ticket ID'));
+        }
+
+        $api = new ZDM_Zoho_API();
+        $ticket = $api->get_ticket($ticket_id);
+        $threads = $api->get_ticket_threads($ticket_id);
+
+        if (!$ticket) {
+            wp_send_json_error(array('message' => 'Unable to fetch ticket data'));
+        }
+
+        $prompt = ZDM_AI_Assistant::inspect_prompt($ticket, $threads['data'] ?? array(), ZDM_Prompt_Presets::get_request_options());
+
+        wp_send_json_success(array_merge($data, self::estimate(array(
+            'system' => $prompt['system'],
+            'user' => $prompt['user']
+        ))));
+    }
+}
@@ -1,7 +1,9 @@
 <?php
 /**
  * Browser-based AI Integration
- * Uses existing ChatGPT Plus or Claude Pro subscriptions through browser
+ * Uses existing ChatGPT Plus or Claude Pro subscriptions through browser.
+ * Prompts are handed to a companion extension when one is installed and
+ * pasted by hand otherwise.
  *
  * @package ZohoDeskManager
  * @since 1.2.0
@@ -13,11 +15,27 @@ if (!defined('ABSPATH')) {
 
 class ZDM_Browser_AI {
 
+    /**
+     * Version of the page <-> extension message protocol
+     *
+     * See docs/browser-extension-protocol.md.
+     */
+    const PROTOCOL_VERSION = 1;
+
+    /**
+     * Milliseconds to wait for the extension to answer the handshake
+     */
+    const HANDSHAKE_TIMEOUT = 1500;
+
+    /**
+     * Milliseconds to wait for the AI's answer before offering manual paste
+     */
+    const RESPONSE_TIMEOUT = 180000;
+
     /**
      * Initialize browser AI integration
      */
     public static function init() {
-        add_action('wp_ajax_zdm_browser_ai_generate', array(__CLASS__, 'ajax_generate_response'));
         add_action('wp_ajax_zdm_check_browser_extension', array(__CLASS__, 'ajax_check_extension'));
         add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_browser_scripts'));
     }
@@ -30,179 +48,95 @@ class ZDM_Browser_AI {
             return;
         }
 
+        wp_enqueue_style(
+            'zdm-browser-ai',
+            ZDM_PLUGIN_URL . 'assets/css/browser-ai.css',
+            array(),
+            '1.3.0'
+        );
+
         wp_enqueue_script(
             'zdm-browser-ai',
             ZDM_PLUGIN_URL . 'assets/js/browser-ai.js',
-            array('jquery'),
-            '1.2.0',
+            array('jquery', 'zdm-shortcuts'),
+            '1.3.0',
             true
         );
 
         wp_localize_script('zdm-browser-ai', 'zdm_browser_ai', array(
             'ajax_url' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('zdm_browser_ai_nonce'),
-            'extension_id' => get_option('zdm_browser_extension_id', ''),
-            'chatgpt_url' => 'https://chat.openai.com',
-            'claude_url' => 'https://claude.ai',
             'strings' => array(
-                'checking_extension' => __('Checking browser extension...', 'zoho-desk-manager'),
-                'extension_not_found' => __('Browser extension not detected. Please install it first.', 'zoho-desk-manager'),
-                'generating' => __('Generating response...', 'zoho-desk-manager'),
-                'copy_prompt' => __('Click to copy prompt to clipboard', 'zoho-desk-manager')
+                'title' => __('Generate Response with %s', 'zoho-desk-manager'),
+                'checking_extension' => __('Looking for the companion extension...', 'zoho-desk-manager'),
+                'sending' => __('Sending the prompt to %s through the extension...', 'zoho-desk-manager'),
+                'waiting' => __('Waiting for %s to answer...', 'zoho-desk-manager'),
+                'extension_not_found' => __('No companion extension detected. Copy the prompt to %s and paste the answer below.', 'zoho-desk-manager'),
+                'extension_failed' => __('The extension could not get an answer: %s', 'zoho-desk-manager'),
+                'extension_empty' => __('The extension returned an empty answer. Paste the answer manually instead.', 'zoho-desk-manager'),
+                'extension_timeout' => __('The extension did not answer in time. Paste the answer manually instead.', 'zoho-desk-manager'),
+                'redacted' => __('%d personal values in the prompt were replaced with placeholders; the real values go back into the answer.', 'zoho-desk-manager'),
+                'paste_instead' => __('Paste manually instead', 'zoho-desk-manager'),
+                'prompt' => __('Generated Prompt', 'zoho-desk-manager'),
+                'copy_prompt' => __('Copy Prompt', 'zoho-desk-manager'),
+                'copied' => __('Copied!', 'zoho-desk-manager'),
+                'open_provider' => __('Open %s', 'zoho-desk-manager'),
+                'response' => __('Paste %s Response Here', 'zoho-desk-manager'),
+                'response_placeholder' => __('After generating the response in %s, copy and paste it here...', 'zoho-desk-manager'),
+                'use_response' => __('Use This Response', 'zoho-desk-manager'),
+                'cancel' => __('Cancel', 'zoho-desk-manager'),
+                'empty_response' => __('Please paste the AI response before continuing.', 'zoho-desk-manager'),
+                'stub_title' => __('Extension stub', 'zoho-desk-manager')
             )
         ));
     }
 
     /**
-     * Generate prompt for browser-based AI
+     * Providers the hand-off can target
+     *
+     * @return array Provider key => array('label', 'url')
      */
-    public static function generate_prompt($ticket_data, $conversation_history, $options = array()) {
-        $response_type = $options['response_type'] ?? 'solution';
-        $tone = $options['tone'] ?? 'professional';
-
-        $prompt = "You are a customer support agent. Please generate a {$tone} response for the following support ticket:\n\n";
-        $prompt .= "**Ticket Subject:** {$ticket_data['subject']}\n";
-
-        if (isset($ticket_data['contact']['firstName'])) {
-            $prompt .= "**Customer Name:** {$ticket_data['contact']['firstName']}\n";
-        }
-
-        if (!empty($ticket_data['description'])) {
-            $prompt .= "**Issue Description:**\n{$ticket_data['description']}\n\n";
-        }
-
-        // Add conversation history
-        if (!empty($conversation_history)) {
-            $prompt .= "**Conversation History:**\n";
-            foreach ($conversation_history as $message) {
-                $author_type = $message['author']['type'] ?? 'AGENT';
-                $author_label = ($author_type === 'END_USER') ? 'Customer' : 'Agent';
-                $content = $message['content'] ?? $message['plainText'] ?? '';
-                if (!empty($content)) {
-                    $prompt .= "{$author_label}: {$content}\n";
-                }
-            }
-            $prompt .= "\n";
-        }
-
-        // Add specific instructions based on response type
-        switch ($response_type) {
-            case 'solution':
-                $prompt .= "Please provide a detailed solution to address the customer's issue.";
-                break;
-            case 'follow_up':
-                $prompt .= "Please write a follow-up message to check on the customer's progress.";
-                break;
-            case 'clarification':
-                $prompt .= "Please ask for clarification to better understand the issue.";
-                break;
-            case 'escalation':
-                $prompt .= "Please write a message explaining that the issue is being escalated to senior support.";
-                break;
-            case 'closing':
-                $prompt .= "Please write a closing message for this resolved ticket.";
-                break;
-        }
-
-        $prompt .= "\n\nIMPORTANT: Keep the response professional, helpful, and personalized.";
-
-        return $prompt;
-    }
-
-    /**
-     * AJAX handler for generating response
-     */
-    public static function ajax_generate_response() {
-        check_ajax_referer('zdm_browser_ai_nonce', 'nonce');
-
-        if (!current_user_can('manage_options')) {
-            wp_die('Unauthorized');
-        }
-
-        $ticket_id = sanitize_text_field($_POST['ticket_id'] ?? '');
-        $provider = sanitize_text_field($_POST['provider'] ?? 'chatgpt');
-        $response_type = sanitize_text_field($_POST['response_type'] ?? 'solution');
-        $tone = sanitize_text_field($_POST['tone'] ?? 'professional');
-
-        // Get ticket data
-        $api = new ZDM_Zoho_API();
-        $ticket_data = $api->get_ticket($ticket_id);
-
-        if (!$ticket_data) {
-            wp_send_json_error(array('message' => 'Failed to fetch ticket data'));
-        }
-
-        // Get conversation history
-        $conversation_history = $api->get_ticket_threads($ticket_id);
-
-        // Generate prompt
-        $prompt = self::generate_prompt($ticket_data, $conversation_history, array(
-            'response_type' => $response_type,
-            'tone' => $tone
-        ));
-
-        // Return prompt and URL for user to open
-        $provider_url = '';
-        if ($provider === 'chatgpt') {
-            $provider_url = 'https://chat.openai.com';
-        } elseif ($provider === 'claude') {
-            $provider_url = 'https://claude.ai/new';
-        }
-
-        wp_send_json_success(array(
-            'prompt' => $prompt,
-            'provider_url' => $provider_url,
-            'provider' => $provider,
-            'instructions' => self::get_provider_instructions($provider)
-        ));
+    public static function get_providers() {
+        return array(
+            'chatgpt' => array('label' => 'ChatGPT', 'url' => 'https://chat.openai.com'),
+            'claude' => array('label' => 'Claude', 'url' => 'https://claude.ai/new')
+        );
     }
 
     /**
-     * Get provider-specific instructions
+     * URL of the local page that stands in for the extension, if enabled
      */
-    private static function get_provider_instructions($provider) {
-        if ($provider === 'chatgpt') {
-            return array(
-                'steps' => array(
-                    '1. Click "Open ChatGPT" to open ChatGPT in a new tab',
-                    '2. Click "Copy Prompt" to copy the generated prompt',
-                    '3. Paste the prompt in ChatGPT and press Enter',
-                    '4. Copy the response from ChatGPT',
-                    '5. Paste it back in the draft field below'
-                ),
-                'requirements' => 'Requires ChatGPT Plus subscription or available GPT-4 credits'
-            );
-        } elseif ($provider === 'claude') {
-            return array(
-                'steps' => array(
-                    '1. Click "Open Claude" to open Claude in a new tab',
-                    '2. Click "Copy Prompt" to copy the generated prompt',
-                    '3. Start a new conversation in Claude',
-                    '4. Paste the prompt and press Enter',
-                    '5. Copy the response from Claude',
-                    '6. Paste it back in the draft field below'
-                ),
-                'requirements' => 'Requires Claude Pro subscription or available free messages'
-            );
+    public static function get_stub_url() {
+        if (get_option('zdm_browser_extension_stub') != '1') {
+            return '';
         }
 
-        return array('steps' => array(), 'requirements' => '');
+        return ZDM_PLUGIN_URL . 'docs/extension-stub.html';
     }
 
     /**
-     * Check if browser extension is installed
+     * Tell the page how to look for the companion extension
+     *
+     * The extension lives in the browser, so the page does the detection
+     * itself; this returns the protocol version and timeouts it should use
+     * and, when testing, the stub page to talk to instead.
      */
     public static function ajax_check_extension() {
         check_ajax_referer('zdm_browser_ai_nonce', 'nonce');
 
-        // This would check if a companion browser extension is installed
-        // For now, we'll work without an extension
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
         wp_send_json_success(array(
-            'extension_installed' => false,
-            'manual_mode' => true
+            'protocol' => self::PROTOCOL_VERSION,
+            'handshake_timeout' => self::HANDSHAKE_TIMEOUT,
+            'response_timeout' => self::RESPONSE_TIMEOUT,
+            'stub_url' => self::get_stub_url(),
+            'providers' => self::get_providers()
         ));
     }
 }
 
 // Initialize
-ZDM_Browser_AI::init();
\ No newline at end of file
+ZDM_Browser_AI::init();
@@ -0,0 +1,353 @@
+<?php
+/**
+ * Bulk Actions
+ *
+ * Applies one operation to many tickets from the ticket list. The browser
+ * sends one ticket per request so it can show progress and a per-ticket
+ * report; each request checks the API rate limit first and asks the
+ * browser to wait when Zoho Desk calls would exceed it.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Bulk_Actions {
+
+    /**
+     * Most tickets "select all matching" will collect
+     */
+    const MAX_MATCHING = 500;
+
+    /**
+     * Tickets fetched per request while collecting matches
+     *
+     * One less than the API maximum, since a page asks for one extra.
+     */
+    const MATCHING_PAGE_SIZE = 99;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('wp_ajax_zdm_bulk_action', array(__CLASS__, 'ajax_bulk_action'));
+        add_action('wp_ajax_zdm_bulk_matching_ids', array(__CLASS__, 'ajax_matching_ids'));
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Operations and the Zoho Desk calls each makes per ticket
+     */
+    public static function get_operations() {
+        return array(
+            'status' => array('label' => __('Change status', 'zoho-desk-manager'), 'calls' => 1),
+            'add_tags' => array('label' => __('Add tags', 'zoho-desk-manager'), 'calls' => 1),
+            'remove_tags' => array('label' => __('Remove tags', 'zoho-desk-manager'), 'calls' => 1),
+            // Ticket lookup, the reply and auto-tagging
+            'template' => array('label' => __('Send template reply', 'zoho-desk-manager'), 'calls' => 4),
+            // Ticket and thread lookups
+            'ai_draft' => array('label' => __('Queue AI drafts', 'zoho-desk-manager'), 'calls' => 2),
+            'close' => array('label' => __('Close', 'zoho-desk-manager'), 'calls' => 1)
+        );
+    }
+
+    /**
+     * Enqueue bulk actions on the ticket list
+     */
+    public static function enqueue_scripts($hook) {
+        if (!ZDM_Shortcuts::is_plugin_screen($hook) || ($_GET['page'] ?? '') !== 'zoho-desk-manager' || isset($_GET['ticket_id'])) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'zdm-bulk-actions',
+            ZDM_PLUGIN_URL . 'assets/js/bulk-actions.js',
+            array('jquery', 'zdm-admin-script', 'zdm-send-queue'),
+            '1.3.0',
+            true
+        );
+
+        $calls = array();
+        foreach (self::get_operations() as $key => $operation) {
+            $calls[$key] = $operation['calls'];
+        }
+
+        wp_localize_script('zdm-bulk-actions', 'zdm_bulk', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('zdm_bulk_nonce'),
+            'calls' => $calls,
+            'strings' => array(
+                'selected_one' => __('1 ticket selected', 'zoho-desk-manager'),
+                'selected_many' => __('%d tickets selected', 'zoho-desk-manager'),
+                'page_selected' => __('All %d tickets on this page are selected.', 'zoho-desk-manager'),
+                'select_matching' => __('Select all tickets matching these filters', 'zoho-desk-manager'),
+                'matching_selected' => __('All %d matching tickets are selected.', 'zoho-desk-manager'),
+                'matching_capped' => __('The first %d matching tickets are selected.', 'zoho-desk-manager'),
+                'matching_partial' => __('%d matching tickets are selected; the search stopped early because of the API rate limit or a failed request.', 'zoho-desk-manager'),
+                'collecting' => __('Finding matching tickets...', 'zoho-desk-manager'),
+                'choose_action' => __('Choose an action.', 'zoho-desk-manager'),
+                'need_value' => __('Fill in the value for this action.', 'zoho-desk-manager'),
+                'calls_estimate' => __('About %d Zoho Desk API calls; runs pause whenever the rate limit is reached.', 'zoho-desk-manager'),
+                'confirm_close' => __('Close %d tickets?', 'zoho-desk-manager'),
+                'confirm_template' => __('Send the template reply to %d tickets?', 'zoho-desk-manager'),
+                'confirm_ai_draft' => __('Generate AI drafts for %d tickets? Existing drafts are replaced.', 'zoho-desk-manager'),
+                'progress' => __('%1$d of %2$d done', 'zoho-desk-manager'),
+                'waiting' => __('Waiting %ds for the Zoho Desk API rate limit...', 'zoho-desk-manager'),
+                'finished' => __('Finished: %1$d succeeded, %2$d failed.', 'zoho-desk-manager'),
+                'stopped' => __('Stopped: %1$d succeeded, %2$d failed, %3$d not processed.', 'zoho-desk-manager'),
+                'network_error' => __('Network error', 'zoho-desk-manager'),
+                'ticket' => __('Ticket #%s', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * Check that rate-limited Zoho Desk calls fit in the current minute
+     *
+     * The calls themselves are counted by ZDM_Rate_Limiter as they are made.
+     *
+     * @return bool
+     */
+    private static function has_calls($calls) {
+        return ZDM_Rate_Limiter::can_make_call() && ZDM_Rate_Limiter::get_remaining_calls() >= $calls;
+    }
+
+    /**
+     * Tell the browser to wait for the rate limit to reset
+     */
+    private static function send_rate_limited() {
+        wp_send_json_error(array(
+            'code' => 'rate_limited',
+            'retry_after' => ZDM_Rate_Limiter::get_reset_time(),
+            'message' => __('Zoho Desk API rate limit reached', 'zoho-desk-manager')
+        ));
+    }
+
+    /**
+     * AJAX handler applying an operation to one ticket
+     *
+     * Expects 'operation', 'ticket_id', 'ticket_number' and 'value' (the
+     * status, comma-separated tags or template key).
+     */
+    public static function ajax_bulk_action() {
+        check_ajax_referer('zdm_bulk_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $operations = self::get_operations();
+        $operation = sanitize_key($_POST['operation'] ?? '');
+        $ticket_id = sanitize_text_field($_POST['ticket_id'] ?? '');
+        $value = sanitize_text_field(wp_unslash($_POST['value'] ?? ''));
+
+        if (empty($ticket_id) || !isset($operations[$operation])) {
+            wp_send_json_error(array('message' => __('Missing ticket or unknown action', 'zoho-desk-manager')));
+        }
+
+        if (!self::has_calls($operations[$operation]['calls'])) {
+            self::send_rate_limited();
+        }
+
+        $api = new ZDM_Zoho_API();
+
+        switch ($operation) {
+            case 'status':
+            case 'close':
+                $status = $operation === 'close' ? 'Closed' : $value;
+
+                if (!in_array($status, array('Open', 'On Hold', 'Closed'), true)) {
+                    wp_send_json_error(array('message' => __('Unknown status', 'zoho-desk-manager')));
+                }
+
+                if (!$api->update_ticket_status($ticket_id, $status)) {
+                    wp_send_json_error(array('message' => __('Failed to update status', 'zoho-desk-manager')));
+                }
+
+                wp_send_json_success(array('message' => sprintf(__('Status set to %s', 'zoho-desk-manager'), $status)));
+                break;
+
+            case 'add_tags':
+            case 'remove_tags':
+                $tags = array_values(array_filter(array_map('trim', explode(',', $value))));
+
+                if (empty($tags)) {
+                    wp_send_json_error(array('message' => __('No tags given', 'zoho-desk-manager')));
+                }
+
+                $result = $operation === 'add_tags' ? $api->add_ticket_tags($ticket_id, $tags) : $api->remove_ticket_tags($ticket_id, $tags);
+
+                if ($result === false) {
+                    wp_send_json_error(array('message' => __('Failed to update tags', 'zoho-desk-manager')));
+                }
+
+                // Let new tags show up in the tag filter
+                delete_transient('zdm_ticket_tags');
+
+                wp_send_json_success(array(
+                    'message' => sprintf($operation === 'add_tags' ? __('Added %s', 'zoho-desk-manager') : __('Removed %s', 'zoho-desk-manager'), implode(', ', $tags))
+                ));
+                break;
+
+            case 'template':
+                self::send_template($api, $ticket_id, sanitize_text_field(wp_unslash($_POST['ticket_number'] ?? '')), $value);
+                break;
+
+            case 'ai_draft':
+                self::generate_draft($api, $ticket_id);
+                break;
+        }
+    }
+
+    /**
+     * Send a template reply through the undo-send queue
+     */
+    private static function send_template($api, $ticket_id, $ticket_number, $template_key) {
+        $ticket = $api->get_ticket($ticket_id);
+
+        if (!$ticket) {
+            wp_send_json_error(array('message' => __('Unable to fetch ticket data', 'zoho-desk-manager')));
+        }
+
+        $template = ZDM_Template_Manager::get_template($template_key);
+
+        if (!$template) {
+            wp_send_json_error(array('message' => __('Template not found or processing failed', 'zoho-desk-manager')));
+        }
+
+        $variables = ZDM_Template_Manager::extract_ticket_variables($ticket);
+
+        // Nobody fills in the placeholders the ticket can't, so don't send them blank
+        $missing = ZDM_Template_Manager::get_missing_variables($template, $variables);
+        if (!empty($missing)) {
+            wp_send_json_error(array(
+                'message' => sprintf(__('Not sent: the ticket has no value for %s', 'zoho-desk-manager'), implode(', ', $missing))
+            ));
+        }
+
+        $content = ZDM_Template_Manager::process_template($template_key, $variables);
+
+        if ($content === false) {
+            wp_send_json_error(array('message' => __('Template not found or processing failed', 'zoho-desk-manager')));
+        }
+
+        // Same tagging as applying the template on the ticket page
+        if (get_option('zdm_auto_tag_tickets', '1') === '1') {
+            $api->auto_tag_ticket($ticket_id, $template_key);
+        }
+
+        $item = ZDM_Send_Queue::submit($ticket_id, wpautop($content), false, $ticket_number ?: ($ticket['ticketNumber'] ?? ''));
+
+        if ($item['status'] === 'failed') {
+            wp_send_json_error(array('message' => $item['error']));
+        }
+
+        wp_send_json_success(array(
+            'message' => $item['status'] === 'pending' ? __('Reply queued', 'zoho-desk-manager') : __('Reply sent', 'zoho-desk-manager'),
+            'item' => ZDM_Send_Queue::describe($item)
+        ));
+    }
+
+    /**
+     * Generate an AI draft and store it as the ticket's draft
+     */
+    private static function generate_draft($api, $ticket_id) {
+        // Don't overwrite a draft another agent is editing
+        $holder = ZDM_Ticket_Presence::get_other_holder($ticket_id);
+        if ($holder) {
+            wp_send_json_error(array('message' => sprintf(__('%s is editing this draft', 'zoho-desk-manager'), $holder)));
+        }
+
+        $ticket = $api->get_ticket($ticket_id);
+        $threads = $api->get_ticket_threads($ticket_id);
+
+        if (!$ticket) {
+            wp_send_json_error(array('message' => __('Unable to fetch ticket data', 'zoho-desk-manager')));
+        }
+
+        $result = ZDM_AI_Assistant::generate_response($ticket, $threads['data'] ?? array(), array(
+            'response_type' => 'solution',
+            'tone' => 'professional'
+        ));
+
+        if (isset($result['error'])) {
+            wp_send_json_error(array('message' => $result['message']));
+        }
+
+        // Browser AI only hands back a prompt for the agent to paste
+        if (empty($result['response'])) {
+            wp_send_json_error(array('message' => __('Browser AI drafts have to be generated one ticket at a time', 'zoho-desk-manager')));
+        }
+
+        set_transient('zdm_draft_' . $ticket_id, $result['response'], 7 * DAY_IN_SECONDS);
+        set_transient('zdm_draft_meta_' . $ticket_id, array(
+            'generated_at' => current_time('mysql'),
+            'generated_by' => 'Bulk Actions',
+            'status' => 'draft',
+            'user_id' => get_current_user_id()
+        ), 7 * DAY_IN_SECONDS);
+
+        ZDM_Draft_Revisions::add_revision($ticket_id, $result['response'], 'ai_generate');
+
+        wp_send_json_success(array('message' => __('Draft ready', 'zoho-desk-manager')));
+    }
+
+    /**
+     * AJAX handler collecting every ticket matching the list filters
+     *
+     * Stops at MAX_MATCHING tickets, or early when the rate limit is
+     * reached or a page fails to load.
+     */
+    public static function ajax_matching_ids() {
+        check_ajax_referer('zdm_bulk_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $args = zdm_ticket_list_args($_POST);
+        $api = new ZDM_Zoho_API();
+        $tickets = array();
+        $partial = false;
+
+        for ($args['paged'] = 1; count($tickets) < self::MAX_MATCHING; $args['paged']++) {
+            if (!self::has_calls(1)) {
+                if (empty($tickets)) {
+                    self::send_rate_limited();
+                }
+                $partial = true;
+                break;
+            }
+
+            $list = zdm_fetch_ticket_list($api, $args, false, self::MATCHING_PAGE_SIZE);
+
+            if (!$list) {
+                if (empty($tickets)) {
+                    wp_send_json_error(array('message' => __('Unable to fetch tickets', 'zoho-desk-manager')));
+                }
+                $partial = true;
+                break;
+            }
+
+            foreach ($list['tickets'] as $ticket) {
+                $tickets[] = array(
+                    'id' => (string) $ticket['id'],
+                    'number' => (string) ($ticket['ticketNumber'] ?? '')
+                );
+            }
+
+            if (!$list['has_more']) {
+                break;
+            }
+        }
+
+        wp_send_json_success(array(
+            'tickets' => array_slice($tickets, 0, self::MAX_MATCHING),
+            'capped' => count($tickets) >= self::MAX_MATCHING,
+            'partial' => $partial
+        ));
+    }
+}
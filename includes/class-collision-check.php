@@ -0,0 +1,168 @@
+<?php
+/**
+ * Collision Check
+ *
+ * Looks for customer messages, agent replies and status changes that
+ * reached a ticket after its page was rendered, so a reply isn't sent
+ * without seeing them.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Collision_Check {
+
+    /**
+     * Seconds of clock difference tolerated between Zoho and this server
+     */
+    const CLOCK_SKEW = 60;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('wp_ajax_zdm_check_collisions', array(__CLASS__, 'ajax_check'));
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Enqueue the check on the single ticket page
+     */
+    public static function enqueue_scripts($hook) {
+        if (!ZDM_Shortcuts::is_plugin_screen($hook) || ZDM_Ticket_Presence::get_screen_ticket_id() === '') {
+            return;
+        }
+
+        wp_enqueue_script(
+            'zdm-collision-check',
+            ZDM_PLUGIN_URL . 'assets/js/collision-check.js',
+            array('jquery', 'zdm-ticket-presence'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-collision-check', 'zdm_collision', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('zdm_collision_nonce'),
+            'strings' => array(
+                'checking' => __('Checking for updates...', 'zoho-desk-manager'),
+                'title' => __('This ticket changed since you opened it', 'zoho-desk-manager'),
+                'intro' => __('Review what changed before sending your reply.', 'zoho-desk-manager'),
+                'customer' => __('New message from %s', 'zoho-desk-manager'),
+                'agent' => __('Reply from %s', 'zoho-desk-manager'),
+                'status' => __('%1$s changed the status from %2$s to %3$s', 'zoho-desk-manager'),
+                'review' => __('Review', 'zoho-desk-manager'),
+                'regenerate' => __('Regenerate Draft', 'zoho-desk-manager'),
+                'send_anyway' => __('Send Anyway', 'zoho-desk-manager'),
+                'reviewed' => __('Marked as reviewed. Send again when your reply is ready.', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * AJAX handler comparing the ticket with the version the page showed
+     *
+     * Expects 'since' (server time the page was rendered) and 'known' (IDs
+     * of the threads the page showed).
+     */
+    public static function ajax_check() {
+        check_ajax_referer('zdm_collision_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $ticket_id = sanitize_text_field($_POST['ticket_id'] ?? '');
+        $since = absint($_POST['since'] ?? 0);
+        $known = array_map('sanitize_text_field', (array) ($_POST['known'] ?? array()));
+
+        if (empty($ticket_id) || empty($since)) {
+            wp_send_json_error('Missing ticket ID or page time');
+        }
+
+        $api = new ZDM_Zoho_API();
+        $threads = $api->get_ticket_threads($ticket_id);
+        $history = $api->get_ticket_history($ticket_id);
+
+        if (!isset($threads['data']) && !isset($history['data'])) {
+            wp_send_json_error('Unable to check the ticket for updates');
+        }
+
+        $changes = array_merge(
+            self::find_new_threads($threads['data'] ?? array(), $known, $since),
+            self::find_status_changes($history['data'] ?? array(), $since)
+        );
+
+        usort($changes, function($a, $b) {
+            return strtotime($a['time']) - strtotime($b['time']);
+        });
+
+        wp_send_json_success(array(
+            'changes' => $changes,
+            // Lets the page treat everything it was just shown as seen
+            'thread_ids' => array_values(array_filter(array_map(function($thread) {
+                return (string) ($thread['id'] ?? '');
+            }, $threads['data'] ?? array()))),
+            'checked_at' => time()
+        ));
+    }
+
+    /**
+     * Threads the page didn't show
+     */
+    private static function find_new_threads($threads, $known, $since) {
+        $changes = array();
+
+        foreach ($threads as $thread) {
+            $message = ZDM_Dashboard_Widget::format_thread($thread);
+
+            if (in_array($message['id'], $known, true) || strtotime($message['time']) < $since - self::CLOCK_SKEW) {
+                continue;
+            }
+
+            $changes[] = array(
+                'type' => $message['customer'] ? 'customer' : 'agent',
+                'author' => $message['author'],
+                'time' => $message['time'],
+                'content' => $message['content']
+            );
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Status changes recorded in the ticket history
+     */
+    private static function find_status_changes($events, $since) {
+        $changes = array();
+
+        foreach ($events as $event) {
+            $time = $event['eventTime'] ?? '';
+
+            if (empty($time) || strtotime($time) <= $since) {
+                continue;
+            }
+
+            foreach ($event['eventInfo'] ?? array() as $info) {
+                if (strcasecmp($info['propertyName'] ?? '', 'Status') !== 0) {
+                    continue;
+                }
+
+                $changes[] = array(
+                    'type' => 'status',
+                    'author' => $event['actor']['name'] ?? __('Someone', 'zoho-desk-manager'),
+                    'time' => $time,
+                    'from' => $info['propertyValue']['previousValue'] ?? '',
+                    'to' => $info['propertyValue']['updatedValue'] ?? ''
+                );
+            }
+        }
+
+        return $changes;
+    }
+}
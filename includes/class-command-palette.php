@@ -0,0 +1,149 @@
+<?php
+/**
+ * Command Palette
+ *
+ * Ctrl+K palette on plugin screens for jumping to tickets, templates and
+ * pages and running ticket actions through the existing AJAX handlers.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Command_Palette {
+
+    /**
+     * Maximum tickets returned per search
+     */
+    const MAX_RESULTS = 8;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('wp_ajax_zdm_palette_search', array(__CLASS__, 'ajax_search'));
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Enqueue the palette on plugin screens
+     */
+    public static function enqueue_scripts($hook) {
+        if (!ZDM_Shortcuts::is_plugin_screen($hook)) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'zdm-command-palette',
+            ZDM_PLUGIN_URL . 'assets/css/command-palette.css',
+            array(),
+            '1.3.0'
+        );
+
+        wp_enqueue_script(
+            'zdm-command-palette',
+            ZDM_PLUGIN_URL . 'assets/js/command-palette.js',
+            array('jquery', 'zdm-shortcuts'),
+            '1.3.0',
+            true
+        );
+
+        $templates = array();
+        foreach (ZDM_Template_Manager::get_templates() as $key => $template) {
+            $templates[] = array(
+                'key' => $key,
+                'name' => $template['name'],
+                'category' => $template['category'],
+                'edit_url' => get_edit_post_link($template['id'], 'raw')
+            );
+        }
+
+        $current_ticket = '';
+        if (isset($_GET['page'], $_GET['ticket_id']) && $_GET['page'] === 'zoho-desk-manager') {
+            $current_ticket = sanitize_text_field(wp_unslash($_GET['ticket_id']));
+        }
+
+        wp_localize_script('zdm-command-palette', 'zdm_palette', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonces' => array(
+                'search' => wp_create_nonce('zdm_palette_nonce'),
+                'ai' => wp_create_nonce('zdm_ai_nonce'),
+                'status' => wp_create_nonce('zdm_ajax_nonce')
+            ),
+            'current_ticket' => $current_ticket,
+            'ticket_url' => admin_url('admin.php?page=zoho-desk-manager&ticket_id='),
+            'templates' => $templates,
+            'statuses' => array('Open', 'On Hold', 'Closed'),
+            'pages' => array(
+                array('label' => __('Tickets', 'zoho-desk-manager'), 'url' => admin_url('admin.php?page=zoho-desk-manager')),
+                array('label' => __('Settings', 'zoho-desk-manager'), 'url' => admin_url('admin.php?page=zoho-desk-settings')),
+                array('label' => __('AI Settings', 'zoho-desk-manager'), 'url' => admin_url('admin.php?page=zoho-desk-ai')),
+                array('label' => __('Response Templates', 'zoho-desk-manager'), 'url' => admin_url('edit.php?post_type=zdm_template')),
+                array('label' => __('Template Categories', 'zoho-desk-manager'), 'url' => admin_url('edit-tags.php?taxonomy=zdm_template_category&post_type=zdm_template')),
+                array('label' => __('Help & Commands', 'zoho-desk-manager'), 'url' => admin_url('admin.php?page=zoho-desk-help'))
+            )
+        ));
+    }
+
+    /**
+     * Reduce a Zoho ticket to the fields the palette shows
+     */
+    private static function format_ticket($ticket) {
+        return array(
+            'id' => $ticket['id'],
+            'number' => $ticket['ticketNumber'] ?? '',
+            'subject' => $ticket['subject'] ?? '',
+            'status' => $ticket['status'] ?? '',
+            'email' => $ticket['email'] ?? '',
+            'web_url' => $ticket['webUrl'] ?? ''
+        );
+    }
+
+    /**
+     * AJAX handler for ticket search
+     *
+     * Searches by number or subject, or looks up a single ticket by ID.
+     */
+    public static function ajax_search() {
+        check_ajax_referer('zdm_palette_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $api = new ZDM_Zoho_API();
+        $ticket_id = sanitize_text_field($_POST['ticket_id'] ?? '');
+
+        if (!empty($ticket_id)) {
+            $ticket = $api->get_ticket($ticket_id);
+
+            if (!$ticket) {
+                wp_send_json_error('Ticket not found');
+            }
+
+            wp_send_json_success(array(
+                'tickets' => array(self::format_ticket($ticket))
+            ));
+        }
+
+        $query = sanitize_text_field(wp_unslash($_POST['query'] ?? ''));
+
+        if (strlen($query) < 2) {
+            wp_send_json_success(array('tickets' => array()));
+        }
+
+        $search_type = preg_match('/^#?\d+$/', $query) ? 'ticket_number' : 'all';
+        $results = $api->search_tickets($query, $search_type, array('limit' => self::MAX_RESULTS));
+
+        if ($results === false) {
+            wp_send_json_error('Unable to search tickets');
+        }
+
+        wp_send_json_success(array(
+            'tickets' => array_map(array(__CLASS__, 'format_ticket'), $results['data'] ?? array())
+        ));
+    }
+}
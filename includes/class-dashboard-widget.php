@@ -14,6 +14,61 @@ if (!defined('ABSPATH')) {
 
 class ZDM_Dashboard_Widget {
 
+    /**
+     * Transient holding the cached ticket summary
+     */
+    const CACHE_KEY = 'zdm_dashboard_summary';
+
+    /**
+     * Option holding the current widget version and recent snapshots
+     */
+    const STATE_OPTION = 'zdm_widget_state';
+
+    /**
+     * Number of snapshots kept for computing incremental updates
+     */
+    const HISTORY_SIZE = 10;
+
+    /**
+     * Seconds a long-poll request waits for changes
+     */
+    const POLL_TIMEOUT = 25;
+
+    /**
+     * Seconds between checks while a long-poll request waits
+     */
+    const POLL_STEP = 2;
+
+    /**
+     * User meta key holding widget filter and sort preferences
+     */
+    const PREFS_META_KEY = 'zdm_widget_prefs';
+
+    /**
+     * User meta key holding desktop notification settings
+     */
+    const NOTIFY_META_KEY = 'zdm_notification_prefs';
+
+    /**
+     * Seconds customer history is cached for the quick-view
+     */
+    const CUSTOMER_CACHE_TTL = 600;
+
+    /**
+     * Most pages of 100 active tickets the summary fetches
+     */
+    const SUMMARY_MAX_PAGES = 5;
+
+    /**
+     * Other tickets from the same customer listed in the quick-view
+     */
+    const CUSTOMER_TICKETS = 5;
+
+    /**
+     * Columns the recent tickets table can be sorted by
+     */
+    private static $sort_columns = array('number', 'subject', 'priority', 'assignee_name', 'due_date', 'modified_time');
+
     /**
      * Initialize the dashboard widget
      */
@@ -21,7 +76,11 @@ class ZDM_Dashboard_Widget {
         add_action('wp_dashboard_setup', array(__CLASS__, 'add_dashboard_widget'));
         add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_widget_scripts'));
         add_action('wp_ajax_zdm_refresh_widget', array(__CLASS__, 'ajax_refresh_widget'));
+        add_action('wp_ajax_zdm_widget_updates', array(__CLASS__, 'ajax_widget_updates'));
+        add_action('wp_ajax_zdm_save_widget_prefs', array(__CLASS__, 'ajax_save_widget_prefs'));
+        add_action('wp_ajax_zdm_save_notification_prefs', array(__CLASS__, 'ajax_save_notification_prefs'));
         add_action('wp_ajax_zdm_get_ticket_details', array(__CLASS__, 'ajax_get_ticket_details'));
+        add_action('wp_ajax_zdm_widget_send_reply', array(__CLASS__, 'ajax_send_reply'));
     }
 
     /**
@@ -53,16 +112,17 @@ class ZDM_Dashboard_Widget {
      * Render the dashboard widget
      */
     public static function render_widget() {
-        $cache_key = 'zdm_dashboard_summary';
-        $summary_data = get_transient($cache_key);
+        $summary_data = get_transient(self::CACHE_KEY);
 
         if ($summary_data === false || isset($_GET['force_refresh'])) {
-            $summary_data = self::get_ticket_summary();
-            set_transient($cache_key, $summary_data, 60); // Cache for 1 minute
+            $summary_data = self::refresh_summary();
         }
 
+        $state = isset($summary_data['error']) ? array() : self::record_state($summary_data);
+
         ?>
-        <div id="zdm-widget-container">
+        <div id="zdm-widget-container"
+             data-initial="<?php echo esc_attr(wp_json_encode(empty($state) ? null : self::build_update($state, ''))); ?>">
             <?php self::render_summary_content($summary_data); ?>
         </div>
 
@@ -71,12 +131,34 @@ class ZDM_Dashboard_Widget {
                 <span class="dashicons dashicons-update" style="vertical-align: text-top;"></span>
                 <?php _e('Refresh', 'zoho-desk-manager'); ?>
             </button>
+            <button type="button" id="zdm-toggle-notify-settings" class="button button-secondary" aria-expanded="false">
+                <span class="dashicons dashicons-bell" style="vertical-align: text-top;"></span>
+                <?php _e('Notifications', 'zoho-desk-manager'); ?>
+            </button>
             <a href="<?php echo admin_url('admin.php?page=zoho-desk-manager'); ?>" class="button button-primary" style="float: right;">
                 <?php _e('View All Tickets', 'zoho-desk-manager'); ?>
             </a>
             <div style="clear: both;"></div>
         </div>
 
+        <?php $notify_prefs = self::get_notification_prefs(); ?>
+        <div id="zdm-notify-settings" style="display: none;">
+            <p class="zdm-notify-permission"></p>
+            <fieldset>
+                <legend class="screen-reader-text"><?php _e('Notify me about', 'zoho-desk-manager'); ?></legend>
+                <label><input type="checkbox" name="new_ticket" value="1" <?php checked($notify_prefs['new_ticket']); ?>> <?php _e('New tickets', 'zoho-desk-manager'); ?></label><br>
+                <label><input type="checkbox" name="overdue" value="1" <?php checked($notify_prefs['overdue']); ?>> <?php _e('Tickets becoming overdue', 'zoho-desk-manager'); ?></label><br>
+                <label><input type="checkbox" name="customer_reply" value="1" <?php checked($notify_prefs['customer_reply']); ?>> <?php _e('Customer replies on my tickets', 'zoho-desk-manager'); ?></label>
+            </fieldset>
+            <p>
+                <?php _e('Quiet hours:', 'zoho-desk-manager'); ?>
+                <input type="time" name="quiet_start" value="<?php echo esc_attr($notify_prefs['quiet_start']); ?>" aria-label="<?php esc_attr_e('Quiet hours start', 'zoho-desk-manager'); ?>">
+                &ndash;
+                <input type="time" name="quiet_end" value="<?php echo esc_attr($notify_prefs['quiet_end']); ?>" aria-label="<?php esc_attr_e('Quiet hours end', 'zoho-desk-manager'); ?>">
+            </p>
+            <button type="button" class="button button-primary zdm-save-notify-settings"><?php _e('Save', 'zoho-desk-manager'); ?></button>
+        </div>
+
         <style>
             #zdm_ticket_summary .inside {
                 padding: 12px;
@@ -124,7 +206,7 @@ class ZDM_Dashboard_Widget {
                 font-size: 12px;
                 text-transform: uppercase;
             }
-            .zdm-ticket-item {
+            div.zdm-ticket-item {
                 padding: 10px;
                 margin: 5px 0;
                 background: #fff;
@@ -133,14 +215,62 @@ class ZDM_Dashboard_Widget {
                 cursor: pointer;
                 transition: all 0.2s;
             }
-            .zdm-ticket-item:hover {
+            div.zdm-ticket-item:hover {
                 border-color: #0073aa;
                 box-shadow: 0 1px 3px rgba(0,0,0,0.1);
             }
-            .zdm-priority-high {
+            .zdm-widget-filters {
+                display: flex;
+                gap: 8px;
+                margin-bottom: 15px;
+            }
+            .zdm-widget-filters select {
+                flex: 1;
+                max-width: none;
+            }
+            .zdm-widget-breakdown {
+                margin: -5px 0 15px;
+                font-size: 12px;
+                color: #666;
+            }
+            .zdm-widget-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 12px;
+            }
+            .zdm-widget-table th,
+            .zdm-widget-table td {
+                padding: 6px 4px;
+                text-align: left;
+                border-bottom: 1px solid #f0f0f1;
+            }
+            .zdm-widget-table th .zdm-sort {
+                color: #50575e;
+                font-weight: 600;
+                text-decoration: none;
+            }
+            .zdm-widget-table th .zdm-sort[data-order="asc"]::after {
+                content: " \25B2";
+            }
+            .zdm-widget-table th .zdm-sort[data-order="desc"]::after {
+                content: " \25BC";
+            }
+            tr.zdm-ticket-item {
+                cursor: pointer;
+            }
+            tr.zdm-ticket-item:hover td {
+                background: #f6f7f7;
+            }
+            .zdm-widget-table .zdm-unassigned {
+                color: #999;
+                font-style: italic;
+            }
+            .zdm-priority-high,
+            tr.zdm-priority-high td:first-child {
                 border-left: 3px solid #dc3545 !important;
             }
-            .zdm-priority-medium {
+            .zdm-priority-medium,
+            tr.zdm-priority-medium td:first-child {
                 border-left: 3px solid #ffc107 !important;
             }
             .zdm-widget-loading {
@@ -173,15 +303,34 @@ class ZDM_Dashboard_Widget {
                 color: #666;
                 margin-top: 5px;
             }
+            #zdm-notify-settings {
+                margin-top: 10px;
+                padding: 10px;
+                background: #f8f9fa;
+                border-radius: 4px;
+            }
+            #zdm-notify-settings fieldset {
+                line-height: 2;
+            }
             .zdm-auto-refresh-active {
                 color: #28a745;
             }
+            .zdm-stat-changed .zdm-stat-number,
+            .zdm-ticket-changed {
+                animation: zdm-highlight 1.5s ease-out;
+            }
+            @keyframes zdm-highlight {
+                0% { background-color: #fff8c5; }
+                100% { background-color: transparent; }
+            }
         </style>
         <?php
     }
 
     /**
      * Render summary content
+     *
+     * Outputs the widget layout; ZDM_Widget fills it from the ticket data.
      */
     private static function render_summary_content($summary_data) {
         if (empty($summary_data) || isset($summary_data['error'])) {
@@ -189,67 +338,79 @@ class ZDM_Dashboard_Widget {
             return;
         }
 
+        $columns = array(
+            'number' => __('#', 'zoho-desk-manager'),
+            'subject' => __('Subject', 'zoho-desk-manager'),
+            'priority' => __('Priority', 'zoho-desk-manager'),
+            'assignee_name' => __('Assignee', 'zoho-desk-manager'),
+            'due_date' => __('SLA', 'zoho-desk-manager'),
+            'modified_time' => __('Updated', 'zoho-desk-manager')
+        );
+
         ?>
+        <div class="zdm-widget-filters">
+            <select class="zdm-widget-scope" aria-label="<?php esc_attr_e('Show tickets', 'zoho-desk-manager'); ?>">
+                <option value="all"><?php _e('All tickets', 'zoho-desk-manager'); ?></option>
+                <option value="mine"><?php _e('My tickets', 'zoho-desk-manager'); ?></option>
+                <option value="unassigned"><?php _e('Unassigned', 'zoho-desk-manager'); ?></option>
+            </select>
+            <select class="zdm-widget-department" aria-label="<?php esc_attr_e('Department', 'zoho-desk-manager'); ?>">
+                <option value=""><?php _e('All departments', 'zoho-desk-manager'); ?></option>
+            </select>
+        </div>
+
         <div class="zdm-stat-grid">
-            <div class="zdm-stat-card zdm-stat-urgent">
-                <div class="zdm-stat-number"><?php echo esc_html($summary_data['urgent_count']); ?></div>
+            <div class="zdm-stat-card zdm-stat-urgent" data-stat="urgent">
+                <div class="zdm-stat-number">0</div>
                 <div class="zdm-stat-label"><?php _e('Urgent', 'zoho-desk-manager'); ?></div>
             </div>
-            <div class="zdm-stat-card zdm-stat-open">
-                <div class="zdm-stat-number"><?php echo esc_html($summary_data['open_count']); ?></div>
+            <div class="zdm-stat-card zdm-stat-open" data-stat="open">
+                <div class="zdm-stat-number">0</div>
                 <div class="zdm-stat-label"><?php _e('Open', 'zoho-desk-manager'); ?></div>
             </div>
-            <div class="zdm-stat-card zdm-stat-pending">
-                <div class="zdm-stat-number"><?php echo esc_html($summary_data['pending_reply_count']); ?></div>
+            <div class="zdm-stat-card zdm-stat-pending" data-stat="pending_reply">
+                <div class="zdm-stat-number">0</div>
                 <div class="zdm-stat-label"><?php _e('Awaiting Reply', 'zoho-desk-manager'); ?></div>
             </div>
-            <div class="zdm-stat-card zdm-stat-overdue">
-                <div class="zdm-stat-number"><?php echo esc_html($summary_data['overdue_count']); ?></div>
+            <div class="zdm-stat-card zdm-stat-overdue" data-stat="overdue">
+                <div class="zdm-stat-number">0</div>
                 <div class="zdm-stat-label"><?php _e('Overdue', 'zoho-desk-manager'); ?></div>
             </div>
         </div>
 
-        <?php if (!empty($summary_data['recent_tickets'])): ?>
-            <h4 style="margin: 15px 0 10px;"><?php _e('Tickets Requiring Immediate Attention:', 'zoho-desk-manager'); ?></h4>
-            <div class="zdm-recent-tickets">
-                <?php foreach ($summary_data['recent_tickets'] as $ticket):
-                    $priority_class = '';
-                    if ($ticket['priority'] === 'High') {
-                        $priority_class = 'zdm-priority-high';
-                    } elseif ($ticket['priority'] === 'Medium') {
-                        $priority_class = 'zdm-priority-medium';
-                    }
-
-                    $time_ago = self::get_time_ago($ticket['modified_time']);
-                    $is_overdue = isset($ticket['is_overdue']) && $ticket['is_overdue'];
-                ?>
-                    <div class="zdm-ticket-item <?php echo esc_attr($priority_class); ?>"
-                         data-ticket-id="<?php echo esc_attr($ticket['id']); ?>">
-                        <div style="display: flex; justify-content: space-between; align-items: start;">
-                            <div style="flex: 1;">
-                                <strong>#<?php echo esc_html($ticket['ticket_number']); ?></strong>
-                                - <?php echo esc_html(wp_trim_words($ticket['subject'], 10)); ?>
-                                <div style="font-size: 11px; color: #666; margin-top: 3px;">
-                                    <?php echo esc_html($ticket['contact_name']); ?> •
-                                    <span class="zdm-time-badge <?php echo $is_overdue ? 'zdm-overdue' : ''; ?>">
-                                        <?php echo $is_overdue ? __('OVERDUE', 'zoho-desk-manager') : $time_ago; ?>
-                                    </span>
-                                </div>
-                            </div>
-                            <a href="<?php echo admin_url('admin.php?page=zoho-desk-manager&ticket_id=' . $ticket['id']); ?>"
-                               class="button button-small">
-                                <?php _e('View', 'zoho-desk-manager'); ?>
-                            </a>
-                        </div>
-                    </div>
-                <?php endforeach; ?>
-            </div>
-        <?php else: ?>
-            <p style="text-align: center; padding: 20px; color: #28a745;">
-                <span class="dashicons dashicons-yes" style="font-size: 30px;"></span><br>
-                <?php _e('All tickets are up to date!', 'zoho-desk-manager'); ?>
-            </p>
-        <?php endif; ?>
+        <div class="zdm-widget-breakdown">
+            <div><strong><?php _e('By status:', 'zoho-desk-manager'); ?></strong> <span class="zdm-breakdown-status"></span></div>
+            <div><strong><?php _e('By priority:', 'zoho-desk-manager'); ?></strong> <span class="zdm-breakdown-priority"></span></div>
+        </div>
+
+        <div class="zdm-breaching-section" style="display: none;">
+            <h4 style="margin: 15px 0 10px;"><?php _e('Breaching in the Next Hour:', 'zoho-desk-manager'); ?></h4>
+            <div class="zdm-breaching-list"></div>
+        </div>
+
+        <div class="zdm-overdue-section" style="display: none;">
+            <h4 style="margin: 15px 0 10px;"><?php _e('Overdue Tickets:', 'zoho-desk-manager'); ?></h4>
+            <div class="zdm-overdue-list"></div>
+        </div>
+
+        <div class="zdm-recent-tickets-section" style="display: none;">
+            <h4 style="margin: 15px 0 10px;"><?php _e('Recent Tickets:', 'zoho-desk-manager'); ?></h4>
+            <table class="zdm-widget-table">
+                <thead>
+                    <tr>
+                        <?php foreach ($columns as $key => $label): ?>
+                            <th><button type="button" class="button-link zdm-sort" data-sort="<?php echo esc_attr($key); ?>"><?php echo esc_html($label); ?></button></th>
+                        <?php endforeach; ?>
+                    </tr>
+                </thead>
+                <tbody class="zdm-recent-tickets"></tbody>
+            </table>
+        </div>
+
+        <p class="zdm-all-clear" style="text-align: center; padding: 20px; color: #28a745; display: none;">
+            <span class="dashicons dashicons-yes" style="font-size: 30px;"></span><br>
+            <?php _e('All tickets are up to date!', 'zoho-desk-manager'); ?>
+        </p>
 
         <div class="zdm-auto-refresh-status">
             <span class="dashicons dashicons-clock"></span>
@@ -258,126 +419,242 @@ class ZDM_Dashboard_Widget {
         <?php
     }
 
+    /**
+     * Hash of a ticket record, used to detect changed tickets
+     */
+    private static function hash_ticket($ticket) {
+        return md5(wp_json_encode($ticket));
+    }
+
+    /**
+     * Statuses the widget tracks
+     */
+    private static function get_active_statuses() {
+        return apply_filters('zdm_widget_statuses', array('Open', 'On Hold', 'Escalated'));
+    }
+
     /**
      * Get ticket summary data
+     *
+     * @return array 'tickets' (records from format_ticket) and 'departments'
+     *     (ID => name), or 'error' when Zoho can't be reached
      */
     private static function get_ticket_summary() {
         $api = new ZDM_Zoho_API();
+        $active_tickets = array();
 
-        // Fetch open tickets
-        $open_tickets = $api->get_tickets(array(
-            'status' => 'Open',
-            'limit' => 100,
-            'sortBy' => 'modifiedTime'
-        ));
+        // Fetch active tickets with their assignee and department, a page at
+        // a time so busy desks' counts are complete
+        for ($page = 0; $page < self::SUMMARY_MAX_PAGES; $page++) {
+            if ($page > 0 && !ZDM_Rate_Limiter::can_make_call()) {
+                break;
+            }
 
-        if (!$open_tickets || !isset($open_tickets['data'])) {
-            return array('error' => true);
+            $result = $api->get_tickets(array(
+                'status' => implode(',', self::get_active_statuses()),
+                'from' => $page * 100,
+                'limit' => 100,
+                'sortBy' => 'modifiedTime',
+                'include' => 'contacts,assignee,departments'
+            ));
+
+            if (!$result || !isset($result['data'])) {
+                if ($page === 0) {
+                    return array('error' => true);
+                }
+                break;
+            }
+
+            $active_tickets = array_merge($active_tickets, $result['data']);
+
+            if (count($result['data']) < 100) {
+                break;
+            }
         }
 
         $summary = array(
-            'open_count' => 0,
-            'urgent_count' => 0,
-            'pending_reply_count' => 0,
-            'overdue_count' => 0,
-            'recent_tickets' => array()
+            'tickets' => array(),
+            'departments' => array()
         );
 
-        $current_time = time();
-        $tickets_needing_attention = array();
-
-        foreach ($open_tickets['data'] as $ticket) {
-            $summary['open_count']++;
+        foreach ($active_tickets as $ticket) {
+            $summary['tickets'][] = self::format_ticket($ticket);
 
-            // Check priority
-            if (isset($ticket['priority']) && $ticket['priority'] === 'High') {
-                $summary['urgent_count']++;
+            if (!empty($ticket['departmentId'])) {
+                $summary['departments'][$ticket['departmentId']] = $ticket['department']['name'] ?? $ticket['departmentId'];
             }
+        }
 
-            // Check if overdue
-            if (isset($ticket['dueDate'])) {
-                $due_time = strtotime($ticket['dueDate']);
-                if ($due_time < $current_time) {
-                    $summary['overdue_count']++;
-                    $ticket['is_overdue'] = true;
-                }
-            }
+        asort($summary['departments']);
 
-            // Check response time (tickets modified in last 24 hours that might need reply)
-            $modified_time = strtotime($ticket['modifiedTime']);
-            $hours_since_modified = ($current_time - $modified_time) / 3600;
+        return $summary;
+    }
 
-            if ($hours_since_modified < 24) {
-                $summary['pending_reply_count']++;
-            }
+    /**
+     * Reduce a Zoho ticket to the fields the widget uses
+     *
+     * Overdue state is left to the browser so it stays current between updates.
+     */
+    private static function format_ticket($ticket) {
+        $assignee = $ticket['assignee'] ?? array();
 
-            // Prepare ticket data for display
-            $ticket_data = array(
-                'id' => $ticket['id'],
-                'ticket_number' => $ticket['ticketNumber'],
-                'subject' => $ticket['subject'],
-                'priority' => $ticket['priority'] ?? 'Normal',
-                'status' => $ticket['status'],
-                'contact_name' => $ticket['contact']['firstName'] ?? 'Unknown',
-                'modified_time' => $ticket['modifiedTime'],
-                'is_overdue' => isset($ticket['is_overdue']) ? $ticket['is_overdue'] : false
-            );
+        return array(
+            'id' => (string) $ticket['id'],
+            'number' => $ticket['ticketNumber'] ?? '',
+            'subject' => $ticket['subject'] ?? '',
+            'status' => $ticket['status'] ?? '',
+            'priority' => $ticket['priority'] ?? 'Normal',
+            'contact_name' => $ticket['contact']['firstName'] ?? 'Unknown',
+            'assignee_id' => (string) ($ticket['assigneeId'] ?? ''),
+            'assignee_name' => trim(($assignee['firstName'] ?? '') . ' ' . ($assignee['lastName'] ?? '')),
+            'assignee_email' => $assignee['email'] ?? '',
+            'department_id' => (string) ($ticket['departmentId'] ?? ''),
+            'created_time' => $ticket['createdTime'] ?? '',
+            'modified_time' => $ticket['modifiedTime'] ?? '',
+            'due_date' => $ticket['dueDate'] ?? '',
+            'response_due_date' => $ticket['responseDueDate'] ?? '',
+            'customer_response_time' => $ticket['customerResponseTime'] ?? ''
+        );
+    }
 
-            // Prioritize tickets for display
-            if ($ticket_data['priority'] === 'High' ||
-                $ticket_data['is_overdue'] ||
-                $hours_since_modified < 4) {
-                $tickets_needing_attention[] = $ticket_data;
-            }
+    /**
+     * Fetch a fresh summary from Zoho and cache it
+     */
+    private static function refresh_summary() {
+        $summary_data = self::get_ticket_summary();
+        set_transient(self::CACHE_KEY, $summary_data, 60); // Cache for 1 minute
+
+        if (!isset($summary_data['error'])) {
+            self::record_state($summary_data);
         }
 
-        // Sort tickets by priority and time
-        usort($tickets_needing_attention, function($a, $b) {
-            // Overdue tickets first
-            if ($a['is_overdue'] !== $b['is_overdue']) {
-                return $a['is_overdue'] ? -1 : 1;
-            }
-            // Then by priority
-            $priority_order = array('High' => 1, 'Medium' => 2, 'Low' => 3, 'Normal' => 3);
-            $a_priority = $priority_order[$a['priority']] ?? 3;
-            $b_priority = $priority_order[$b['priority']] ?? 3;
-            if ($a_priority !== $b_priority) {
-                return $a_priority - $b_priority;
-            }
-            // Then by modified time (most recent first)
-            return strtotime($b['modified_time']) - strtotime($a['modified_time']);
-        });
+        return $summary_data;
+    }
 
-        // Get only top 5 tickets needing attention
-        $summary['recent_tickets'] = array_slice($tickets_needing_attention, 0, 5);
+    /**
+     * Store a new widget version when the summary changed
+     *
+     * Each version keeps a hash per ticket so later requests can be
+     * answered with only the tickets that changed since a client's version.
+     */
+    private static function record_state($summary_data) {
+        $state = self::get_state();
+        $etag = md5(wp_json_encode($summary_data));
 
-        return $summary;
+        if (($state['etag'] ?? '') === $etag) {
+            return $state;
+        }
+
+        $rows = array();
+        foreach ($summary_data['tickets'] as $ticket) {
+            $rows[$ticket['id']] = self::hash_ticket($ticket);
+        }
+
+        // A version seen before moves to the end of the history
+        $history = $state['history'] ?? array();
+        unset($history[$etag]);
+        $history[$etag] = array(
+            'rows' => $rows
+        );
+
+        $state = array(
+            'etag' => $etag,
+            'summary' => $summary_data,
+            'history' => array_slice($history, -self::HISTORY_SIZE, null, true)
+        );
+
+        update_option(self::STATE_OPTION, $state, false);
+
+        return $state;
+    }
+
+    /**
+     * Get the current widget state
+     *
+     * Bypasses the in-request option cache so a waiting long-poll request
+     * sees versions written by other requests.
+     */
+    private static function get_state() {
+        if (!wp_using_ext_object_cache()) {
+            wp_cache_delete(self::STATE_OPTION, 'options');
+        }
+
+        $state = get_option(self::STATE_OPTION, array());
+        return is_array($state) ? $state : array();
     }
 
     /**
-     * Get human-readable time ago
+     * Get the current state, refreshing the summary once the cache expires
+     *
+     * Only one request refreshes at a time, however many tabs are waiting.
      */
-    private static function get_time_ago($datetime) {
-        $time = strtotime($datetime);
-        $current = time();
-        $diff = $current - $time;
+    private static function get_current_state() {
+        if (!wp_using_ext_object_cache()) {
+            wp_cache_delete('_transient_' . self::CACHE_KEY, 'options');
+            wp_cache_delete('_transient_timeout_' . self::CACHE_KEY, 'options');
+            wp_cache_delete('_transient_zdm_widget_refresh_lock', 'options');
+            wp_cache_delete('_transient_timeout_zdm_widget_refresh_lock', 'options');
+        }
+
+        $summary_data = get_transient(self::CACHE_KEY);
 
-        if ($diff < 60) {
-            return __('Just now', 'zoho-desk-manager');
-        } elseif ($diff < 3600) {
-            $mins = floor($diff / 60);
-            return sprintf(_n('%d min ago', '%d mins ago', $mins, 'zoho-desk-manager'), $mins);
-        } elseif ($diff < 86400) {
-            $hours = floor($diff / 3600);
-            return sprintf(_n('%d hour ago', '%d hours ago', $hours, 'zoho-desk-manager'), $hours);
-        } else {
-            $days = floor($diff / 86400);
-            return sprintf(_n('%d day ago', '%d days ago', $days, 'zoho-desk-manager'), $days);
+        if ($summary_data === false && !get_transient('zdm_widget_refresh_lock')) {
+            set_transient('zdm_widget_refresh_lock', 1, 30);
+            $summary_data = self::refresh_summary();
+            delete_transient('zdm_widget_refresh_lock');
         }
+
+        if (is_array($summary_data) && !isset($summary_data['error'])) {
+            return self::record_state($summary_data);
+        }
+
+        return self::get_state();
+    }
+
+    /**
+     * Build the update for a client at a given version
+     *
+     * Unknown versions get every ticket; known ones get only the tickets
+     * that were added or changed and the IDs of those that went away.
+     */
+    private static function build_update($state, $since) {
+        if ($state['etag'] === $since) {
+            return array(
+                'etag' => $state['etag'],
+                'changed' => false
+            );
+        }
+
+        $previous = $state['history'][$since] ?? null;
+        $tickets = array();
+        $ids = array();
+
+        foreach ($state['summary']['tickets'] as $ticket) {
+            $ids[] = $ticket['id'];
+
+            if ($previous === null || ($previous['rows'][$ticket['id']] ?? '') !== self::hash_ticket($ticket)) {
+                $tickets[] = $ticket;
+            }
+        }
+
+        $removed = $previous === null ? array() : array_diff(array_map('strval', array_keys($previous['rows'])), $ids);
+
+        return array(
+            'etag' => $state['etag'],
+            'since' => $since,
+            'changed' => true,
+            'full' => $previous === null,
+            'tickets' => $tickets,
+            'removed' => array_values($removed),
+            'departments' => (object) $state['summary']['departments']
+        );
     }
 
     /**
      * AJAX handler to refresh widget
+     *
+     * Returns every ticket from a fresh fetch, in the same format as
+     * zdm_widget_updates.
      */
     public static function ajax_refresh_widget() {
         check_ajax_referer('zdm_widget_nonce', 'nonce');
@@ -387,21 +664,231 @@ class ZDM_Dashboard_Widget {
         }
 
         // Clear cache and get fresh data
-        delete_transient('zdm_dashboard_summary');
-        $summary_data = self::get_ticket_summary();
+        delete_transient(self::CACHE_KEY);
+        $summary_data = self::refresh_summary();
+
+        if (isset($summary_data['error'])) {
+            wp_send_json_error(__('Unable to fetch ticket data. Please check your connection.', 'zoho-desk-manager'));
+        }
+
+        wp_send_json_success(self::build_update(self::get_state(), ''));
+    }
+
+    /**
+     * AJAX handler for incremental widget updates
+     *
+     * Long-polls when "wait" is set: holds the request until the summary
+     * version differs from "since" or the timeout passes. Without "wait" it
+     * answers immediately, which is what the polling fallback uses.
+     */
+    public static function ajax_widget_updates() {
+        check_ajax_referer('zdm_widget_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $since = sanitize_text_field($_POST['since'] ?? '');
+        $wait = !empty($_POST['wait']) && self::long_poll_enabled();
+
+        if (!empty($_POST['force'])) {
+            delete_transient(self::CACHE_KEY);
+        }
+
+        $timeout = $wait ? (int) apply_filters('zdm_widget_poll_timeout', self::POLL_TIMEOUT) : 0;
+        $deadline = time() + $timeout;
+
+        if ($wait && function_exists('set_time_limit')) {
+            set_time_limit($timeout + 10);
+        }
+
+        $state = self::get_current_state();
+
+        while ($wait && ($state['etag'] ?? '') === $since && time() < $deadline) {
+            sleep(self::POLL_STEP);
+            $state = self::get_current_state();
+        }
+
+        if (empty($state['etag'])) {
+            wp_send_json_error(__('Unable to fetch ticket data. Please check your connection.', 'zoho-desk-manager'));
+        }
+
+        wp_send_json_success(self::build_update($state, $since));
+    }
+
+    /**
+     * Whether requests may be held open for long-polling
+     *
+     * Hosts that cap request time or PHP workers can turn this off with the
+     * zdm_widget_long_poll filter; the widget then polls instead.
+     */
+    private static function long_poll_enabled() {
+        return (bool) apply_filters('zdm_widget_long_poll', true);
+    }
+
+    /**
+     * Get the current user's filter and sort preferences
+     */
+    public static function get_user_prefs() {
+        $prefs = get_user_meta(get_current_user_id(), self::PREFS_META_KEY, true);
+
+        return wp_parse_args(is_array($prefs) ? $prefs : array(), array(
+            'scope' => 'all',
+            'department' => '',
+            'sort' => 'modified_time',
+            'order' => 'desc'
+        ));
+    }
+
+    /**
+     * AJAX handler for saving widget preferences
+     */
+    public static function ajax_save_widget_prefs() {
+        check_ajax_referer('zdm_widget_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $scope = sanitize_key($_POST['scope'] ?? 'all');
+        $sort = sanitize_key($_POST['sort'] ?? 'modified_time');
+
+        $prefs = array(
+            'scope' => in_array($scope, array('all', 'mine', 'unassigned'), true) ? $scope : 'all',
+            'department' => sanitize_text_field($_POST['department'] ?? ''),
+            'sort' => in_array($sort, self::$sort_columns, true) ? $sort : 'modified_time',
+            'order' => ($_POST['order'] ?? '') === 'asc' ? 'asc' : 'desc'
+        );
+
+        update_user_meta(get_current_user_id(), self::PREFS_META_KEY, $prefs);
+
+        wp_send_json_success($prefs);
+    }
+
+    /**
+     * Get the current user's desktop notification settings
+     *
+     * Quiet hours are "HH:MM" in the browser's local time; empty disables them.
+     */
+    public static function get_notification_prefs() {
+        $prefs = get_user_meta(get_current_user_id(), self::NOTIFY_META_KEY, true);
+
+        return wp_parse_args(is_array($prefs) ? $prefs : array(), array(
+            'new_ticket' => true,
+            'overdue' => true,
+            'customer_reply' => true,
+            'quiet_start' => '',
+            'quiet_end' => ''
+        ));
+    }
+
+    /**
+     * AJAX handler for saving notification settings
+     */
+    public static function ajax_save_notification_prefs() {
+        check_ajax_referer('zdm_widget_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $prefs = array();
+
+        foreach (array('new_ticket', 'overdue', 'customer_reply') as $event) {
+            $prefs[$event] = !empty($_POST[$event]);
+        }
+
+        foreach (array('quiet_start', 'quiet_end') as $field) {
+            $value = sanitize_text_field($_POST[$field] ?? '');
+            $prefs[$field] = preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $value) ? $value : '';
+        }
+
+        update_user_meta(get_current_user_id(), self::NOTIFY_META_KEY, $prefs);
+
+        wp_send_json_success($prefs);
+    }
 
-        // Cache the new data
-        set_transient('zdm_dashboard_summary', $summary_data, 60);
+    /**
+     * Render message content, keeping HTML messages and converting line
+     * breaks in plain text ones
+     */
+    private static function format_content($content) {
+        if ($content !== strip_tags($content)) {
+            return wp_kses_post($content);
+        }
+
+        return nl2br(esc_html($content));
+    }
 
-        ob_start();
-        self::render_summary_content($summary_data);
-        $html = ob_get_clean();
+    /**
+     * Reduce a Zoho thread to the fields the quick-view and collision check show
+     */
+    public static function format_thread($thread) {
+        $author = $thread['author'] ?? array();
+        $name = $author['name'] ?? trim(($author['firstName'] ?? '') . ' ' . ($author['lastName'] ?? ''));
 
-        wp_send_json_success(array('html' => $html));
+        return array(
+            'id' => (string) ($thread['id'] ?? ''),
+            'author' => $name ?: __('Unknown', 'zoho-desk-manager'),
+            'customer' => ($author['type'] ?? '') === 'END_USER',
+            'internal' => ($thread['visibility'] ?? '') === 'private',
+            'time' => $thread['createdTime'] ?? $thread['postedTime'] ?? '',
+            'content' => self::format_content($thread['content'] ?? $thread['plainText'] ?? $thread['richText'] ?? $thread['summary'] ?? '')
+        );
     }
 
     /**
-     * AJAX handler to get ticket details preview
+     * Customer history for the quick-view
+     *
+     * @return array|null 'stats' from calculate_customer_stats and the
+     *     customer's other recent 'tickets', or null when unavailable
+     */
+    private static function get_customer_history($email, $ticket_id) {
+        if (empty($email)) {
+            return null;
+        }
+
+        // Paging through a ticket list stays quick for repeat customers
+        $cache_key = 'zdm_customer_' . md5(strtolower($email));
+        $history = get_transient($cache_key);
+
+        if ($history === false) {
+            $api = new ZDM_Zoho_API();
+            $result = $api->get_customer_tickets($email);
+
+            if (!$result || !isset($result['data'])) {
+                return null;
+            }
+
+            $history = array(
+                'stats' => $api->calculate_customer_stats($result['data']),
+                'tickets' => array()
+            );
+
+            foreach (array_slice($result['data'], 0, self::CUSTOMER_TICKETS + 1) as $ticket) {
+                $history['tickets'][] = array(
+                    'id' => (string) $ticket['id'],
+                    'number' => $ticket['ticketNumber'] ?? '',
+                    'subject' => $ticket['subject'] ?? '',
+                    'status' => $ticket['status'] ?? '',
+                    'created_time' => $ticket['createdTime'] ?? ''
+                );
+            }
+
+            set_transient($cache_key, $history, self::CUSTOMER_CACHE_TTL);
+        }
+
+        $history['tickets'] = array_slice(array_values(array_filter($history['tickets'], function($ticket) use ($ticket_id) {
+            return $ticket['id'] !== (string) $ticket_id;
+        })), 0, self::CUSTOMER_TICKETS);
+
+        return $history;
+    }
+
+    /**
+     * AJAX handler for the ticket quick-view
+     *
+     * Returns the ticket with its thread, saved draft and customer history.
      */
     public static function ajax_get_ticket_details() {
         check_ajax_referer('zdm_widget_nonce', 'nonce');
@@ -412,31 +899,58 @@ class ZDM_Dashboard_Widget {
 
         $ticket_id = sanitize_text_field($_POST['ticket_id']);
         $api = new ZDM_Zoho_API();
-        $ticket = $api->get_ticket($ticket_id);
-
-        if ($ticket) {
-            ob_start();
-            ?>
-            <div style="padding: 10px;">
-                <h4><?php echo esc_html($ticket['subject']); ?></h4>
-                <p><strong><?php _e('Status:', 'zoho-desk-manager'); ?></strong> <?php echo esc_html($ticket['status']); ?></p>
-                <p><strong><?php _e('Priority:', 'zoho-desk-manager'); ?></strong> <?php echo esc_html($ticket['priority'] ?? 'Normal'); ?></p>
-                <p><strong><?php _e('Created:', 'zoho-desk-manager'); ?></strong> <?php echo esc_html(date('M d, Y H:i', strtotime($ticket['createdTime']))); ?></p>
-                <?php if (!empty($ticket['description'])): ?>
-                    <p><strong><?php _e('Description:', 'zoho-desk-manager'); ?></strong><br>
-                    <?php echo esc_html(wp_trim_words($ticket['description'], 50)); ?></p>
-                <?php endif; ?>
-                <a href="<?php echo admin_url('admin.php?page=zoho-desk-manager&ticket_id=' . $ticket_id); ?>"
-                   class="button button-primary">
-                    <?php _e('View Full Ticket', 'zoho-desk-manager'); ?>
-                </a>
-            </div>
-            <?php
-            $html = ob_get_clean();
-            wp_send_json_success(array('html' => $html));
-        } else {
+        $ticket = $api->get_ticket($ticket_id, array('include' => 'contacts,assignee'));
+
+        if (!$ticket || empty($ticket['id'])) {
             wp_send_json_error('Unable to fetch ticket details');
         }
+
+        $threads = $api->get_ticket_threads($ticket_id);
+        $messages = array_map(array(__CLASS__, 'format_thread'), $threads['data'] ?? array());
+
+        usort($messages, function($a, $b) {
+            return strtotime($a['time']) - strtotime($b['time']);
+        });
+
+        $email = $ticket['email'] ?? $ticket['contact']['email'] ?? '';
+
+        wp_send_json_success(array(
+            'ticket' => array_merge(self::format_ticket($ticket), array(
+                'email' => $email,
+                'channel' => $ticket['channel'] ?? '',
+                'description' => self::format_content($ticket['description'] ?? ''),
+                'web_url' => $ticket['webUrl'] ?? ''
+            )),
+            'threads' => $messages,
+            'draft' => get_transient('zdm_draft_' . $ticket_id) ?: '',
+            'customer' => self::get_customer_history($email, $ticket_id)
+        ));
+    }
+
+    /**
+     * AJAX handler for replies sent from the quick-view
+     */
+    public static function ajax_send_reply() {
+        check_ajax_referer('zdm_widget_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $ticket_id = sanitize_text_field($_POST['ticket_id'] ?? '');
+        $content = wp_kses_post(wp_unslash($_POST['content'] ?? ''));
+
+        if (empty($ticket_id) || trim(wp_strip_all_tags($content)) === '') {
+            wp_send_json_error('Missing ticket ID or reply');
+        }
+
+        $sent = ZDM_Send_Queue::submit($ticket_id, $content, false, sanitize_text_field($_POST['ticket_number'] ?? ''));
+
+        if ($sent['status'] === 'failed') {
+            wp_send_json_error('Failed to send reply: ' . $sent['error']);
+        }
+
+        wp_send_json_success(ZDM_Send_Queue::describe($sent));
     }
 
     /**
@@ -453,22 +967,146 @@ class ZDM_Dashboard_Widget {
             return;
         }
 
+        wp_enqueue_script(
+            'zdm-widget-live',
+            ZDM_PLUGIN_URL . 'assets/js/widget-live.js',
+            array('jquery'),
+            '1.3.0',
+            true
+        );
+
+        wp_enqueue_script(
+            'zdm-widget-notifications',
+            ZDM_PLUGIN_URL . 'assets/js/widget-notifications.js',
+            array('jquery', 'zdm-widget-live'),
+            '1.3.0',
+            true
+        );
+
+        wp_enqueue_style(
+            'zdm-widget-quick-view',
+            ZDM_PLUGIN_URL . 'assets/css/widget-quick-view.css',
+            array(),
+            '1.3.0'
+        );
+
+        wp_enqueue_script(
+            'zdm-markdown',
+            ZDM_PLUGIN_URL . 'assets/js/markdown.js',
+            array('jquery'),
+            '1.3.0',
+            true
+        );
+
+        wp_enqueue_script(
+            'zdm-widget-quick-view',
+            ZDM_PLUGIN_URL . 'assets/js/widget-quick-view.js',
+            array('jquery', 'zdm-markdown', 'zdm-sla', 'zdm-send-queue'),
+            '1.3.0',
+            true
+        );
+
         wp_enqueue_script(
             'zdm-widget-script',
             ZDM_PLUGIN_URL . 'assets/js/widget-script.js',
-            array('jquery'),
+            array('jquery', 'zdm-shortcuts', 'zdm-sla', 'zdm-widget-live', 'zdm-widget-notifications', 'zdm-widget-quick-view'),
             '1.0.0',
             true
         );
 
+        $templates = array();
+        foreach (ZDM_Template_Manager::get_templates() as $key => $template) {
+            $templates[] = array(
+                'key' => $key,
+                'name' => $template['name'],
+                'category' => $template['category']
+            );
+        }
+
         wp_localize_script('zdm-widget-script', 'zdm_widget', array(
             'ajax_url' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('zdm_widget_nonce'),
+            'site_id' => get_current_blog_id(),
+            'user_id' => get_current_user_id(),
             'refresh_interval' => 60000, // 60 seconds
+            'long_poll' => self::long_poll_enabled(),
+            'prefs' => self::get_user_prefs(),
+            'notifications' => self::get_notification_prefs(),
+            // Tickets assigned to the Zoho agent with this email count as "mine"
+            'agent_email' => apply_filters('zdm_widget_agent_email', wp_get_current_user()->user_email, get_current_user_id()),
+            'ticket_url' => admin_url('admin.php?page=zoho-desk-manager&ticket_id='),
+            'tickets_url' => admin_url('admin.php?page=zoho-desk-manager'),
+            // Quick-view actions reuse the handlers from the ticket page
+            'nonces' => array(
+                'ai' => wp_create_nonce('zdm_ai_nonce'),
+                'status' => wp_create_nonce('zdm_ajax_nonce')
+            ),
+            'templates' => $templates,
+            'statuses' => array('Open', 'On Hold', 'Closed'),
             'strings' => array(
                 'refreshing' => __('Refreshing...', 'zoho-desk-manager'),
+                'just_now' => __('Just now', 'zoho-desk-manager'),
+                'mins_ago' => __('%d min ago', 'zoho-desk-manager'),
+                'hours_ago' => __('%d hours ago', 'zoho-desk-manager'),
+                'days_ago' => __('%d days ago', 'zoho-desk-manager'),
+                'unassigned' => __('Unassigned', 'zoho-desk-manager'),
+                'none' => __('None', 'zoho-desk-manager'),
+                'notify_new' => __('New ticket #%1$s', 'zoho-desk-manager'),
+                'notify_overdue' => __('Ticket #%1$s is now overdue', 'zoho-desk-manager'),
+                'notify_reply' => __('Customer replied on #%1$s', 'zoho-desk-manager'),
+                'notify_group' => __('%d ticket updates', 'zoho-desk-manager'),
+                'notify_more' => __('…and %d more', 'zoho-desk-manager'),
+                'notify_granted' => __('Desktop notifications are enabled in this browser.', 'zoho-desk-manager'),
+                'notify_denied' => __('Desktop notifications are blocked in this browser. Allow them in the site settings to get alerts.', 'zoho-desk-manager'),
+                'notify_default' => __('Desktop notifications are not enabled yet.', 'zoho-desk-manager'),
+                'notify_enable' => __('Enable Notifications', 'zoho-desk-manager'),
+                'notify_unsupported' => __('This browser does not support desktop notifications.', 'zoho-desk-manager'),
+                'saved' => __('Settings saved', 'zoho-desk-manager'),
                 'auto_refresh' => __('Auto-refresh in %ds', 'zoho-desk-manager'),
-                'error' => __('Error loading data', 'zoho-desk-manager')
+                'live' => __('Live updates', 'zoho-desk-manager'),
+                'live_shared' => __('Live updates (shared with another tab)', 'zoho-desk-manager'),
+                'paused' => __('Auto-refresh paused: few Zoho Desk API calls left (resumes in %ds)', 'zoho-desk-manager'),
+                'error' => __('Error loading data', 'zoho-desk-manager'),
+                'qv_loading' => __('Loading ticket...', 'zoho-desk-manager'),
+                'qv_error' => __('Unable to load this ticket.', 'zoho-desk-manager'),
+                'qv_position' => __('%1$d of %2$d', 'zoho-desk-manager'),
+                'qv_previous' => __('Previous ticket', 'zoho-desk-manager'),
+                'qv_next' => __('Next ticket', 'zoho-desk-manager'),
+                'qv_close' => __('Close', 'zoho-desk-manager'),
+                'qv_from' => __('From', 'zoho-desk-manager'),
+                'qv_assignee' => __('Assignee', 'zoho-desk-manager'),
+                'qv_thread' => __('Conversation', 'zoho-desk-manager'),
+                'qv_support' => __('Support', 'zoho-desk-manager'),
+                'qv_internal' => __('Internal', 'zoho-desk-manager'),
+                'qv_reply' => __('Reply', 'zoho-desk-manager'),
+                'qv_reply_placeholder' => __('Write a reply (Markdown supported)...', 'zoho-desk-manager'),
+                'qv_send' => __('Send Reply', 'zoho-desk-manager'),
+                'qv_save_draft' => __('Save Draft', 'zoho-desk-manager'),
+                'qv_sent' => __('Reply sent', 'zoho-desk-manager'),
+                'qv_queued' => __('Reply queued. You can undo it for a few seconds.', 'zoho-desk-manager'),
+                'qv_draft_saved' => __('Draft saved', 'zoho-desk-manager'),
+                'qv_empty_reply' => __('Write a reply first.', 'zoho-desk-manager'),
+                'qv_discard' => __('Discard the reply you have written?', 'zoho-desk-manager'),
+                'qv_generate' => __('Generate AI Draft', 'zoho-desk-manager'),
+                'qv_generating' => __('Generating...', 'zoho-desk-manager'),
+                'qv_browser_ai' => __('Browser AI is enabled; open the full ticket to generate a draft.', 'zoho-desk-manager'),
+                'qv_template' => __('Apply template...', 'zoho-desk-manager'),
+                'qv_status' => __('Status', 'zoho-desk-manager'),
+                'qv_status_changed' => __('Status changed to %s', 'zoho-desk-manager'),
+                'qv_tags' => __('Add tags, separated by commas', 'zoho-desk-manager'),
+                'qv_add_tags' => __('Add', 'zoho-desk-manager'),
+                'qv_tags_added' => __('Tags added: %s', 'zoho-desk-manager'),
+                'qv_customer' => __('Customer History', 'zoho-desk-manager'),
+                'qv_total' => __('Tickets', 'zoho-desk-manager'),
+                'qv_open' => __('Open', 'zoho-desk-manager'),
+                'qv_closed' => __('Closed', 'zoho-desk-manager'),
+                'qv_resolution' => __('Avg. resolution', 'zoho-desk-manager'),
+                'qv_hours' => __('%sh', 'zoho-desk-manager'),
+                'qv_since' => __('Customer since %s', 'zoho-desk-manager'),
+                'qv_no_history' => __('No history for this customer.', 'zoho-desk-manager'),
+                'qv_view_full' => __('View Full Ticket', 'zoho-desk-manager'),
+                'qv_open_zoho' => __('Open in Zoho Desk', 'zoho-desk-manager'),
+                'qv_failed' => __('Request failed', 'zoho-desk-manager')
             )
         ));
     }
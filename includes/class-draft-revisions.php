@@ -0,0 +1,162 @@
+<?php
+/**
+ * Draft Revision History
+ *
+ * Keeps every saved version of a ticket draft so autosave, AI generation,
+ * improvements and templates no longer overwrite each other.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Draft_Revisions {
+
+    /**
+     * Maximum revisions kept per ticket
+     */
+    const MAX_REVISIONS = 50;
+
+    /**
+     * Consecutive autosaves within this window replace each other
+     */
+    const AUTOSAVE_WINDOW = 120; // seconds
+
+    /**
+     * Known revision sources and their labels
+     */
+    public static function get_sources() {
+        return array(
+            'manual' => __('Manual save', 'zoho-desk-manager'),
+            'autosave' => __('Autosave', 'zoho-desk-manager'),
+            'ai_generate' => __('AI generated', 'zoho-desk-manager'),
+            'improve' => __('AI improved', 'zoho-desk-manager'),
+            'template' => __('Template applied', 'zoho-desk-manager'),
+            'browser_ai' => __('Browser AI', 'zoho-desk-manager'),
+            'restore' => __('Restored', 'zoho-desk-manager')
+        );
+    }
+
+    /**
+     * Record a new revision for a ticket draft
+     *
+     * @param string $ticket_id Ticket ID
+     * @param string $content Draft content
+     * @param string $source One of the keys from get_sources()
+     * @return array The stored revision summary
+     */
+    public static function add_revision($ticket_id, $content, $source = 'manual') {
+        $sources = self::get_sources();
+        if (!isset($sources[$source])) {
+            $source = 'manual';
+        }
+
+        $revisions = self::load($ticket_id);
+        $latest = end($revisions);
+        $user = wp_get_current_user();
+
+        // Nothing changed since the last revision
+        if ($latest && $latest['content'] === $content) {
+            return self::summarize($latest);
+        }
+
+        $revision = array(
+            'id' => $latest ? $latest['id'] + 1 : 1,
+            'content' => $content,
+            'source' => $source,
+            'user_id' => $user->ID,
+            'user_name' => $user->display_name,
+            'created_at' => current_time('mysql'),
+            'timestamp' => time()
+        );
+
+        // Collapse an autosave burst into a single revision
+        if ($latest && $source === 'autosave' && $latest['source'] === 'autosave' &&
+            $latest['user_id'] === $user->ID &&
+            ($revision['timestamp'] - $latest['timestamp']) < self::AUTOSAVE_WINDOW) {
+            $revision['id'] = $latest['id'];
+            array_pop($revisions);
+        }
+
+        $revisions[] = $revision;
+
+        if (count($revisions) > self::MAX_REVISIONS) {
+            $revisions = array_slice($revisions, -self::MAX_REVISIONS);
+        }
+
+        set_transient('zdm_draft_revisions_' . $ticket_id, $revisions, 7 * DAY_IN_SECONDS);
+
+        return self::summarize($revision);
+    }
+
+    /**
+     * List revisions for a ticket, newest first, without their content
+     *
+     * @param string $ticket_id Ticket ID
+     * @return array Revision summaries
+     */
+    public static function get_revisions($ticket_id) {
+        return array_map(array(__CLASS__, 'summarize'), array_reverse(self::load($ticket_id)));
+    }
+
+    /**
+     * Get a single revision including its content
+     *
+     * @param string $ticket_id Ticket ID
+     * @param int $revision_id Revision ID
+     * @return array|false Revision or false if not found
+     */
+    public static function get_revision($ticket_id, $revision_id) {
+        foreach (self::load($ticket_id) as $revision) {
+            if ($revision['id'] === intval($revision_id)) {
+                $revision['source_label'] = self::get_source_label($revision['source']);
+                return $revision;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Delete all revisions for a ticket
+     */
+    public static function clear($ticket_id) {
+        delete_transient('zdm_draft_revisions_' . $ticket_id);
+    }
+
+    /**
+     * Load the raw revision list, oldest first
+     */
+    private static function load($ticket_id) {
+        $revisions = get_transient('zdm_draft_revisions_' . $ticket_id);
+        return is_array($revisions) ? $revisions : array();
+    }
+
+    /**
+     * Strip the content from a revision for list views
+     */
+    private static function summarize($revision) {
+        $text = trim(wp_strip_all_tags($revision['content']));
+
+        return array(
+            'id' => $revision['id'],
+            'source' => $revision['source'],
+            'source_label' => self::get_source_label($revision['source']),
+            'user_name' => $revision['user_name'],
+            'created_at' => $revision['created_at'],
+            'word_count' => $text === '' ? 0 : count(preg_split('/\s+/', $text)),
+            'excerpt' => wp_trim_words($text, 12)
+        );
+    }
+
+    /**
+     * Get the human-readable label for a source
+     */
+    private static function get_source_label($source) {
+        $sources = self::get_sources();
+        return $sources[$source] ?? $source;
+    }
+}
@@ -0,0 +1,133 @@
+<?php
+/**
+ * AI Draft Variant Preferences
+ *
+ * Records which AI draft variant (tone and provider) agents pick or merge
+ * from the comparison view so preferred styles can be reviewed later.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Draft_Variants {
+
+    /**
+     * Option holding the aggregated choice statistics
+     */
+    const STATS_OPTION = 'zdm_variant_stats';
+
+    /**
+     * Maximum variants requested at once
+     */
+    const MAX_VARIANTS = 6;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('wp_ajax_zdm_record_variant_choice', array(__CLASS__, 'ajax_record_choice'));
+    }
+
+    /**
+     * Record the outcome of a comparison
+     *
+     * @param array $variants Variants shown, each with tone and provider
+     * @param string $choice_type 'pick' or 'merge'
+     * @param array $chosen Indexes of the variants used in the final draft
+     */
+    public static function record_choice($variants, $choice_type, $chosen) {
+        $stats = get_option(self::STATS_OPTION, array());
+        $stats = wp_parse_args($stats, array(
+            'comparisons' => 0,
+            'picks' => 0,
+            'merges' => 0,
+            'variants' => array()
+        ));
+
+        $stats['comparisons']++;
+        $stats[$choice_type === 'merge' ? 'merges' : 'picks']++;
+
+        foreach ($variants as $index => $variant) {
+            $key = $variant['tone'] . '|' . $variant['provider'];
+
+            if (!isset($stats['variants'][$key])) {
+                $stats['variants'][$key] = array(
+                    'tone' => $variant['tone'],
+                    'provider' => $variant['provider'],
+                    'shown' => 0,
+                    'picked' => 0,
+                    'merged' => 0
+                );
+            }
+
+            $stats['variants'][$key]['shown']++;
+
+            if (in_array($index, $chosen, true)) {
+                $stats['variants'][$key][$choice_type === 'merge' ? 'merged' : 'picked']++;
+            }
+        }
+
+        update_option(self::STATS_OPTION, $stats, false);
+    }
+
+    /**
+     * Get per-variant statistics, most preferred first
+     *
+     * @return array
+     */
+    public static function get_stats() {
+        $stats = get_option(self::STATS_OPTION, array());
+        $variants = $stats['variants'] ?? array();
+
+        foreach ($variants as $key => $variant) {
+            $variants[$key]['preference_rate'] = $variant['shown'] > 0
+                ? round((($variant['picked'] + $variant['merged']) / $variant['shown']) * 100)
+                : 0;
+        }
+
+        uasort($variants, function($a, $b) {
+            return $b['preference_rate'] <=> $a['preference_rate'];
+        });
+
+        return array(
+            'comparisons' => $stats['comparisons'] ?? 0,
+            'picks' => $stats['picks'] ?? 0,
+            'merges' => $stats['merges'] ?? 0,
+            'variants' => array_values($variants)
+        );
+    }
+
+    /**
+     * AJAX handler for recording a variant choice
+     */
+    public static function ajax_record_choice() {
+        check_ajax_referer('zdm_ai_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $choice_type = sanitize_key($_POST['choice_type'] ?? 'pick');
+        $variants = json_decode(wp_unslash($_POST['variants'] ?? '[]'), true);
+        $chosen = array_map('intval', (array) ($_POST['chosen'] ?? array()));
+
+        if (!is_array($variants) || empty($variants) || empty($chosen)) {
+            wp_send_json_error('Missing required data');
+        }
+
+        $variants = array_slice(array_map(function($variant) {
+            return array(
+                'tone' => sanitize_key($variant['tone'] ?? ''),
+                'provider' => sanitize_key($variant['provider'] ?? '')
+            );
+        }, $variants), 0, self::MAX_VARIANTS);
+
+        self::record_choice($variants, $choice_type === 'merge' ? 'merge' : 'pick', $chosen);
+
+        wp_send_json_success('Choice recorded');
+    }
+}
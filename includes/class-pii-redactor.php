@@ -0,0 +1,343 @@
+<?php
+/**
+ * PII Redaction
+ *
+ * Swaps personal data in prompts for placeholders such as [EMAIL_1] before
+ * they are sent to an AI provider or handed to the browser, and puts the
+ * real values back into the answer. The same value always gets the same
+ * placeholder within a prompt, so the AI can still refer to it.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_PII_Redactor {
+
+    /**
+     * Built-in rules, in the order they are applied
+     *
+     * A pattern with a capture group only redacts the first group, so
+     * "Order #12345" keeps its label and loses just the number.
+     *
+     * @return array Type => array('label', 'pattern')
+     */
+    public static function get_builtin_rules() {
+        return array(
+            'EMAIL' => array(
+                'label' => __('Email addresses', 'zoho-desk-manager'),
+                'pattern' => '/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i'
+            ),
+            'CARD' => array(
+                'label' => __('Card numbers (13-19 digits passing the Luhn check)', 'zoho-desk-manager'),
+                'pattern' => '/(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/'
+            ),
+            'LICENSE_KEY' => array(
+                'label' => __('Licence keys (e.g. ABCD-1234-EFGH-5678)', 'zoho-desk-manager'),
+                'pattern' => '/\b(?=[A-Z0-9-]*\d)[A-Z0-9]{4,8}(?:-[A-Z0-9]{4,8}){2,}\b/i'
+            ),
+            'ORDER_ID' => array(
+                'label' => __('Order and invoice numbers', 'zoho-desk-manager'),
+                'pattern' => '/\b(?:order|invoice|inv)\s*(?:id|number|no\.?)?\s*[#:]?\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{3,})\b/i'
+            ),
+            'PHONE' => array(
+                'label' => __('Phone numbers', 'zoho-desk-manager'),
+                'pattern' => '/(?<![\w+])\+?\(?\d[\d\s().-]{6,}\d(?![\w])/'
+            )
+        );
+    }
+
+    /**
+     * Whether prompts are redacted
+     */
+    public static function is_enabled() {
+        return get_option('zdm_pii_redaction', '1') === '1';
+    }
+
+    /**
+     * Rules to apply: custom rules first, then the enabled built-in ones
+     *
+     * @return array List of array('type', 'pattern')
+     */
+    public static function get_rules() {
+        $rules = array();
+
+        foreach ((array) get_option('zdm_pii_rules', array()) as $rule) {
+            $rules[] = array('type' => $rule['type'], 'pattern' => $rule['pattern']);
+        }
+
+        $enabled = (array) get_option('zdm_pii_types', array_keys(self::get_builtin_rules()));
+
+        foreach (self::get_builtin_rules() as $type => $rule) {
+            if (in_array($type, $enabled, true)) {
+                $rules[] = array('type' => $type, 'pattern' => $rule['pattern']);
+            }
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Redact a prompt
+     *
+     * @param array|string $prompt Prompt text, array('system', 'user') or
+     *     nested data such as a ticket and its threads
+     * @return array 'prompt' in the same shape and 'redactions', a list
+     *     of array('placeholder', 'value', 'type')
+     */
+    public static function redact_prompt($prompt) {
+        if (!self::is_enabled()) {
+            return array('prompt' => $prompt, 'redactions' => array());
+        }
+
+        $state = array('keys' => array(), 'counts' => array(), 'redactions' => array());
+        $prompt = self::redact_value($prompt, $state);
+
+        return array('prompt' => $prompt, 'redactions' => array_values($state['redactions']));
+    }
+
+    /**
+     * Redact every string in a value, descending into arrays
+     *
+     * @param mixed $value
+     * @param array $state Placeholders handed out so far
+     * @return mixed
+     */
+    private static function redact_value($value, &$state) {
+        if (is_array($value)) {
+            foreach ($value as $key => $item) {
+                $value[$key] = self::redact_value($item, $state);
+            }
+
+            return $value;
+        }
+
+        return is_string($value) ? self::redact_text($value, $state) : $value;
+    }
+
+    /**
+     * Apply every rule to one piece of text
+     *
+     * @param string $text
+     * @param array $state Placeholders handed out so far, shared across texts
+     * @return string
+     */
+    private static function redact_text($text, &$state) {
+        foreach (self::get_rules() as $rule) {
+            $type = $rule['type'];
+
+            $redacted = preg_replace_callback($rule['pattern'], function($match) use ($type, &$state) {
+                $value = (isset($match[1]) && $match[1] !== '') ? $match[1] : $match[0];
+
+                if (!self::is_valid($type, $value)) {
+                    return $match[0];
+                }
+
+                return str_replace($value, self::placeholder($type, $value, $state), $match[0]);
+            }, $text);
+
+            // A custom pattern that fails at run time leaves the text alone
+            if ($redacted !== null) {
+                $text = $redacted;
+            }
+        }
+
+        return $text;
+    }
+
+    /**
+     * Weed out matches that only look like the type
+     */
+    private static function is_valid($type, $value) {
+        $digits = preg_replace('/\D/', '', $value);
+
+        switch ($type) {
+            case 'CARD':
+                return self::passes_luhn($digits);
+            case 'PHONE':
+                // Timestamps in the conversation history look like long numbers too
+                if (preg_match('/\d{4}-\d{1,2}-\d{1,2}/', $value)) {
+                    return false;
+                }
+
+                return strlen($digits) >= 7 && strlen($digits) <= 15;
+        }
+
+        return true;
+    }
+
+    /**
+     * Luhn checksum used by payment card numbers
+     */
+    private static function passes_luhn($digits) {
+        $sum = 0;
+        $double = false;
+
+        for ($i = strlen($digits) - 1; $i >= 0; $i--) {
+            $digit = (int) $digits[$i];
+
+            if ($double) {
+                $digit *= 2;
+                if ($digit > 9) {
+                    $digit -= 9;
+                }
+            }
+
+            $sum += $digit;
+            $double = !$double;
+        }
+
+        return $sum > 0 && $sum % 10 === 0;
+    }
+
+    /**
+     * Placeholder for a value, reusing the one it already has
+     */
+    private static function placeholder($type, $value, &$state) {
+        // "+1 555 010 9999" and "15550109999" are the same number
+        $normalized = in_array($type, array('CARD', 'PHONE'), true) ? preg_replace('/\D/', '', $value) : strtolower($value);
+        $key = $type . '|' . $normalized;
+
+        if (!isset($state['keys'][$key])) {
+            $state['counts'][$type] = ($state['counts'][$type] ?? 0) + 1;
+            $placeholder = '[' . $type . '_' . $state['counts'][$type] . ']';
+
+            $state['keys'][$key] = $placeholder;
+            $state['redactions'][$placeholder] = array(
+                'placeholder' => $placeholder,
+                'value' => $value,
+                'type' => $type
+            );
+        }
+
+        return $state['keys'][$key];
+    }
+
+    /**
+     * Put the real values back into text from the AI
+     *
+     * @param string $text
+     * @param array $redactions From redact_prompt()
+     * @return string
+     */
+    public static function restore($text, $redactions) {
+        foreach ($redactions as $redaction) {
+            $text = str_replace($redaction['placeholder'], $redaction['value'], $text);
+        }
+
+        return $text;
+    }
+
+    /**
+     * Sanitize the custom rules textarea
+     *
+     * Each line is "Label | /pattern/flags". Lines with an invalid pattern
+     * are dropped with a settings error.
+     *
+     * @param string|array $input
+     * @return array List of array('type', 'label', 'pattern')
+     */
+    public static function sanitize_rules($input) {
+        // Already sanitized, e.g. when update_option() is called directly
+        if (is_array($input)) {
+            return $input;
+        }
+
+        $rules = array();
+        $lines = preg_split('/\r\n|\r|\n/', (string) $input);
+
+        foreach ($lines as $line) {
+            $line = trim($line);
+
+            if ($line === '') {
+                continue;
+            }
+
+            $parts = array_map('trim', explode('|', $line, 2));
+
+            if (count($parts) < 2 || $parts[0] === '') {
+                add_settings_error('zdm_pii_rules', 'zdm_pii_rule_invalid', sprintf(
+                    /* translators: %s: rule line */
+                    __('Skipped the redaction rule "%s": use "Label | /pattern/flags" with a valid regular expression.', 'zoho-desk-manager'),
+                    $line
+                ));
+                continue;
+            }
+
+            $error = self::get_pattern_error($parts[1]);
+
+            if ($error !== '') {
+                add_settings_error('zdm_pii_rules', 'zdm_pii_rule_invalid', sprintf(
+                    /* translators: 1: rule line, 2: PHP's description of the problem */
+                    __('Skipped the redaction rule "%1$s": the regular expression is invalid (%2$s).', 'zoho-desk-manager'),
+                    $line,
+                    $error
+                ));
+                continue;
+            }
+
+            $type = trim(preg_replace('/[^A-Z0-9]+/', '_', strtoupper(remove_accents($parts[0]))), '_');
+
+            $rules[] = array(
+                'type' => $type !== '' ? $type : 'CUSTOM',
+                'label' => sanitize_text_field($parts[0]),
+                'pattern' => $parts[1]
+            );
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Check a custom pattern by compiling it
+     *
+     * preg_match() warns about a malformed pattern; the warning is caught
+     * here so it can be shown with the settings errors instead.
+     *
+     * @param string $pattern
+     * @return string Why the pattern is invalid, or '' if it compiles
+     */
+    private static function get_pattern_error($pattern) {
+        $error = '';
+
+        set_error_handler(function($errno, $message) use (&$error) {
+            $error = preg_replace('/^preg_match\(\):\s*/', '', $message);
+            return true;
+        });
+
+        $result = preg_match($pattern, '');
+
+        restore_error_handler();
+
+        if ($result === false && $error === '') {
+            $error = sprintf(__('PCRE error %d', 'zoho-desk-manager'), preg_last_error());
+        }
+
+        return $error;
+    }
+
+    /**
+     * Sanitize the enabled built-in types
+     *
+     * @return array
+     */
+    public static function sanitize_types($input) {
+        return array_values(array_intersect((array) $input, array_keys(self::get_builtin_rules())));
+    }
+
+    /**
+     * Custom rules as textarea lines
+     */
+    public static function format_rules() {
+        $lines = array();
+
+        foreach ((array) get_option('zdm_pii_rules', array()) as $rule) {
+            $lines[] = $rule['label'] . ' | ' . $rule['pattern'];
+        }
+
+        return implode("\n", $lines);
+    }
+}
@@ -0,0 +1,307 @@
+<?php
+/**
+ * Prompt Inspector and Presets
+ *
+ * Shows agents what the AI prompt for a ticket is built from, lets them
+ * pick the thread messages and add instructions before generating, and
+ * keeps named presets of those choices that the whole team can use.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Prompt_Presets {
+
+    /**
+     * Option holding the team's presets
+     */
+    const OPTION = 'zdm_prompt_presets';
+
+    /**
+     * Most messages a preset may ask for
+     */
+    const MAX_MESSAGE_LIMIT = 100;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('wp_ajax_zdm_inspect_prompt', array(__CLASS__, 'ajax_inspect'));
+        add_action('wp_ajax_zdm_save_prompt_preset', array(__CLASS__, 'ajax_save'));
+        add_action('wp_ajax_zdm_delete_prompt_preset', array(__CLASS__, 'ajax_delete'));
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Response types the prompt builder knows
+     */
+    public static function get_response_types() {
+        return array(
+            'solution' => __('Solution/Resolution', 'zoho-desk-manager'),
+            'follow_up' => __('Follow-up', 'zoho-desk-manager'),
+            'clarification' => __('Request Clarification', 'zoho-desk-manager'),
+            'escalation' => __('Escalation', 'zoho-desk-manager'),
+            'closing' => __('Closing/Resolved', 'zoho-desk-manager')
+        );
+    }
+
+    /**
+     * Tones the prompt builder knows
+     */
+    public static function get_tones() {
+        return array(
+            'professional' => __('Professional', 'zoho-desk-manager'),
+            'friendly' => __('Friendly', 'zoho-desk-manager'),
+            'formal' => __('Formal', 'zoho-desk-manager'),
+            'technical' => __('Technical', 'zoho-desk-manager'),
+            'empathetic' => __('Empathetic', 'zoho-desk-manager')
+        );
+    }
+
+    /**
+     * Enqueue the inspector on the single ticket page
+     */
+    public static function enqueue_scripts($hook) {
+        if (!ZDM_Shortcuts::is_plugin_screen($hook) || ZDM_Ticket_Presence::get_screen_ticket_id() === '') {
+            return;
+        }
+
+        wp_enqueue_script(
+            'zdm-prompt-inspector',
+            ZDM_PLUGIN_URL . 'assets/js/prompt-inspector.js',
+            array('jquery', 'zdm-draft-handler'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-prompt-inspector', 'zdm_prompt_presets', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('zdm_prompt_presets_nonce'),
+            'presets' => self::get_presets(),
+            'strings' => array(
+                'loading' => __('Building prompt...', 'zoho-desk-manager'),
+                'preview_label' => __('Prompt preview', 'zoho-desk-manager'),
+                'no_messages' => __('This ticket has no thread messages.', 'zoho-desk-manager'),
+                'customer' => __('Customer', 'zoho-desk-manager'),
+                'agent' => __('Agent', 'zoho-desk-manager'),
+                'included' => __('%1$d of %2$d messages included', 'zoho-desk-manager'),
+                'name_required' => __('Give the preset a name.', 'zoho-desk-manager'),
+                'overwrite' => __('Replace the preset "%s"?', 'zoho-desk-manager'),
+                'confirm_delete' => __('Delete the preset "%s" for everyone?', 'zoho-desk-manager'),
+                'saved' => __('Preset "%s" saved for the team', 'zoho-desk-manager'),
+                'deleted' => __('Preset deleted', 'zoho-desk-manager'),
+                'updated_by' => __('Last saved by %1$s on %2$s', 'zoho-desk-manager'),
+                'network_error' => __('Network error. Please try again.', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * Team presets, sorted by name
+     *
+     * @return array List of presets
+     */
+    public static function get_presets() {
+        $presets = array_values(get_option(self::OPTION, array()));
+
+        usort($presets, function($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+
+        return $presets;
+    }
+
+    /**
+     * Get a preset by ID
+     *
+     * @return array|null
+     */
+    public static function get_preset($id) {
+        $presets = get_option(self::OPTION, array());
+
+        return $presets[$id] ?? null;
+    }
+
+    /**
+     * Create or replace a preset
+     *
+     * A preset with the same name (ignoring case) is replaced, so the team
+     * doesn't end up with near-duplicates.
+     *
+     * @param array $data name, response_type, tone, instructions, message_limit
+     * @return array|WP_Error Saved preset
+     */
+    public static function save_preset($data) {
+        $name = sanitize_text_field($data['name'] ?? '');
+
+        if ($name === '') {
+            return new WP_Error('missing_name', __('Give the preset a name.', 'zoho-desk-manager'));
+        }
+
+        $presets = get_option(self::OPTION, array());
+        $id = '';
+
+        foreach ($presets as $preset) {
+            if (strcasecmp($preset['name'], $name) === 0) {
+                $id = $preset['id'];
+                break;
+            }
+        }
+
+        if ($id === '') {
+            $id = strtolower(wp_generate_password(8, false));
+        }
+
+        $response_type = sanitize_key($data['response_type'] ?? '');
+        $tone = sanitize_key($data['tone'] ?? '');
+
+        $presets[$id] = array(
+            'id' => $id,
+            'name' => $name,
+            'response_type' => isset(self::get_response_types()[$response_type]) ? $response_type : 'solution',
+            'tone' => isset(self::get_tones()[$tone]) ? $tone : 'professional',
+            'instructions' => sanitize_textarea_field($data['instructions'] ?? ''),
+            // 0 keeps the "Message limit" AI setting
+            'message_limit' => min(absint($data['message_limit'] ?? 0), self::MAX_MESSAGE_LIMIT),
+            'updated_by' => wp_get_current_user()->display_name,
+            'updated_at' => current_time('mysql')
+        );
+
+        update_option(self::OPTION, $presets, false);
+
+        return $presets[$id];
+    }
+
+    /**
+     * Delete a preset
+     *
+     * @return bool Whether it existed
+     */
+    public static function delete_preset($id) {
+        $presets = get_option(self::OPTION, array());
+
+        if (!isset($presets[$id])) {
+            return false;
+        }
+
+        unset($presets[$id]);
+        update_option(self::OPTION, $presets, false);
+
+        return true;
+    }
+
+    /**
+     * Prompt options from a generation or inspection request
+     *
+     * Reads response_type, tone and provider, then layers the chosen
+     * preset under anything the agent changed in the inspector:
+     * 'instructions' replaces the preset's instructions and
+     * 'pick_messages' with 'message_ids' replaces its message limit.
+     *
+     * @return array Options for ZDM_AI_Assistant::generate_response()
+     */
+    public static function get_request_options() {
+        $options = array(
+            'response_type' => sanitize_text_field($_POST['response_type'] ?? 'solution'),
+            'tone' => sanitize_text_field($_POST['tone'] ?? 'professional')
+        );
+
+        // Variant requests pick their own provider
+        $provider = sanitize_key($_POST['provider'] ?? '');
+        if (!empty($provider)) {
+            $options['provider'] = $provider;
+        }
+
+        $preset = self::get_preset(sanitize_key($_POST['preset'] ?? ''));
+        if ($preset) {
+            $options['instructions'] = $preset['instructions'];
+            if (!empty($preset['message_limit'])) {
+                $options['message_limit'] = $preset['message_limit'];
+            }
+        }
+
+        if (isset($_POST['instructions'])) {
+            $options['instructions'] = sanitize_textarea_field(wp_unslash($_POST['instructions']));
+        }
+
+        if (!empty($_POST['pick_messages'])) {
+            $options['message_ids'] = array_map('sanitize_text_field', (array) ($_POST['message_ids'] ?? array()));
+        }
+
+        return $options;
+    }
+
+    /**
+     * AJAX handler showing what the prompt for a ticket is built from
+     */
+    public static function ajax_inspect() {
+        check_ajax_referer('zdm_prompt_presets_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $ticket_id = sanitize_text_field($_POST['ticket_id'] ?? '');
+
+        if (empty($ticket_id)) {
+            wp_send_json_error(array('message' => 'Missing ticket ID'));
+        }
+
+        $api = new ZDM_Zoho_API();
+        $ticket = $api->get_ticket($ticket_id);
+        $threads = $api->get_ticket_threads($ticket_id);
+
+        if (!$ticket) {
+            wp_send_json_error(array('message' => 'Unable to fetch ticket data'));
+        }
+
+        wp_send_json_success(ZDM_AI_Assistant::inspect_prompt(
+            $ticket,
+            $threads['data'] ?? array(),
+            self::get_request_options()
+        ));
+    }
+
+    /**
+     * AJAX handler saving a preset
+     */
+    public static function ajax_save() {
+        check_ajax_referer('zdm_prompt_presets_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $preset = self::save_preset(wp_unslash($_POST));
+
+        if (is_wp_error($preset)) {
+            wp_send_json_error(array('message' => $preset->get_error_message()));
+        }
+
+        wp_send_json_success(array(
+            'preset' => $preset,
+            'presets' => self::get_presets()
+        ));
+    }
+
+    /**
+     * AJAX handler deleting a preset
+     */
+    public static function ajax_delete() {
+        check_ajax_referer('zdm_prompt_presets_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        if (!self::delete_preset(sanitize_key($_POST['id'] ?? ''))) {
+            wp_send_json_error(array('message' => 'Preset not found'));
+        }
+
+        wp_send_json_success(array('presets' => self::get_presets()));
+    }
+}
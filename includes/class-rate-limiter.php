@@ -20,6 +20,154 @@ class ZDM_Rate_Limiter {
      */
     const MAX_CALLS_PER_MINUTE = 45; // Keep buffer for safety
 
+    /**
+     * Remaining calls at which background requests wait for the reset
+     */
+    const LOW_CALLS = 10;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('http_api_debug', array(__CLASS__, 'track_request'), 10, 5);
+        add_action('admin_init', array(__CLASS__, 'add_ajax_headers'));
+        add_action('admin_bar_menu', array(__CLASS__, 'add_admin_bar_meter'), 100);
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Count every request sent to the Zoho Desk API
+     *
+     * Hooked to http_api_debug so calls are counted wherever they are made,
+     * including ones the plugin didn't reserve in advance.
+     */
+    public static function track_request($response, $context, $class, $args, $url) {
+        if ($context !== 'response' || !preg_match('#^https://desk\.zoho\.[a-z.]+/api/#', $url)) {
+            return;
+        }
+
+        self::record_call();
+
+        if (is_wp_error($response)) {
+            return;
+        }
+
+        self::check_response_headers(wp_remote_retrieve_headers($response));
+
+        // Zoho refused the call, so nothing more will get through this minute
+        if ((int) wp_remote_retrieve_response_code($response) === 429) {
+            set_transient('zdm_rate_limit_' . date('Y-m-d H:i'), self::MAX_CALLS_PER_MINUTE, 60);
+        }
+    }
+
+    /**
+     * Current state for the browser
+     *
+     * @return array limit, remaining, reset (seconds) and low
+     */
+    public static function get_state() {
+        return array(
+            'limit' => self::MAX_CALLS_PER_MINUTE,
+            'remaining' => self::get_remaining_calls(),
+            'reset' => self::get_reset_time(),
+            'low' => self::LOW_CALLS
+        );
+    }
+
+    /**
+     * Send the rate-limit state with every plugin AJAX response
+     */
+    public static function add_ajax_headers() {
+        if (!wp_doing_ajax() || strpos((string) ($_REQUEST['action'] ?? ''), 'zdm_') !== 0) {
+            return;
+        }
+
+        // Headers go out with the first output, after the handler's API calls
+        header_register_callback(array(__CLASS__, 'send_headers'));
+    }
+
+    /**
+     * Add the X-ZDM-RateLimit-* headers
+     */
+    public static function send_headers() {
+        $state = self::get_state();
+
+        header('X-ZDM-RateLimit-Limit: ' . $state['limit']);
+        header('X-ZDM-RateLimit-Remaining: ' . $state['remaining']);
+        header('X-ZDM-RateLimit-Reset: ' . $state['reset']);
+    }
+
+    /**
+     * Whether the screen shows the remaining-calls meter
+     */
+    private static function shows_meter($hook) {
+        return current_user_can('manage_options') && ($hook === 'index.php' || ZDM_Shortcuts::is_plugin_screen($hook));
+    }
+
+    /**
+     * Add the remaining-calls meter to the admin bar
+     *
+     * @param WP_Admin_Bar $wp_admin_bar
+     */
+    public static function add_admin_bar_meter($wp_admin_bar) {
+        global $hook_suffix;
+
+        if (!is_admin() || empty($hook_suffix) || !self::shows_meter($hook_suffix)) {
+            return;
+        }
+
+        $state = self::get_state();
+
+        $wp_admin_bar->add_node(array(
+            'id' => 'zdm-rate-limit',
+            'parent' => 'top-secondary',
+            'title' => '<span class="zdm-rate-limit-bar"><span class="zdm-rate-limit-fill"></span></span>' .
+                '<span class="zdm-rate-limit-text">' . esc_html(sprintf(
+                    /* translators: 1: remaining calls, 2: calls per minute */
+                    __('Zoho API %1$d/%2$d', 'zoho-desk-manager'),
+                    $state['remaining'],
+                    $state['limit']
+                )) . '</span>',
+            'meta' => array(
+                'title' => __('Zoho Desk API calls left this minute', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * Enqueue the shared rate-limit module
+     */
+    public static function enqueue_scripts($hook) {
+        if (!self::shows_meter($hook)) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'zdm-rate-limit',
+            ZDM_PLUGIN_URL . 'assets/css/rate-limit.css',
+            array(),
+            '1.3.0'
+        );
+
+        wp_enqueue_script(
+            'zdm-rate-limit',
+            ZDM_PLUGIN_URL . 'assets/js/rate-limit.js',
+            array('jquery'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-rate-limit', 'zdm_rate_limit', array_merge(self::get_state(), array(
+            'strings' => array(
+                'meter' => __('Zoho API %1$d/%2$d', 'zoho-desk-manager'),
+                'meter_title' => __('%1$d of %2$d Zoho Desk API calls left this minute. Resets in %3$ds.', 'zoho-desk-manager'),
+                'waiting' => __('Zoho Desk API calls are running low, so this is waiting for the limit to reset in %ds:', 'zoho-desk-manager'),
+                'exhausted' => __('The Zoho Desk API limit is reached, so this is waiting for it to reset in %ds:', 'zoho-desk-manager'),
+                'run_now' => __('Run now', 'zoho-desk-manager')
+            )
+        )));
+    }
+
     /**
      * Check if API call is allowed
      *
@@ -128,7 +276,7 @@ class ZDM_Rate_Limiter {
         $reset_time = self::get_reset_time();
 
         $color = 'green';
-        if ($remaining < 10) {
+        if ($remaining < self::LOW_CALLS) {
             $color = 'orange';
         }
         if ($remaining === 0) {
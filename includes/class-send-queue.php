@@ -0,0 +1,496 @@
+<?php
+/**
+ * Send Queue
+ *
+ * Holds replies for a short undo window before they go to Zoho Desk. Each
+ * reply is stored server-side and sent by a single WP-Cron event, or by the
+ * browser once the window is over, so leaving the page doesn't lose it.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Send_Queue {
+
+    /**
+     * Option holding queued and failed replies, keyed by ID
+     */
+    const OPTION = 'zdm_send_queue';
+
+    /**
+     * Option holding the undo window in seconds
+     */
+    const DELAY_OPTION = 'zdm_undo_send_seconds';
+
+    /**
+     * Undo window used until one is configured
+     */
+    const DEFAULT_DELAY = 10;
+
+    /**
+     * Shortest and longest undo windows allowed
+     */
+    const MIN_DELAY = 5;
+    const MAX_DELAY = 30;
+
+    /**
+     * Cron hook that sends a queued reply
+     */
+    const CRON_HOOK = 'zdm_process_send_queue';
+
+    /**
+     * Seconds after which a request holding an item is taken to have died
+     */
+    const LOCK_TIMEOUT = 120;
+
+    /**
+     * Option held while a request changes the queue
+     */
+    const QUEUE_LOCK = 'zdm_send_queue_lock';
+
+    /**
+     * Seconds after which a held queue lock is taken to be left by a
+     * request that died
+     */
+    const QUEUE_LOCK_TIMEOUT = 10;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action(self::CRON_HOOK, array(__CLASS__, 'process_due'));
+        add_action('wp_ajax_zdm_cancel_send', array(__CLASS__, 'ajax_cancel'));
+        add_action('wp_ajax_zdm_flush_send_queue', array(__CLASS__, 'ajax_flush'));
+        add_action('wp_ajax_zdm_dismiss_send', array(__CLASS__, 'ajax_dismiss'));
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Enqueue the undo toasts wherever replies can be sent or followed up
+     */
+    public static function enqueue_scripts($hook) {
+        if ($hook !== 'index.php' && !ZDM_Shortcuts::is_plugin_screen($hook)) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'zdm-send-queue',
+            ZDM_PLUGIN_URL . 'assets/css/send-queue.css',
+            array(),
+            '1.3.0'
+        );
+
+        wp_enqueue_script(
+            'zdm-send-queue',
+            ZDM_PLUGIN_URL . 'assets/js/send-queue.js',
+            array('jquery'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-send-queue', 'zdm_send_queue', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('zdm_send_queue_nonce'),
+            // Server time, so countdowns match the cron schedule
+            'now' => time(),
+            'items' => self::get_user_items(get_current_user_id()),
+            'ticket_url' => admin_url('admin.php?page=zoho-desk-manager&ticket_id='),
+            'strings' => array(
+                'sending' => __('Sending reply to ticket #%1$s in %2$ds', 'zoho-desk-manager'),
+                'sending_close' => __('Sending reply and closing ticket #%1$s in %2$ds', 'zoho-desk-manager'),
+                'sending_now' => __('Sending reply to ticket #%s...', 'zoho-desk-manager'),
+                'sent' => __('Reply to ticket #%s sent', 'zoho-desk-manager'),
+                'failed' => __('Reply to ticket #%1$s failed: %2$s. It was kept as the ticket\'s draft.', 'zoho-desk-manager'),
+                'not_closed' => __('Reply to ticket #%s sent, but the ticket could not be closed.', 'zoho-desk-manager'),
+                'cancelled' => __('Send cancelled. The reply was kept as the ticket\'s draft.', 'zoho-desk-manager'),
+                'restored' => __('Send cancelled. The reply is back in the editor.', 'zoho-desk-manager'),
+                'too_late' => __('The reply was already sent.', 'zoho-desk-manager'),
+                'undo' => __('Undo', 'zoho-desk-manager'),
+                'open' => __('Open ticket', 'zoho-desk-manager'),
+                'dismiss' => __('Dismiss', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * Configured undo window in seconds, 0 when replies go out at once
+     */
+    public static function get_delay() {
+        return self::sanitize_delay(get_option(self::DELAY_OPTION, self::DEFAULT_DELAY));
+    }
+
+    /**
+     * Clamp an undo window to the allowed range
+     */
+    public static function sanitize_delay($delay) {
+        $delay = (int) $delay;
+
+        if ($delay <= 0) {
+            return 0;
+        }
+
+        return max(self::MIN_DELAY, min(self::MAX_DELAY, $delay));
+    }
+
+    /**
+     * Read the queue
+     */
+    private static function get_queue() {
+        // Cron and AJAX requests change the queue while others hold it
+        wp_cache_delete(self::OPTION, 'options');
+
+        $queue = get_option(self::OPTION, array());
+
+        return is_array($queue) ? $queue : array();
+    }
+
+    /**
+     * Write the queue
+     */
+    private static function save_queue($queue) {
+        update_option(self::OPTION, $queue, false);
+    }
+
+    /**
+     * Change the queue under a lock
+     *
+     * Every change writes the whole queue, so without the lock a request
+     * would drop items that another added or removed in the meantime.
+     *
+     * @param callable $change Receives the queue and returns it changed
+     */
+    private static function update_queue($change) {
+        $locked = self::lock_queue();
+
+        self::save_queue($change(self::get_queue()));
+
+        if ($locked) {
+            delete_option(self::QUEUE_LOCK);
+        }
+    }
+
+    /**
+     * Wait for the queue lock
+     *
+     * @return bool Whether the lock was taken; false after waiting
+     *     QUEUE_LOCK_TIMEOUT seconds, in which case the queue is changed anyway
+     */
+    private static function lock_queue() {
+        $deadline = microtime(true) + self::QUEUE_LOCK_TIMEOUT;
+
+        while (!add_option(self::QUEUE_LOCK, time(), '', 'no')) {
+            wp_cache_delete(self::QUEUE_LOCK, 'options');
+            $locked_at = get_option(self::QUEUE_LOCK);
+
+            if ($locked_at !== false && time() - (int) $locked_at > self::QUEUE_LOCK_TIMEOUT) {
+                delete_option(self::QUEUE_LOCK);
+                continue;
+            }
+
+            if (microtime(true) >= $deadline) {
+                return false;
+            }
+
+            usleep(50000);
+        }
+
+        return true;
+    }
+
+    /**
+     * Queue a reply, or send it straight away without an undo window
+     *
+     * @param string $ticket_id Ticket to reply to
+     * @param string $content Reply HTML
+     * @param bool $close Close the ticket once the reply is sent
+     * @param string $label Ticket number shown to the agent
+     * @return array The queue item, with 'status' 'pending', 'sent',
+     *     'not_closed' (sent, but closing the ticket failed) or 'failed'
+     */
+    public static function submit($ticket_id, $content, $close = false, $label = '') {
+        $delay = self::get_delay();
+        $item = array(
+            'id' => wp_generate_uuid4(),
+            'ticket_id' => (string) $ticket_id,
+            'label' => $label !== '' ? (string) $label : (string) $ticket_id,
+            'content' => $content,
+            'close' => (bool) $close,
+            'user_id' => get_current_user_id(),
+            'send_at' => time() + $delay,
+            'status' => 'pending',
+            'error' => ''
+        );
+
+        self::update_queue(function($queue) use ($item) {
+            $queue[$item['id']] = $item;
+            return $queue;
+        });
+
+        if ($delay === 0) {
+            return self::process($item['id']);
+        }
+
+        wp_schedule_single_event($item['send_at'], self::CRON_HOOK, array($item['id']));
+
+        return $item;
+    }
+
+    /**
+     * Send a queued reply
+     *
+     * @return array|false The item after sending, or false when it was
+     *     cancelled, already handled or is being sent by another request
+     */
+    public static function process($id) {
+        $lock = 'zdm_send_lock_' . $id;
+
+        // Claim the item so cron and the browser never both send it
+        if (!self::claim($lock)) {
+            return false;
+        }
+
+        $queue = self::get_queue();
+        $item = $queue[$id] ?? null;
+
+        if (!$item || $item['status'] !== 'pending') {
+            delete_option($lock);
+            return false;
+        }
+
+        $api = new ZDM_Zoho_API();
+        $sent = $api->reply_to_ticket($item['ticket_id'], $item['content']);
+
+        if ($sent) {
+            ZDM_Ticket_Presence::record_reply($item['ticket_id'], $item['user_id']);
+
+            // A sent draft shouldn't be offered again
+            delete_transient('zdm_draft_' . $item['ticket_id']);
+            delete_transient('zdm_draft_meta_' . $item['ticket_id']);
+
+            $item['status'] = 'sent';
+
+            if ($item['close'] && !$api->update_ticket_status($item['ticket_id'], 'Closed')) {
+                $item['status'] = 'not_closed';
+            }
+        } else {
+            $item['status'] = 'failed';
+            $item['error'] = __('Zoho Desk did not accept the reply', 'zoho-desk-manager');
+            self::keep_as_draft($item);
+        }
+
+        self::update_queue(function($queue) use ($id, $item) {
+            // Failures stay queued until the agent has seen them
+            if (self::needs_attention($item)) {
+                $queue[$id] = $item;
+            } else {
+                unset($queue[$id]);
+            }
+
+            return $queue;
+        });
+
+        delete_option($lock);
+
+        return $item;
+    }
+
+    /**
+     * Take an item's lock
+     *
+     * A lock older than LOCK_TIMEOUT was left by a request that died, e.g.
+     * timing out while sending, and is taken over so the item isn't stuck.
+     *
+     * @param string $lock Lock option name
+     * @return bool Whether this request holds the lock
+     */
+    private static function claim($lock) {
+        global $wpdb;
+
+        if (add_option($lock, time(), '', 'no')) {
+            return true;
+        }
+
+        wp_cache_delete($lock, 'options');
+        $locked_at = get_option($lock);
+
+        if ($locked_at === false || time() - (int) $locked_at <= self::LOCK_TIMEOUT) {
+            return false;
+        }
+
+        // Only one of several requests finding the stale lock replaces it
+        $taken = $wpdb->update(
+            $wpdb->options,
+            array('option_value' => time()),
+            array('option_name' => $lock, 'option_value' => $locked_at)
+        );
+
+        wp_cache_delete($lock, 'options');
+
+        return $taken === 1;
+    }
+
+    /**
+     * Whether an item reports a problem the agent has to dismiss
+     */
+    public static function needs_attention($item) {
+        return in_array($item['status'], array('failed', 'not_closed'), true);
+    }
+
+    /**
+     * Send every reply whose undo window is over
+     *
+     * Runs from each item's cron event, which also catches up on events
+     * missed while the site had no traffic.
+     */
+    public static function process_due() {
+        foreach (self::get_queue() as $id => $item) {
+            if ($item['status'] === 'pending' && $item['send_at'] <= time()) {
+                self::process($id);
+            }
+        }
+    }
+
+    /**
+     * Store a reply that didn't go out as the ticket's draft
+     */
+    private static function keep_as_draft($item) {
+        set_transient('zdm_draft_' . $item['ticket_id'], $item['content'], 7 * DAY_IN_SECONDS);
+        set_transient('zdm_draft_meta_' . $item['ticket_id'], array(
+            'generated_at' => current_time('mysql'),
+            'generated_by' => 'Send Queue',
+            'status' => 'draft',
+            'user_id' => $item['user_id']
+        ), 7 * DAY_IN_SECONDS);
+    }
+
+    /**
+     * Queue items belonging to a user, without their content
+     */
+    public static function get_user_items($user_id) {
+        $items = array();
+
+        foreach (self::get_queue() as $item) {
+            if ((int) $item['user_id'] === (int) $user_id) {
+                $items[] = self::describe($item);
+            }
+        }
+
+        return $items;
+    }
+
+    /**
+     * Fields the browser needs to show an item
+     */
+    public static function describe($item) {
+        return array(
+            'id' => $item['id'],
+            'ticket_id' => $item['ticket_id'],
+            'label' => $item['label'],
+            'close' => $item['close'],
+            'send_at' => $item['send_at'],
+            'status' => $item['status'],
+            'error' => $item['error']
+        );
+    }
+
+    /**
+     * AJAX handler to undo a queued reply
+     *
+     * The reply is kept as the ticket's draft and returned so an open
+     * editor can take it back.
+     */
+    public static function ajax_cancel() {
+        check_ajax_referer('zdm_send_queue_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $id = sanitize_text_field($_POST['id'] ?? '');
+        $lock = 'zdm_send_lock_' . $id;
+
+        // Fails when the reply is being sent right now
+        if (empty($id) || !self::claim($lock)) {
+            wp_send_json_error(array('code' => 'too_late'));
+        }
+
+        $queue = self::get_queue();
+        $item = $queue[$id] ?? null;
+
+        if (!$item || $item['status'] !== 'pending' || (int) $item['user_id'] !== get_current_user_id()) {
+            delete_option($lock);
+            wp_send_json_error(array('code' => 'too_late'));
+        }
+
+        self::update_queue(function($queue) use ($id) {
+            unset($queue[$id]);
+            return $queue;
+        });
+
+        wp_unschedule_event($item['send_at'], self::CRON_HOOK, array($id));
+        self::keep_as_draft($item);
+        delete_option($lock);
+
+        wp_send_json_success(array(
+            'ticket_id' => $item['ticket_id'],
+            'content' => $item['content']
+        ));
+    }
+
+    /**
+     * AJAX handler sending the user's replies whose window is over
+     *
+     * Lets the browser send on time when WP-Cron runs late.
+     */
+    public static function ajax_flush() {
+        check_ajax_referer('zdm_send_queue_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $user_id = get_current_user_id();
+        $results = array();
+
+        foreach (self::get_queue() as $id => $item) {
+            if ((int) $item['user_id'] === $user_id && $item['status'] === 'pending' && $item['send_at'] <= time()) {
+                $result = self::process($id);
+                if ($result) {
+                    $results[] = self::describe($result);
+                }
+            }
+        }
+
+        wp_send_json_success(array(
+            'results' => $results,
+            'items' => self::get_user_items($user_id)
+        ));
+    }
+
+    /**
+     * AJAX handler removing a failed or not-closed reply the agent has seen
+     */
+    public static function ajax_dismiss() {
+        check_ajax_referer('zdm_send_queue_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $id = sanitize_text_field($_POST['id'] ?? '');
+
+        self::update_queue(function($queue) use ($id) {
+            if (isset($queue[$id]) && self::needs_attention($queue[$id]) && (int) $queue[$id]['user_id'] === get_current_user_id()) {
+                unset($queue[$id]);
+            }
+
+            return $queue;
+        });
+
+        wp_send_json_success();
+    }
+}
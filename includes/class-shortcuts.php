@@ -0,0 +1,132 @@
+<?php
+/**
+ * Keyboard Shortcuts
+ *
+ * Registers the shared shortcut registry script and stores each user's
+ * custom key bindings.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Shortcuts {
+
+    /**
+     * User meta key holding custom bindings
+     */
+    const META_KEY = 'zdm_shortcut_bindings';
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_action('wp_ajax_zdm_save_shortcuts', array(__CLASS__, 'ajax_save_shortcuts'));
+
+        // Register early so plugin scripts can depend on it
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'register_scripts'), 5);
+    }
+
+    /**
+     * Register the shortcut registry on plugin screens and the dashboard
+     */
+    public static function register_scripts($hook) {
+        if ($hook !== 'index.php' && !self::is_plugin_screen($hook)) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'zdm-shortcuts',
+            ZDM_PLUGIN_URL . 'assets/css/shortcuts.css',
+            array(),
+            '1.3.0'
+        );
+
+        wp_register_script(
+            'zdm-shortcuts',
+            ZDM_PLUGIN_URL . 'assets/js/shortcuts.js',
+            array('jquery'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-shortcuts', 'zdm_shortcuts', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('zdm_shortcuts_nonce'),
+            'bindings' => (object) self::get_user_bindings(),
+            'strings' => array(
+                'title' => __('Keyboard Shortcuts', 'zoho-desk-manager'),
+                'help' => __('Click a key to change it, then press the new combination. Esc cancels, Backspace disables.', 'zoho-desk-manager'),
+                'press_keys' => __('Press keys…', 'zoho-desk-manager'),
+                'disabled' => __('Disabled', 'zoho-desk-manager'),
+                'reset' => __('Reset to defaults', 'zoho-desk-manager'),
+                'close' => __('Close', 'zoho-desk-manager'),
+                'saved' => __('Shortcuts saved', 'zoho-desk-manager'),
+                'conflict' => __('Already used by "%s"', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * Whether the current admin screen belongs to the plugin
+     *
+     * Covers the Zoho Desk pages and the response template screens.
+     */
+    public static function is_plugin_screen($hook) {
+        if (strpos($hook, 'zoho-desk') !== false) {
+            return true;
+        }
+
+        $screen = function_exists('get_current_screen') ? get_current_screen() : null;
+        return $screen && $screen->post_type === 'zdm_template';
+    }
+
+    /**
+     * Get the current user's custom bindings
+     *
+     * @return array Shortcut ID => key combination ('' when disabled)
+     */
+    public static function get_user_bindings() {
+        $bindings = get_user_meta(get_current_user_id(), self::META_KEY, true);
+        return is_array($bindings) ? $bindings : array();
+    }
+
+    /**
+     * AJAX handler for saving custom bindings
+     */
+    public static function ajax_save_shortcuts() {
+        check_ajax_referer('zdm_shortcuts_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Insufficient permissions');
+        }
+
+        $bindings = array();
+        $submitted = json_decode(wp_unslash($_POST['bindings'] ?? '{}'), true);
+
+        if (is_array($submitted)) {
+            foreach ($submitted as $id => $keys) {
+                $id = sanitize_text_field($id);
+                // Combinations look like "mod+shift+k", "alt+1" or "?"
+                $keys = strtolower(preg_replace('/[^a-zA-Z0-9+\/?\[\],.;\'`=\-]/', '', (string) $keys));
+
+                if ($id !== '') {
+                    $bindings[$id] = $keys;
+                }
+            }
+        }
+
+        if (empty($bindings)) {
+            delete_user_meta(get_current_user_id(), self::META_KEY);
+        } else {
+            update_user_meta(get_current_user_id(), self::META_KEY, $bindings);
+        }
+
+        wp_send_json_success(array(
+            'bindings' => (object) $bindings
+        ));
+    }
+}
@@ -0,0 +1,91 @@
+<?php
+/**
+ * SLA Countdowns
+ *
+ * Live countdowns to the first-response and resolution deadlines Zoho sets
+ * on tickets, shared by the ticket list and the dashboard widget.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_SLA {
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        // Enqueue early so the widget script can depend on it
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'), 5);
+    }
+
+    /**
+     * Enqueue the countdown script on plugin screens and the dashboard
+     */
+    public static function enqueue_scripts($hook) {
+        if ($hook !== 'index.php' && !ZDM_Shortcuts::is_plugin_screen($hook)) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'zdm-sla',
+            ZDM_PLUGIN_URL . 'assets/css/sla.css',
+            array(),
+            '1.3.0'
+        );
+
+        wp_enqueue_script(
+            'zdm-sla',
+            ZDM_PLUGIN_URL . 'assets/js/sla.js',
+            array('jquery'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-sla', 'zdm_sla', array(
+            'thresholds' => self::get_thresholds(),
+            'strings' => array(
+                'response' => __('Response', 'zoho-desk-manager'),
+                'resolution' => __('Resolution', 'zoho-desk-manager'),
+                'breached' => __('%s overdue', 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * Seconds before a deadline at which countdowns change colour
+     *
+     * @return array 'warning' and 'critical' thresholds
+     */
+    public static function get_thresholds() {
+        return apply_filters('zdm_sla_thresholds', array(
+            'warning' => 4 * HOUR_IN_SECONDS,
+            'critical' => HOUR_IN_SECONDS
+        ));
+    }
+
+    /**
+     * Render countdown placeholders for a Zoho ticket
+     *
+     * The script fills in and updates the remaining time.
+     */
+    public static function render_countdowns($ticket) {
+        $deadlines = array(
+            'response' => $ticket['responseDueDate'] ?? '',
+            'resolution' => $ticket['dueDate'] ?? ''
+        );
+
+        $html = '';
+        foreach ($deadlines as $type => $due) {
+            if (!empty($due)) {
+                $html .= '<span class="zdm-sla" data-sla-type="' . esc_attr($type) . '" data-sla-due="' . esc_attr($due) . '"></span>';
+            }
+        }
+
+        return $html !== '' ? $html : '<span class="zdm-sla-none">&mdash;</span>';
+    }
+}
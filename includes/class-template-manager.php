@@ -176,7 +176,7 @@ class ZDM_Template_Manager {
         echo '<textarea name="zdm_variables" rows="6" style="width:100%;" placeholder="customer_name&#10;customer_email&#10;ticket_subject&#10;agent_name">';
         echo esc_textarea(implode("\n", $variables));
         echo '</textarea>';
-        echo '<p><small>Enter one variable per line (without curly braces)</small></p>';
+        echo '<p><small>Enter one variable per line (without curly braces). Agents must fill every variable before inserting the template, unless it has a default value or a ? after its name.</small></p>';
 
         echo '<p><strong>Common Variables:</strong></p>';
         $common_vars = array(
@@ -388,6 +388,86 @@ class ZDM_Template_Manager {
         return $content;
     }
 
+    /**
+     * Get the fields agents fill in before inserting a template
+     *
+     * Declared variables come first, in their declared order, and are
+     * required unless suffixed with "?" or filled by a fallback from
+     * get_default_variables(). Placeholders used in the content without
+     * being declared are added as optional fields.
+     *
+     * @return array List of array('name' => string, 'required' => bool)
+     */
+    public static function get_variable_fields($template) {
+        $fields = array();
+
+        $defaults = self::get_default_variables();
+
+        foreach ((array) $template['variables'] as $variable) {
+            $variable = trim($variable);
+            $name = sanitize_key(rtrim($variable, '?'));
+            $required = substr($variable, -1) !== '?' && !isset($defaults[$name]);
+
+            if ($name !== '' && !isset($fields[$name])) {
+                $fields[$name] = array('name' => $name, 'required' => $required);
+            }
+        }
+
+        if (preg_match_all('/\{([a-z0-9_]+)\}/i', $template['content'], $matches)) {
+            foreach ($matches[1] as $name) {
+                $name = sanitize_key($name);
+                if (!isset($fields[$name])) {
+                    $fields[$name] = array('name' => $name, 'required' => false);
+                }
+            }
+        }
+
+        return array_values($fields);
+    }
+
+    /**
+     * Get the placeholders of a template that the given values leave unfilled
+     *
+     * Counts the fallback values of get_default_variables() as filled.
+     *
+     * @param array $template Template from get_template()
+     * @param array $variables Values by variable name
+     * @return array Names of the unfilled variables
+     */
+    public static function get_missing_variables($template, $variables) {
+        $missing = array();
+
+        foreach (self::get_variable_fields($template) as $field) {
+            $value = $variables[$field['name']] ?? '';
+
+            if ((string) $value === '' && !array_key_exists($field['name'], self::get_default_variables())) {
+                $missing[] = $field['name'];
+            }
+        }
+
+        return $missing;
+    }
+
+    /**
+     * Get the templates every placeholder of which can be filled from ticket data
+     *
+     * Used where templates are sent without an agent filling them in.
+     */
+    public static function get_ticket_fillable_templates() {
+        $sample = self::extract_ticket_variables(array(
+            'contact' => array('firstName' => 'Customer', 'email' => 'customer@example.com'),
+            'subject' => 'Subject',
+            'ticketNumber' => '1',
+            'id' => '1',
+            'status' => 'Open',
+            'createdTime' => current_time('mysql')
+        ));
+
+        return array_filter(self::get_templates(), function($template) use ($sample) {
+            return empty(self::get_missing_variables($template, $sample));
+        });
+    }
+
     /**
      * Track template usage
      */
@@ -401,22 +481,27 @@ class ZDM_Template_Manager {
      * Replace variables with default values
      */
     private static function replace_default_variables($content) {
-        $defaults = array(
-            '{customer_name}' => 'Customer',
-            '{agent_name}' => wp_get_current_user()->display_name ?: 'Support Team',
-            '{company_name}' => get_bloginfo('name'),
-            '{site_url}' => home_url(),
-            '{today_date}' => date('F j, Y'),
-            '{response_time}' => '24 hours'
-        );
-
-        foreach ($defaults as $variable => $default) {
-            $content = str_replace($variable, $default, $content);
+        foreach (self::get_default_variables() as $variable => $default) {
+            $content = str_replace('{' . $variable . '}', $default, $content);
         }
 
         return $content;
     }
 
+    /**
+     * Get fallback values for common variables
+     */
+    public static function get_default_variables() {
+        return array(
+            'customer_name' => 'Customer',
+            'agent_name' => wp_get_current_user()->display_name ?: 'Support Team',
+            'company_name' => get_bloginfo('name'),
+            'site_url' => home_url(),
+            'today_date' => date('F j, Y'),
+            'response_time' => '24 hours'
+        );
+    }
+
     /**
      * Get templates by category
      */
@@ -0,0 +1,266 @@
+<?php
+/**
+ * Ticket Presence
+ *
+ * Tracks which agents are viewing or drafting a ticket over the WordPress
+ * Heartbeat API, holds a soft lock on the ticket's draft so autosaves from
+ * different agents don't overwrite each other, and remembers the last reply
+ * sent through the plugin so agents are warned before sending over it.
+ *
+ * @package ZohoDeskManager
+ * @since 1.3.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ZDM_Ticket_Presence {
+
+    /**
+     * Seconds an agent stays listed after their last heartbeat
+     *
+     * Covers the 120 second heartbeat WordPress uses for unfocused tabs.
+     */
+    const PRESENCE_TTL = 150;
+
+    /**
+     * Seconds a draft lock lasts without being renewed
+     */
+    const LOCK_TTL = 150;
+
+    /**
+     * Heartbeat interval on the ticket page, in seconds
+     */
+    const HEARTBEAT_INTERVAL = 15;
+
+    /**
+     * Initialize hooks
+     */
+    public static function init() {
+        add_filter('heartbeat_received', array(__CLASS__, 'heartbeat_received'), 10, 2);
+        add_action('admin_enqueue_scripts', array(__CLASS__, 'enqueue_scripts'));
+    }
+
+    /**
+     * Ticket open on the current screen, if any
+     */
+    public static function get_screen_ticket_id() {
+        if (isset($_GET['page'], $_GET['ticket_id']) && $_GET['page'] === 'zoho-desk-manager') {
+            return sanitize_text_field(wp_unslash($_GET['ticket_id']));
+        }
+
+        return '';
+    }
+
+    /**
+     * Enqueue presence tracking on the single ticket page
+     */
+    public static function enqueue_scripts($hook) {
+        $ticket_id = self::get_screen_ticket_id();
+
+        if (!ZDM_Shortcuts::is_plugin_screen($hook) || empty($ticket_id)) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'zdm-ticket-presence',
+            ZDM_PLUGIN_URL . 'assets/js/ticket-presence.js',
+            array('jquery', 'heartbeat'),
+            '1.3.0',
+            true
+        );
+
+        wp_localize_script('zdm-ticket-presence', 'zdm_presence', array(
+            'ticket_id' => $ticket_id,
+            'site_id' => get_current_blog_id(),
+            'user_id' => get_current_user_id(),
+            // Server time, so replies are compared without clock skew
+            'loaded_at' => time(),
+            'interval' => self::HEARTBEAT_INTERVAL,
+            'strings' => array(
+                'viewing' => __('%s is viewing this ticket', 'zoho-desk-manager'),
+                'drafting' => __('%s is drafting a reply', 'zoho-desk-manager'),
+                'locked' => __('%s is editing the draft. Your changes are not being saved.', 'zoho-desk-manager'),
+                'lost' => __('%s took over the draft. Your changes are no longer being saved.', 'zoho-desk-manager'),
+                'take_over' => __('Take over', 'zoho-desk-manager'),
+                'other_tab' => __('This draft is being edited in another tab; changes appear here as you type.', 'zoho-desk-manager'),
+                'replied' => __('%1$s replied to this ticket at %2$s, after you opened it.', 'zoho-desk-manager'),
+                'confirm_send' => __("%1\$s replied to this ticket at %2\$s, after you opened it.\n\nSend your reply anyway?", 'zoho-desk-manager')
+            )
+        ));
+    }
+
+    /**
+     * Record presence and hand back who else is on the ticket
+     *
+     * The browser sends 'zdm_presence' with ticket_id, drafting (this agent
+     * is writing the draft) and takeover (claim the draft lock from whoever
+     * holds it).
+     */
+    public static function heartbeat_received($response, $data) {
+        if (empty($data['zdm_presence']['ticket_id']) || !current_user_can('manage_options')) {
+            return $response;
+        }
+
+        $request = $data['zdm_presence'];
+        $ticket_id = sanitize_text_field($request['ticket_id']);
+        $user_id = get_current_user_id();
+        $drafting = !empty($request['drafting']);
+        $takeover = !empty($request['takeover']);
+
+        self::touch($ticket_id, $user_id, $drafting);
+
+        if ($drafting || $takeover) {
+            self::acquire_lock($ticket_id, $user_id, $takeover);
+        }
+
+        $response['zdm_presence'] = self::get_status($ticket_id, $user_id);
+
+        return $response;
+    }
+
+    /**
+     * Mark an agent as present on a ticket
+     */
+    private static function touch($ticket_id, $user_id, $drafting) {
+        $viewers = self::get_viewers($ticket_id);
+
+        $viewers[$user_id] = array(
+            'drafting' => $drafting,
+            'time' => time()
+        );
+
+        set_transient('zdm_presence_' . $ticket_id, $viewers, self::PRESENCE_TTL);
+    }
+
+    /**
+     * Agents seen on a ticket recently, keyed by user ID
+     */
+    private static function get_viewers($ticket_id) {
+        $viewers = get_transient('zdm_presence_' . $ticket_id);
+
+        if (!is_array($viewers)) {
+            return array();
+        }
+
+        return array_filter($viewers, function($viewer) {
+            return $viewer['time'] > time() - self::PRESENCE_TTL;
+        });
+    }
+
+    /**
+     * Current draft lock for a ticket
+     *
+     * @return array|false 'user_id' and 'time', or false when unlocked
+     */
+    public static function get_lock($ticket_id) {
+        return get_transient('zdm_draft_lock_' . $ticket_id);
+    }
+
+    /**
+     * Take or renew the draft lock
+     *
+     * @return bool Whether the user holds the lock afterwards
+     */
+    private static function acquire_lock($ticket_id, $user_id, $takeover = false) {
+        $lock = self::get_lock($ticket_id);
+
+        if ($lock && (int) $lock['user_id'] !== $user_id && !$takeover) {
+            return false;
+        }
+
+        set_transient('zdm_draft_lock_' . $ticket_id, array(
+            'user_id' => $user_id,
+            'time' => time()
+        ), self::LOCK_TTL);
+
+        return true;
+    }
+
+    /**
+     * Name of another agent holding the draft lock
+     *
+     * @return string|false Display name, or false when the current user may
+     *     save the draft
+     */
+    public static function get_other_holder($ticket_id) {
+        $lock = self::get_lock($ticket_id);
+
+        if (!$lock || (int) $lock['user_id'] === get_current_user_id()) {
+            return false;
+        }
+
+        return self::get_user_name($lock['user_id']);
+    }
+
+    /**
+     * Remember that a user replied to a ticket
+     *
+     * The reply ends their drafting, so their draft lock is released.
+     *
+     * @param string $ticket_id Ticket replied to
+     * @param int $user_id Agent who replied, the current user by default;
+     *     queued replies are sent from WP-Cron without one
+     */
+    public static function record_reply($ticket_id, $user_id = 0) {
+        $user_id = $user_id ? (int) $user_id : get_current_user_id();
+        $lock = self::get_lock($ticket_id);
+
+        set_transient('zdm_last_reply_' . $ticket_id, array(
+            'user_id' => $user_id,
+            'time' => time()
+        ), DAY_IN_SECONDS);
+
+        if ($lock && (int) $lock['user_id'] === $user_id) {
+            delete_transient('zdm_draft_lock_' . $ticket_id);
+        }
+    }
+
+    /**
+     * Presence, lock and last reply as seen by one user
+     */
+    private static function get_status($ticket_id, $user_id) {
+        $status = array(
+            'viewers' => array(),
+            'lock' => null,
+            'reply' => null
+        );
+
+        foreach (self::get_viewers($ticket_id) as $viewer_id => $viewer) {
+            if ((int) $viewer_id !== $user_id) {
+                $status['viewers'][] = array(
+                    'name' => self::get_user_name($viewer_id),
+                    'drafting' => $viewer['drafting']
+                );
+            }
+        }
+
+        $lock = self::get_lock($ticket_id);
+        if ($lock) {
+            $status['lock'] = array(
+                'mine' => (int) $lock['user_id'] === $user_id,
+                'name' => self::get_user_name($lock['user_id'])
+            );
+        }
+
+        $reply = get_transient('zdm_last_reply_' . $ticket_id);
+        if ($reply && (int) $reply['user_id'] !== $user_id) {
+            $status['reply'] = array(
+                'name' => self::get_user_name($reply['user_id']),
+                'time' => $reply['time']
+            );
+        }
+
+        return $status;
+    }
+
+    /**
+     * Display name for a user
+     */
+    private static function get_user_name($user_id) {
+        $user = get_userdata($user_id);
+
+        return $user ? $user->display_name : __('Another agent', 'zoho-desk-manager');
+    }
+}
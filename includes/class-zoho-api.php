@@ -173,10 +173,12 @@ class ZDM_Zoho_API {
     /**
      * Fetch tickets from Zoho Desk with caching
      *
-     * @param array $params Query parameters for filtering tickets
+     * @param array $params Query parameters for filtering tickets; empty
+     *     values are left out, so 'status' => '' lists every status
+     * @param bool $force_refresh Skip the cache
      * @return array|false Tickets data or false on failure
      */
-    public function get_tickets($params = array()) {
+    public function get_tickets($params = array(), $force_refresh = false) {
         $access_token = $this->get_access_token();
         $org_id = get_option('zdm_org_id');
 
@@ -189,7 +191,7 @@ class ZDM_Zoho_API {
         $cache_key = 'zdm_tickets_' . md5(serialize($params));
         $cached_data = get_transient($cache_key);
 
-        if ($cached_data !== false && !isset($_GET['force_refresh'])) {
+        if ($cached_data !== false && !$force_refresh && !isset($_GET['force_refresh'])) {
             return $cached_data;
         }
 
@@ -200,6 +202,9 @@ class ZDM_Zoho_API {
 
         $params = wp_parse_args($params, $defaults);
         $params = apply_filters('zdm_ticket_list_params', $params);
+        $params = array_filter($params, function($value) {
+            return $value !== '' && $value !== null;
+        });
         $url = $this->api_base_url . '/tickets?' . http_build_query($params);
 
         $response = wp_remote_get($url, array(
@@ -255,7 +260,8 @@ class ZDM_Zoho_API {
         // Get tickets from the regular endpoint
         $tickets_data = $this->get_tickets(array(
             'limit' => $fetch_limit,
-            'sortBy' => 'createdTime'
+            'sortBy' => 'createdTime',
+            'status' => $params['status'] ?? 'Open'
         ));
 
         if (!$tickets_data || !isset($tickets_data['data'])) {
@@ -359,8 +365,10 @@ class ZDM_Zoho_API {
 
     /**
      * Get single ticket details
+     *
+     * @param array $params Optional query parameters, e.g. 'include'
      */
-    public function get_ticket($ticket_id) {
+    public function get_ticket($ticket_id, $params = array()) {
         $access_token = $this->get_access_token();
         $org_id = get_option('zdm_org_id');
 
@@ -370,6 +378,10 @@ class ZDM_Zoho_API {
 
         $url = $this->api_base_url . '/tickets/' . $ticket_id;
 
+        if (!empty($params)) {
+            $url .= '?' . http_build_query($params);
+        }
+
         $response = wp_remote_get($url, array(
             'headers' => array(
                 'Authorization' => 'Zoho-oauthtoken ' . $access_token,
@@ -913,6 +925,98 @@ class ZDM_Zoho_API {
         return false;
     }
 
+    /**
+     * Get tickets carrying a tag
+     *
+     * @param string $tag_id Tag ID from get_ticket_tags()
+     * @param array $params Query parameters, e.g. 'from', 'limit', 'include'
+     * @param bool $force_refresh Skip the cache
+     */
+    public function get_tag_tickets($tag_id, $params = array(), $force_refresh = false) {
+        $access_token = $this->get_access_token();
+        $org_id = get_option('zdm_org_id');
+
+        if (empty($access_token) || empty($org_id) || empty($tag_id)) {
+            return false;
+        }
+
+        $cache_key = 'zdm_tag_tickets_' . md5($tag_id . serialize($params));
+        $cached_data = get_transient($cache_key);
+
+        if ($cached_data !== false && !$force_refresh) {
+            return $cached_data;
+        }
+
+        $url = $this->api_base_url . '/tags/' . $tag_id . '/tickets';
+
+        if (!empty($params)) {
+            $url .= '?' . http_build_query($params);
+        }
+
+        $response = wp_remote_get($url, array(
+            'headers' => array(
+                'Authorization' => 'Zoho-oauthtoken ' . $access_token,
+                'orgId' => $org_id
+            )
+        ));
+
+        if (!is_wp_error($response)) {
+            $code = wp_remote_retrieve_response_code($response);
+            if ($code == 200) {
+                $data = json_decode(wp_remote_retrieve_body($response), true);
+                set_transient($cache_key, $data, $this->cache_time);
+                return $data;
+            }
+            // No tickets carry the tag
+            if ($code == 204) {
+                return array('data' => array());
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get active agents in the organization
+     */
+    public function get_agents() {
+        $access_token = $this->get_access_token();
+        $org_id = get_option('zdm_org_id');
+
+        if (empty($access_token) || empty($org_id)) {
+            return false;
+        }
+
+        $cached_data = get_transient('zdm_agents');
+
+        if ($cached_data !== false) {
+            return $cached_data;
+        }
+
+        $url = $this->api_base_url . '/agents?' . http_build_query(array(
+            'status' => 'ACTIVE',
+            'limit' => 200
+        ));
+
+        $response = wp_remote_get($url, array(
+            'headers' => array(
+                'Authorization' => 'Zoho-oauthtoken ' . $access_token,
+                'orgId' => $org_id
+            )
+        ));
+
+        if (!is_wp_error($response)) {
+            $code = wp_remote_retrieve_response_code($response);
+            if ($code == 200) {
+                $data = json_decode(wp_remote_retrieve_body($response), true);
+                set_transient('zdm_agents', $data, HOUR_IN_SECONDS);
+                return $data;
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Get tags for a specific ticket
      */
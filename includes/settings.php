@@ -53,6 +53,10 @@ function zdm_settings_page() {
             update_option('zdm_client_secret', $client_secret);
             update_option('zdm_org_id', $org_id);
 
+            if (isset($_POST['undo_send_seconds'])) {
+                update_option(ZDM_Send_Queue::DELAY_OPTION, ZDM_Send_Queue::sanitize_delay($_POST['undo_send_seconds']));
+            }
+
             echo '<div class="notice notice-success is-dismissible"><p>Settings saved successfully!</p></div>';
         }
     }
@@ -134,6 +138,22 @@ function zdm_settings_page() {
                     </td>
                 </tr>
 
+                <tr>
+                    <th scope="row">
+                        <label for="undo_send_seconds">Undo Send</label>
+                    </th>
+                    <td>
+                        <?php $undo_send_seconds = ZDM_Send_Queue::get_delay(); ?>
+                        <select id="undo_send_seconds" name="undo_send_seconds">
+                            <option value="0" <?php selected($undo_send_seconds, 0); ?>>Off - send immediately</option>
+                            <?php foreach (array(5, 10, 15, 20, 30) as $seconds): ?>
+                                <option value="<?php echo esc_attr($seconds); ?>" <?php selected($undo_send_seconds, $seconds); ?>><?php echo esc_html($seconds); ?> seconds</option>
+                            <?php endforeach; ?>
+                        </select>
+                        <p class="description">How long replies wait before going to Zoho Desk, so a misclicked send can be undone</p>
+                    </td>
+                </tr>
+
                 <tr>
                     <th scope="row">Connection Status</th>
                     <td>
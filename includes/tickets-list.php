@@ -16,12 +16,19 @@ function zdm_tickets_page() {
         check_admin_referer('zdm_reply_ticket');
 
         $ticket_id = sanitize_text_field($_POST['ticket_id']);
-        $reply_content = wp_kses_post($_POST['reply_content']);
+        $reply_content = wp_kses_post(wp_unslash($_POST['reply_content']));
+        $ticket_number = sanitize_text_field($_POST['ticket_number'] ?? '');
+        $close = !empty($_POST['close_ticket']);
 
-        if ($api->reply_to_ticket($ticket_id, $reply_content)) {
-            echo '<div class="notice notice-success"><p>Reply sent successfully!</p></div>';
-        } else {
-            echo '<div class="notice notice-error"><p>Failed to send reply. Please check your connection.</p></div>';
+        // Held for the undo window; the toast shows its progress
+        $sent = ZDM_Send_Queue::submit($ticket_id, $reply_content, $close, $ticket_number);
+
+        if ($sent['status'] === 'sent') {
+            echo '<div class="notice notice-success"><p>' . ($close ? 'Reply sent and ticket closed!' : 'Reply sent successfully!') . '</p></div>';
+        } elseif ($sent['status'] === 'not_closed') {
+            echo '<div class="notice notice-warning"><p>Reply sent, but the ticket could not be closed.</p></div>';
+        } elseif ($sent['status'] === 'failed') {
+            echo '<div class="notice notice-error"><p>Failed to send reply: ' . esc_html($sent['error']) . '.</p></div>';
         }
     }
 
@@ -45,17 +52,7 @@ function zdm_tickets_page() {
         return;
     }
 
-    // Handle search
-    $search_query = isset($_GET['search']) ? sanitize_text_field($_GET['search']) : '';
-    $search_type = isset($_GET['search_type']) ? sanitize_text_field($_GET['search_type']) : 'all';
-
-    // Get tickets
-    if (!empty($search_query)) {
-        $tickets_data = $api->search_tickets($search_query, $search_type);
-    } else {
-        $status_filter = isset($_GET['status']) ? sanitize_text_field($_GET['status']) : 'Open';
-        $tickets_data = $api->get_tickets(array('status' => $status_filter));
-    }
+    $args = zdm_ticket_list_args($_GET);
     ?>
 
     <div class="wrap">
@@ -68,105 +65,569 @@ function zdm_tickets_page() {
             <?php return; ?>
         <?php endif; ?>
 
-        <!-- Search Form -->
-        <div style="background: #f9f9f9; padding: 15px; border: 1px solid #ddd; border-radius: 4px; margin: 20px 0;">
-            <form method="get" action="">
-                <input type="hidden" name="page" value="zoho-desk-manager">
-                <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap;">
-                    <div style="flex: 1; min-width: 200px;">
-                        <input type="text"
-                               name="search"
-                               value="<?php echo esc_attr($search_query); ?>"
-                               placeholder="Search tickets by email, keyword, ticket #, or URL..."
-                               style="width: 100%; padding: 8px;">
-                    </div>
-                    <div>
-                        <select name="search_type" style="padding: 8px;">
-                            <option value="all" <?php selected($search_type, 'all'); ?>>Smart Search</option>
-                            <option value="email" <?php selected($search_type, 'email'); ?>>Customer Email</option>
-                            <option value="subject" <?php selected($search_type, 'subject'); ?>>Subject</option>
-                            <option value="content" <?php selected($search_type, 'content'); ?>>Content</option>
-                            <option value="ticket_number" <?php selected($search_type, 'ticket_number'); ?>>Ticket Number</option>
-                        </select>
+        <?php
+        $list = zdm_fetch_ticket_list($api, $args);
+        $options = zdm_ticket_list_filter_options($api);
+        ?>
+
+        <div id="zdm-ticket-list"
+             data-args="<?php echo esc_attr(wp_json_encode($args)); ?>"
+             data-defaults="<?php echo esc_attr(wp_json_encode(zdm_ticket_list_args(array()))); ?>"
+             data-nonce="<?php echo esc_attr(wp_create_nonce('zdm_ajax_nonce')); ?>">
+            <!-- Search and Filters -->
+            <div style="background: #f9f9f9; padding: 15px; border: 1px solid #ddd; border-radius: 4px; margin: 20px 0;">
+                <form method="get" action="" id="zdm-ticket-filters">
+                    <input type="hidden" name="page" value="zoho-desk-manager">
+                    <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap;">
+                        <div style="flex: 1; min-width: 200px;">
+                            <input type="text"
+                                   name="search"
+                                   value="<?php echo esc_attr($args['search']); ?>"
+                                   placeholder="Search tickets by email, keyword, ticket #, or URL..."
+                                   style="width: 100%; padding: 8px;">
+                        </div>
+                        <div>
+                            <select name="search_type" style="padding: 8px;">
+                                <option value="all" <?php selected($args['search_type'], 'all'); ?>>Smart Search</option>
+                                <option value="email" <?php selected($args['search_type'], 'email'); ?>>Customer Email</option>
+                                <option value="subject" <?php selected($args['search_type'], 'subject'); ?>>Subject</option>
+                                <option value="content" <?php selected($args['search_type'], 'content'); ?>>Content</option>
+                                <option value="ticket_number" <?php selected($args['search_type'], 'ticket_number'); ?>>Ticket Number</option>
+                            </select>
+                        </div>
+                        <div>
+                            <button type="submit" class="button button-primary">🔍 Search</button>
+                        </div>
                     </div>
-                    <div>
-                        <button type="submit" class="button button-primary">🔍 Search</button>
-                        <?php if (!empty($search_query)): ?>
-                            <a href="?page=zoho-desk-manager" class="button">Clear</a>
-                        <?php endif; ?>
+
+                    <div class="zdm-ticket-filter-row">
+                        <?php foreach (array('priority' => 'Priority', 'assignee' => 'Assignee', 'tag' => 'Tag', 'channel' => 'Channel') as $filter => $label): ?>
+                            <label>
+                                <span class="screen-reader-text"><?php echo esc_html($label); ?></span>
+                                <select name="<?php echo esc_attr($filter); ?>" class="zdm-ticket-filter">
+                                    <option value="">Any <?php echo esc_html(strtolower($label)); ?></option>
+                                    <?php foreach ($options[$filter] as $value => $option_label): ?>
+                                        <option value="<?php echo esc_attr($value); ?>" <?php selected($args[$filter], (string) $value); ?>><?php echo esc_html($option_label); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </label>
+                        <?php endforeach; ?>
+
+                        <a href="?page=zoho-desk-manager" class="button zdm-ticket-clear" <?php echo zdm_ticket_list_is_filtered($args) ? '' : 'style="display: none;"'; ?>>Clear</a>
                     </div>
+
+                    <input type="hidden" name="status" value="<?php echo esc_attr($args['status']); ?>">
+                    <input type="hidden" name="orderby" value="<?php echo esc_attr($args['orderby']); ?>">
+                    <input type="hidden" name="order" value="<?php echo esc_attr($args['order']); ?>">
+                </form>
+            </div>
+
+            <!-- Status Filter -->
+            <div class="zdm-ticket-status-filter" style="margin: 20px 0;">
+                <?php foreach (array('Open' => 'Open', 'On Hold' => 'On Hold', 'Closed' => 'Closed', 'all' => 'All') as $status => $label): ?>
+                    <a href="<?php echo esc_url(zdm_ticket_list_url(array_merge($args, array('status' => $status, 'paged' => 1)))); ?>"
+                       class="button <?php echo $args['status'] === $status ? 'button-primary' : ''; ?>"
+                       data-status="<?php echo esc_attr($status); ?>"><?php echo esc_html($label); ?></a>
+                <?php endforeach; ?>
+                <a href="<?php echo esc_url(zdm_ticket_list_url($args) . '&force_refresh=1'); ?>" id="zdm-refresh-tickets" class="button" style="float: right;">↻ Refresh</a>
+            </div>
+
+            <!-- Bulk Actions -->
+            <div id="zdm-bulk-actions" class="zdm-bulk-actions" style="display: none;">
+                <div class="zdm-bulk-toolbar">
+                    <strong class="zdm-bulk-count"></strong>
+
+                    <label class="screen-reader-text" for="zdm-bulk-operation">Bulk action</label>
+                    <select id="zdm-bulk-operation">
+                        <option value="">Bulk actions</option>
+                        <?php foreach (ZDM_Bulk_Actions::get_operations() as $key => $operation): ?>
+                            <option value="<?php echo esc_attr($key); ?>"><?php echo esc_html($operation['label']); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+
+                    <select id="zdm-bulk-status" class="zdm-bulk-value" data-operations="status" style="display: none;">
+                        <option value="Open">Open</option>
+                        <option value="On Hold">On Hold</option>
+                        <option value="Closed">Closed</option>
+                    </select>
+
+                    <input type="text" id="zdm-bulk-tags" class="zdm-bulk-value" data-operations="add_tags remove_tags"
+                           list="zdm-bulk-tag-list" placeholder="tag-one, tag-two" style="display: none;">
+                    <datalist id="zdm-bulk-tag-list">
+                        <?php foreach ($options['tag'] as $tag_name): ?>
+                            <option value="<?php echo esc_attr($tag_name); ?>"></option>
+                        <?php endforeach; ?>
+                    </datalist>
+
+                    <select id="zdm-bulk-template" class="zdm-bulk-value" data-operations="template" style="display: none;">
+                        <option value="">Choose a template</option>
+                        <?php foreach (ZDM_Template_Manager::get_ticket_fillable_templates() as $key => $template): ?>
+                            <option value="<?php echo esc_attr($key); ?>"><?php echo esc_html($template['name']); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+
+                    <button type="button" id="zdm-bulk-apply" class="button">Apply</button>
+                    <a href="#" class="zdm-bulk-clear">Clear selection</a>
                 </div>
-            </form>
-
-            <?php if (!empty($search_query)): ?>
-                <div style="margin-top: 10px; color: #666;">
-                    <strong>Search Results for:</strong> "<?php echo esc_html($search_query); ?>"
-                    <span style="font-size: 11px; background: #e1e1e1; padding: 2px 6px; border-radius: 3px;">
-                        <?php echo $search_type === 'all' ? 'Smart Search' : ucfirst($search_type); ?>
-                    </span>
+
+                <p class="zdm-bulk-matching" style="display: none;"></p>
+
+                <div class="zdm-bulk-progress" style="display: none;">
+                    <progress max="100" value="0"></progress>
+                    <span class="zdm-bulk-progress-text" aria-live="polite"></span>
+                    <button type="button" class="button button-small zdm-bulk-stop">Stop</button>
                 </div>
-            <?php endif; ?>
-        </div>
 
-        <!-- Status Filter -->
-        <div style="margin: 20px 0;">
-            <a href="?page=zoho-desk-manager&status=Open" class="button <?php echo $status_filter == 'Open' ? 'button-primary' : ''; ?>">Open</a>
-            <a href="?page=zoho-desk-manager&status=On Hold" class="button <?php echo $status_filter == 'On Hold' ? 'button-primary' : ''; ?>">On Hold</a>
-            <a href="?page=zoho-desk-manager&status=Closed" class="button <?php echo $status_filter == 'Closed' ? 'button-primary' : ''; ?>">Closed</a>
-            <a href="?page=zoho-desk-manager" class="button" onclick="location.reload();" style="float: right;">↻ Refresh</a>
-        </div>
+                <div class="zdm-bulk-report" style="display: none;">
+                    <p class="zdm-bulk-summary"></p>
+                    <ul></ul>
+                    <p>
+                        <button type="button" class="button zdm-bulk-retry">Retry failed</button>
+                        <button type="button" class="button zdm-bulk-dismiss">Close report</button>
+                    </p>
+                </div>
+            </div>
 
-        <?php if ($tickets_data && isset($tickets_data['data'])): ?>
-            <table class="wp-list-table widefat fixed striped">
-                <thead>
-                    <tr>
-                        <th width="80">Ticket #</th>
-                        <th>Subject</th>
-                        <th width="150">Contact</th>
-                        <th width="100">Status</th>
-                        <th width="100">Priority</th>
-                        <th width="150">Created</th>
-                        <th width="100">Actions</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <?php foreach ($tickets_data['data'] as $ticket): ?>
-                        <tr>
-                            <td>#<?php echo esc_html($ticket['ticketNumber']); ?></td>
-                            <td>
-                                <strong>
-                                    <a href="?page=zoho-desk-manager&ticket_id=<?php echo esc_attr($ticket['id']); ?>">
-                                        <?php echo esc_html($ticket['subject']); ?>
-                                    </a>
-                                </strong>
-                            </td>
-                            <td><?php echo esc_html($ticket['email'] ?? $ticket['contactId']); ?></td>
-                            <td>
-                                <span style="padding: 3px 8px; border-radius: 3px; background: <?php echo $ticket['status'] == 'Open' ? '#d4f4dd' : '#f0f0f0'; ?>;">
-                                    <?php echo esc_html($ticket['status']); ?>
-                                </span>
-                            </td>
-                            <td><?php echo esc_html($ticket['priority'] ?? 'Normal'); ?></td>
-                            <td><?php echo esc_html(date('M d, Y', strtotime($ticket['createdTime']))); ?></td>
-                            <td>
-                                <a href="?page=zoho-desk-manager&ticket_id=<?php echo esc_attr($ticket['id']); ?>"
-                                   class="button button-small">View & Reply</a>
-                            </td>
-                        </tr>
-                    <?php endforeach; ?>
-                </tbody>
-            </table>
-        <?php else: ?>
-            <p>No tickets found or unable to fetch tickets. Please check your connection.</p>
-        <?php endif; ?>
+            <div id="zdm-ticket-results" aria-live="polite">
+                <?php zdm_render_ticket_results($list, $args); ?>
+            </div>
+        </div>
     </div>
     <?php
 }
 
+/**
+ * Columns of the ticket list
+ *
+ * 'sort_by' is the Zoho Desk sort field; columns without one are sorted
+ * within the loaded page.
+ */
+function zdm_ticket_list_columns() {
+    return array(
+        'number' => array('label' => 'Ticket #', 'width' => 80, 'sort_by' => 'ticketNumber'),
+        'subject' => array('label' => 'Subject', 'width' => null, 'sort_by' => ''),
+        'contact' => array('label' => 'Contact', 'width' => 150, 'sort_by' => ''),
+        'assignee' => array('label' => 'Assignee', 'width' => 120, 'sort_by' => ''),
+        'status' => array('label' => 'Status', 'width' => 100, 'sort_by' => ''),
+        'priority' => array('label' => 'Priority', 'width' => 90, 'sort_by' => ''),
+        'created' => array('label' => 'Created', 'width' => 110, 'sort_by' => 'createdTime'),
+        'sla' => array('label' => 'SLA', 'width' => 170, 'sort_by' => 'dueDate')
+    );
+}
+
+/**
+ * Filters, sort and page of the ticket list read from a request
+ */
+function zdm_ticket_list_args($request) {
+    $request = wp_unslash($request);
+    $search = sanitize_text_field($request['search'] ?? '');
+    $status = sanitize_text_field($request['status'] ?? '');
+    $orderby = sanitize_key($request['orderby'] ?? '');
+    $search_type = sanitize_key($request['search_type'] ?? 'all');
+
+    return array(
+        'status' => in_array($status, array('Open', 'On Hold', 'Closed', 'all'), true) ? $status : 'Open',
+        'priority' => sanitize_text_field($request['priority'] ?? ''),
+        'assignee' => sanitize_text_field($request['assignee'] ?? ''),
+        'tag' => sanitize_text_field($request['tag'] ?? ''),
+        'channel' => sanitize_text_field($request['channel'] ?? ''),
+        'search' => $search,
+        'search_type' => in_array($search_type, array('all', 'email', 'subject', 'content', 'ticket_number'), true) ? $search_type : 'all',
+        'orderby' => array_key_exists($orderby, zdm_ticket_list_columns()) ? $orderby : 'created',
+        'order' => ($request['order'] ?? '') === 'asc' ? 'asc' : 'desc',
+        'paged' => max(1, absint($request['paged'] ?? 1))
+    );
+}
+
+/**
+ * Whether anything beyond the status narrows the list
+ */
+function zdm_ticket_list_is_filtered($args) {
+    return $args['search'] !== '' || $args['priority'] !== '' || $args['assignee'] !== '' || $args['tag'] !== '' || $args['channel'] !== '';
+}
+
+/**
+ * Ticket list URL for a set of arguments, leaving out defaults
+ */
+function zdm_ticket_list_url($args) {
+    $query = array('page' => 'zoho-desk-manager');
+    $defaults = zdm_ticket_list_args(array());
+
+    foreach ($args as $key => $value) {
+        if ($value !== $defaults[$key]) {
+            $query[$key] = $value;
+        }
+    }
+
+    return add_query_arg(array_map('rawurlencode', $query), admin_url('admin.php'));
+}
+
+/**
+ * Choices for the filter dropdowns
+ */
+function zdm_ticket_list_filter_options($api) {
+    $options = array(
+        'priority' => array('High' => 'High', 'Medium' => 'Medium', 'Low' => 'Low'),
+        'assignee' => array('Unassigned' => 'Unassigned'),
+        'tag' => array(),
+        'channel' => array(
+            'Email' => 'Email',
+            'Phone' => 'Phone',
+            'Web' => 'Web',
+            'Chat' => 'Chat',
+            'Forums' => 'Forums',
+            'Twitter' => 'Twitter',
+            'Facebook' => 'Facebook'
+        )
+    );
+
+    $agents = $api->get_agents();
+    foreach ($agents['data'] ?? array() as $agent) {
+        $options['assignee'][$agent['id']] = trim(($agent['firstName'] ?? '') . ' ' . ($agent['lastName'] ?? '')) ?: ($agent['emailId'] ?? $agent['id']);
+    }
+
+    $tags = get_transient('zdm_ticket_tags');
+    if ($tags === false) {
+        $tags = $api->get_ticket_tags();
+        set_transient('zdm_ticket_tags', $tags ?: array(), HOUR_IN_SECONDS);
+    }
+    foreach ($tags['data'] ?? array() as $tag) {
+        $options['tag'][$tag['id']] = $tag['name'];
+    }
+
+    return $options;
+}
+
+/**
+ * Fetch one page of the ticket list
+ *
+ * Filters Zoho Desk can't apply to a search or a tag's tickets are
+ * applied to the fetched tickets instead.
+ *
+ * @param ZDM_Zoho_API $api
+ * @param array $args From zdm_ticket_list_args()
+ * @param bool $force_refresh Skip the cache
+ * @param int $per_page Tickets per page, 'zdm_tickets_per_page' by default
+ * @return array|false 'tickets' and 'has_more', or false when Zoho Desk
+ *     couldn't be reached
+ */
+function zdm_fetch_ticket_list($api, $args, $force_refresh = false, $per_page = 0) {
+    $per_page = $per_page ?: (int) apply_filters('zdm_tickets_per_page', 25);
+    $from = ($args['paged'] - 1) * $per_page;
+    $columns = zdm_ticket_list_columns();
+    $sort_by = $columns[$args['orderby']]['sort_by'];
+    $local = array();
+
+    if ($args['search'] !== '') {
+        $data = $api->search_tickets($args['search'], $args['search_type'], array(
+            'limit' => 100,
+            'status' => $args['status'] === 'all' ? '' : $args['status']
+        ));
+        $local = array('priority', 'assignee', 'channel');
+
+        if ($data && $args['tag'] !== '') {
+            $tagged = $api->get_tag_tickets($args['tag'], array('limit' => 100), $force_refresh);
+            $tagged_ids = wp_list_pluck($tagged['data'] ?? array(), 'id');
+            $data['data'] = array_filter($data['data'] ?? array(), function($ticket) use ($tagged_ids) {
+                return in_array($ticket['id'], $tagged_ids, true);
+            });
+        }
+    } else {
+        $params = array(
+            'from' => $from,
+            // One extra tells whether there is a next page
+            'limit' => $per_page + 1,
+            'include' => 'contacts,assignee'
+        );
+
+        if ($sort_by) {
+            $params['sortBy'] = ($args['order'] === 'desc' ? '-' : '') . $sort_by;
+        }
+
+        if ($args['tag'] !== '') {
+            $local = array('status', 'priority', 'assignee', 'channel');
+            $data = zdm_fetch_tag_matches($api, $args, $params, $local, $from + $per_page + 1, $force_refresh);
+        } else {
+            $data = $api->get_tickets(array_merge($params, array(
+                'status' => $args['status'] === 'all' ? '' : $args['status'],
+                'priority' => $args['priority'],
+                'assignee' => $args['assignee'],
+                'channel' => $args['channel']
+            )), $force_refresh);
+        }
+    }
+
+    if (!$data || !isset($data['data'])) {
+        return false;
+    }
+
+    $tickets = array_values(array_filter($data['data'], function($ticket) use ($args, $local) {
+        return zdm_ticket_matches_filters($ticket, $args, $local);
+    }));
+
+    if (!$sort_by || $args['search'] !== '') {
+        $tickets = zdm_sort_tickets($tickets, $args['orderby'], $args['order']);
+    }
+
+    // Searches and tags are filtered from the start and paged here
+    if ($args['search'] !== '' || $args['tag'] !== '') {
+        $tickets = array_slice($tickets, $from, $per_page + 1);
+    }
+
+    return array(
+        'tickets' => array_slice($tickets, 0, $per_page),
+        'has_more' => count($tickets) > $per_page
+    );
+}
+
+/**
+ * Collect the tickets of a tag that pass the filters applied locally
+ *
+ * Zoho Desk pages a tag's tickets without the other filters, so its
+ * pages are read from the start until enough tickets match. Pages are
+ * cached by get_tag_tickets(), so later list pages reuse them. Only the
+ * first 500 tickets of a tag are read, and the scan stops early with the
+ * matches so far when the API rate limit runs low.
+ *
+ * @param array $params Request parameters; 'from' and 'limit' are replaced
+ * @param array $filters Filter keys to apply
+ * @param int $wanted Matches needed, counting the pages before this one
+ * @return array|false Matching tickets as 'data', or false when the first
+ *     page failed
+ */
+function zdm_fetch_tag_matches($api, $args, $params, $filters, $wanted, $force_refresh) {
+    $page_size = 100;
+    $max_pages = 5;
+    $matches = array();
+
+    for ($page = 0; $page < $max_pages; $page++) {
+        // Leave calls for the widget, sends and bulk actions
+        if ($page > 0 && (!ZDM_Rate_Limiter::can_make_call() || ZDM_Rate_Limiter::get_remaining_calls() <= ZDM_Rate_Limiter::LOW_CALLS)) {
+            break;
+        }
+
+        $params['from'] = $page * $page_size;
+        $params['limit'] = $page_size;
+
+        $data = $api->get_tag_tickets($args['tag'], $params, $force_refresh);
+
+        if (!$data || !isset($data['data'])) {
+            return $page === 0 ? false : array('data' => $matches);
+        }
+
+        foreach ($data['data'] as $ticket) {
+            if (zdm_ticket_matches_filters($ticket, $args, $filters)) {
+                $matches[] = $ticket;
+            }
+        }
+
+        // Enough matches, or the tag has no more tickets
+        if (count($matches) >= $wanted || count($data['data']) < $page_size) {
+            return array('data' => $matches);
+        }
+    }
+
+    return array('data' => $matches);
+}
+
+/**
+ * Whether a ticket passes the given filters
+ *
+ * @param array $filters Filter keys to check
+ */
+function zdm_ticket_matches_filters($ticket, $args, $filters) {
+    foreach ($filters as $filter) {
+        $wanted = $filter === 'status' && $args['status'] === 'all' ? '' : $args[$filter];
+
+        if ($wanted === '') {
+            continue;
+        }
+
+        switch ($filter) {
+            case 'assignee':
+                $match = $wanted === 'Unassigned' ? empty($ticket['assigneeId']) : (string) ($ticket['assigneeId'] ?? '') === $wanted;
+                break;
+            default:
+                $match = strcasecmp($ticket[$filter] ?? '', $wanted) === 0;
+        }
+
+        if (!$match) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Sort tickets by a list column
+ */
+function zdm_sort_tickets($tickets, $orderby, $order) {
+    $priority_rank = array('high' => 3, 'medium' => 2, 'low' => 1);
+
+    $value = function($ticket) use ($orderby, $priority_rank) {
+        switch ($orderby) {
+            case 'number':
+                return (int) ($ticket['ticketNumber'] ?? 0);
+            case 'contact':
+                return strtolower($ticket['email'] ?? '');
+            case 'assignee':
+                return strtolower(zdm_ticket_assignee_name($ticket));
+            case 'status':
+                return strtolower($ticket['status'] ?? '');
+            case 'priority':
+                return $priority_rank[strtolower($ticket['priority'] ?? '')] ?? 0;
+            case 'created':
+                return strtotime($ticket['createdTime'] ?? '');
+            case 'sla':
+                // Tickets without a due date go last
+                return !empty($ticket['dueDate']) ? strtotime($ticket['dueDate']) : PHP_INT_MAX;
+            default:
+                return strtolower($ticket['subject'] ?? '');
+        }
+    };
+
+    usort($tickets, function($a, $b) use ($value, $order) {
+        $result = $value($a) <=> $value($b);
+        return $order === 'desc' ? -$result : $result;
+    });
+
+    return $tickets;
+}
+
+/**
+ * Display name of a ticket's assignee
+ */
+function zdm_ticket_assignee_name($ticket) {
+    if (empty($ticket['assigneeId'])) {
+        return 'Unassigned';
+    }
+
+    if (!empty($ticket['assignee'])) {
+        return trim(($ticket['assignee']['firstName'] ?? '') . ' ' . ($ticket['assignee']['lastName'] ?? ''));
+    }
+
+    return 'Assigned';
+}
+
+/**
+ * Output the ticket table and pagination
+ *
+ * @param array|false $list From zdm_fetch_ticket_list()
+ * @param array $args From zdm_ticket_list_args()
+ */
+function zdm_render_ticket_results($list, $args) {
+    if ($args['search'] !== '') {
+        ?>
+        <div style="margin: 10px 0; color: #666;">
+            <strong>Search Results for:</strong> "<?php echo esc_html($args['search']); ?>"
+            <span style="font-size: 11px; background: #e1e1e1; padding: 2px 6px; border-radius: 3px;">
+                <?php echo $args['search_type'] === 'all' ? 'Smart Search' : esc_html(ucfirst($args['search_type'])); ?>
+            </span>
+        </div>
+        <?php
+    }
+
+    if (!$list) {
+        echo '<p>No tickets found or unable to fetch tickets. Please check your connection.</p>';
+        return;
+    }
+
+    if (empty($list['tickets']) && $args['paged'] === 1) {
+        echo '<p>No tickets match these filters.</p>';
+        return;
+    }
+    ?>
+    <table class="wp-list-table widefat fixed striped zdm-ticket-table">
+        <thead>
+            <tr>
+                <td class="zdm-check-column">
+                    <label class="screen-reader-text" for="zdm-select-page">Select all tickets on this page</label>
+                    <input type="checkbox" id="zdm-select-page">
+                </td>
+                <?php foreach (zdm_ticket_list_columns() as $key => $column): ?>
+                    <?php
+                    $sorted = $args['orderby'] === $key;
+                    $next_order = $sorted && $args['order'] === 'desc' ? 'asc' : 'desc';
+                    ?>
+                    <th scope="col" <?php echo $column['width'] ? 'width="' . esc_attr($column['width']) . '"' : ''; ?>
+                        class="<?php echo $sorted ? 'sorted ' . esc_attr($args['order']) : 'sortable desc'; ?>"
+                        <?php echo $sorted ? 'aria-sort="' . ($args['order'] === 'asc' ? 'ascending' : 'descending') . '"' : ''; ?>>
+                        <a href="<?php echo esc_url(zdm_ticket_list_url(array_merge($args, array('orderby' => $key, 'order' => $next_order, 'paged' => 1)))); ?>"
+                           <?php echo $column['sort_by'] ? '' : 'title="Sorted within this page"'; ?>>
+                            <span><?php echo esc_html($column['label']); ?></span>
+                            <span class="sorting-indicator"></span>
+                        </a>
+                    </th>
+                <?php endforeach; ?>
+                <th width="100">Actions</th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php zdm_render_ticket_rows($list['tickets']); ?>
+        </tbody>
+    </table>
+
+    <?php if ($args['paged'] > 1 || $list['has_more']): ?>
+        <div class="tablenav bottom">
+            <div class="tablenav-pages">
+                <span class="pagination-links">
+                    <?php if ($args['paged'] > 1): ?>
+                        <a class="prev-page button" href="<?php echo esc_url(zdm_ticket_list_url(array_merge($args, array('paged' => $args['paged'] - 1)))); ?>">‹ Previous</a>
+                    <?php endif; ?>
+                    <span class="paging-input">Page <?php echo esc_html($args['paged']); ?></span>
+                    <?php if ($list['has_more']): ?>
+                        <a class="next-page button" href="<?php echo esc_url(zdm_ticket_list_url(array_merge($args, array('paged' => $args['paged'] + 1)))); ?>">Next ›</a>
+                    <?php endif; ?>
+                </span>
+            </div>
+        </div>
+    <?php endif;
+}
+
+/**
+ * Output ticket list rows
+ */
+function zdm_render_ticket_rows($tickets) {
+    foreach ($tickets as $ticket): ?>
+        <tr data-ticket-id="<?php echo esc_attr($ticket['id']); ?>">
+            <th scope="row" class="zdm-check-column">
+                <input type="checkbox" class="zdm-ticket-check"
+                       value="<?php echo esc_attr($ticket['id']); ?>"
+                       data-number="<?php echo esc_attr($ticket['ticketNumber']); ?>"
+                       aria-label="Select ticket #<?php echo esc_attr($ticket['ticketNumber']); ?>">
+            </th>
+            <td>#<?php echo esc_html($ticket['ticketNumber']); ?></td>
+            <td>
+                <strong>
+                    <a href="?page=zoho-desk-manager&ticket_id=<?php echo esc_attr($ticket['id']); ?>">
+                        <?php echo esc_html($ticket['subject']); ?>
+                    </a>
+                </strong>
+            </td>
+            <td><?php echo esc_html($ticket['email'] ?? $ticket['contactId']); ?></td>
+            <td><?php echo esc_html(zdm_ticket_assignee_name($ticket)); ?></td>
+            <td>
+                <span style="padding: 3px 8px; border-radius: 3px; background: <?php echo $ticket['status'] == 'Open' ? '#d4f4dd' : '#f0f0f0'; ?>;">
+                    <?php echo esc_html($ticket['status']); ?>
+                </span>
+            </td>
+            <td><?php echo esc_html($ticket['priority'] ?? 'Normal'); ?></td>
+            <td><?php echo esc_html(date('M d, Y', strtotime($ticket['createdTime']))); ?></td>
+            <td><?php echo $ticket['status'] === 'Closed' ? '&mdash;' : ZDM_SLA::render_countdowns($ticket); ?></td>
+            <td>
+                <a href="?page=zoho-desk-manager&ticket_id=<?php echo esc_attr($ticket['id']); ?>"
+                   class="button button-small">View & Reply</a>
+            </td>
+        </tr>
+    <?php endforeach;
+}
+
 // Single ticket view with reply form
 function zdm_single_ticket_view($api, $ticket_id) {
     $ticket = $api->get_ticket($ticket_id);
     $threads = $api->get_ticket_threads($ticket_id);  // Get threads (actual messages)
+    $rendered_at = time(); // Replies are checked for changes after this
     $conversations = $api->get_ticket_conversations($ticket_id);
     $comments = $api->get_ticket_comments($ticket_id);
 
@@ -254,6 +715,8 @@ function zdm_single_ticket_view($api, $ticket_id) {
             <a href="?page=zoho-desk-manager" class="page-title-action">← Back to List</a>
         </h1>
 
+        <div id="zdm-presence" class="zdm-presence" style="display: none;" aria-live="polite"></div>
+
         <div style="background: white; padding: 20px; margin: 20px 0; border: 1px solid #ddd;">
             <h2><?php echo esc_html($ticket['subject']); ?></h2>
 
@@ -410,6 +873,14 @@ function zdm_single_ticket_view($api, $ticket_id) {
                             <span class="dashicons dashicons-download"></span>
                             Load Saved Draft
                         </button>
+                        <button type="button" id="zdm-toggle-history" class="button button-secondary">
+                            <span class="dashicons dashicons-backup"></span>
+                            History
+                        </button>
+                        <button type="button" id="zdm-toggle-preview" class="button button-secondary">
+                            <span class="dashicons dashicons-visibility"></span>
+                            Preview
+                        </button>
                         <button type="button" id="zdm-clear-draft" class="button button-link-delete">
                             <span class="dashicons dashicons-trash"></span>
                             Clear
@@ -420,9 +891,29 @@ function zdm_single_ticket_view($api, $ticket_id) {
                 <!-- Draft Status -->
                 <div id="zdm-draft-status" style="margin-bottom: 10px; padding: 10px; background: #fff; border-radius: 3px; display: none;">
                     <span class="zdm-draft-status-text"></span>
+                    <button type="button" id="zdm-stop-generation" class="button button-small" style="display: none; margin-left: 10px;">
+                        <span class="dashicons dashicons-controls-pause" style="vertical-align: text-top;"></span>
+                        Stop
+                    </button>
                     <span class="zdm-draft-timestamp" style="float: right; color: #666; font-size: 12px;"></span>
                 </div>
 
+                <!-- Values kept out of the last AI prompt -->
+                <div id="zdm-redaction-notice" class="zdm-redaction-notice" style="display: none;">
+                    <button type="button" class="button-link zdm-redaction-dismiss">Dismiss</button>
+                    <strong>Personal data was replaced with placeholders before the prompt left this site.</strong>
+                    The real values were put back into the draft:
+                    <ul></ul>
+                </div>
+
+                <!-- AI cost of the last draft, today's total and the daily budget -->
+                <div id="zdm-ai-usage" class="zdm-ai-usage">
+                    <span class="zdm-ai-usage-last"></span>
+                    <span class="zdm-ai-usage-today"></span>
+                    <a href="<?php echo esc_url(admin_url('admin.php?page=zoho-desk-ai-usage')); ?>" class="zdm-ai-usage-report">Usage report</a>
+                    <p class="zdm-ai-budget-notice" style="display: none;"></p>
+                </div>
+
                 <!-- AI Options (shown when generating) -->
                 <div id="zdm-ai-options" style="display: none; margin-bottom: 15px; padding: 15px; background: white; border-radius: 3px;">
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
@@ -446,26 +937,143 @@ function zdm_single_ticket_view($api, $ticket_id) {
                                 <option value="empathetic">Empathetic</option>
                             </select>
                         </div>
+                        <div>
+                            <label for="zdm-prompt-preset">Prompt Preset:</label>
+                            <select id="zdm-prompt-preset" class="regular-text">
+                                <option value="">None</option>
+                                <?php foreach (ZDM_Prompt_Presets::get_presets() as $preset): ?>
+                                    <option value="<?php echo esc_attr($preset['id']); ?>"><?php echo esc_html($preset['name']); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </div>
+                    </div>
+                    <div id="zdm-ai-estimate" class="zdm-ai-estimate" aria-live="polite"></div>
+                    <div id="zdm-prompt-inspector" class="zdm-prompt-inspector" style="display: none;">
+                        <p class="zdm-prompt-loading" style="display: none;"><span class="spinner is-active"></span> Building prompt...</p>
+                        <div class="zdm-prompt-body">
+                            <div class="zdm-prompt-column">
+                                <h4>Ticket</h4>
+                                <table class="zdm-prompt-fields widefat striped"><tbody></tbody></table>
+
+                                <h4>Messages <span class="zdm-prompt-count"></span></h4>
+                                <ul class="zdm-prompt-messages"></ul>
+                            </div>
+                            <div class="zdm-prompt-column">
+                                <h4><label for="zdm-prompt-instructions">Additional Instructions</label></h4>
+                                <textarea id="zdm-prompt-instructions" rows="4" class="large-text"
+                                          placeholder="e.g. Mention the 30-day refund window. Keep it under 150 words."></textarea>
+
+                                <div class="zdm-prompt-redactions" style="display: none;">
+                                    <h4>Redacted Before Sending</h4>
+                                    <ul></ul>
+                                </div>
+
+                                <details class="zdm-prompt-preview">
+                                    <summary>Full prompt (as sent)</summary>
+                                    <pre class="zdm-prompt-system"></pre>
+                                    <pre class="zdm-prompt-user"></pre>
+                                </details>
+
+                                <h4>Save as Preset</h4>
+                                <div class="zdm-prompt-save">
+                                    <input type="text" id="zdm-prompt-preset-name" placeholder="Preset name" aria-label="Preset name">
+                                    <label>
+                                        Last
+                                        <input type="number" id="zdm-prompt-preset-limit" min="0" max="<?php echo intval(ZDM_Prompt_Presets::MAX_MESSAGE_LIMIT); ?>" value="0" style="width: 60px;">
+                                        messages
+                                    </label>
+                                    <button type="button" id="zdm-save-prompt-preset" class="button">Save for Team</button>
+                                    <button type="button" id="zdm-delete-prompt-preset" class="button button-link-delete" style="display: none;">Delete Preset</button>
+                                </div>
+                                <p class="description">Presets keep the response type, tone, instructions and message count (0 uses the AI setting), and are shared with every agent.</p>
+                                <p class="description zdm-prompt-preset-meta"></p>
+                            </div>
+                        </div>
                     </div>
+                    <?php
+                    // Variants need direct API access; browser and subscription modes return a single prompt
+                    $variant_providers = ZDM_AI_Assistant::get_available_providers();
+                    $default_provider = get_option('zdm_default_ai_provider');
+                    $supports_variants = !empty($variant_providers) &&
+                        get_option('zdm_use_browser_ai') != '1' && get_option('zdm_use_subscription') != '1';
+                    ?>
+                    <?php if ($supports_variants): ?>
+                        <div id="zdm-variant-options" style="margin-top: 15px; padding-top: 10px; border-top: 1px solid #eee;">
+                            <strong>Compare variants:</strong>
+                            <div style="margin-top: 5px;">
+                                Tones:
+                                <?php foreach (array('professional' => 'Professional', 'friendly' => 'Friendly', 'formal' => 'Formal', 'technical' => 'Technical', 'empathetic' => 'Empathetic') as $tone_key => $tone_label): ?>
+                                    <label style="margin-right: 10px;">
+                                        <input type="checkbox" class="zdm-variant-tone" value="<?php echo esc_attr($tone_key); ?>"
+                                               data-label="<?php echo esc_attr($tone_label); ?>"
+                                               <?php checked(in_array($tone_key, array('professional', 'friendly'), true)); ?>>
+                                        <?php echo esc_html($tone_label); ?>
+                                    </label>
+                                <?php endforeach; ?>
+                            </div>
+                            <div style="margin-top: 5px;">
+                                Providers:
+                                <?php foreach ($variant_providers as $provider_key => $provider_label): ?>
+                                    <label style="margin-right: 10px;">
+                                        <input type="checkbox" class="zdm-variant-provider" value="<?php echo esc_attr($provider_key); ?>"
+                                               data-label="<?php echo esc_attr($provider_label); ?>"
+                                               <?php checked($provider_key === $default_provider || count($variant_providers) === 1); ?>>
+                                        <?php echo esc_html($provider_label); ?>
+                                    </label>
+                                <?php endforeach; ?>
+                            </div>
+                            <p class="description">Each ticked tone is generated with each ticked provider, up to <?php echo intval(ZDM_Draft_Variants::MAX_VARIANTS); ?> variants at once.</p>
+                        </div>
+                    <?php endif; ?>
                     <div style="margin-top: 10px;">
                         <button type="button" id="zdm-generate-with-options" class="button button-primary">
                             Generate Draft
                         </button>
+                        <button type="button" id="zdm-inspect-prompt" class="button button-secondary" aria-expanded="false" aria-controls="zdm-prompt-inspector">
+                            <span class="dashicons dashicons-search"></span>
+                            View / Edit Prompt
+                        </button>
+                        <?php if ($supports_variants): ?>
+                            <button type="button" id="zdm-generate-variants" class="button button-secondary">
+                                <span class="dashicons dashicons-columns"></span>
+                                Compare Variants
+                            </button>
+                        <?php endif; ?>
                         <button type="button" id="zdm-cancel-ai-options" class="button">
                             Cancel
                         </button>
                     </div>
                 </div>
 
+                <!-- AI Draft Variants (shown after Compare Variants) -->
+                <div id="zdm-draft-variants" style="display: none;">
+                    <div class="zdm-variants-header">
+                        <strong>Draft Variants</strong>
+                        <span>
+                            <button type="button" id="zdm-merge-variants" class="button button-small" disabled>Merge Selected Paragraphs</button>
+                            <button type="button" id="zdm-close-variants" class="button button-small">Close</button>
+                        </span>
+                    </div>
+                    <p class="description">Use one variant as is, or tick paragraphs from several variants in the order you want them and merge.</p>
+                    <div class="zdm-variant-grid"></div>
+                </div>
+
                 <!-- Template Selection (shown when using templates) -->
-                <div id="zdm-template-options" style="display: none; margin-bottom: 15px; padding: 15px; background: white; border-radius: 3px;">
-                    <?php
-                    // Include template manager and get templates
-                    require_once ZDM_PLUGIN_PATH . 'includes/class-template-manager.php';
-                    $templates = ZDM_Template_Manager::get_templates();
-                    $categories = ZDM_Template_Manager::get_categories();
-                    $suggestions = ZDM_Template_Manager::suggest_templates($ticket, $threads);
-                    ?>
+                <?php
+                // Include template manager and get templates
+                require_once ZDM_PLUGIN_PATH . 'includes/class-template-manager.php';
+                $templates = ZDM_Template_Manager::get_templates();
+                $categories = ZDM_Template_Manager::get_categories();
+                $suggestions = ZDM_Template_Manager::suggest_templates($ticket, $threads);
+
+                // Values used to prefill template variables in the browser
+                $template_values = array_merge(
+                    ZDM_Template_Manager::get_default_variables(),
+                    ZDM_Template_Manager::extract_ticket_variables($ticket, $threads)
+                );
+                ?>
+                <div id="zdm-template-options" style="display: none; margin-bottom: 15px; padding: 15px; background: white; border-radius: 3px;"
+                     data-values="<?php echo esc_attr(wp_json_encode((object) $template_values)); ?>">
 
                     <?php if (!empty($suggestions)): ?>
                         <div style="margin-bottom: 15px; padding: 10px; background: #fffbcc; border-left: 4px solid #ffb900; border-radius: 3px;">
@@ -500,11 +1108,15 @@ function zdm_single_ticket_view($api, $ticket_id) {
                                 <option value="">Select a template...</option>
                                 <?php foreach ($templates as $key => $template): ?>
                                     <option value="<?php echo esc_attr($key); ?>"
-                                            data-category="<?php echo esc_attr($template['category']); ?>">
+                                            data-category="<?php echo esc_attr($template['category']); ?>"
+                                            data-content="<?php echo esc_attr($template['content']); ?>"
+                                            data-fields="<?php echo esc_attr(wp_json_encode(ZDM_Template_Manager::get_variable_fields($template))); ?>">
                                         <?php echo esc_html($template['name']); ?>
                                     </option>
                                 <?php endforeach; ?>
                             </select>
+
+                            <div id="zdm-template-variables" style="display: none; margin-top: 10px;"></div>
                         </div>
 
                         <div>
@@ -523,7 +1135,7 @@ function zdm_single_ticket_view($api, $ticket_id) {
                             Cancel
                         </button>
                         <span style="margin-left: 15px; color: #666; font-size: 12px;">
-                            Variables like {customer_name} will be automatically replaced
+                            Variables are prefilled from the ticket; fill in any that are highlighted
                         </span>
                     </div>
                 </div>
@@ -535,7 +1147,20 @@ function zdm_single_ticket_view($api, $ticket_id) {
                     $saved_draft = get_transient('zdm_draft_' . $ticket['id']);
                     $draft_meta = get_transient('zdm_draft_meta_' . $ticket['id']);
                     ?>
-                    <textarea id="zdm-draft-content" rows="12" style="width: 100%; padding: 10px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.5; border: 1px solid #ddd; border-radius: 3px;"><?php echo $saved_draft ? esc_textarea($saved_draft) : ''; ?></textarea>
+                    <div class="zdm-draft-editor">
+                        <textarea id="zdm-draft-content" rows="12" style="width: 100%; padding: 10px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.5; border: 1px solid #ddd; border-radius: 3px;"><?php echo $saved_draft ? esc_textarea($saved_draft) : ''; ?></textarea>
+                        <div id="zdm-draft-preview" class="zdm-markdown-preview" style="display: none;"></div>
+                    </div>
+
+                    <!-- Revision History (toggled with the History button) -->
+                    <div id="zdm-draft-history" style="display: none;">
+                        <div class="zdm-history-header">
+                            <strong>Revision History</strong>
+                            <button type="button" id="zdm-compare-revisions" class="button button-small" disabled>Compare</button>
+                        </div>
+                        <p class="description">Tick two revisions to compare them.</p>
+                        <ul class="zdm-revision-list"></ul>
+                    </div>
 
                     <?php if ($saved_draft && $draft_meta): ?>
                         <script>
@@ -548,6 +1173,65 @@ function zdm_single_ticket_view($api, $ticket_id) {
                     <?php endif; ?>
                 </div>
 
+                <!-- Revision Diff -->
+                <div id="zdm-draft-diff" style="display: none;">
+                    <div class="zdm-diff-header">
+                        <strong class="zdm-diff-title"></strong>
+                        <span>
+                            <label><input type="radio" name="zdm-diff-mode" value="inline" checked> Inline</label>
+                            <label><input type="radio" name="zdm-diff-mode" value="side"> Side by side</label>
+                            <button type="button" id="zdm-close-diff" class="button button-small">Close</button>
+                        </span>
+                    </div>
+                    <div class="zdm-diff-body"></div>
+                </div>
+
+                <!-- Improve Options (applies to the highlighted text, or the whole draft) -->
+                <div id="zdm-improve-options" style="display: none;">
+                    <div class="zdm-improve-scope"></div>
+                    <div class="zdm-improve-ops">
+                        <button type="button" class="button button-small zdm-improve-op" data-type="more concise">More concise</button>
+                        <button type="button" class="button button-small zdm-improve-op" data-type="more detailed">More detailed</button>
+                        <button type="button" class="button button-small zdm-improve-op" data-type="more friendly">More friendly</button>
+                        <button type="button" class="button button-small zdm-improve-op" data-type="more professional">More professional</button>
+                        <button type="button" class="button button-small zdm-improve-op" data-type="more empathetic">More empathetic</button>
+                        <button type="button" class="button button-small zdm-improve-op" data-type="fix_grammar">Fix grammar</button>
+                        <button type="button" class="button button-small zdm-improve-op" data-type="expand_bullets">Expand bullet points</button>
+                        <span class="zdm-improve-translate">
+                            <select id="zdm-improve-language">
+                                <option value="English">English</option>
+                                <option value="Spanish">Spanish</option>
+                                <option value="French">French</option>
+                                <option value="German">German</option>
+                                <option value="Italian">Italian</option>
+                                <option value="Portuguese">Portuguese</option>
+                                <option value="Dutch">Dutch</option>
+                                <option value="Hindi">Hindi</option>
+                                <option value="Japanese">Japanese</option>
+                            </select>
+                            <button type="button" class="button button-small zdm-improve-op" data-type="translate">Translate</button>
+                        </span>
+                    </div>
+                    <div class="zdm-improve-custom">
+                        <input type="text" id="zdm-improve-instructions" class="regular-text"
+                               placeholder="Instructions, e.g. &quot;mention the refund policy&quot; or &quot;shorter intro&quot;">
+                        <button type="button" class="button button-small zdm-improve-op" data-type="custom">Apply Instructions</button>
+                        <button type="button" id="zdm-cancel-improve" class="button button-small">Cancel</button>
+                    </div>
+                </div>
+
+                <!-- Improvement Review (tracked change) -->
+                <div id="zdm-improve-review" style="display: none;">
+                    <div class="zdm-diff-header">
+                        <strong>Suggested change</strong>
+                        <span>
+                            <button type="button" id="zdm-accept-improvement" class="button button-primary button-small">Accept</button>
+                            <button type="button" id="zdm-reject-improvement" class="button button-small">Reject</button>
+                        </span>
+                    </div>
+                    <div class="zdm-diff-body"></div>
+                </div>
+
                 <!-- Draft Action Buttons -->
                 <div style="margin-top: 15px; display: flex; justify-content: space-between; align-items: center;">
                     <div>
@@ -565,6 +1249,7 @@ function zdm_single_ticket_view($api, $ticket_id) {
                         </button>
                     </div>
                     <div id="zdm-draft-word-count" style="color: #666; font-size: 12px;">
+                        Markdown supported |
                         Words: <span class="word-count">0</span> | Characters: <span class="char-count">0</span>
                     </div>
                 </div>
@@ -583,9 +1268,13 @@ function zdm_single_ticket_view($api, $ticket_id) {
             <!-- Reply Form -->
             <div style="margin-top: 30px; padding: 20px; background: #f6f7f7;">
                 <h3>Send Reply:</h3>
-                <form method="post" action="?page=zoho-desk-manager" id="zdm-reply-form">
+                <form method="post" action="?page=zoho-desk-manager" id="zdm-reply-form"
+                      data-rendered-at="<?php echo esc_attr($rendered_at); ?>"
+                      data-thread-ids="<?php echo esc_attr(wp_json_encode(array_values(array_filter(array_map('strval', wp_list_pluck($threads['data'] ?? array(), 'id')))))); ?>">
                     <?php wp_nonce_field('zdm_reply_ticket'); ?>
                     <input type="hidden" name="ticket_id" value="<?php echo esc_attr($ticket['id']); ?>" />
+                    <input type="hidden" name="ticket_number" value="<?php echo esc_attr($ticket['ticketNumber'] ?? ''); ?>" />
+                    <input type="hidden" name="close_ticket" id="zdm-close-ticket" value="0" />
 
                     <div style="margin-bottom: 15px;">
                         <?php
@@ -26,7 +26,21 @@ $zdm_options = array(
     'zdm_api_cache',
     'zdm_last_sync',
     'zdm_rate_limit_remaining',
-    'zdm_rate_limit_reset'
+    'zdm_rate_limit_reset',
+    'zdm_variant_stats',
+    'zdm_widget_state',
+    'zdm_send_queue',
+    'zdm_send_queue_lock',
+    'zdm_undo_send_seconds',
+    'zdm_browser_extension_stub',
+    'zdm_prompt_presets',
+    'zdm_pii_redaction',
+    'zdm_pii_types',
+    'zdm_pii_rules',
+    'zdm_ai_usage_ledger',
+    'zdm_ai_usage_lock',
+    'zdm_ai_daily_budget',
+    'zdm_ai_budget_mode'
 );
 
 foreach ($zdm_options as $option) {
@@ -44,4 +58,6 @@ $wpdb->query("DELETE FROM {$wpdb->options} WHERE option_name LIKE '_transient_ti
  * Clear any scheduled cron jobs
  */
 wp_clear_scheduled_hook('zdm_refresh_token_cron');
-wp_clear_scheduled_hook('zdm_sync_tickets_cron');
\ No newline at end of file
+wp_clear_scheduled_hook('zdm_sync_tickets_cron');
+// Queued replies are scheduled with their ID as argument
+wp_unschedule_hook('zdm_process_send_queue');
\ No newline at end of file
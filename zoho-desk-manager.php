@@ -36,11 +36,24 @@ require_once ZDM_PLUGIN_PATH . 'includes/class-ai-assistant.php';
 require_once ZDM_PLUGIN_PATH . 'includes/class-subscription-ai.php';
 require_once ZDM_PLUGIN_PATH . 'includes/class-browser-ai.php';
 require_once ZDM_PLUGIN_PATH . 'includes/class-template-manager.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-draft-revisions.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-draft-variants.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-shortcuts.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-command-palette.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-sla.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-ticket-presence.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-collision-check.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-send-queue.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-bulk-actions.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-prompt-presets.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-pii-redactor.php';
+require_once ZDM_PLUGIN_PATH . 'includes/class-ai-usage.php';
 require_once ZDM_PLUGIN_PATH . 'includes/admin-menu.php';
 require_once ZDM_PLUGIN_PATH . 'includes/settings.php';
 require_once ZDM_PLUGIN_PATH . 'includes/ai-settings.php';
 require_once ZDM_PLUGIN_PATH . 'includes/tickets-list.php';
 require_once ZDM_PLUGIN_PATH . 'includes/help-page.php';
+require_once ZDM_PLUGIN_PATH . 'includes/ai-usage-page.php';
 
 // Include WP-CLI commands if available
 if (defined('WP_CLI') && WP_CLI) {
@@ -88,6 +101,39 @@ function zdm_init() {
 
     // Initialize Template Manager
     ZDM_Template_Manager::init();
+
+    // Initialize draft variant preference tracking
+    ZDM_Draft_Variants::init();
+
+    // Initialize keyboard shortcut registry
+    ZDM_Shortcuts::init();
+
+    // Initialize command palette
+    ZDM_Command_Palette::init();
+
+    // Initialize SLA countdowns
+    ZDM_SLA::init();
+
+    // Initialize ticket presence and draft locks
+    ZDM_Ticket_Presence::init();
+
+    // Initialize pre-send collision checks
+    ZDM_Collision_Check::init();
+
+    // Initialize the undo-send queue
+    ZDM_Send_Queue::init();
+
+    // Initialize bulk actions on the ticket list
+    ZDM_Bulk_Actions::init();
+
+    // Initialize the prompt inspector and team presets
+    ZDM_Prompt_Presets::init();
+
+    // Initialize AI usage tracking and budgets
+    ZDM_AI_Usage::init();
+
+    // Initialize rate-limit tracking, headers and the remaining-calls meter
+    ZDM_Rate_Limiter::init();
 }
 
 // Add settings link on plugin page
@@ -115,10 +161,62 @@ function zdm_admin_assets($hook) {
     );
 
     // JavaScript
+    // Offline draft cache shared by the reply form and the draft editor
+    wp_enqueue_script(
+        'zdm-draft-store',
+        ZDM_PLUGIN_URL . 'assets/js/draft-store.js',
+        array('jquery'),
+        '1.3.0',
+        true
+    );
+
+    wp_localize_script('zdm-draft-store', 'zdm_draft_store', array(
+        'site_id' => get_current_blog_id(),
+        'user_id' => get_current_user_id(),
+        'ttl' => 7 * DAY_IN_SECONDS,
+        'max_size' => 256 * KB_IN_BYTES,
+        'max_local_size' => 64 * KB_IN_BYTES,
+        'max_entries' => 50,
+        'strings' => array(
+            'found' => __('An unsaved copy of this text from %s was found in this browser.', 'zoho-desk-manager'),
+            'restore' => __('Restore', 'zoho-desk-manager'),
+            'discard' => __('Discard', 'zoho-desk-manager'),
+            'compare' => __('Compare', 'zoho-desk-manager'),
+            'cached' => __('Unsaved copy', 'zoho-desk-manager'),
+            'current' => __('Current text', 'zoho-desk-manager'),
+            'restored' => __('Unsaved copy restored', 'zoho-desk-manager')
+        )
+    ));
+
+    // Outbound queue that survives network drops for draft saves and status changes
+    wp_enqueue_script(
+        'zdm-sync-queue',
+        ZDM_PLUGIN_URL . 'assets/js/sync-queue.js',
+        array('jquery'),
+        '1.3.0',
+        true
+    );
+
+    // Each queued action carries the nonce its handler checks
+    wp_localize_script('zdm-sync-queue', 'zdm_sync_queue', array(
+        'ajax_url' => admin_url('admin-ajax.php'),
+        'site_id' => get_current_blog_id(),
+        'user_id' => get_current_user_id(),
+        'nonces' => array(
+            'zdm_save_draft' => wp_create_nonce('zdm_ai_nonce'),
+            'zdm_update_status' => wp_create_nonce('zdm_ajax_nonce')
+        ),
+        'strings' => array(
+            'pending_one' => __('1 change pending sync', 'zoho-desk-manager'),
+            'pending_many' => __('%d changes pending sync', 'zoho-desk-manager'),
+            'retry' => __('Retry now', 'zoho-desk-manager')
+        )
+    ));
+
     wp_enqueue_script(
         'zdm-admin-script',
         ZDM_PLUGIN_URL . 'assets/js/admin-script.js',
-        array('jquery'),
+        array('jquery', 'zdm-draft-store', 'zdm-sync-queue', 'zdm-shortcuts'),
         '1.1.0',
         true
     );
@@ -129,15 +227,51 @@ function zdm_admin_assets($hook) {
         'nonce' => wp_create_nonce('zdm_ajax_nonce')
     ));
 
+    // Markdown <-> HTML conversion for the draft editor
+    wp_enqueue_script(
+        'zdm-markdown',
+        ZDM_PLUGIN_URL . 'assets/js/markdown.js',
+        array('jquery'),
+        '1.3.0',
+        true
+    );
+
     // Draft handler script
     wp_enqueue_script(
         'zdm-draft-handler',
         ZDM_PLUGIN_URL . 'assets/js/draft-handler.js',
-        array('jquery'),
+        array('jquery', 'zdm-draft-store', 'zdm-sync-queue', 'zdm-markdown', 'zdm-shortcuts', 'zdm-browser-ai'),
         '1.1.0',
         true
     );
 
+    // Draft revision history
+    wp_enqueue_script(
+        'zdm-draft-history',
+        ZDM_PLUGIN_URL . 'assets/js/draft-history.js',
+        array('jquery', 'zdm-draft-handler'),
+        '1.3.0',
+        true
+    );
+
+    // Selection-scoped improvements with accept/reject review
+    wp_enqueue_script(
+        'zdm-draft-improve',
+        ZDM_PLUGIN_URL . 'assets/js/draft-improve.js',
+        array('jquery', 'zdm-draft-handler', 'zdm-draft-history'),
+        '1.3.0',
+        true
+    );
+
+    // Side-by-side AI draft variants
+    wp_enqueue_script(
+        'zdm-draft-variants',
+        ZDM_PLUGIN_URL . 'assets/js/draft-variants.js',
+        array('jquery', 'zdm-draft-handler', 'zdm-markdown'),
+        '1.3.0',
+        true
+    );
+
     // Localize script for AJAX
     wp_localize_script('zdm-admin-script', 'zdm_ajax', array(
         'ajax_url' => admin_url('admin-ajax.php'),
@@ -200,6 +334,29 @@ function zdm_ajax_test_connection() {
     }
 }
 
+// AJAX handler for the inline ticket list
+add_action('wp_ajax_zdm_list_tickets', 'zdm_ajax_list_tickets');
+function zdm_ajax_list_tickets() {
+    check_ajax_referer('zdm_ajax_nonce', 'nonce');
+
+    if (!current_user_can('manage_options')) {
+        wp_die('Insufficient permissions');
+    }
+
+    $args = zdm_ticket_list_args($_POST);
+    $api = new ZDM_Zoho_API();
+    $list = zdm_fetch_ticket_list($api, $args, !empty($_POST['force_refresh']));
+
+    ob_start();
+    zdm_render_ticket_results($list, $args);
+
+    wp_send_json_success(array(
+        'args' => $args,
+        'html' => ob_get_clean(),
+        'ok' => $list !== false
+    ));
+}
+
 // Schedule token refresh
 add_action('init', 'zdm_schedule_token_refresh');
 function zdm_schedule_token_refresh() {
@@ -225,11 +382,18 @@ function zdm_ajax_save_draft() {
 
     $ticket_id = sanitize_text_field($_POST['ticket_id']);
     $draft_content = wp_kses_post($_POST['draft_content']);
+    $source = sanitize_key($_POST['source'] ?? 'manual');
 
     if (empty($ticket_id) || empty($draft_content)) {
         wp_send_json_error('Missing required data');
     }
 
+    // Don't overwrite a draft another agent is editing
+    $holder = ZDM_Ticket_Presence::get_other_holder($ticket_id);
+    if ($holder) {
+        wp_send_json_error(sprintf('%s is editing this draft', $holder));
+    }
+
     // Save draft
     set_transient('zdm_draft_' . $ticket_id, $draft_content, 7 * DAY_IN_SECONDS);
 
@@ -242,9 +406,13 @@ function zdm_ajax_save_draft() {
     );
     set_transient('zdm_draft_meta_' . $ticket_id, $metadata, 7 * DAY_IN_SECONDS);
 
+    // Keep every version so saves from different sources don't clobber each other
+    $revision = ZDM_Draft_Revisions::add_revision($ticket_id, $draft_content, $source);
+
     wp_send_json_success(array(
         'message' => 'Draft saved successfully',
-        'timestamp' => current_time('mysql')
+        'timestamp' => current_time('mysql'),
+        'revision' => $revision
     ));
 }
 
@@ -258,11 +426,29 @@ function zdm_ajax_load_draft() {
     }
 
     $ticket_id = sanitize_text_field($_POST['ticket_id']);
+    $operation = sanitize_key($_POST['operation'] ?? 'latest');
 
     if (empty($ticket_id)) {
         wp_send_json_error('Missing ticket ID');
     }
 
+    // Revision history operations
+    if ($operation === 'list_revisions') {
+        wp_send_json_success(array(
+            'revisions' => ZDM_Draft_Revisions::get_revisions($ticket_id)
+        ));
+    }
+
+    if ($operation === 'get_revision') {
+        $revision = ZDM_Draft_Revisions::get_revision($ticket_id, intval($_POST['revision_id'] ?? 0));
+
+        if ($revision) {
+            wp_send_json_success(array('revision' => $revision));
+        } else {
+            wp_send_json_error('Revision not found');
+        }
+    }
+
     $draft = get_transient('zdm_draft_' . $ticket_id);
     $meta = get_transient('zdm_draft_meta_' . $ticket_id);
 